@@ -1,6 +1,6 @@
 const path = require('path');
 const { configManager } = require('../../../shared/config');
-const { getLogPath } = require('../../../shared/utils/paths');
+const { getLogPath, getMonitorDataPath } = require('../../../shared/utils/paths');
 const logger = require('../utils/logger');
 
 // 确保配置管理器已初始化
@@ -47,8 +47,18 @@ const monitorConfig = {
     enableHistoricalEvents: process.env.ENABLE_HISTORICAL_EVENTS !== 'false',
     // 是否启用实时事件监听
     enableRealTimeEvents: process.env.ENABLE_REAL_TIME_EVENTS !== 'false',
-    // 初始化时获取的历史块数量
+    // 初始化时获取的历史块数量，同时也是每次区块范围查询的最大块数
     blocksToFetch: parseInt(process.env.BLOCKS_TO_FETCH || '5000', 10),
+    // 首次运行（无游标）时的起始块，不设置则从当前块往前 blocksToFetch 个块开始
+    startBlock: process.env.START_BLOCK !== undefined ? parseInt(process.env.START_BLOCK, 10) : null,
+    // 事件索引与游标的存储目录
+    dataDirectory: process.env.MONITOR_DATA_DIR || getMonitorDataPath(),
+    // 每个事件分段文件包含的区块数
+    segmentBlocks: parseInt(process.env.SEGMENT_BLOCKS || '100000', 10),
+    // 事件达到最终状态所需的确认块数
+    confirmations: parseInt(process.env.CONFIRMATION_DEPTH || '15', 10),
+    // 保留区块哈希用于检测链重组的块数
+    maxReorgDepth: parseInt(process.env.MAX_REORG_DEPTH || '64', 10),
     // 历史事件轮询间隔，毫秒
     pollingInterval: parseInt(process.env.POLLING_INTERVAL || '15000', 10),
     // 是否将历史事件写入单独文件
@@ -88,6 +98,28 @@ const getWsUrl = () => {
   }
 };
 
+// 获取RPC节点池使用的网络配置
+// 共享配置不可用时回退到环境变量，链ID由节点检测
+const getNetworkConfig = () => {
+  try {
+    if (configManager.isInitialized()) {
+      return configManager.getNetworkConfig();
+    }
+  } catch (error) {
+    logger.warn('Failed to get network config from config manager:', error.message);
+  }
+  return {
+    rpcUrl: process.env.ETH_RPC_URL,
+    rpcUrls: (process.env.ETH_RPC_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+  };
+};
+
+// 获取全部WebSocket URL，重连时依次切换
+const getWsUrls = () => {
+  const urls = [getWsUrl(), ...(process.env.ETH_WS_URLS || '').split(',').map(url => url.trim())];
+  return Array.from(new Set(urls.filter(url => url && url.startsWith('ws'))));
+};
+
 // 获取合约地址
 const getContractAddresses = () => {
   try {
@@ -128,5 +160,7 @@ module.exports = {
   initializeConfig,
   getRpcUrl,
   getWsUrl,
+  getWsUrls,
+  getNetworkConfig,
   getContractAddresses
 }; 
\ No newline at end of file
@@ -35,7 +35,7 @@ const printEvents = (events) => {
     const blockInfo = `Block: ${event.blockNumber}`;
     const txInfo = `Tx: ${event.transactionHash}`;
     
-    console.log(`\n[${timestamp}] 📜 HISTORICAL EVENT:`);
+    console.log(`\n[${timestamp}] 📜 HISTORICAL EVENT (unconfirmed):`);
     console.log(`- Contract: ${contractInfo}`);
     console.log(`- Event: ${eventInfo}`);
     console.log(`- ${blockInfo} | ${txInfo}`);
@@ -52,6 +52,33 @@ const printEvents = (events) => {
   });
 };
 
+// 打印被链重组回滚的事件
+const printRevertedEvents = (events, { commonAncestor }) => {
+  logger.warn(`Chain reorganisation: ${events.length} events after block ${commonAncestor} reverted`);
+  
+  events.forEach((event) => {
+    logger.warn(`Reverted event: ${event.eventName}`, {
+      contract: `${event.contractName}(${event.contractAddress})`,
+      block: event.blockNumber,
+      tx: event.transactionHash
+    });
+  });
+};
+
+// 记录达到确认深度的事件
+const logFinalizedEvents = (events, { finalizedBlock }) => {
+  logger.info(`Finalized ${events.length} events up to block ${finalizedBlock}`);
+  
+  events.forEach((event) => {
+    logger.info(`Finalized event: ${event.eventName}`, {
+      contract: `${event.contractName}(${event.contractAddress})`,
+      block: event.blockNumber,
+      tx: event.transactionHash,
+      args: event.args
+    });
+  });
+};
+
 // 处理历史区块中的事件
 const processHistoricalEvents = async () => {
   try {
@@ -88,6 +115,10 @@ const main = async () => {
     process.exit(1);
   }
   
+  // 订阅重组回滚与最终确认通知
+  ethereumService.on('reverted', printRevertedEvents);
+  ethereumService.on('finalized', logFinalizedEvents);
+  
   // 立即执行一次历史事件获取
   await processHistoricalEvents();
   
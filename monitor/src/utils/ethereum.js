@@ -1,18 +1,46 @@
+const EventEmitter = require('events');
 const ethers = require('ethers');
 const config = require('../config');
 const logger = require('./logger');
 const EventListener = require('./eventListener');
+const EventStore = require('../../../shared/utils/eventStore');
+const { createProviderPool } = require('../../../shared/utils/providerPool');
 const { getAbi, initializeAbis } = require('../../../shared/utils/getAbis');
 
-class EthereumService {
+// 房产代币合约名称，已发现的代币以 "RealEstateToken:<propertyId>" 命名
+const TOKEN_CONTRACT_NAME = 'RealEstateToken';
+
+// 从事件中识别新创建的房产代币，不是代币发现事件时返回null
+function getDiscoveredToken(event) {
+  if (event.contractName === 'TokenFactory' && event.eventName === 'TokenCreated') {
+    return { tokenAddress: event.args.tokenAddress, propertyId: event.args.propertyId };
+  }
+  if (event.contractName === 'PropertyRegistry' && event.eventName === 'TokenRegistered') {
+    // propertyId 为 indexed string，事件中只有哈希
+    return { tokenAddress: event.args.tokenAddress, propertyId: null };
+  }
+  return null;
+}
+
+// 除了返回新事件外，还会发出以下通知：
+// - 'reverted'：链重组导致已索引的事件被回滚
+// - 'finalized'：事件达到确认深度，下游可以安全处理
+class EthereumService extends EventEmitter {
   constructor() {
+    super();
     this.httpProvider = null;
     this.wsProvider = null;
     this.activeProvider = null;
     this.contracts = {};
-    this.lastProcessedBlock = 0;
+    this.initialBlock = 0;
     this.eventListener = null;
     this.reconnectAttempts = 0;
+    this.wsUrls = [];
+    this.isIndexing = false;
+    this.blockHashCache = null;
+    this.eventStore = new EventStore(config.monitor.dataDirectory, {
+      segmentBlocks: config.monitor.segmentBlocks
+    });
   }
 
   // 初始化以太坊提供者和合约实例
@@ -25,41 +53,38 @@ class EthereumService {
       await initializeAbis();
       logger.info('Contract ABIs initialized');
 
-      // 创建HTTP提供者
-      const rpcUrl = config.getRpcUrl();
-      if (!rpcUrl) {
+      // 创建HTTP RPC节点池，单个节点故障时切换到其他节点
+      const networkConfig = config.getNetworkConfig();
+      if (!networkConfig.rpcUrl) {
         throw new Error('RPC URL is not defined. Please check your configuration.');
       }
       
-      this.httpProvider = new ethers.providers.JsonRpcProvider(rpcUrl);
+      this.httpProvider = createProviderPool(networkConfig);
       
       // 检查HTTP连接
       const network = await this.httpProvider.getNetwork();
-      logger.info(`Connected to Ethereum network via HTTP: ${network.name} (chainId: ${network.chainId})`);
+      const endpoints = await this.httpProvider.checkHealth();
+      const healthy = endpoints.filter(endpoint => endpoint.healthy && endpoint.blockNumber !== null);
+      if (healthy.length === 0) {
+        throw new Error(`No RPC endpoint available (${endpoints.map(endpoint => endpoint.name).join(', ')})`);
+      }
+      this.httpProvider.startHealthChecks();
+      logger.info(
+        `Connected to Ethereum network via HTTP: ${network.name} (chainId: ${network.chainId}), ` +
+        `${healthy.length}/${endpoints.length} RPC endpoints available`
+      );
       
       // 默认使用HTTP提供者
       this.activeProvider = this.httpProvider;
       
       // 如果启用了WebSocket且有WebSocket URL，则创建WebSocket提供者
       if (config.connection.enableWebsocket) {
-        const wsUrl = config.getWsUrl();
-        if (wsUrl && wsUrl.startsWith('ws')) {
+        this.wsUrls = config.getWsUrls();
+        if (this.wsUrls.length > 0) {
           try {
-            this.wsProvider = new ethers.providers.WebSocketProvider(wsUrl);
+            this.wsProvider = this.createWebSocketProvider(this.wsUrls[0]);
             logger.info('WebSocket provider initialized. Will use for real-time events.');
             
-            // 为WebSocket提供者添加错误处理
-            if (this.wsProvider._websocket) {
-              this.wsProvider._websocket.on('error', (error) => {
-                logger.error(`WebSocket Error: ${error.message}`);
-              });
-              
-              this.wsProvider._websocket.on('close', (code) => {
-                logger.error(`WebSocket Connection Closed. Code: ${code}`);
-                this.reconnectWebSocket();
-              });
-            }
-            
             // 确认WebSocket连接
             await this.wsProvider.getNetwork();
             logger.info(`Connected to Ethereum network via WebSocket: ${network.name}`);
@@ -84,9 +109,14 @@ class EthereumService {
       const currentBlock = await this.activeProvider.getBlockNumber();
       logger.info(`Current block height: ${currentBlock}`);
       
-      // 计算起始块
-      this.lastProcessedBlock = Math.max(0, currentBlock - config.monitor.blocksToFetch);
-      logger.info(`Setting initial block to: ${this.lastProcessedBlock}`);
+      // 打开事件索引，已有游标的合约从游标处继续
+      this.eventStore.open();
+      
+      // 计算没有游标的合约的起始块
+      this.initialBlock = config.monitor.startBlock !== null
+        ? config.monitor.startBlock
+        : Math.max(0, currentBlock - config.monitor.blocksToFetch);
+      logger.info(`Setting initial block for new contracts to: ${this.initialBlock}`);
       
       // 初始化合约实例
       await this.initializeContracts();
@@ -135,26 +165,14 @@ class EthereumService {
         // 停止当前的事件监听
         this.stopEventListener();
         
-        // 获取WebSocket URL
-        const wsUrl = config.getWsUrl();
-        if (!wsUrl || !wsUrl.startsWith('ws')) {
+        // 依次切换配置的WebSocket URL
+        if (this.wsUrls.length === 0) {
           throw new Error('Invalid WebSocket URL');
         }
+        const wsUrl = this.wsUrls[this.reconnectAttempts % this.wsUrls.length];
         
         // 创建新的WebSocket提供者
-        this.wsProvider = new ethers.providers.WebSocketProvider(wsUrl);
-        
-        // 添加错误处理
-        if (this.wsProvider._websocket) {
-          this.wsProvider._websocket.on('error', (error) => {
-            logger.error(`WebSocket Error: ${error.message}`);
-          });
-          
-          this.wsProvider._websocket.on('close', (code) => {
-            logger.error(`WebSocket Connection Closed. Code: ${code}`);
-            this.reconnectWebSocket();
-          });
-        }
+        this.wsProvider = this.createWebSocketProvider(wsUrl);
         
         // 检查连接
         await this.wsProvider.getNetwork();
@@ -180,6 +198,25 @@ class EthereumService {
     }, config.connection.reconnectDelay);
   }
 
+  // 创建WebSocket提供者，连接关闭时重连
+  createWebSocketProvider(wsUrl) {
+    const wsProvider = new ethers.providers.WebSocketProvider(wsUrl);
+    
+    // 为WebSocket提供者添加错误处理
+    if (wsProvider._websocket) {
+      wsProvider._websocket.on('error', (error) => {
+        logger.error(`WebSocket Error: ${error.message}`);
+      });
+      
+      wsProvider._websocket.on('close', (code) => {
+        logger.error(`WebSocket Connection Closed. Code: ${code}`);
+        this.reconnectWebSocket();
+      });
+    }
+    
+    return wsProvider;
+  }
+
   // 初始化合约实例
   async initializeContracts() {
     // 清除现有合约
@@ -189,8 +226,10 @@ class EthereumService {
     const contractAddresses = config.getContractAddresses();
     
     // 遍历配置中的合约地址
-    for (const [name, address] of Object.entries(contractAddresses)) {
+    for (const [key, address] of Object.entries(contractAddresses)) {
       if (address && address !== '0x...') {
+        // 配置键为小驼峰（如 tokenFactory），ABI按合约名称（如 TokenFactory）存储
+        const name = key.charAt(0).toUpperCase() + key.slice(1);
         try {
           // 使用共享的ABI获取函数获取ABI
           const abi = getAbi(name);
@@ -204,10 +243,134 @@ class EthereumService {
       }
     }
     
+    // 恢复已发现的房产代币
+    await this.loadKnownTokens();
+    
     logger.info(`Initialized ${Object.keys(this.contracts).length} contracts`);
   }
 
+  // 恢复房产代币合约
+  // 已发现的代币记录在事件索引的游标中；TokenFactory中尚未跟踪的代币从其部署区块开始回填
+  async loadKnownTokens() {
+    for (const checkpoint of Object.values(this.eventStore.getCheckpoints())) {
+      if (checkpoint.contractName.startsWith(`${TOKEN_CONTRACT_NAME}:`)) {
+        this.trackToken(checkpoint.contractName, checkpoint.contractAddress);
+      }
+    }
+    
+    const factory = this.contracts.TokenFactory;
+    if (!factory) {
+      return;
+    }
+    
+    try {
+      const tokenAddresses = await factory.getAllTokens();
+      for (const tokenAddress of tokenAddresses) {
+        if (!this.isTrackedToken(tokenAddress)) {
+          const propertyId = await factory.getPropertyIdFromToken(tokenAddress);
+          const deploymentBlock = await this.findDeploymentBlock(tokenAddress);
+          await this.addTokenContract(tokenAddress, propertyId, deploymentBlock);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to load existing tokens from TokenFactory: ${error.message}`);
+    }
+  }
+
+  // 根据新索引的事件发现房产代币
+  async discoverTokens(events) {
+    for (const event of events) {
+      const discovered = getDiscoveredToken(event);
+      if (discovered && !this.isTrackedToken(discovered.tokenAddress)) {
+        await this.addTokenContract(discovered.tokenAddress, discovered.propertyId, event.blockNumber);
+      }
+    }
+  }
+
+  // 添加房产代币到索引与实时监听，并从创建区块开始回填
+  async addTokenContract(tokenAddress, propertyId, fromBlock) {
+    if (!propertyId) {
+      try {
+        const token = new ethers.Contract(tokenAddress, getAbi(TOKEN_CONTRACT_NAME), this.activeProvider);
+        propertyId = await token.propertyId();
+      } catch (error) {
+        propertyId = tokenAddress;
+      }
+    }
+    
+    const name = `${TOKEN_CONTRACT_NAME}:${propertyId}`;
+    const contract = this.trackToken(name, tokenAddress);
+    const startBlock = fromBlock !== null ? fromBlock : this.initialBlock;
+    
+    // 游标设在创建区块之前，下一次索引即从创建区块开始回填
+    if (!this.eventStore.getCheckpoint(tokenAddress)) {
+      this.eventStore.setCheckpoint(tokenAddress, name, startBlock - 1);
+    }
+    
+    if (this.eventListener) {
+      this.eventListener.addContract(name, contract);
+    }
+    
+    logger.info(`Discovered token ${name} at ${tokenAddress}, backfilling from block ${startBlock}`);
+  }
+
+  // 移除房产代币（创建事件被链重组回滚时）
+  removeTokenContract(tokenAddress) {
+    const entry = Object.entries(this.contracts)
+      .find(([, contract]) => contract.address.toLowerCase() === tokenAddress.toLowerCase());
+    if (!entry) {
+      return;
+    }
+    
+    const [name] = entry;
+    delete this.contracts[name];
+    this.eventStore.removeCheckpoint(tokenAddress);
+    if (this.eventListener) {
+      this.eventListener.removeContract(name);
+    }
+    
+    logger.warn(`Stopped tracking token ${name} at ${tokenAddress}: creation was reverted`);
+  }
+
+  // 创建代币合约实例并加入合约集合
+  trackToken(name, tokenAddress) {
+    if (!this.contracts[name]) {
+      this.contracts[name] = new ethers.Contract(tokenAddress, getAbi(TOKEN_CONTRACT_NAME), this.activeProvider);
+    }
+    return this.contracts[name];
+  }
+
+  // 代币是否已在跟踪
+  isTrackedToken(tokenAddress) {
+    return Object.values(this.contracts)
+      .some(contract => contract.address.toLowerCase() === tokenAddress.toLowerCase());
+  }
+
+  // 二分查找合约的部署区块，节点不支持历史状态查询时返回null
+  async findDeploymentBlock(address) {
+    try {
+      let low = 0;
+      let high = await this.activeProvider.getBlockNumber();
+      
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        const code = await this.activeProvider.getCode(address, mid);
+        if (code && code !== '0x') {
+          high = mid;
+        } else {
+          low = mid + 1;
+        }
+      }
+      
+      return low;
+    } catch (error) {
+      logger.warn(`Failed to find deployment block for ${address}: ${error.message}`);
+      return null;
+    }
+  }
+
   // 获取历史事件
+  // 按合约游标分块拉取新区块中的事件，写入事件索引后推进游标，返回本次新增的事件
   async getEvents() {
     if (!this.activeProvider) {
       throw new Error('Ethereum service not initialized');
@@ -218,96 +381,239 @@ class EthereumService {
       return [];
     }
     
+    // 上一轮还在追赶时跳过，避免同一区块范围被重复索引
+    if (this.isIndexing) {
+      logger.debug('Previous indexing round still running, skipping');
+      return [];
+    }
+    
+    this.isIndexing = true;
+    this.blockHashCache = new Map();
     try {
       // 获取当前块高
       const currentBlock = await this.activeProvider.getBlockNumber();
       
-      // 如果没有新块，则跳过
-      if (currentBlock <= this.lastProcessedBlock) {
-        logger.debug(`No new blocks to process. Current: ${currentBlock}, Last processed: ${this.lastProcessedBlock}`);
-        return [];
-      }
-      
-      logger.info(`Fetching historical events from block ${this.lastProcessedBlock + 1} to ${currentBlock}`);
+      // 先检查已索引区块是否被重组，必要时回滚后再继续索引
+      await this.detectReorg();
       
       // 存储所有事件
       const allEvents = [];
       
-      // 从每个合约获取事件
-      for (const [name, contract] of Object.entries(this.contracts)) {
-        try {
-          // 获取该合约的所有事件
-          const events = await contract.queryFilter('*', this.lastProcessedBlock + 1, currentBlock);
-          
-          if (events.length > 0) {
-            logger.info(`Found ${events.length} events for contract ${name}`);
-            
-            // 处理每个事件
-            for (const event of events) {
-              try {
-                // 添加时间戳
-                const timestamp = new Date().toISOString();
-                
-                // 格式化事件数据
-                const formattedEvent = {
-                  timestamp: timestamp,
-                  contractName: name,
-                  contractAddress: contract.address,
-                  blockNumber: event.blockNumber,
-                  blockHash: event.blockHash,
-                  transactionHash: event.transactionHash,
-                  transactionIndex: event.transactionIndex,
-                  logIndex: event.logIndex,
-                  eventName: event.event,
-                  args: {}
-                };
-                
-                // 添加事件参数
-                if (event.args) {
-                  // 将BigNumber转换为字符串
-                  for (let i = 0; i < event.args.length; i++) {
-                    const arg = event.args[i];
-                    if (ethers.BigNumber.isBigNumber(arg)) {
-                      formattedEvent.args[i] = arg.toString();
-                    } else {
-                      formattedEvent.args[i] = arg;
-                    }
-                  }
-                  
-                  // 如果事件有命名参数，也添加到args对象中
-                  for (const key in event.args) {
-                    if (isNaN(parseInt(key))) { // 跳过数字索引
-                      const arg = event.args[key];
-                      if (ethers.BigNumber.isBigNumber(arg)) {
-                        formattedEvent.args[key] = arg.toString();
-                      } else {
-                        formattedEvent.args[key] = arg;
-                      }
-                    }
-                  }
-                }
-                
-                // 添加到事件列表
-                allEvents.push(formattedEvent);
-              } catch (error) {
-                logger.error(`Error processing event: ${error.message}`, { event });
-              }
-            }
-          }
-        } catch (error) {
-          logger.error(`Error fetching events for contract ${name}: ${error.message}`);
-        }
+      // 从每个合约获取事件，本轮新发现的代币也在本轮内完成回填
+      const indexedNames = new Set();
+      let name;
+      while ((name = Object.keys(this.contracts).find(key => !indexedNames.has(key)))) {
+        indexedNames.add(name);
+        const events = await this.indexContract(name, this.contracts[name], currentBlock);
+        allEvents.push(...events);
       }
       
-      // 更新最后处理的块
-      this.lastProcessedBlock = currentBlock;
-      logger.info(`Updated last processed block to ${currentBlock}`);
+      this.advanceFinality(currentBlock);
+      this.eventStore.pruneBlockHashes(currentBlock - config.monitor.maxReorgDepth);
       
       return allEvents;
     } catch (error) {
       logger.error(`Error fetching events: ${error.message}`);
       return [];
+    } finally {
+      this.isIndexing = false;
+    }
+  }
+
+  // 将单个合约的事件索引到指定块
+  // 每个块范围成功写入后立即保存游标，出错时停在最后一个完整的块范围
+  async indexContract(name, contract, toBlock) {
+    const checkpoint = this.eventStore.getCheckpoint(contract.address);
+    let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.initialBlock;
+    
+    // 如果没有新块，则跳过
+    if (fromBlock > toBlock) {
+      logger.debug(`No new blocks for ${name}. Current: ${toBlock}, Checkpoint: ${fromBlock - 1}`);
+      return [];
     }
+    
+    const chunkSize = Math.max(1, config.monitor.blocksToFetch);
+    const indexed = [];
+    
+    while (fromBlock <= toBlock) {
+      const chunkEnd = Math.min(fromBlock + chunkSize - 1, toBlock);
+      
+      try {
+        const events = await contract.queryFilter('*', fromBlock, chunkEnd);
+        const formatted = [];
+        
+        for (const event of events) {
+          try {
+            formatted.push(this.formatEvent(name, contract.address, event));
+          } catch (error) {
+            logger.error(`Error processing event: ${error.message}`, { event });
+          }
+        }
+        
+        // 记录事件所在区块以及块范围末尾的哈希，用于之后检测重组
+        const blocks = formatted.map(event => ({ number: event.blockNumber, hash: event.blockHash }));
+        blocks.push({ number: chunkEnd, hash: await this.getBlockHash(chunkEnd) });
+        
+        this.eventStore.appendEvents(formatted);
+        this.eventStore.recordBlockHashes(blocks);
+        await this.discoverTokens(formatted);
+        this.eventStore.setCheckpoint(contract.address, name, chunkEnd);
+        
+        if (formatted.length > 0) {
+          logger.info(`Indexed ${formatted.length} events for ${name} in blocks ${fromBlock}-${chunkEnd}`);
+        }
+        
+        // 新发现代币的回填事件可能已在最终区块之内，advanceFinality不会再通知，写入时直接发出通知
+        const finalizedBlock = this.eventStore.getFinalizedBlock();
+        const backfilled = formatted.filter(event => this.eventStore.isFinal(event.blockNumber));
+        if (backfilled.length > 0) {
+          logger.info(`Finalized ${backfilled.length} backfilled events for ${name} up to block ${finalizedBlock}`);
+          this.emit('finalized', backfilled, { finalizedBlock });
+        }
+        
+        indexed.push(...formatted);
+        fromBlock = chunkEnd + 1;
+      } catch (error) {
+        logger.error(`Error fetching events for contract ${name} in blocks ${fromBlock}-${chunkEnd}: ${error.message}`);
+        break;
+      }
+    }
+    
+    return indexed;
+  }
+
+  // 检测链重组
+  // 从最高的已记录区块向下比对链上哈希，找到共同祖先后回滚其后的事件
+  async detectReorg() {
+    const tracked = this.eventStore.getBlockHashes();
+    if (tracked.length === 0) {
+      return null;
+    }
+    
+    const head = tracked[tracked.length - 1];
+    if (await this.getBlockHash(head.number) === head.hash) {
+      return null;
+    }
+    
+    // 找到最高的哈希仍然一致的区块
+    let ancestor = null;
+    for (let i = tracked.length - 2; i >= 0; i--) {
+      if (await this.getBlockHash(tracked[i].number) === tracked[i].hash) {
+        ancestor = tracked[i].number;
+        break;
+      }
+    }
+    
+    if (ancestor === null) {
+      ancestor = tracked[0].number - 1;
+      logger.error(
+        `Reorg deeper than tracked window (${config.monitor.maxReorgDepth} blocks), rolling back to block ${ancestor}`
+      );
+    }
+    
+    // 每个事件所在区块都记录了哈希，因此回滚到共同祖先只会删除确实被孤立的事件
+    const finalizedBlock = this.eventStore.getFinalizedBlock();
+    const reverted = this.eventStore.rollbackTo(ancestor);
+    if (finalizedBlock !== null && reverted.some(event => event.blockNumber <= finalizedBlock)) {
+      logger.error(
+        `Reorg reverted finalized events up to block ${finalizedBlock}. Consider increasing CONFIRMATION_DEPTH`
+      );
+    }
+    logger.warn(`Chain reorganisation detected after block ${ancestor}, reverted ${reverted.length} events`);
+    
+    // 发现事件（TokenCreated 或 TokenRegistered）被回滚的代币不再跟踪
+    for (const event of reverted) {
+      const discovered = getDiscoveredToken(event);
+      if (discovered) {
+        this.removeTokenContract(discovered.tokenAddress);
+      }
+    }
+    
+    if (reverted.length > 0) {
+      this.emit('reverted', reverted, { commonAncestor: ancestor });
+    }
+    
+    return { commonAncestor: ancestor, reverted };
+  }
+
+  // 推进最终区块，并通知新达到确认深度的事件
+  // 最终区块不能超过任何合约的游标，保证通知的事件集合是完整的
+  advanceFinality(currentBlock) {
+    const checkpoints = Object.values(this.eventStore.getCheckpoints());
+    if (checkpoints.length === 0) {
+      return;
+    }
+    
+    const indexedTo = Math.min(...checkpoints.map(checkpoint => checkpoint.blockNumber));
+    const target = Math.min(currentBlock - config.monitor.confirmations, indexedTo);
+    const previous = this.eventStore.getFinalizedBlock();
+    const fromBlock = previous === null ? 0 : previous + 1;
+    
+    if (target < fromBlock) {
+      return;
+    }
+    
+    this.eventStore.setFinalizedBlock(target);
+    
+    const finalized = this.eventStore.query({ fromBlock, toBlock: target });
+    if (finalized.length > 0) {
+      logger.info(`Finalized ${finalized.length} events up to block ${target}`);
+      this.emit('finalized', finalized, { finalizedBlock: target });
+    }
+  }
+
+  // 获取区块哈希，同一轮索引中缓存结果
+  async getBlockHash(blockNumber) {
+    if (this.blockHashCache && this.blockHashCache.has(blockNumber)) {
+      return this.blockHashCache.get(blockNumber);
+    }
+    
+    const block = await this.activeProvider.getBlock(blockNumber);
+    const hash = block ? block.hash : null;
+    if (this.blockHashCache) {
+      this.blockHashCache.set(blockNumber, hash);
+    }
+    return hash;
+  }
+
+  // 格式化事件数据，将BigNumber转换为字符串
+  formatEvent(contractName, contractAddress, event) {
+    const formattedEvent = {
+      timestamp: new Date().toISOString(),
+      contractName,
+      contractAddress,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      transactionIndex: event.transactionIndex,
+      logIndex: event.logIndex,
+      eventName: event.event,
+      args: {}
+    };
+    
+    // 添加事件参数
+    if (event.args) {
+      // 将BigNumber转换为字符串
+      for (let i = 0; i < event.args.length; i++) {
+        const arg = event.args[i];
+        formattedEvent.args[i] = ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg;
+      }
+      
+      // 如果事件有命名参数，也添加到args对象中
+      for (const key in event.args) {
+        if (isNaN(parseInt(key))) { // 跳过数字索引
+          const arg = event.args[key];
+          formattedEvent.args[key] = ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg;
+        }
+      }
+    }
+    
+    return formattedEvent;
+  }
+
+  // 查询已索引的事件
+  getIndexedEvents(filter = {}) {
+    return this.eventStore.query(filter);
   }
 
   // 启动实时事件监听
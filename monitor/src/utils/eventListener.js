@@ -8,6 +8,7 @@ class EventListener {
     this.provider = provider;
     this.contracts = contracts;
     this.listeners = [];
+    this.contractListeners = new Map();
     this.isListening = false;
     this.connectionCheckInterval = null;
   }
@@ -31,37 +32,7 @@ class EventListener {
       
       // 遍历所有合约
       for (const [name, contract] of Object.entries(this.contracts)) {
-        logger.info(`Setting up listeners for contract: ${name}`);
-        
-        // 获取合约的所有事件定义
-        const contractABI = contract.interface.fragments.filter(f => f.type === 'event');
-        
-        if (contractABI.length === 0) {
-          logger.warn(`No event definitions found for contract: ${name}. Skipping.`);
-          continue;
-        }
-        
-        // 为每个事件类型创建监听器
-        for (const eventFragment of contractABI) {
-          const eventName = eventFragment.name;
-          
-          try {
-            // 创建事件处理回调
-            const eventCallback = (eventData, ...args) => {
-              this.handleEvent(name, contract.address, args[args.length - 1]);
-            };
-            
-            // 使用共享事件监听器创建监听
-            const listenerId = createEventListener(contract, eventName, eventCallback);
-            
-            // 保存监听器引用以便later移除
-            this.listeners.push(listenerId);
-            
-            logger.info(`Listener established for ${name}.${eventName}`);
-          } catch (error) {
-            logger.error(`Failed to create listener for ${name}.${eventName}: ${error.message}`);
-          }
-        }
+        this.listenToContract(name, contract);
       }
       
       this.isListening = true;
@@ -78,6 +49,73 @@ class EventListener {
     }
   }
 
+  // 为单个合约的所有事件创建监听器
+  listenToContract(name, contract) {
+    logger.info(`Setting up listeners for contract: ${name}`);
+    
+    // 获取合约的所有事件定义
+    const contractABI = contract.interface.fragments.filter(f => f.type === 'event');
+    
+    if (contractABI.length === 0) {
+      logger.warn(`No event definitions found for contract: ${name}. Skipping.`);
+      return;
+    }
+    
+    const listenerIds = [];
+    
+    // 为每个事件类型创建监听器
+    for (const eventFragment of contractABI) {
+      const eventName = eventFragment.name;
+      
+      try {
+        // 创建事件处理回调
+        const eventCallback = (eventData, ...args) => {
+          this.handleEvent(name, contract.address, args[args.length - 1]);
+        };
+        
+        // 使用共享事件监听器创建监听
+        const listenerId = createEventListener(contract, eventName, eventCallback);
+        
+        // 保存监听器引用以便later移除
+        this.listeners.push(listenerId);
+        listenerIds.push(listenerId);
+        
+        logger.info(`Listener established for ${name}.${eventName}`);
+      } catch (error) {
+        logger.error(`Failed to create listener for ${name}.${eventName}: ${error.message}`);
+      }
+    }
+    
+    this.contractListeners.set(name, listenerIds);
+  }
+
+  // 运行时添加合约（例如新发现的房产代币）
+  addContract(name, contract) {
+    this.contracts[name] = contract;
+    
+    // 尚未开始监听时，startListening 会统一创建监听器
+    if (this.isListening && !this.contractListeners.has(name)) {
+      this.listenToContract(name, contract);
+    }
+  }
+
+  // 运行时移除合约
+  removeContract(name) {
+    delete this.contracts[name];
+    
+    const listenerIds = this.contractListeners.get(name) || [];
+    for (const listenerId of listenerIds) {
+      try {
+        removeEventListener(listenerId);
+      } catch (error) {
+        logger.error(`Error removing listener ${listenerId}: ${error.message}`);
+      }
+    }
+    
+    this.listeners = this.listeners.filter(listenerId => !listenerIds.includes(listenerId));
+    this.contractListeners.delete(name);
+  }
+
   // 设置连接检查
   setupConnectionCheck() {
     // 清除之前的检查
@@ -144,6 +182,7 @@ class EventListener {
     
     // 清空监听器列表
     this.listeners = [];
+    this.contractListeners.clear();
     this.isListening = false;
     logger.info('All event listeners stopped');
   }
@@ -193,10 +232,23 @@ class EventListener {
         }
       }
       
+      // WebSocket订阅在链重组时会重新推送带 removed 标记的日志
+      if (event.removed) {
+        formattedEvent.reverted = true;
+        this.printEvent(formattedEvent);
+        logger.warn(`Real-time event reverted by chain reorganisation: ${formattedEvent.eventName}`, {
+          contract: contractName,
+          address: contractAddress,
+          tx: formattedEvent.transactionHash,
+          block: formattedEvent.blockNumber
+        });
+        return;
+      }
+      
       // 打印事件详情到控制台
       this.printEvent(formattedEvent);
       
-      // 记录到日志
+      // 记录到日志（实时事件尚未达到确认深度，最终状态以历史索引为准）
       logger.info(`Real-time event detected: ${formattedEvent.eventName}`, {
         contract: contractName,
         address: contractAddress,
@@ -214,7 +266,8 @@ class EventListener {
       return;
     }
     
-    console.log(`\n[${event.timestamp}] 🔴 REAL-TIME EVENT:`);
+    const title = event.reverted ? '⚠️ REVERTED REAL-TIME EVENT' : '🔴 REAL-TIME EVENT (unconfirmed)';
+    console.log(`\n[${event.timestamp}] ${title}:`);
     console.log(`- Contract: ${event.contractName}(${event.contractAddress})`);
     console.log(`- Event: ${event.eventName}`);
     console.log(`- Block: ${event.blockNumber} | Tx: ${event.transactionHash}`);
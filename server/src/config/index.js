@@ -6,7 +6,7 @@
 const path = require('path');
 const { configManager } = require('../../../shared/config');
 const { getContractAddresses } = require('../../../shared/config/contracts');
-const { getLogPath } = require('../../../shared/utils/paths');
+const { getServerDataPath } = require('../../../shared/utils/paths');
 const logger = require('../utils/logger');
 
 // 操作权限配置 - 定义每种操作需要的角色
@@ -17,6 +17,9 @@ const operationRoles = {
   rejectProperty: 'admin',
   delistProperty: 'admin',
   setPropertyStatus: 'admin',
+  freezeProperty: 'admin',
+  unfreezeProperty: 'admin',
+  setPropertyToRedemption: 'admin',
   
   // 代币管理
   createToken: 'admin',
@@ -25,6 +28,9 @@ const operationRoles = {
   batchAddToWhitelist: 'operator',
   removeFromWhitelist: 'operator',
   batchRemoveFromWhitelist: 'operator',
+  mintToken: 'admin',
+  burnToken: 'admin',
+  transferToken: 'admin',
   
   // 赎回管理
   approveRedemption: 'finance',
@@ -35,8 +41,31 @@ const operationRoles = {
   emergencyWithdraw: 'emergency',
   
   // 租金管理
-  distributeRent: 'finance',
-  liquidateUnclaimedRent: 'finance'
+  receiveRent: 'finance',
+  processRent: 'finance',
+  liquidateUnclaimedRent: 'admin',
+  
+  // 交易市场
+  createOrder: 'operator',
+  fulfillOrder: 'operator',
+  cancelOrder: 'operator',
+  updateOrderPrice: 'operator',
+  
+  // 角色管理
+  grantRole: 'admin',
+  revokeRole: 'admin',
+  
+  // 费用管理
+  updateFee: 'admin',
+  updateFeeCollector: 'admin'
+};
+
+// 签名角色需要的RoleManager角色 - 启动时检查各角色的签名地址是否拥有这些链上角色
+const signerContractRoles = {
+  admin: ['SUPER_ADMIN'],
+  operator: ['PROPERTY_MANAGER'],
+  finance: ['PROPERTY_MANAGER'],
+  emergency: ['SUPER_ADMIN']
 };
 
 /**
@@ -80,10 +109,53 @@ const getBaseConfig = () => ({
   corsOrigin: process.env.CORS_ORIGIN || '*'
 });
 
+/**
+ * 获取认证配置
+ * 未配置JWT_SECRET时，非生产环境使用进程内随机密钥（重启后令牌失效）
+ * @returns {Object} 认证配置对象
+ */
+const getAuthConfig = () => ({
+  jwtSecret: process.env.JWT_SECRET,
+  accessTokenTtl: parseInt(process.env.JWT_ACCESS_TTL, 10) || 15 * 60,
+  refreshTokenTtl: parseInt(process.env.JWT_REFRESH_TTL, 10) || 7 * 24 * 60 * 60,
+  nonceTtl: parseInt(process.env.SIWE_NONCE_TTL, 10) || 5 * 60,
+  maxChallenges: parseInt(process.env.SIWE_MAX_CHALLENGES, 10) || 10000,
+  roleCacheTtl: parseInt(process.env.AUTH_ROLE_CACHE_TTL, 10) || 30,
+  siweDomain: process.env.SIWE_DOMAIN || 'localhost',
+  siweUri: process.env.SIWE_URI || `http://localhost:${process.env.SERVER_PORT || 3000}`,
+  chainId: parseInt(process.env.CHAIN_ID, 10) || 31337
+});
+
+/**
+ * 获取房产元数据存储配置
+ * store为local时保存在本地目录，为ipfs时通过IPFS兼容节点的HTTP API（/api/v0）读写
+ * @returns {Object} 元数据存储配置对象
+ */
+const getMetadataConfig = () => ({
+  store: process.env.METADATA_STORE || 'local',
+  localDir: process.env.METADATA_DIR || path.join(process.env.SERVER_DATA_DIR || getServerDataPath(), 'metadata'),
+  ipfsApiUrl: process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+  ipfsTimeout: parseInt(process.env.IPFS_TIMEOUT, 10) || 10000
+});
+
+/**
+ * 获取签名者配置
+ * roleCheck为strict时签名地址缺少链上角色会阻止启动，为warn时只记录警告，为off时不检查；
+ * 默认生产环境strict，其他环境warn
+ * @returns {Object} 签名者配置对象
+ */
+const getSignerConfig = () => ({
+  roleCheck: process.env.SIGNER_ROLE_CHECK || (process.env.NODE_ENV === 'production' ? 'strict' : 'warn')
+});
+
 // 导出配置
 module.exports = {
   getBaseConfig,
+  getAuthConfig,
+  getMetadataConfig,
+  getSignerConfig,
   operationRoles,
+  signerContractRoles,
   initializeConfig,
   configManager
 };
\ No newline at end of file
@@ -1,70 +1,118 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const { EnvSignerSource, createSignerSource } = require('../utils/signers');
+
+// Hardhat默认账户私钥，仅在开发环境未配置管理员签名者时使用
+const DEVELOPMENT_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
 
 /**
  * 密钥管理器
- * 管理不同操作权限对应的以太坊账户私钥
+ * 管理不同操作权限对应的签名者。每个角色可以使用加密的keystore文件、远程签名服务，
+ * 或者环境变量中的明文私钥（仅用于开发，生产环境需要显式允许）
  */
 class KeyManager {
   constructor() {
-    // 私钥映射 - 角色到私钥的映射
-    this.keys = {
-      // 管理员私钥（用于管理操作，如批准房产、更新代币实现等）
-      admin: process.env.ADMIN_PRIVATE_KEY || '',
-      
-      // 操作员私钥（用于日常操作，如注册房产、添加白名单等）
-      operator: process.env.OPERATOR_PRIVATE_KEY || '',
-      
-      // 财务私钥（用于财务操作，如分配租金、处理赎回等）
-      finance: process.env.FINANCE_PRIVATE_KEY || '',
-      
-      // 紧急恢复私钥（用于紧急操作，如紧急提款）
-      emergency: process.env.EMERGENCY_PRIVATE_KEY || ''
-    };
-    
-    // 如果未设置特定角色的私钥，则使用管理员私钥作为后备
-    if (!this.keys.operator) this.keys.operator = this.keys.admin;
-    if (!this.keys.finance) this.keys.finance = this.keys.admin;
-    if (!this.keys.emergency) this.keys.emergency = this.keys.admin;
-    
-    // 验证是否存在有效的管理员私钥
-    if (!this.keys.admin) {
-      logger.warn('未设置管理员私钥，将使用默认私钥（仅供开发使用）');
-      this.keys.admin = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'; // 仅用于开发
-      this.keys.operator = this.keys.admin;
-      this.keys.finance = this.keys.admin;
-      this.keys.emergency = this.keys.admin;
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    // 签名者来源 - 角色到签名者来源的映射
+    // admin: 管理操作，如批准房产、更新代币实现等
+    // operator: 日常操作，如注册房产、添加白名单等
+    // finance: 财务操作，如分配租金、处理赎回等
+    // emergency: 紧急操作，如紧急提款
+    this.signers = {};
+    for (const role of ['admin', 'operator', 'finance', 'emergency']) {
+      this.signers[role] = createSignerSource(role);
     }
-    
+
+    // 验证是否存在管理员签名者
+    if (!this.signers.admin && !isProduction) {
+      logger.warn('未设置管理员签名者，将使用默认私钥（仅供开发使用）');
+      this.signers.admin = new EnvSignerSource(DEVELOPMENT_KEY);
+    }
+
+    // 如果未设置特定角色的签名者，则使用管理员签名者作为后备
+    for (const role of Object.keys(this.signers)) {
+      if (!this.signers[role]) this.signers[role] = this.signers.admin;
+    }
+
     // 私钥地址缓存
     this.addressCache = {};
+    this._initPromise = null;
   }
-  
+
+  /**
+   * 初始化签名者
+   * 解密keystore、确认远程签名服务管理对应地址；生产环境拒绝未配置的签名者和明文私钥，
+   * 除非设置 ALLOW_ENV_PRIVATE_KEYS=true
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this._initPromise) {
+      this._initPromise = this._initialize().catch(error => {
+        this._initPromise = null;
+        throw error;
+      });
+    }
+    return this._initPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _initialize() {
+    if (process.env.NODE_ENV === 'production') {
+      if (!this.signers.admin) {
+        throw new Error('未配置管理员签名者');
+      }
+      const envRoles = this.getAvailableRoles().filter(role => this.signers[role].type === 'env');
+      if (envRoles.length > 0 && process.env.ALLOW_ENV_PRIVATE_KEYS !== 'true') {
+        throw new Error(`生产环境不允许使用环境变量私钥: ${envRoles.join(', ')}`);
+      }
+    }
+
+    for (const source of new Set(Object.values(this.signers))) {
+      await source.load();
+    }
+
+    for (const role of this.getAvailableRoles()) {
+      logger.info(`签名者已就绪 - role: ${role}, type: ${this.getSignerType(role)}, address: ${this.getAddress(role)}`);
+    }
+  }
+
   /**
    * 获取指定角色的私钥
+   * 只有使用环境变量私钥的角色可以获取
    * @param {string} role 角色（admin, operator, finance, emergency）
    * @returns {string} 私钥
    */
   getPrivateKey(role = 'admin') {
-    const key = this.keys[role.toLowerCase()];
-    if (!key) {
-      logger.warn(`未找到角色 "${role}" 的私钥，将使用管理员私钥`);
-      return this.keys.admin;
+    const source = this._getSource(role);
+    if (source.type !== 'env') {
+      throw new Error(`角色 "${role}" 使用 ${source.type} 签名，无法获取私钥`);
     }
-    return key;
+    return source.privateKey;
   }
-  
+
   /**
    * 获取指定角色的签名者
+   * 发送交易时由nonceManager按地址分配nonce，共用签名者的角色共享同一nonce序列
    * @param {string} role 角色
    * @param {ethers.providers.Provider} provider 以太坊提供者
-   * @returns {ethers.Wallet} 签名者钱包
+   * @returns {ethers.Signer} 签名者
    */
   getSigner(role = 'admin', provider) {
-    const privateKey = this.getPrivateKey(role);
-    return new ethers.Wallet(privateKey, provider);
+    return this._getSource(role).getSigner(provider);
   }
-  
+
+  /**
+   * 获取指定角色的签名者类型
+   * @param {string} role 角色
+   * @returns {string} env、keystore 或 remote
+   */
+  getSignerType(role = 'admin') {
+    return this._getSource(role).type;
+  }
+
   /**
    * 获取指定角色的地址
    * @param {string} role 角色
@@ -76,11 +124,9 @@ class KeyManager {
       return this.addressCache[role];
     }
     
-    const privateKey = this.getPrivateKey(role);
     try {
-      const wallet = new ethers.Wallet(privateKey);
-      const address = wallet.address;
-      
+      const address = this._getSource(role).address;
+
       // 缓存地址
       this.addressCache[role] = address;
       
@@ -96,7 +142,25 @@ class KeyManager {
    * @returns {string[]} 角色列表
    */
   getAvailableRoles() {
-    return Object.keys(this.keys);
+    return Object.keys(this.signers);
+  }
+
+  /**
+   * 获取角色的签名者来源，未知角色使用管理员签名者
+   * @param {string} role 角色
+   * @returns {Object} 签名者来源
+   * @private
+   */
+  _getSource(role) {
+    const source = this.signers[role.toLowerCase()];
+    if (!source) {
+      if (!this.signers.admin) {
+        throw new Error('未配置管理员签名者');
+      }
+      logger.warn(`未找到角色 "${role}" 的签名者，将使用管理员签名者`);
+      return this.signers.admin;
+    }
+    return source;
   }
   
   /**
@@ -0,0 +1,171 @@
+const AuthService = require('../services/authService');
+
+/**
+ * 认证控制器
+ * 处理钱包登录、令牌刷新和API密钥管理相关的HTTP请求
+ */
+class AuthController {
+  /**
+   * 获取钱包登录挑战
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async createChallenge(req, res, next) {
+    try {
+      const { address } = req.body;
+
+      const challenge = AuthService.createChallenge(address);
+
+      res.status(200).json({
+        success: true,
+        data: challenge
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 使用签名登录
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async login(req, res, next) {
+    try {
+      const { message, signature } = req.body;
+
+      const result = await AuthService.login(message, signature);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 刷新令牌
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async refresh(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await AuthService.refresh(refreshToken);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 退出登录，撤销刷新令牌
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async logout(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = AuthService.logout(refreshToken, req.user.address);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取当前身份
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getCurrentUser(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: req.user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取所有API密钥
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async listApiKeys(req, res, next) {
+    try {
+      const keys = AuthService.listApiKeys();
+
+      res.status(200).json({
+        success: true,
+        data: keys
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 签发API密钥
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async createApiKey(req, res, next) {
+    try {
+      const { name, address, scopes, expiresInDays } = req.body;
+
+      const result = AuthService.createApiKey({ name, address, scopes, expiresInDays }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 撤销API密钥
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async revokeApiKey(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = AuthService.revokeApiKey(id);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,29 @@
+const deploymentConsistencyService = require('../services/deploymentConsistencyService');
+
+/**
+ * 部署控制器
+ * 处理部署一致性报告相关的HTTP请求
+ */
+class DeploymentController {
+  /**
+   * 获取部署一致性报告
+   * 默认返回启动时的检查结果，refresh=true 时重新检查
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getConsistencyReport(req, res, next) {
+    try {
+      const report = await deploymentConsistencyService.getReport({ refresh: req.query.refresh === 'true' });
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = DeploymentController;
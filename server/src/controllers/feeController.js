@@ -0,0 +1,126 @@
+const FeeManagerService = require('../services/feeManagerService');
+const logger = require('../utils/logger');
+
+/**
+ * 费用控制器
+ * 处理费率管理和收入报表相关的HTTP请求
+ */
+class FeeController {
+  /**
+   * 获取当前费率表
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getFeeSchedule(req, res, next) {
+    try {
+      const schedule = await FeeManagerService.getFeeSchedule();
+
+      res.status(200).json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 预览指定金额的费用
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async previewFee(req, res, next) {
+    try {
+      const { amount, feeType } = req.query;
+
+      const preview = await FeeManagerService.previewFee(amount, feeType);
+
+      res.status(200).json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 更新费率
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async updateFee(req, res, next) {
+    try {
+      const { feeType } = req.params;
+      const { basisPoints } = req.body;
+
+      logger.info(`请求更新费率 - feeType: ${feeType}, basisPoints: ${basisPoints}`);
+      const { receipt, oldValue, newValue } = await FeeManagerService.updateFee(feeType, basisPoints);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '费率已更新',
+          transactionHash: receipt.transactionHash,
+          feeType,
+          oldValue,
+          newValue
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 更新费用收集地址
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async updateFeeCollector(req, res, next) {
+    try {
+      const { feeCollector } = req.body;
+
+      logger.info(`请求更新费用收集地址 - feeCollector: ${feeCollector}`);
+      const receipt = await FeeManagerService.updateFeeCollector(feeCollector);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '费用收集地址已更新',
+          transactionHash: receipt.transactionHash,
+          feeCollector
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取收入报表
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getRevenueReport(req, res, next) {
+    try {
+      const { period, from, to, feeType, stablecoin } = req.query;
+
+      const report = await FeeManagerService.getRevenueReport({ period, from, to, feeType, stablecoin });
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = FeeController;
@@ -0,0 +1,169 @@
+const MarketplaceService = require('../services/marketplaceService');
+const { createError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { operationRoles } = require('../config');
+
+/**
+ * 交易市场控制器
+ * 处理订单簿相关的HTTP请求
+ */
+class MarketplaceController {
+  /**
+   * 获取活跃订单列表
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getActiveOrders(req, res, next) {
+    try {
+      const { tokenAddress, seller, stablecoin, page, limit } = req.query;
+
+      const result = await MarketplaceService.getActiveOrders({
+        tokenAddress,
+        seller,
+        stablecoin,
+        page,
+        limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取订单详情
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getOrder(req, res, next) {
+    try {
+      const { orderId } = req.params;
+
+      const order = await MarketplaceService.getOrder(orderId);
+      if (!order) {
+        throw createError.notFound(`订单不存在: ${orderId}`);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 创建卖单
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async createOrder(req, res, next) {
+    try {
+      const { tokenAddress, tokenAmount, price, stablecoin } = req.body;
+
+      logger.info(`请求创建订单 - tokenAddress: ${tokenAddress}, 使用角色: ${operationRoles.createOrder}`);
+      const { receipt, orderId } = await MarketplaceService.createOrder(tokenAddress, tokenAmount, price, stablecoin);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          message: '订单创建成功',
+          transactionHash: receipt.transactionHash,
+          orderId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 购买订单
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async fulfillOrder(req, res, next) {
+    try {
+      const { orderId } = req.params;
+
+      logger.info(`请求购买订单 - orderId: ${orderId}, 使用角色: ${operationRoles.fulfillOrder}`);
+      const receipt = await MarketplaceService.fulfillOrder(orderId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '订单成交',
+          transactionHash: receipt.transactionHash,
+          orderId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 取消订单
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async cancelOrder(req, res, next) {
+    try {
+      const { orderId } = req.params;
+
+      logger.info(`请求取消订单 - orderId: ${orderId}, 使用角色: ${operationRoles.cancelOrder}`);
+      const receipt = await MarketplaceService.cancelOrder(orderId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '订单已取消',
+          transactionHash: receipt.transactionHash,
+          orderId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 更新订单价格
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async updateOrderPrice(req, res, next) {
+    try {
+      const { orderId } = req.params;
+      const { price } = req.body;
+
+      logger.info(`请求更新订单价格 - orderId: ${orderId}, 使用角色: ${operationRoles.updateOrderPrice}`);
+      const receipt = await MarketplaceService.updateOrderPrice(orderId, price);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '订单价格已更新',
+          transactionHash: receipt.transactionHash,
+          orderId,
+          price
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MarketplaceController;
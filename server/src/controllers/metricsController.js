@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const metricsService = require('../services/metricsService');
+
+/**
+ * 指标控制器
+ * 处理 Prometheus 抓取请求
+ */
+class MetricsController {
+  /**
+   * 获取Prometheus文本格式的指标
+   * 设置了 METRICS_TOKEN 时要求 Authorization: Bearer <METRICS_TOKEN>
+   * 生产环境未设置 METRICS_TOKEN 时端点不开放，返回404
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getPrometheusMetrics(req, res, next) {
+    try {
+      const token = process.env.METRICS_TOKEN;
+      if (!token && process.env.NODE_ENV === 'production') {
+        return res.status(404).type('text/plain').send('Not Found\n');
+      }
+      if (token) {
+        const expected = Buffer.from(`Bearer ${token}`);
+        const actual = Buffer.from(req.headers.authorization || '');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+          return res.status(401).type('text/plain').send('Unauthorized\n');
+        }
+      }
+
+      const metrics = await metricsService.getMetrics();
+      res.status(200).type(metricsService.contentType).send(metrics);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MetricsController;
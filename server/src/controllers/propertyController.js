@@ -1,6 +1,6 @@
 const PropertyRegistryService = require('../services/propertyRegistryService');
-const TokenFactoryService = require('../services/tokenFactoryService');
-const { ApiError } = require('../middlewares/errorHandler');
+const PropertyMetadataService = require('../services/propertyMetadataService');
+const { createError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const { operationRoles } = require('../config');
 
@@ -11,23 +11,34 @@ const { operationRoles } = require('../config');
 class PropertyController {
   /**
    * 注册新房产
+   * 元数据可以随请求提交（metadata），也可以先通过 POST /properties/metadata 上传后引用（metadataURI），
+   * 两种方式都会校验Schema，链上记录的metadataURI为内容CID
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
   static async registerProperty(req, res, next) {
     try {
-      const { propertyId, country, metadataURI } = req.body;
-      
+      const { propertyId, country = 'JP', metadata, metadataURI } = req.body;
+      if (Boolean(metadata) === Boolean(metadataURI)) {
+        throw createError.badRequest('metadata 和 metadataURI 必须且只能提供一个');
+      }
+
+      const stored = metadata
+        ? await PropertyMetadataService.store(metadata)
+        : await PropertyMetadataService.verify(metadataURI);
+
       logger.info(`请求注册房产 - propertyId: ${propertyId}, 使用角色: ${operationRoles.registerProperty}`);
-      const receipt = await PropertyRegistryService.registerProperty(propertyId, country, metadataURI);
+      const receipt = await PropertyRegistryService.registerProperty(propertyId, country, stored.metadataURI);
       
       res.status(201).json({
         success: true,
         data: {
           message: '房产注册成功',
           transactionHash: receipt.transactionHash,
-          propertyId
+          propertyId,
+          metadataURI: stored.metadataURI,
+          cid: stored.cid
         }
       });
     } catch (error) {
@@ -35,6 +46,61 @@ class PropertyController {
     }
   }
 
+  /**
+   * 获取房产元数据Schema
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getMetadataSchema(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: PropertyMetadataService.getSchema()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 上传房产元数据
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async uploadMetadata(req, res, next) {
+    try {
+      const stored = await PropertyMetadataService.store(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: stored
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 按CID获取房产元数据
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getMetadata(req, res, next) {
+    try {
+      const result = await PropertyMetadataService.get(req.params.cid);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 批准房产
    * @param {object} req 请求对象
@@ -113,6 +179,84 @@ class PropertyController {
     }
   }
 
+  /**
+   * 冻结房产
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async freezeProperty(req, res, next) {
+    try {
+      const { propertyId } = req.params;
+      
+      logger.info(`请求冻结房产 - propertyId: ${propertyId}, 使用角色: ${operationRoles.freezeProperty}`);
+      const receipt = await PropertyRegistryService.freezeProperty(propertyId);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '房产冻结成功',
+          transactionHash: receipt.transactionHash,
+          propertyId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 解冻房产
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async unfreezeProperty(req, res, next) {
+    try {
+      const { propertyId } = req.params;
+      
+      logger.info(`请求解冻房产 - propertyId: ${propertyId}, 使用角色: ${operationRoles.unfreezeProperty}`);
+      const receipt = await PropertyRegistryService.unfreezeProperty(propertyId);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '房产解冻成功',
+          transactionHash: receipt.transactionHash,
+          propertyId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 将房产转入赎回状态
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async setPropertyToRedemption(req, res, next) {
+    try {
+      const { propertyId } = req.params;
+      
+      logger.info(`请求房产转入赎回 - propertyId: ${propertyId}, 使用角色: ${operationRoles.setPropertyToRedemption}`);
+      const receipt = await PropertyRegistryService.setPropertyToRedemption(propertyId);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '房产已转入赎回状态',
+          transactionHash: receipt.transactionHash,
+          propertyId
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 设置房产状态
    * @param {object} req 请求对象
@@ -141,6 +285,44 @@ class PropertyController {
     }
   }
 
+  /**
+   * 获取房产当前状态及合法的下一状态
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getTransitions(req, res, next) {
+    try {
+      const result = await PropertyRegistryService.getTransitions(req.params.propertyId);
+      
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取房产状态变更时间线
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getStatusHistory(req, res, next) {
+    try {
+      const result = await PropertyRegistryService.getStatusHistory(req.params.propertyId);
+      
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 获取房产详情
    * @param {object} req 请求对象
@@ -151,29 +333,22 @@ class PropertyController {
     try {
       const { propertyId } = req.params;
       
-      const property = await PropertyRegistryService.getProperty(propertyId);
+      const property = await PropertyRegistryService.getPropertyWithToken(propertyId);
       
       if (!property) {
-        throw ApiError.notFound(`未找到房产 ID: ${propertyId}`);
-      }
-      
-      // 获取关联的代币地址，如果有
-      let tokenAddress = null;
-      try {
-        tokenAddress = await TokenFactoryService.getRealEstateToken(propertyId);
-      } catch (error) {
-        logger.warn(`获取房产代币地址失败 - propertyId: ${propertyId}, error: ${error.message}`);
+        throw createError.notFound(`未找到房产 ID: ${propertyId}`);
       }
       
-      // 合并结果
-      const result = {
-        ...property,
-        tokenAddress
-      };
+      // 解析元数据并校验内容与链上CID一致
+      const { metadata, integrity } = await PropertyMetadataService.resolve(property.metadataURI);
       
       res.status(200).json({
         success: true,
-        data: result
+        data: {
+          ...property,
+          metadata,
+          metadataIntegrity: integrity
+        }
       });
     } catch (error) {
       next(error);
@@ -181,36 +356,24 @@ class PropertyController {
   }
 
   /**
-   * 获取所有房产
+   * 获取房产列表
+   * 按注册时间排序，支持按状态、国家和是否已发行代币过滤
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
   static async getAllProperties(req, res, next) {
     try {
-      const propertyIds = await PropertyRegistryService.getAllProperties();
-      
-      // 并行获取所有房产详情
-      const propertiesPromises = propertyIds.map(id => PropertyRegistryService.getProperty(id));
-      const properties = await Promise.all(propertiesPromises);
-      
-      // 获取所有代币地址，如果TokenFactoryService可用
-      let tokenMap = {};
-      try {
-        const tokens = await TokenFactoryService.getAllTokens();
-        tokenMap = tokens.reduce((map, token) => {
-          map[token.propertyId] = token.tokenAddress;
-          return map;
-        }, {});
-      } catch (error) {
-        logger.warn(`获取所有代币地址失败: ${error.message}`);
-      }
+      const { offset, limit, status, country, hasToken, order } = req.query;
       
-      // 合并结果
-      const result = properties.filter(Boolean).map(property => ({
-        ...property,
-        tokenAddress: tokenMap[property.propertyId] || null
-      }));
+      const result = await PropertyRegistryService.listProperties({
+        offset,
+        limit,
+        status,
+        country,
+        hasToken: hasToken === undefined ? undefined : hasToken === 'true',
+        order
+      });
       
       res.status(200).json({
         success: true,
@@ -220,6 +383,25 @@ class PropertyController {
       next(error);
     }
   }
+
+  /**
+   * 获取房产统计
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getPropertyStats(req, res, next) {
+    try {
+      const stats = await PropertyRegistryService.getPropertyStats();
+      
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = PropertyController; 
\ No newline at end of file
@@ -1,6 +1,6 @@
-const { contractService } = require('../services/contractService');
-const { createAPIError } = require('../middlewares/errorHandler');
-const { ethers } = require('ethers');
+const RedemptionManagerService = require('../services/redemptionManagerService');
+const RedemptionApprovalService = require('../services/redemptionApprovalService');
+const { createError } = require('../middlewares/errorHandler');
 
 /**
  * 赎回控制器
@@ -8,47 +8,20 @@ const { ethers } = require('ethers');
  */
 class RedemptionController {
   /**
-   * 批准赎回请求
+   * 获取赎回请求列表
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async approveRedemption(req, res, next) {
+  static async getRequests(req, res, next) {
     try {
-      const { requestId } = req.params;
-      const { stablecoin, amount } = req.body;
-      
-      // 验证参数
-      if (!stablecoin || !amount) {
-        throw createAPIError.badRequest('缺少必要参数');
-      }
-      
-      // 验证地址格式
-      if (!ethers.isAddress(stablecoin)) {
-        throw createAPIError.badRequest('无效的稳定币地址');
-      }
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      // 检查稳定币是否被支持
-      const isSupported = await redemptionService.isSupportedStablecoin(stablecoin);
-      if (!isSupported) {
-        throw createAPIError.badRequest('不支持的稳定币地址');
-      }
-      
-      const receipt = await redemptionService.approveRedemption(requestId, stablecoin, amount);
-      
+      const { requester, propertyId, status, page, limit } = req.query;
+
+      const result = await RedemptionManagerService.getRequests({ requester, propertyId, status, page, limit });
+
       res.status(200).json({
         success: true,
-        data: {
-          message: '赎回请求已批准',
-          transactionHash: receipt.transactionHash,
-          requestId
-        }
+        data: result
       });
     } catch (error) {
       next(error);
@@ -56,29 +29,53 @@ class RedemptionController {
   }
 
   /**
-   * 拒绝赎回请求
+   * 获取赎回请求
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async rejectRedemption(req, res, next) {
+  static async getRequest(req, res, next) {
     try {
       const { requestId } = req.params;
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
+
+      const request = await RedemptionManagerService.getRequest(requestId);
+      if (!request) {
+        throw createError.notFound(`赎回请求不存在: ${requestId}`);
       }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const receipt = await redemptionService.rejectRedemption(requestId);
-      
+
       res.status(200).json({
+        success: true,
+        data: request
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 提交赎回请求
+   * 请求者为当前认证身份的账户；mode=unsigned 时返回未签名交易，由投资者钱包签名发送
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async requestRedemption(req, res, next) {
+    try {
+      const { propertyId, tokenAddress, tokenAmount, stablecoin } = req.body;
+
+      const { receipt, requestId } = await RedemptionManagerService.requestRedemption(req.user.address, {
+        propertyId,
+        tokenAddress,
+        tokenAmount,
+        stablecoin
+      });
+
+      res.status(201).json({
         success: true,
         data: {
-          message: '赎回请求已拒绝',
+          requestId,
           transactionHash: receipt.transactionHash,
-          requestId
+          blockNumber: receipt.blockNumber
         }
       });
     } catch (error) {
@@ -87,29 +84,23 @@ class RedemptionController {
   }
 
   /**
-   * 完成赎回请求
+   * 取消赎回请求
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async completeRedemption(req, res, next) {
+  static async cancelRedemption(req, res, next) {
     try {
       const { requestId } = req.params;
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const receipt = await redemptionService.completeRedemption(requestId);
-      
+
+      const receipt = await RedemptionManagerService.cancelRedemption(req.user.address, requestId);
+
       res.status(200).json({
         success: true,
         data: {
-          message: '赎回请求已完成',
+          requestId,
           transactionHash: receipt.transactionHash,
-          requestId
+          blockNumber: receipt.blockNumber
         }
       });
     } catch (error) {
@@ -118,34 +109,139 @@ class RedemptionController {
   }
 
   /**
-   * 添加支持的稳定币
+   * 获取赎回报价
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async addSupportedStablecoin(req, res, next) {
+  static async getQuote(req, res, next) {
+    try {
+      const { propertyId, tokenAddress, tokenAmount, stablecoin } = req.query;
+
+      const quote = await RedemptionApprovalService.quote({ propertyId, tokenAddress, tokenAmount, stablecoin });
+
+      res.status(200).json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取赎回请求的报价
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getRequestQuote(req, res, next) {
+    try {
+      const quote = await RedemptionApprovalService.quoteRequest(req.params.requestId);
+
+      res.status(200).json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取房产赎回估值列表
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getValuations(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: RedemptionApprovalService.listValuations()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 设置房产赎回估值
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async setValuation(req, res, next) {
+    try {
+      const { pricePerToken, note } = req.body;
+
+      const valuation = RedemptionApprovalService.setValuation(
+        req.params.propertyId,
+        { pricePerToken, note },
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: valuation
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取赎回请求的批准提议
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getApproval(req, res, next) {
     try {
-      const { stablecoin } = req.body;
-      
-      // 验证地址格式
-      if (!ethers.isAddress(stablecoin)) {
-        throw createAPIError.badRequest('无效的稳定币地址');
-      }
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const receipt = await redemptionService.addSupportedStablecoin(stablecoin);
-      
+      res.status(200).json({
+        success: true,
+        data: RedemptionApprovalService.getApproval(req.params.requestId)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 提议批准赎回请求
+   * 金额由估值报价决定，需由另一名操作员确认后才提交上链
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async proposeApproval(req, res, next) {
+    try {
+      const proposal = await RedemptionApprovalService.proposeApproval(req.params.requestId, req.user, req.body.note);
+
+      res.status(201).json({
+        success: true,
+        data: proposal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 确认批准提议并批准赎回请求
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async confirmApproval(req, res, next) {
+    try {
+      const { proposal, receipt } = await RedemptionApprovalService.confirmApproval(req.params.requestId, req.user);
+
       res.status(200).json({
         success: true,
         data: {
-          message: '稳定币已添加到支持列表',
-          transactionHash: receipt.transactionHash,
-          stablecoin
+          ...proposal,
+          blockNumber: receipt.blockNumber
         }
       });
     } catch (error) {
@@ -154,34 +250,71 @@ class RedemptionController {
   }
 
   /**
-   * 移除支持的稳定币
+   * 撤回批准提议
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async removeSupportedStablecoin(req, res, next) {
+  static async withdrawApproval(req, res, next) {
     try {
-      const { stablecoin } = req.params;
-      
-      // 验证地址格式
-      if (!ethers.isAddress(stablecoin)) {
-        throw createAPIError.badRequest('无效的稳定币地址');
-      }
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const receipt = await redemptionService.removeSupportedStablecoin(stablecoin);
-      
+      const proposal = RedemptionApprovalService.withdrawApproval(
+        req.params.requestId,
+        req.user,
+        req.body && req.body.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: proposal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取赎回SLA处理队列
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getQueue(req, res, next) {
+    try {
+      const { stage, overdue } = req.query;
+
+      const queue = await RedemptionApprovalService.getQueue({
+        stage,
+        overdue: overdue === undefined ? undefined : overdue === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: queue
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 拒绝赎回请求
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async rejectRedemption(req, res, next) {
+    try {
+      const { requestId } = req.params;
+      const { reason } = req.body;
+
+      const receipt = await RedemptionManagerService.rejectRedemption(requestId, reason || '');
+
       res.status(200).json({
         success: true,
         data: {
-          message: '稳定币已从支持列表移除',
+          message: '赎回请求已拒绝',
           transactionHash: receipt.transactionHash,
-          stablecoin
+          requestId
         }
       });
     } catch (error) {
@@ -190,41 +323,23 @@ class RedemptionController {
   }
 
   /**
-   * 紧急提款
+   * 完成赎回请求
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async emergencyWithdraw(req, res, next) {
+  static async completeRedemption(req, res, next) {
     try {
-      const { token, amount, to } = req.body;
-      
-      // 验证参数
-      if (!token || !amount || !to) {
-        throw createAPIError.badRequest('缺少必要参数');
-      }
-      
-      // 验证地址格式
-      if (!ethers.isAddress(token) || !ethers.isAddress(to)) {
-        throw createAPIError.badRequest('无效的地址');
-      }
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const receipt = await redemptionService.emergencyWithdraw(token, amount, to);
-      
+      const { requestId } = req.params;
+
+      const receipt = await RedemptionManagerService.completeRedemption(requestId);
+
       res.status(200).json({
         success: true,
         data: {
-          message: '紧急提款已完成',
+          message: '赎回请求已完成',
           transactionHash: receipt.transactionHash,
-          token,
-          amount,
-          to
+          requestId
         }
       });
     } catch (error) {
@@ -233,43 +348,23 @@ class RedemptionController {
   }
 
   /**
-   * 获取赎回请求详情
+   * 添加支持的稳定币
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async getRedemptionRequest(req, res, next) {
+  static async addSupportedStablecoin(req, res, next) {
     try {
-      const { requestId } = req.params;
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const request = await redemptionService.getRedemptionRequest(requestId);
-      
-      if (!request) {
-        throw createAPIError.notFound('找不到赎回请求');
-      }
-      
-      // 如果有代币地址，获取代币信息
-      let tokenInfo = null;
-      if (ethers.isAddress(request.token)) {
-        try {
-          const tokenService = contractService.getToken(request.token);
-          tokenInfo = await tokenService.getTokenInfo();
-        } catch (error) {
-          console.warn(`获取代币信息失败: ${error.message}`);
-        }
-      }
-      
+      const { stablecoinAddress: stablecoin } = req.body;
+
+      const receipt = await RedemptionManagerService.addSupportedStablecoin(stablecoin);
+
       res.status(200).json({
         success: true,
         data: {
-          ...request,
-          tokenInfo
+          message: '稳定币已添加到支持列表',
+          transactionHash: receipt.transactionHash,
+          stablecoin
         }
       });
     } catch (error) {
@@ -278,45 +373,24 @@ class RedemptionController {
   }
 
   /**
-   * 获取所有赎回请求
+   * 移除支持的稳定币
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
-  static async getAllRedemptionRequests(req, res, next) {
+  static async removeSupportedStablecoin(req, res, next) {
     try {
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const requests = await redemptionService.getAllRedemptionRequests();
-      
-      // 获取所有代币信息（并行处理）
-      const tokenAddresses = [...new Set(requests.map(r => r.token).filter(addr => ethers.isAddress(addr)))];
-      
-      const tokenInfoMap = {};
-      await Promise.all(
-        tokenAddresses.map(async (address) => {
-          try {
-            const tokenService = contractService.getToken(address);
-            tokenInfoMap[address] = await tokenService.getTokenInfo();
-          } catch (error) {
-            console.warn(`获取代币 ${address} 信息失败: ${error.message}`);
-          }
-        })
-      );
-      
-      // 将代币信息添加到请求中
-      const enrichedRequests = requests.map(request => ({
-        ...request,
-        tokenInfo: tokenInfoMap[request.token] || null
-      }));
-      
+      const { stablecoinAddress: stablecoin } = req.body;
+
+      const receipt = await RedemptionManagerService.removeSupportedStablecoin(stablecoin);
+
       res.status(200).json({
         success: true,
-        data: enrichedRequests
+        data: {
+          message: '稳定币已从支持列表移除',
+          transactionHash: receipt.transactionHash,
+          stablecoin
+        }
       });
     } catch (error) {
       next(error);
@@ -331,21 +405,10 @@ class RedemptionController {
    */
   static async isSupportedStablecoin(req, res, next) {
     try {
-      const { stablecoin } = req.params;
-      
-      // 验证地址格式
-      if (!ethers.isAddress(stablecoin)) {
-        throw createAPIError.badRequest('无效的稳定币地址');
-      }
-      
-      // 获取赎回服务
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      const redemptionService = contractService.getRedemptionManager();
-      
-      const isSupported = await redemptionService.isSupportedStablecoin(stablecoin);
-      
+      const { stablecoinAddress: stablecoin } = req.params;
+
+      const isSupported = await RedemptionManagerService.isSupportedStablecoin(stablecoin);
+
       res.status(200).json({
         success: true,
         data: {
@@ -359,4 +422,4 @@ class RedemptionController {
   }
 }
 
-module.exports = RedemptionController; 
\ No newline at end of file
+module.exports = RedemptionController;
@@ -1,7 +1,7 @@
 const RentDistributorService = require('../services/rentDistributorService');
 const RealEstateTokenService = require('../services/realEstateTokenService');
-const { ApiError } = require('../middlewares/errorHandler');
-const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
 
 /**
  * 租金控制器
@@ -9,56 +9,93 @@ const { ethers } = require('ethers');
  */
 class RentController {
   /**
-   * 分配租金
+   * 存入租金并处理分配
+   * 默认在存入后立即处理分配（扣除费用并拍摄快照），process=false时只存入
    * @param {object} req 请求对象
    * @param {object} res 响应对象
    * @param {function} next 下一个中间件
    */
   static async distributeRent(req, res, next) {
     try {
-      const { 
-        tokenAddress, 
-        amount, 
-        snapshotId, 
-        propertyId, 
-        rentPeriodStart, 
-        rentPeriodEnd, 
-        description 
+      const {
+        propertyId,
+        tokenAddress,
+        stablecoin,
+        amount,
+        rentalPeriod,
+        process = true
       } = req.body;
-      
-      // 验证参数
-      if (!tokenAddress || !amount || !propertyId || !rentPeriodStart || !rentPeriodEnd) {
-        throw new ApiError(400, '缺少必要参数');
-      }
-      
-      // 验证地址格式
-      if (!ethers.utils.isAddress(tokenAddress)) {
-        throw new ApiError(400, '无效的代币地址');
-      }
-      
-      // 验证日期
-      if (new Date(rentPeriodEnd) <= new Date(rentPeriodStart)) {
-        throw new ApiError(400, '租期结束时间必须晚于开始时间');
-      }
-      
-      const receipt = await RentDistributorService.distributeRent(
+
+      const { receipt, distributionId } = await RentDistributorService.receiveRent({
+        propertyId,
         tokenAddress,
+        stablecoin,
         amount,
-        snapshotId || 0, // 如果未提供快照ID，则使用0（最新状态）
+        rentalPeriod
+      });
+
+      const data = {
+        message: '租金已存入',
+        distributionId,
+        transactionHash: receipt.transactionHash,
         propertyId,
-        Math.floor(new Date(rentPeriodStart).getTime() / 1000), // 转为 Unix 时间戳
-        Math.floor(new Date(rentPeriodEnd).getTime() / 1000),
-        description || ''
-      );
-      
+        tokenAddress,
+        stablecoin,
+        amount,
+        rentalPeriod,
+        processed: false
+      };
+
+      if (process && distributionId) {
+        // 存入已上链，处理失败时返回分配ID以便通过 /:distributionId/process 重试
+        try {
+          const result = await RentDistributorService.processDistribution(distributionId);
+          Object.assign(data, {
+            message: '租金分配成功',
+            processed: true,
+            processTransactionHash: result.receipt.transactionHash,
+            platformFee: result.platformFee,
+            maintenanceFee: result.maintenanceFee,
+            netAmount: result.netAmount,
+            snapshotId: result.snapshotId
+          });
+        } catch (error) {
+          logger.error(`租金已存入但处理失败 - distributionId: ${distributionId}, error: ${error.message}`);
+          data.processError = error.message;
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 处理已存入的租金分配
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async processRentDistribution(req, res, next) {
+    try {
+      const { distributionId } = req.params;
+
+      const result = await RentDistributorService.processDistribution(distributionId);
+
       res.status(200).json({
         success: true,
         data: {
-          message: '租金分配成功',
-          transactionHash: receipt.transactionHash,
-          tokenAddress,
-          amount,
-          propertyId
+          message: '租金分配处理成功',
+          distributionId,
+          transactionHash: result.receipt.transactionHash,
+          platformFee: result.platformFee,
+          maintenanceFee: result.maintenanceFee,
+          netAmount: result.netAmount,
+          snapshotId: result.snapshotId
         }
       });
     } catch (error) {
@@ -81,7 +118,7 @@ class RentController {
       res.status(200).json({
         success: true,
         data: {
-          message: '未领取租金清算成功',
+          message: '未领取租金已标记待清算',
           transactionHash: receipt.transactionHash,
           distributionId
         }
@@ -101,21 +138,19 @@ class RentController {
     try {
       const { distributionId } = req.params;
       
-      const distribution = await RentDistributorService.getRentDistribution(distributionId);
+      const distribution = await RentDistributorService.getDistribution(distributionId);
       
       if (!distribution) {
-        throw new ApiError(404, '找不到租金分配记录');
+        throw createError.notFound(`找不到租金分配记录: ${distributionId}`);
       }
       
       // 获取代币信息
       let tokenInfo = null;
-      if (ethers.utils.isAddress(distribution.token)) {
-        try {
-          const tokenService = new RealEstateTokenService(distribution.token);
-          tokenInfo = await tokenService.getTokenInfo();
-        } catch (error) {
-          console.warn(`获取代币信息失败: ${error.message}`);
-        }
+      try {
+        const tokenService = new RealEstateTokenService(distribution.tokenAddress);
+        tokenInfo = await tokenService.getTokenInfo();
+      } catch (error) {
+        logger.warn(`获取代币信息失败: ${error.message}`);
       }
       
       res.status(200).json({
@@ -141,7 +176,7 @@ class RentController {
       const distributions = await RentDistributorService.getAllDistributions();
       
       // 获取所有代币信息（并行处理）
-      const tokenAddresses = [...new Set(distributions.map(r => r.token).filter(addr => ethers.utils.isAddress(addr)))];
+      const tokenAddresses = [...new Set(distributions.map(r => r.tokenAddress))];
       
       const tokenInfoMap = {};
       await Promise.all(
@@ -150,7 +185,7 @@ class RentController {
             const tokenService = new RealEstateTokenService(address);
             tokenInfoMap[address] = await tokenService.getTokenInfo();
           } catch (error) {
-            console.warn(`获取代币 ${address} 信息失败: ${error.message}`);
+            logger.warn(`获取代币 ${address} 信息失败: ${error.message}`);
           }
         })
       );
@@ -158,7 +193,7 @@ class RentController {
       // 将代币信息添加到分配记录中
       const enrichedDistributions = distributions.map(distribution => ({
         ...distribution,
-        tokenInfo: tokenInfoMap[distribution.token] || null
+        tokenInfo: tokenInfoMap[distribution.tokenAddress] || null
       }));
       
       res.status(200).json({
@@ -180,16 +215,13 @@ class RentController {
     try {
       const { distributionId, account } = req.params;
       
-      // 验证地址格式
-      if (!ethers.utils.isAddress(account)) {
-        throw new ApiError(400, '无效的账户地址');
+      const distribution = await RentDistributorService.getDistribution(distributionId);
+      if (!distribution) {
+        throw createError.notFound(`找不到租金分配记录: ${distributionId}`);
       }
       
-      const claimableAmount = await RentDistributorService.viewClaimableRent(distributionId, account);
-      const hasClaimedRent = await RentDistributorService.hasClaimedRent(distributionId, account);
-      
-      // 获取分配记录以提供更多信息
-      const distribution = await RentDistributorService.getRentDistribution(distributionId);
+      const claimableAmount = await RentDistributorService.getClaimableRent(distributionId, account);
+      const hasClaimedRent = await RentDistributorService.hasClaimed(distributionId, account);
       
       res.status(200).json({
         success: true,
@@ -198,7 +230,7 @@ class RentController {
           account,
           claimableAmount,
           hasClaimedRent,
-          distribution: distribution || null
+          distribution
         }
       });
     } catch (error) {
@@ -206,6 +238,60 @@ class RentController {
     }
   }
   
+  /**
+   * 获取账户所有可领取的租金
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getClaimableRents(req, res, next) {
+    try {
+      const { account } = req.params;
+
+      const claims = await RentDistributorService.getClaimableDistributions(account);
+
+      res.status(200).json({
+        success: true,
+        data: claims
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 领取账户所有可领取的租金
+   * mode=unsigned 时返回未签名交易，由投资者钱包签名发送；
+   * 默认由服务端签名提交，仅支持KeyManager管理的账户
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async claimRents(req, res, next) {
+    try {
+      const { account } = req.params;
+      const { mode = 'submit' } = req.query;
+      const { distributionIds } = req.body || {};
+
+      if (mode === 'unsigned') {
+        const result = await RentDistributorService.buildClaimTransactions(account, distributionIds);
+        return res.status(200).json({
+          success: true,
+          data: result
+        });
+      }
+
+      const result = await RentDistributorService.claimRents(account, distributionIds);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 按属性ID获取租金分配记录
    * @param {object} req 请求对象
@@ -225,7 +311,7 @@ class RentController {
       );
       
       // 获取相关代币信息
-      const tokenAddresses = [...new Set(propertyDistributions.map(r => r.token).filter(addr => ethers.utils.isAddress(addr)))];
+      const tokenAddresses = [...new Set(propertyDistributions.map(r => r.tokenAddress))];
       
       const tokenInfoMap = {};
       await Promise.all(
@@ -234,7 +320,7 @@ class RentController {
             const tokenService = new RealEstateTokenService(address);
             tokenInfoMap[address] = await tokenService.getTokenInfo();
           } catch (error) {
-            console.warn(`获取代币 ${address} 信息失败: ${error.message}`);
+            logger.warn(`获取代币 ${address} 信息失败: ${error.message}`);
           }
         })
       );
@@ -242,7 +328,7 @@ class RentController {
       // 将代币信息添加到分配记录中
       const enrichedDistributions = propertyDistributions.map(distribution => ({
         ...distribution,
-        tokenInfo: tokenInfoMap[distribution.token] || null
+        tokenInfo: tokenInfoMap[distribution.tokenAddress] || null
       }));
       
       res.status(200).json({
@@ -264,17 +350,12 @@ class RentController {
     try {
       const { tokenAddress } = req.params;
       
-      // 验证地址格式
-      if (!ethers.utils.isAddress(tokenAddress)) {
-        throw new ApiError(400, '无效的代币地址');
-      }
-      
       // 首先获取所有分配记录
       const allDistributions = await RentDistributorService.getAllDistributions();
       
       // 过滤出指定代币地址的记录
       const tokenDistributions = allDistributions.filter(
-        dist => dist.token.toLowerCase() === tokenAddress.toLowerCase()
+        dist => dist.tokenAddress.toLowerCase() === tokenAddress.toLowerCase()
       );
       
       // 获取代币信息
@@ -283,7 +364,7 @@ class RentController {
         const tokenService = new RealEstateTokenService(tokenAddress);
         tokenInfo = await tokenService.getTokenInfo();
       } catch (error) {
-        console.warn(`获取代币信息失败: ${error.message}`);
+        logger.warn(`获取代币信息失败: ${error.message}`);
       }
       
       // 将代币信息添加到分配记录中
@@ -0,0 +1,150 @@
+const RoleManagerService = require('../services/roleManagerService');
+const logger = require('../utils/logger');
+
+/**
+ * 角色控制器
+ * 处理RoleManager角色管理相关的HTTP请求
+ */
+class RoleController {
+  /**
+   * 获取所有角色及成员数量
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getRoles(req, res, next) {
+    try {
+      const roles = await RoleManagerService.getRoles();
+
+      res.status(200).json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取角色成员
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getRoleMembers(req, res, next) {
+    try {
+      const { role } = req.params;
+
+      const result = await RoleManagerService.getRoleMembers(role);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 检查账户拥有的角色
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getAccountRoles(req, res, next) {
+    try {
+      const { account } = req.params;
+
+      const result = await RoleManagerService.getAccountRoles(account);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 授予角色
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async grantRole(req, res, next) {
+    try {
+      const { role } = req.params;
+      const { account, reason } = req.body;
+
+      logger.info(`请求授予角色 - role: ${role}, account: ${account}`);
+      const receipt = await RoleManagerService.grantRole(role, account, reason);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '角色已授予',
+          transactionHash: receipt.transactionHash,
+          role,
+          account,
+          reason
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 撤销角色
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async revokeRole(req, res, next) {
+    try {
+      const { role } = req.params;
+      const { account, reason } = req.body;
+
+      logger.info(`请求撤销角色 - role: ${role}, account: ${account}`);
+      const receipt = await RoleManagerService.revokeRole(role, account, reason);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '角色已撤销',
+          transactionHash: receipt.transactionHash,
+          role,
+          account,
+          reason
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取角色变更审计历史
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getAuditHistory(req, res, next) {
+    try {
+      const { role, account, page, limit } = req.query;
+
+      const result = await RoleManagerService.getAuditHistory({ role, account, page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = RoleController;
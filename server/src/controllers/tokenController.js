@@ -1,6 +1,9 @@
-const TokenFactoryService = require('../services/tokenFactoryService');
+const tokenFactoryService = require('../services/tokenFactoryService');
+const RealEstateTokenService = require('../services/realEstateTokenService');
+const tokenHolderService = require('../services/tokenHolderService');
 const logger = require('../utils/logger');
-const { ApiError } = require('../middlewares/errorHandler');
+const { ApiError } = require('../../../shared/utils/errors');
+const { createError } = require('../middlewares/errorHandler');
 const { ethers } = require('ethers');
 
 /**
@@ -20,30 +23,22 @@ class TokenController {
         propertyId,
         name,
         symbol,
-        decimals,
         maxSupply,
-        initialSupply,
-        initialHolder
+        initialSupply
       } = req.body;
 
       // 验证必要参数
-      if (!propertyId || !name || !symbol || !maxSupply || !initialSupply || !initialHolder) {
+      if (!propertyId || !name || !symbol || initialSupply === undefined) {
         throw ApiError.badRequest('Missing required parameters');
       }
 
-      // 验证地址格式
-      if (!ethers.isAddress(initialHolder)) {
-        throw ApiError.badRequest('Invalid initial holder address');
-      }
-
-      const result = await TokenFactoryService.createToken(
+      // 初始供应量铸造给发送交易的SUPER_ADMIN账户
+      const result = await tokenFactoryService.createToken(
         propertyId,
         name,
         symbol,
-        decimals || 18,
-        maxSupply,
         initialSupply,
-        initialHolder
+        maxSupply || '0'
       );
 
       res.json({
@@ -69,7 +64,7 @@ class TokenController {
         throw ApiError.badRequest('Property ID is required');
       }
 
-      const tokenAddress = await TokenFactoryService.getRealEstateToken(propertyId);
+      const tokenAddress = await tokenFactoryService.getRealEstateToken(propertyId);
 
       res.json({
         success: true,
@@ -91,7 +86,7 @@ class TokenController {
    */
   static async getAllTokens(req, res, next) {
     try {
-      const tokens = await TokenFactoryService.getAllTokens();
+      const tokens = await tokenFactoryService.getAllTokens();
 
       res.json({
         success: true,
@@ -117,7 +112,7 @@ class TokenController {
         throw new ApiError(400, '无效的实现合约地址');
       }
       
-      const receipt = await TokenFactoryService.updateTokenImplementation(newImplementation);
+      const receipt = await tokenFactoryService.updateTokenImplementation(newImplementation);
       
       res.status(200).json({
         success: true,
@@ -140,7 +135,7 @@ class TokenController {
    */
   static async getTokenImplementation(req, res, next) {
     try {
-      const implementation = await TokenFactoryService.getTokenImplementation();
+      const implementation = await tokenFactoryService.getTokenImplementation();
       
       res.status(200).json({
         success: true,
@@ -327,6 +322,214 @@ class TokenController {
       next(error);
     }
   }
+
+  /**
+   * 获取代币持有人名册
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getTokenHolders(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { snapshotId, sortBy, order, page, limit } = req.query;
+
+      const result = await tokenHolderService.getHolders(address, {
+        snapshotId,
+        sortBy,
+        order,
+        page,
+        limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取代币详情
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getTokenByAddress(req, res, next) {
+    try {
+      const { address } = req.params;
+
+      const service = new RealEstateTokenService(address);
+      const details = await service.getTokenDetails();
+
+      res.status(200).json({
+        success: true,
+        data: details
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 铸造代币
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async mintToken(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { to, amount } = req.body;
+
+      logger.info(`请求铸造代币 - token: ${address}, to: ${to}, amount: ${amount}`);
+      const service = new RealEstateTokenService(address);
+      const result = await service.mint(to, amount);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '代币铸造成功',
+          tokenAddress: address,
+          ...result
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 销毁代币
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async burnToken(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { amount } = req.body;
+
+      logger.info(`请求销毁代币 - token: ${address}, amount: ${amount}`);
+      const service = new RealEstateTokenService(address);
+      const result = await service.burn(amount);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '代币销毁成功',
+          tokenAddress: address,
+          ...result
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 转移代币
+   * 支持单笔 { to, amount } 或批量 { recipients, amounts }，均通过batchTransfer执行
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async transferToken(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { to, amount } = req.body;
+      const recipients = req.body.recipients || (to ? [to] : []);
+      const amounts = req.body.amounts || (amount !== undefined ? [amount] : []);
+
+      if (recipients.length === 0 || recipients.length !== amounts.length) {
+        throw createError.badRequest('必须提供 to/amount 或等长的 recipients/amounts');
+      }
+
+      const invalid = recipients.filter(recipient => !ethers.utils.isAddress(recipient));
+      if (invalid.length > 0) {
+        throw createError.badRequest('接收地址格式不正确', { invalid });
+      }
+
+      logger.info(`请求转移代币 - token: ${address}, recipients: ${recipients.length}`);
+      const service = new RealEstateTokenService(address);
+      const result = await service.batchTransfer(recipients, amounts);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: result.failureCount > 0 ? '部分转账失败' : '代币转移成功',
+          tokenAddress: address,
+          ...result
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取代币余额
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getBalance(req, res, next) {
+    try {
+      const { address, userAddress } = req.params;
+      const { snapshotId } = req.query;
+
+      const service = new RealEstateTokenService(address);
+      const balance = snapshotId
+        ? await service.balanceOfAt(userAddress, snapshotId)
+        : await service.balanceOf(userAddress);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          tokenAddress: address,
+          account: userAddress,
+          snapshotId: snapshotId || null,
+          balance
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取代币转账历史
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getTokenHistory(req, res, next) {
+    try {
+      const { address } = req.params;
+      const { from, to, account, page, limit } = req.query;
+
+      if (from !== undefined && to !== undefined && Number(from) > Number(to)) {
+        throw createError.badRequest('起始块高不能大于结束块高');
+      }
+
+      const result = await tokenHolderService.getTransferHistory(address, {
+        fromBlock: from,
+        toBlock: to,
+        account,
+        page,
+        limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = TokenController; 
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { ethers } = require('ethers');
+const { transactionQueue, TX_STATUS } = require('../utils/transactionQueue');
+const { createError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * 交易控制器
+ * 处理交易状态查询与待处理交易管理的HTTP请求
+ */
+class TransactionController {
+  /**
+   * 获取交易状态详情
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getTransactionStatus(req, res, next) {
+    try {
+      const { hash } = req.params;
+
+      const details = await transactionQueue.getTransactionDetails(hash);
+      if (!details) {
+        throw createError.notFound(`交易不存在: ${hash}`);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: details
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取交易列表
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async getTransactions(req, res, next) {
+    try {
+      const { status, page, limit } = req.query;
+
+      const result = transactionQueue.listTransactions({ status, page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 广播外部签名的交易
+   * 用于提交 mode=unsigned 构建、由托管方签名后的交易
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async submitTransaction(req, res, next) {
+    try {
+      const { rawTransaction } = req.body;
+
+      let parsed;
+      try {
+        parsed = ethers.utils.parseTransaction(rawTransaction);
+      } catch (error) {
+        throw createError.badRequest('无效的已签名交易', error.message);
+      }
+      if (!parsed.from) {
+        throw createError.badRequest('交易未签名');
+      }
+
+      logger.info(`请求广播外部签名交易 - from: ${parsed.from}, nonce: ${parsed.nonce}`);
+
+      let tx;
+      try {
+        tx = await transactionQueue.submitSignedTransaction(rawTransaction);
+      } catch (error) {
+        // 节点拒绝的原因（nonce过低、余额不足、链ID不符等）
+        throw createError.badRequest('交易广播失败', error.reason || error.message);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '交易已广播',
+          transactionHash: tx.hash,
+          from: tx.from,
+          to: tx.to,
+          nonce: tx.nonce,
+          status: TX_STATUS.PENDING
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 重试失败、阻塞或被节点丢弃的交易
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async retryTransaction(req, res, next) {
+    try {
+      const { hash } = req.params;
+
+      const { status } = transactionQueue.getTransactionStatus(hash);
+      if (status === 'unknown') {
+        throw createError.notFound(`交易不存在: ${hash}`);
+      }
+      if (!transactionQueue.isRetryable(hash)) {
+        throw createError.conflict(`交易状态为 ${status}，只能重试失败、阻塞或被丢弃的交易`, { hash });
+      }
+
+      logger.info(`请求重试交易 - hash: ${hash}`);
+      const newHash = await transactionQueue.retryTransaction(hash);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '交易已重新提交',
+          previousTransactionHash: hash,
+          transactionHash: newHash
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 取消待处理的交易
+   * @param {object} req 请求对象
+   * @param {object} res 响应对象
+   * @param {function} next 下一个中间件
+   */
+  static async cancelTransaction(req, res, next) {
+    try {
+      const { hash } = req.params;
+
+      const { status } = transactionQueue.getTransactionStatus(hash);
+      if (status === 'unknown') {
+        throw createError.notFound(`交易不存在: ${hash}`);
+      }
+      if (status !== TX_STATUS.PENDING && status !== TX_STATUS.STUCK) {
+        throw createError.conflict(`交易状态为 ${status}，只能取消待处理或阻塞的交易`, { hash });
+      }
+
+      logger.info(`请求取消交易 - hash: ${hash}`);
+      const cancelHash = await transactionQueue.cancelTransaction(hash);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: '取消交易已提交',
+          cancelledTransactionHash: hash,
+          transactionHash: cancelHash
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TransactionController;
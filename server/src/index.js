@@ -10,11 +10,16 @@ const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
 const { performanceMonitor } = require('./middlewares/performanceMonitor');
 const { routeRateLimiter } = require('./middlewares/rateLimiter');
 const logger = require('./utils/logger');
-const { getBaseConfig, initializeConfig } = require('./config');
+const { getBaseConfig, getSignerConfig, initializeConfig } = require('./config');
+const keyManager = require('./config/keyManager');
+const roleManagerService = require('./services/roleManagerService');
 const { initializeAbis } = require('../../shared/utils/getAbis');
 const { initializeBlockchain, resetBlockchain } = require('../../shared/utils/blockchain');
 const { closeLoggers } = require('../../shared/utils/logger');
 const { contractService } = require('../../shared/utils/contractService');
+const deploymentConsistencyService = require('./services/deploymentConsistencyService');
+const { cache, cacheInvalidator } = require('./utils/cacheManager');
+const MetricsController = require('./controllers/metricsController');
 
 // 创建 Express 应用
 const app = express();
@@ -27,6 +32,9 @@ app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Prometheus抓取端点，放在性能监控和速率限制之前，抓取请求不计入API指标
+app.get('/metrics', MetricsController.getPrometheusMetrics);
+
 // 添加性能监控中间件
 app.use(performanceMonitor);
 
@@ -57,6 +65,15 @@ async function start() {
     // 初始化配置
     await initializeConfig();
     logger.info('Configuration initialized');
+
+    // /metrics 在认证和速率限制之前挂载，生产环境必须设置抓取令牌
+    if (process.env.NODE_ENV === 'production' && !process.env.METRICS_TOKEN) {
+      throw new Error('METRICS_TOKEN is required in production');
+    }
+
+    // 初始化签名者（解密keystore、连接远程签名服务）
+    await keyManager.initialize();
+    logger.info('Signers initialized');
     
     // 初始化合约 ABIs
     await initializeAbis(logger);
@@ -65,10 +82,22 @@ async function start() {
     // 初始化区块链连接
     await initializeBlockchain();
     logger.info('Blockchain connection initialized');
+
+    // 检查签名地址是否拥有所需的链上角色
+    await verifySignerRoles();
     
     // 初始化合约服务
     await contractService.initialize();
     logger.info('Contract service initialized');
+
+    // 后台检查ABI、合约地址与链上部署是否一致，不阻塞启动
+    deploymentConsistencyService.run().catch(error => {
+      logger.warn(`Deployment consistency check failed: ${error.message}`);
+    });
+
+    // 根据监控服务索引的合约事件使缓存失效
+    cacheInvalidator.start();
+    logger.info(`Cache initialized (backend: ${cache.getStats().backend})`);
     
     // 获取基础配置
     const baseConfig = getBaseConfig();
@@ -87,6 +116,37 @@ async function start() {
   }
 }
 
+/**
+ * 检查各签名角色的地址是否拥有RoleManager中所需的角色
+ * SIGNER_ROLE_CHECK为strict时缺少角色会阻止启动
+ */
+async function verifySignerRoles() {
+  const { roleCheck } = getSignerConfig();
+  if (roleCheck === 'off') {
+    return;
+  }
+
+  let results;
+  try {
+    results = await roleManagerService.verifySignerRoles();
+  } catch (error) {
+    if (roleCheck === 'strict') {
+      throw new Error(`Signer role check failed: ${error.message}`);
+    }
+    logger.warn(`Signer role check skipped: ${error.message}`);
+    return;
+  }
+
+  const failed = results.filter(result => result.missing.length > 0);
+  for (const result of failed) {
+    logger.warn(`Signer ${result.role} (${result.address}) is missing on-chain roles: ${result.missing.join(', ')}`);
+  }
+  if (failed.length > 0 && roleCheck === 'strict') {
+    throw new Error(`Signers missing on-chain roles: ${failed.map(result => result.role).join(', ')}`);
+  }
+  logger.info(`Signer role check completed - ${results.length - failed.length}/${results.length} signers OK`);
+}
+
 // 设置优雅关闭
 function setupGracefulShutdown() {
   // 处理 SIGTERM 信号
@@ -135,8 +195,12 @@ function gracefulShutdown() {
   }
   
   // 清理资源并退出
-  function cleanupAndExit() {
+  async function cleanupAndExit() {
     try {
+      // 停止缓存失效轮询，关闭缓存后端
+      cacheInvalidator.stop();
+      await cache.close();
+      
       // 重置区块链连接
       resetBlockchain();
       logger.info('Blockchain connections reset');
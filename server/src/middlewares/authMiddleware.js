@@ -1,79 +1,76 @@
-const { ApiError } = require('./errorHandler');
-const logger = require('../utils/logger');
+/**
+ * 认证中间件
+ * 支持两种凭证：
+ * - Authorization: Bearer <访问令牌>，通过钱包签名登录（/auth/login）获得
+ * - x-api-key: <API密钥>，由管理员为操作员账户签发
+ * 解析出的身份及其链上角色对应的权限写入 req.user，由 checkPermissions 校验
+ */
+
+const authService = require('../services/authService');
+const { createError } = require('./errorHandler');
+
+// 获取新凭证的公开接口：客户端常带着过期的访问令牌调用，凭证无效时不拦截
+const CREDENTIAL_ISSUING_PATHS = ['/auth/nonce', '/auth/login', '/auth/refresh'];
 
 /**
- * 获取请求中的API密钥
+ * 获取请求中的凭证
  * @param {object} req Express 请求对象
- * @returns {string|null} API密钥或 null
+ * @returns {object|null} { type, value } 或 null
  */
-const getApiKeyFromRequest = (req) => {
-  // 从头部获取 API 密钥
+const getCredentials = (req) => {
+  const authorization = req.headers.authorization;
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw createError.unauthorized('Authorization 头格式应为 Bearer <token>');
+    }
+    return { type: 'bearer', value: token };
+  }
+
   const apiKey = req.headers['x-api-key'];
   if (apiKey) {
-    return apiKey;
+    return { type: 'apiKey', value: apiKey };
   }
-  
-  // 从查询参数获取 API 密钥
-  if (req.query && req.query.apiKey) {
-    return req.query.apiKey;
-  }
-  
+
   return null;
 };
 
 /**
- * 简单认证中间件
- * 验证API密钥
+ * 身份解析中间件
+ * 在所有路由之前执行：请求未携带凭证时不做处理，携带的凭证无效时返回401；
+ * 登录和刷新令牌接口忽略无效的凭证，按未认证请求处理
  */
-const authMiddleware = () => {
-  return async (req, res, next) => {
-    try {
-      // 从环境变量获取API密钥
-      const validApiKey = process.env.API_KEY || 'japan-rwa-default-key';
-      
-      // 获取请求中的API密钥
-      const apiKey = getApiKeyFromRequest(req);
-      
-      if (!apiKey) {
-        throw ApiError.unauthorized('未提供API密钥');
-      }
-      
-      // 简单字符串比较验证
-      if (apiKey !== validApiKey) {
-        logger.warn(`无效的API密钥尝试: ${apiKey}`);
-        throw ApiError.unauthorized('无效的API密钥');
-      }
-      
-      // 添加用户标识到请求
-      req.user = {
-        authenticated: true,
-        apiKey: apiKey
-      };
-      
-      next();
-    } catch (error) {
-      next(error);
+const authenticate = async (req, res, next) => {
+  try {
+    const credentials = getCredentials(req);
+    if (credentials) {
+      req.user = credentials.type === 'bearer'
+        ? await authService.authenticateAccessToken(credentials.value)
+        : await authService.authenticateApiKey(credentials.value);
     }
-  };
+    next();
+  } catch (error) {
+    if (CREDENTIAL_ISSUING_PATHS.includes(req.path)) {
+      return next();
+    }
+    next(error);
+  }
 };
 
 /**
- * 开发环境认证中间件（不做验证）
+ * 要求已认证的中间件
+ * @returns {function} Express 中间件
  */
-const mockAuthMiddleware = () => {
+const authMiddleware = () => {
   return (req, res, next) => {
-    // 为请求添加默认认证
-    req.user = {
-      authenticated: true,
-      apiKey: 'dev-mode'
-    };
-    
+    if (!req.user || !req.user.authenticated) {
+      return next(createError.unauthorized('未授权访问，需要有效的访问令牌或API密钥'));
+    }
     next();
   };
 };
 
-// 根据环境导出适当的中间件
-const isProduction = process.env.NODE_ENV === 'production';
 module.exports = {
-  authMiddleware: isProduction ? authMiddleware : mockAuthMiddleware
-}; 
\ No newline at end of file
+  authenticate,
+  authMiddleware
+};
@@ -165,6 +165,13 @@ const createError = {
     details
   }),
   
+  tooManyRequests: (message = '请求过于频繁，请稍后再试', details = {}) => new ApiError({
+    message,
+    statusCode: 429,
+    code: 'TOO_MANY_REQUESTS',
+    details
+  }),
+  
   internal: (message = '服务器内部错误', details = {}) => new ApiError({
     message,
     statusCode: 500,
@@ -5,6 +5,7 @@
 
 const os = require('os');
 const logger = require('../utils/logger');
+const metricsService = require('../services/metricsService');
 
 // 初始化性能指标存储
 const performanceMetrics = {
@@ -40,6 +41,10 @@ const performanceMonitor = (req, res, next) => {
     const method = req.method;
     const endpoint = `${method} ${path}`;
     
+    // Prometheus直方图按完整的路由模板统计，未匹配的路径归为一类，避免标签数量无限增长
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metricsService.observeHttpRequest(method, route, res.statusCode, duration / 1000);
+    
     // 更新整体请求计数
     if (!performanceMetrics.requests.count) {
       performanceMetrics.requests = {
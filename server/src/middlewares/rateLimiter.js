@@ -3,7 +3,7 @@
  * 限制API请求频率以防止滥用
  */
 
-const { createAPIError } = require('./errorHandler');
+const { createError } = require('./errorHandler');
 const logger = require('../utils/logger');
 
 // 使用内存对象作为简单缓存
@@ -94,7 +94,7 @@ function ipRateLimiter(options = {}) {
     // 如果超出限制，返回错误
     if (requestCount > max) {
       logger.warn(`Rate limit exceeded for ${key}`);
-      return next(createAPIError.tooManyRequests(message));
+      return next(createError.tooManyRequests(message));
     }
     
     next();
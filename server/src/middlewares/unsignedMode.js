@@ -0,0 +1,60 @@
+/**
+ * 未签名交易模式中间件
+ * 写操作请求带 ?mode=unsigned 时，服务层不再使用服务端私钥签名发送，
+ * 而是返回目标合约、calldata、value、预估gas和nonce提示，由外部（托管方）签名后
+ * 通过 POST /transactions/submit 广播
+ */
+
+const { ethers } = require('ethers');
+const { runUnsigned, getUnsignedContext } = require('../utils/unsignedContext');
+const { createError } = require('./errorHandler');
+
+const unsignedMode = (req, res, next) => {
+  if (req.method === 'GET' || req.query.mode !== 'unsigned') {
+    return next();
+  }
+
+  const { from } = req.query;
+  if (from !== undefined && !ethers.utils.isAddress(from)) {
+    return next(createError.badRequest('query.from must be a valid address'));
+  }
+
+  runUnsigned({ from: from && ethers.utils.getAddress(from) }, () => {
+    const context = getUnsignedContext();
+
+    // 构建了未签名交易时，以交易列表替换原响应；
+    // 第一笔写操作之后的处理（例如读取事件）依赖链上结果，其错误不影响返回。
+    // 请求成功但没有构建任何交易时按失败处理，避免调用方误以为得到了待签名交易
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (context.transactions.length === 0) {
+        if (res.statusCode >= 400) {
+          return json(body);
+        }
+        const error = createError.badRequest('该操作不支持未签名模式', { path: req.originalUrl });
+        res.status(error.statusCode);
+        return json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'UNSIGNED_MODE_UNSUPPORTED',
+            details: error.details,
+            timestamp: error.timestamp
+          }
+        });
+      }
+      res.status(200);
+      return json({
+        success: true,
+        data: {
+          mode: 'unsigned',
+          transactions: context.transactions
+        }
+      });
+    };
+
+    next();
+  });
+};
+
+module.exports = unsignedMode;
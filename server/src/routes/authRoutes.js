@@ -0,0 +1,137 @@
+const BaseRouter = require('../../../shared/routes/baseRouter');
+const AuthController = require('../controllers/authController');
+const { ipRateLimiter } = require('../middlewares/rateLimiter');
+const { API_PERMISSIONS } = require('../../../shared/contracts/constants');
+
+const refreshTokenBody = {
+  refreshToken: {
+    type: 'string',
+    required: true
+  }
+};
+
+/**
+ * 认证路由类
+ */
+class AuthRouter extends BaseRouter {
+  constructor() {
+    super();
+    this.setupRoutes();
+  }
+
+  /**
+   * 设置路由
+   */
+  setupRoutes() {
+    // 获取挑战和登录接口无需认证，按IP单独限速
+    this.router.use(['/nonce', '/login'], ipRateLimiter({
+      windowMs: 60 * 1000,
+      max: 10,
+      keyGenerator: req => `auth:${req.ip}`
+    }));
+
+    // 获取钱包登录挑战
+    this.post('/nonce', AuthController.createChallenge, {
+      validation: {
+        body: {
+          address: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 使用签名登录
+    this.post('/login', AuthController.login, {
+      validation: {
+        body: {
+          message: {
+            type: 'string',
+            required: true
+          },
+          signature: {
+            type: 'string',
+            required: true,
+            validate: value => /^0x[0-9a-fA-F]{130}$/.test(value)
+          }
+        }
+      }
+    });
+
+    // 刷新令牌
+    this.post('/refresh', AuthController.refresh, {
+      validation: {
+        body: refreshTokenBody
+      }
+    });
+
+    // 退出登录
+    this.post('/logout', AuthController.logout, {
+      auth: true,
+      validation: {
+        body: refreshTokenBody
+      }
+    });
+
+    // 获取当前身份
+    this.get('/me', AuthController.getCurrentUser, {
+      auth: true
+    });
+
+    // 获取所有API密钥
+    this.get('/api-keys', AuthController.listApiKeys, {
+      auth: true,
+      permissions: ['admin']
+    });
+
+    // 签发API密钥
+    this.post('/api-keys', AuthController.createApiKey, {
+      auth: true,
+      permissions: ['admin'],
+      validation: {
+        body: {
+          name: {
+            type: 'string',
+            required: true,
+            validate: value => value.trim().length > 0
+          },
+          address: {
+            type: 'address',
+            required: true
+          },
+          scopes: {
+            type: 'array',
+            required: true,
+            validate: value => value.length > 0 && value.every(scope => API_PERMISSIONS.includes(scope))
+          },
+          expiresInDays: {
+            type: 'number',
+            required: false,
+            validate: value => Number.isInteger(value) && value > 0
+          }
+        }
+      }
+    });
+
+    // 撤销API密钥
+    this.delete('/api-keys/:id', AuthController.revokeApiKey, {
+      auth: true,
+      permissions: ['admin'],
+      validation: {
+        params: {
+          id: {
+            type: 'string',
+            required: true,
+            validate: value => /^[0-9a-f]{16}$/.test(value)
+          }
+        }
+      }
+    });
+  }
+}
+
+// 创建路由实例
+const authRouter = new AuthRouter();
+
+module.exports = authRouter.getRouter();
@@ -6,7 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { checkAuthentication, checkAuthorization } = require('../middlewares/auth');
-const { getCacheStats, clearCache, getCacheKeys } = require('../utils/cacheManager');
+const { getCacheStats, clearCache, getCacheKeys, invalidateTags } = require('../utils/cacheManager');
 
 /**
  * @route GET /cache/stats
@@ -16,9 +16,9 @@ const { getCacheStats, clearCache, getCacheKeys } = require('../utils/cacheManag
 router.get('/stats',
   checkAuthentication,
   checkAuthorization(['ADMIN', 'OPERATOR']),
-  (req, res) => {
+  async (req, res) => {
     try {
-      const stats = getCacheStats();
+      const stats = await getCacheStats();
       res.json({
         success: true,
         data: stats
@@ -40,9 +40,9 @@ router.get('/stats',
 router.get('/keys',
   checkAuthentication,
   checkAuthorization(['ADMIN', 'OPERATOR']),
-  (req, res) => {
+  async (req, res) => {
     try {
-      const keys = getCacheKeys();
+      const keys = await getCacheKeys();
       res.json({
         success: true,
         data: {
@@ -67,9 +67,9 @@ router.get('/keys',
 router.post('/clear',
   checkAuthentication,
   checkAuthorization(['ADMIN']),
-  (req, res) => {
+  async (req, res) => {
     try {
-      clearCache();
+      await clearCache();
       res.json({
         success: true,
         message: '缓存已清除'
@@ -91,10 +91,10 @@ router.post('/clear',
 router.post('/clear/:key',
   checkAuthentication,
   checkAuthorization(['ADMIN']),
-  (req, res) => {
+  async (req, res) => {
     try {
       const { key } = req.params;
-      const result = clearCache(key);
+      const result = await clearCache(key);
       
       if (result) {
         res.json({
@@ -116,4 +116,37 @@ router.post('/clear/:key',
   }
 );
 
+/**
+ * @route POST /cache/invalidate
+ * @desc 按标签清除缓存（如 property:<哈希>、token:<地址>、distribution:<ID>）
+ * @access 仅限管理员
+ */
+router.post('/invalidate',
+  checkAuthentication,
+  checkAuthorization(['ADMIN']),
+  async (req, res) => {
+    try {
+      const { tags } = req.body || {};
+
+      if (!Array.isArray(tags) || tags.length === 0 || !tags.every(tag => typeof tag === 'string' && tag)) {
+        return res.status(400).json({
+          success: false,
+          error: 'tags 必须是非空字符串数组'
+        });
+      }
+
+      const count = await invalidateTags(tags);
+      res.json({
+        success: true,
+        data: { tags, count }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message || '按标签清除缓存失败'
+      });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
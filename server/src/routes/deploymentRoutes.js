@@ -0,0 +1,42 @@
+/**
+ * 部署路由
+ * 提供ABI、合约地址与链上部署的一致性报告
+ */
+
+const BaseRouter = require('../../../shared/routes/baseRouter');
+const DeploymentController = require('../controllers/deploymentController');
+
+/**
+ * 部署路由类
+ */
+class DeploymentRouter extends BaseRouter {
+  constructor() {
+    super();
+    this.setupRoutes();
+  }
+
+  /**
+   * 设置路由
+   */
+  setupRoutes() {
+    // 获取部署一致性报告
+    this.get('/consistency', DeploymentController.getConsistencyReport, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        query: {
+          refresh: {
+            type: 'string',
+            required: false,
+            enum: ['true', 'false']
+          }
+        }
+      }
+    });
+  }
+}
+
+// 创建路由实例
+const deploymentRouter = new DeploymentRouter();
+
+module.exports = deploymentRouter.getRouter();
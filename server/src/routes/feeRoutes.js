@@ -0,0 +1,121 @@
+const BaseRouter = require('../../../shared/routes/baseRouter');
+const FeeController = require('../controllers/feeController');
+const { FEE_TYPES } = require('../../../shared/contracts/constants');
+
+// 正整数校验（金额）
+const isUintString = value => /^\d+$/.test(value) && !/^0+$/.test(value);
+
+// ISO日期校验
+const isDateString = value => !Number.isNaN(Date.parse(value));
+
+/**
+ * 费用路由类
+ */
+class FeeRouter extends BaseRouter {
+  constructor() {
+    super();
+    this.setupRoutes();
+  }
+
+  /**
+   * 设置路由
+   */
+  setupRoutes() {
+    // 获取当前费率表
+    this.get('/', FeeController.getFeeSchedule);
+
+    // 预览指定金额的费用
+    this.get('/preview', FeeController.previewFee, {
+      validation: {
+        query: {
+          amount: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          feeType: {
+            type: 'string',
+            required: true,
+            enum: FEE_TYPES
+          }
+        }
+      }
+    });
+
+    // 获取收入报表
+    this.get('/revenue', FeeController.getRevenueReport, {
+      auth: true,
+      permissions: ['finance'],
+      validation: {
+        query: {
+          period: {
+            type: 'string',
+            required: false,
+            enum: ['day', 'month', 'quarter']
+          },
+          from: {
+            type: 'string',
+            required: false,
+            validate: isDateString
+          },
+          to: {
+            type: 'string',
+            required: false,
+            validate: isDateString
+          },
+          feeType: {
+            type: 'string',
+            required: false,
+            enum: FEE_TYPES
+          },
+          stablecoin: {
+            type: 'address',
+            required: false
+          }
+        }
+      }
+    });
+
+    // 更新费用收集地址
+    this.put('/collector', FeeController.updateFeeCollector, {
+      auth: true,
+      permissions: ['admin'],
+      validation: {
+        body: {
+          feeCollector: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 更新费率（基点，不超过合约的MAX_FEE）
+    this.put('/:feeType', FeeController.updateFee, {
+      auth: true,
+      permissions: ['admin'],
+      validation: {
+        params: {
+          feeType: {
+            type: 'string',
+            required: true,
+            enum: FEE_TYPES
+          }
+        },
+        body: {
+          basisPoints: {
+            type: 'number',
+            required: true,
+            min: 0,
+            validate: Number.isInteger
+          }
+        }
+      }
+    });
+  }
+}
+
+// 创建路由实例
+const feeRouter = new FeeRouter();
+
+module.exports = feeRouter.getRouter();
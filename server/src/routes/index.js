@@ -1,20 +1,39 @@
 const express = require('express');
+const unsignedMode = require('../middlewares/unsignedMode');
+const { authenticate } = require('../middlewares/authMiddleware');
 const router = express.Router();
 
 // 导入路由
+const authRoutes = require('./authRoutes');
 const tokenRoutes = require('./tokenRoutes');
 const redemptionRoutes = require('./redemptionRoutes');
 const rentRoutes = require('./rentRoutes');
 const propertyRoutes = require('./propertyRoutes');
+const marketplaceRoutes = require('./marketplaceRoutes');
+const roleRoutes = require('./roleRoutes');
+const feeRoutes = require('./feeRoutes');
 const metricsRoutes = require('./metricsRoutes');
 const cacheRoutes = require('./cacheRoutes');
 const transactionRoutes = require('./transactionRoutes');
+const deploymentRoutes = require('./deploymentRoutes');
+
+// 根据访问令牌或API密钥解析身份及其链上角色
+router.use(authenticate);
+
+// 写操作支持 ?mode=unsigned 返回未签名交易
+router.use(unsignedMode);
+
+// 认证路由
+router.use('/auth', authRoutes);
 
 // 注册路由 - 使用真实的区块链服务
 router.use('/tokens', tokenRoutes);
 router.use('/redemptions', redemptionRoutes);
 router.use('/rents', rentRoutes);
 router.use('/properties', propertyRoutes);
+router.use('/marketplace', marketplaceRoutes);
+router.use('/roles', roleRoutes);
+router.use('/fees', feeRoutes);
 
 // 性能指标路由
 router.use('/metrics', metricsRoutes);
@@ -25,6 +44,9 @@ router.use('/cache', cacheRoutes);
 // 交易管理路由
 router.use('/transactions', transactionRoutes);
 
+// 部署一致性路由
+router.use('/deployment', deploymentRoutes);
+
 // 健康检查路由
 router.get('/health', (req, res) => {
   res.json({
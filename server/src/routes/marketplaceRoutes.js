@@ -0,0 +1,148 @@
+const BaseRouter = require('../../../shared/routes/baseRouter');
+const MarketplaceController = require('../controllers/marketplaceController');
+
+// 整数金额（最小单位）校验
+const isUintString = value => /^\d+$/.test(value) && value !== '0';
+
+/**
+ * 交易市场路由类
+ */
+class MarketplaceRouter extends BaseRouter {
+  constructor() {
+    super();
+    this.setupRoutes();
+  }
+
+  /**
+   * 设置路由
+   */
+  setupRoutes() {
+    // 获取活跃订单（支持按代币、卖家、稳定币过滤）
+    this.get('/orders', MarketplaceController.getActiveOrders, {
+      validation: {
+        query: {
+          tokenAddress: {
+            type: 'address',
+            required: false
+          },
+          seller: {
+            type: 'address',
+            required: false
+          },
+          stablecoin: {
+            type: 'address',
+            required: false
+          },
+          page: {
+            type: 'string',
+            required: false,
+            validate: isUintString
+          },
+          limit: {
+            type: 'string',
+            required: false,
+            validate: value => isUintString(value) && Number(value) <= 100
+          }
+        }
+      }
+    });
+
+    // 获取订单详情
+    this.get('/orders/:orderId', MarketplaceController.getOrder, {
+      validation: {
+        params: {
+          orderId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          }
+        }
+      }
+    });
+
+    // 创建卖单
+    this.post('/orders', MarketplaceController.createOrder, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        body: {
+          tokenAddress: {
+            type: 'address',
+            required: true
+          },
+          tokenAmount: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          price: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          stablecoin: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 购买订单
+    this.post('/orders/:orderId/fulfill', MarketplaceController.fulfillOrder, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: {
+          orderId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          }
+        }
+      }
+    });
+
+    // 取消订单
+    this.post('/orders/:orderId/cancel', MarketplaceController.cancelOrder, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: {
+          orderId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          }
+        }
+      }
+    });
+
+    // 更新订单价格
+    this.put('/orders/:orderId/price', MarketplaceController.updateOrderPrice, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: {
+          orderId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          }
+        },
+        body: {
+          price: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          }
+        }
+      }
+    });
+  }
+}
+
+// 创建路由实例
+const marketplaceRouter = new MarketplaceRouter();
+
+module.exports = marketplaceRouter.getRouter();
@@ -1,6 +1,6 @@
 const BaseRouter = require('../../../shared/routes/baseRouter');
 const PropertyController = require('../controllers/propertyController');
-const { ethers } = require('ethers');
+const { PROPERTY_STATUSES } = require('../../../shared/contracts/constants');
 
 /**
  * 房产路由类
@@ -15,8 +15,71 @@ class PropertyRouter extends BaseRouter {
    * 设置路由
    */
   setupRoutes() {
-    // 获取所有房产
-    this.get('/', PropertyController.getAllProperties);
+    // 分页获取房产列表
+    this.get('/', PropertyController.getAllProperties, {
+      validation: {
+        query: {
+          offset: {
+            type: 'string',
+            required: false,
+            validate: value => /^\d+$/.test(value)
+          },
+          limit: {
+            type: 'string',
+            required: false,
+            validate: value => /^[1-9]\d*$/.test(value) && Number(value) <= 100
+          },
+          status: {
+            type: 'string',
+            required: false,
+            enum: PROPERTY_STATUSES.filter(status => status !== 'NotRegistered')
+          },
+          country: {
+            type: 'string',
+            required: false
+          },
+          hasToken: {
+            type: 'string',
+            required: false,
+            enum: ['true', 'false']
+          },
+          sort: {
+            type: 'string',
+            required: false,
+            enum: ['registrationTime']
+          },
+          order: {
+            type: 'string',
+            required: false,
+            enum: ['asc', 'desc']
+          }
+        }
+      }
+    });
+
+    // 房产统计（按状态计数）
+    this.get('/stats', PropertyController.getPropertyStats);
+
+    // 获取房产元数据Schema
+    this.get('/metadata/schema', PropertyController.getMetadataSchema);
+
+    // 按CID获取房产元数据（含完整性校验结果）
+    this.get('/metadata/:cid', PropertyController.getMetadata, {
+      validation: {
+        params: {
+          cid: {
+            type: 'string',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 校验并上传房产元数据，返回用于注册的metadataURI
+    this.post('/metadata', PropertyController.uploadMetadata, {
+      auth: true,
+      permissions: ['operator']
+    });
 
     // 获取特定房产详情
     this.get('/:propertyId', PropertyController.getProperty, {
@@ -42,12 +105,15 @@ class PropertyRouter extends BaseRouter {
           },
           country: {
             type: 'string',
-            required: true
+            required: false
+          },
+          metadata: {
+            type: 'object',
+            required: false
           },
           metadataURI: {
             type: 'string',
-            required: true,
-            format: 'url'
+            required: false
           }
         }
       }
@@ -95,7 +161,49 @@ class PropertyRouter extends BaseRouter {
       }
     });
 
-    // 设置房产状态
+    // 冻结房产（仅限已批准的房产）
+    this.post('/:propertyId/freeze', PropertyController.freezeProperty, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: {
+          propertyId: {
+            type: 'string',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 解冻房产（仅限已冻结的房产）
+    this.post('/:propertyId/unfreeze', PropertyController.unfreezeProperty, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: {
+          propertyId: {
+            type: 'string',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 将房产转入赎回状态（仅限已批准的房产）
+    this.post('/:propertyId/redemption', PropertyController.setPropertyToRedemption, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: {
+          propertyId: {
+            type: 'string',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 设置房产状态（用于没有专用接口的状态转换）
     this.put('/:propertyId/status', PropertyController.setPropertyStatus, {
       auth: true,
       permissions: ['operator'],
@@ -108,9 +216,33 @@ class PropertyRouter extends BaseRouter {
         },
         body: {
           status: {
-            type: 'number',
+            type: 'string',
             required: true,
-            enum: [0, 1, 2, 3] // 0=Pending, 1=Approved, 2=Rejected, 3=Delisted
+            enum: PROPERTY_STATUSES.filter(status => status !== 'NotRegistered')
+          }
+        }
+      }
+    });
+
+    // 获取房产当前状态及合法的下一状态
+    this.get('/:propertyId/transitions', PropertyController.getTransitions, {
+      validation: {
+        params: {
+          propertyId: {
+            type: 'string',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 获取房产状态变更时间线
+    this.get('/:propertyId/history', PropertyController.getStatusHistory, {
+      validation: {
+        params: {
+          propertyId: {
+            type: 'string',
+            required: true
           }
         }
       }
@@ -1,8 +1,24 @@
 const BaseRouter = require('../../../shared/routes/baseRouter');
 const RedemptionController = require('../controllers/redemptionController');
-const { validators } = require('../middlewares/validator');
-const { param, body } = require('express-validator');
-const { validateRequest } = require('../middlewares/validator');
+const { REDEMPTION_STATUSES } = require('../../../shared/contracts/constants');
+
+// 正整数校验
+const isUintString = value => /^[1-9]\d*$/.test(value);
+
+const requestParams = {
+  requestId: {
+    type: 'string',
+    required: true,
+    validate: isUintString
+  }
+};
+
+const stablecoinBody = {
+  stablecoinAddress: {
+    type: 'address',
+    required: true
+  }
+};
 
 /**
  * 赎回路由类
@@ -17,76 +33,265 @@ class RedemptionRouter extends BaseRouter {
    * 设置路由
    */
   setupRoutes() {
-    // 获取所有赎回请求
-    this.get('/', validators.paginationValidators, RedemptionController.getAllRedemptionRequests);
+    // 获取赎回请求列表（按请求者或房产）
+    this.get('/requests', RedemptionController.getRequests, {
+      validation: {
+        query: {
+          requester: {
+            type: 'address',
+            required: false
+          },
+          propertyId: {
+            type: 'string',
+            required: false,
+            validate: isUintString
+          },
+          status: {
+            type: 'string',
+            required: false,
+            enum: REDEMPTION_STATUSES
+          },
+          page: {
+            type: 'string',
+            required: false,
+            validate: isUintString
+          },
+          limit: {
+            type: 'string',
+            required: false,
+            validate: value => isUintString(value) && Number(value) <= 100
+          }
+        }
+      }
+    });
 
-    // 获取特定赎回请求详情
-    this.get('/:requestId', [
-      param('requestId').isString().notEmpty().withMessage('请求ID不能为空'),
-      validateRequest
-    ], RedemptionController.getRedemptionRequest);
+    // 获取赎回请求
+    this.get('/requests/:requestId', RedemptionController.getRequest, {
+      validation: {
+        params: requestParams
+      }
+    });
 
-    // 检查稳定币是否受支持
-    this.get('/stablecoin/:stablecoinAddress', [
-      param('stablecoinAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('稳定币地址格式不正确'),
-      validateRequest
-    ], RedemptionController.isSupportedStablecoin);
-
-    // 批准赎回请求
-    this.post('/:requestId/approve', [
-      param('requestId').isString().notEmpty().withMessage('请求ID不能为空'),
-      body('stablecoinAmount').isString().notEmpty().withMessage('稳定币金额不能为空'),
-      validateRequest
-    ], RedemptionController.approveRedemption, {
+    // 提交赎回请求（请求者为当前认证账户）
+    this.post('/requests', RedemptionController.requestRedemption, {
+      auth: true,
+      validation: {
+        body: {
+          propertyId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          tokenAddress: {
+            type: 'address',
+            required: true
+          },
+          tokenAmount: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          stablecoin: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 取消待审批的赎回请求（请求者或SUPER_ADMIN）
+    this.post('/requests/:requestId/cancel', RedemptionController.cancelRedemption, {
+      auth: true,
+      validation: {
+        params: requestParams
+      }
+    });
+
+    // 获取赎回请求的报价
+    this.get('/requests/:requestId/quote', RedemptionController.getRequestQuote, {
+      validation: {
+        params: requestParams
+      }
+    });
+
+    // 获取赎回请求的批准提议及历史
+    this.get('/requests/:requestId/approval', RedemptionController.getApproval, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: requestParams
+      }
+    });
+
+    // 按报价提议批准赎回请求（maker）
+    this.post('/requests/:requestId/approval', RedemptionController.proposeApproval, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: requestParams,
+        body: {
+          note: {
+            type: 'string',
+            required: false
+          }
+        }
+      }
+    });
+
+    // 确认批准提议并提交上链（checker，须与提议人不同）
+    this.post('/requests/:requestId/approval/confirm', RedemptionController.confirmApproval, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: requestParams
+      }
+    });
+
+    // 撤回或驳回待确认的批准提议
+    this.delete('/requests/:requestId/approval', RedemptionController.withdrawApproval, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: requestParams,
+        body: {
+          reason: {
+            type: 'string',
+            required: false
+          }
+        }
+      }
+    });
+
+    // 预览赎回报价
+    this.get('/quote', RedemptionController.getQuote, {
+      validation: {
+        query: {
+          propertyId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          tokenAddress: {
+            type: 'address',
+            required: true
+          },
+          tokenAmount: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          },
+          stablecoin: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 获取SLA处理队列（待审批和待完成的请求，按期限排序）
+    this.get('/queue', RedemptionController.getQueue, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        query: {
+          stage: {
+            type: 'string',
+            required: false,
+            enum: ['approval', 'completion']
+          },
+          overdue: {
+            type: 'string',
+            required: false,
+            enum: ['true', 'false']
+          }
+        }
+      }
+    });
+
+    // 获取房产赎回估值
+    this.get('/valuations', RedemptionController.getValuations, {
       auth: true,
       permissions: ['operator']
     });
 
+    // 设置房产赎回估值（每代币对应的稳定币数量）
+    this.put('/valuations/:propertyId', RedemptionController.setValuation, {
+      auth: true,
+      permissions: ['finance'],
+      validation: {
+        params: {
+          propertyId: {
+            type: 'string',
+            required: true,
+            validate: isUintString
+          }
+        },
+        body: {
+          pricePerToken: {
+            type: 'string',
+            required: true,
+            validate: value => /^\d+(\.\d+)?$/.test(value) && Number(value) > 0
+          },
+          note: {
+            type: 'string',
+            required: false
+          }
+        }
+      }
+    });
+
+    // 检查稳定币是否受支持
+    this.get('/stablecoin/:stablecoinAddress', RedemptionController.isSupportedStablecoin, {
+      validation: {
+        params: {
+          stablecoinAddress: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
     // 拒绝赎回请求
-    this.post('/:requestId/reject', [
-      param('requestId').isString().notEmpty().withMessage('请求ID不能为空'),
-      validateRequest
-    ], RedemptionController.rejectRedemption, {
+    this.post('/:requestId/reject', RedemptionController.rejectRedemption, {
       auth: true,
-      permissions: ['operator']
+      permissions: ['operator'],
+      validation: {
+        params: requestParams,
+        body: {
+          reason: {
+            type: 'string',
+            required: false
+          }
+        }
+      }
     });
 
     // 完成赎回请求
-    this.post('/:requestId/complete', [
-      param('requestId').isString().notEmpty().withMessage('请求ID不能为空'),
-      validateRequest
-    ], RedemptionController.completeRedemption, {
+    this.post('/:requestId/complete', RedemptionController.completeRedemption, {
       auth: true,
-      permissions: ['operator']
+      permissions: ['operator'],
+      validation: {
+        params: requestParams
+      }
     });
 
     // 添加支持的稳定币
-    this.post('/stablecoin', [
-      body('stablecoinAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('稳定币地址格式不正确'),
-      validateRequest
-    ], RedemptionController.addSupportedStablecoin, {
+    this.post('/stablecoin', RedemptionController.addSupportedStablecoin, {
       auth: true,
-      permissions: ['operator']
+      permissions: ['operator'],
+      validation: {
+        body: stablecoinBody
+      }
     });
 
     // 移除支持的稳定币
-    this.delete('/stablecoin', [
-      body('stablecoinAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('稳定币地址格式不正确'),
-      validateRequest
-    ], RedemptionController.removeSupportedStablecoin, {
-      auth: true,
-      permissions: ['operator']
-    });
-
-    // 紧急提款
-    this.post('/withdraw', [
-      body('token').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      body('to').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('接收地址格式不正确'),
-      body('amount').isString().notEmpty().withMessage('金额不能为空'),
-      validateRequest
-    ], RedemptionController.emergencyWithdraw, {
+    this.delete('/stablecoin', RedemptionController.removeSupportedStablecoin, {
       auth: true,
-      permissions: ['admin']
+      permissions: ['operator'],
+      validation: {
+        body: stablecoinBody
+      }
     });
   }
 }
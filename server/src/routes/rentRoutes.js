@@ -1,6 +1,23 @@
 const BaseRouter = require('../../../shared/routes/baseRouter');
 const RentController = require('../controllers/rentController');
-const { ethers } = require('ethers');
+
+// 正整数校验（分配ID、金额）
+const isUintString = value => /^\d+$/.test(value) && !/^0+$/.test(value);
+
+const distributionParams = {
+  distributionId: {
+    type: 'string',
+    required: true,
+    validate: isUintString
+  }
+};
+
+const accountParams = {
+  account: {
+    type: 'address',
+    required: true
+  }
+};
 
 /**
  * 租金路由类
@@ -18,18 +35,42 @@ class RentRouter extends BaseRouter {
     // 获取所有租金分配记录
     this.get('/', RentController.getAllDistributions);
 
-    // 获取特定租金分配记录详情
-    this.get('/:distributionId', RentController.getRentDistribution, {
+    // 获取账户所有可领取的租金（按稳定币和房产分组）
+    this.get('/claims/:account', RentController.getClaimableRents, {
       validation: {
-        params: {
-          distributionId: {
+        params: accountParams
+      }
+    });
+
+    // 领取账户所有可领取的租金（mode=unsigned 时返回未签名交易）
+    this.post('/claims/:account', RentController.claimRents, {
+      auth: true,
+      validation: {
+        params: accountParams,
+        query: {
+          mode: {
             type: 'string',
-            required: true
+            required: false,
+            enum: ['submit', 'unsigned']
+          }
+        },
+        body: {
+          distributionIds: {
+            type: 'array',
+            required: false,
+            validate: ids => ids.length > 0 && ids.every(id => isUintString(String(id)))
           }
         }
       }
     });
 
+    // 获取特定租金分配记录详情
+    this.get('/:distributionId', RentController.getRentDistribution, {
+      validation: {
+        params: distributionParams
+      }
+    });
+
     // 按属性ID获取租金分配记录
     this.get('/property/:propertyId', RentController.getDistributionsByPropertyId, {
       validation: {
@@ -70,52 +111,57 @@ class RentRouter extends BaseRouter {
       }
     });
 
-    // 分配租金
+    // 存入稳定币租金并处理分配（process=false 时只存入）
     this.post('/', RentController.distributeRent, {
       auth: true,
       permissions: ['operator'],
       validation: {
         body: {
+          propertyId: {
+            type: 'string',
+            required: true
+          },
           tokenAddress: {
             type: 'address',
             required: true
           },
+          stablecoin: {
+            type: 'address',
+            required: true
+          },
           amount: {
             type: 'string',
             required: true,
-            format: 'hex'
+            validate: isUintString
           },
-          propertyId: {
+          rentalPeriod: {
             type: 'string',
-            required: true
-          },
-          rentPeriodStart: {
-            type: 'date',
-            required: true
-          },
-          rentPeriodEnd: {
-            type: 'date',
-            required: true
+            required: true,
+            validate: value => value.trim().length > 0
           },
-          description: {
-            type: 'string',
+          process: {
+            type: 'boolean',
             required: false
           }
         }
       }
     });
 
-    // 清算未领取的租金
+    // 处理已存入的租金分配（扣除费用并拍摄快照）
+    this.post('/:distributionId/process', RentController.processRentDistribution, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: distributionParams
+      }
+    });
+
+    // 标记未领取的租金待清算（处理满180天后）
     this.post('/:distributionId/liquidate', RentController.liquidateUnclaimedRent, {
       auth: true,
       permissions: ['operator'],
       validation: {
-        params: {
-          distributionId: {
-            type: 'string',
-            required: true
-          }
-        }
+        params: distributionParams
       }
     });
   }
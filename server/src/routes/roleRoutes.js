@@ -0,0 +1,116 @@
+const BaseRouter = require('../../../shared/routes/baseRouter');
+const RoleController = require('../controllers/roleController');
+const { CONTRACT_ROLES } = require('../../../shared/contracts/constants');
+
+// 正整数校验
+const isUintString = value => /^\d+$/.test(value) && !/^0+$/.test(value);
+
+const roleParams = {
+  role: {
+    type: 'string',
+    required: true,
+    enum: CONTRACT_ROLES
+  }
+};
+
+// 角色变更必须提供账户和原因
+const roleChangeBody = {
+  account: {
+    type: 'address',
+    required: true
+  },
+  reason: {
+    type: 'string',
+    required: true,
+    validate: value => value.trim().length > 0
+  }
+};
+
+/**
+ * 角色路由类
+ */
+class RoleRouter extends BaseRouter {
+  constructor() {
+    super();
+    this.setupRoutes();
+  }
+
+  /**
+   * 设置路由
+   */
+  setupRoutes() {
+    // 获取所有角色及成员数量
+    this.get('/', RoleController.getRoles);
+
+    // 获取角色变更审计历史
+    this.get('/audit', RoleController.getAuditHistory, {
+      validation: {
+        query: {
+          role: {
+            type: 'string',
+            required: false,
+            enum: CONTRACT_ROLES
+          },
+          account: {
+            type: 'address',
+            required: false
+          },
+          page: {
+            type: 'string',
+            required: false,
+            validate: isUintString
+          },
+          limit: {
+            type: 'string',
+            required: false,
+            validate: value => isUintString(value) && Number(value) <= 100
+          }
+        }
+      }
+    });
+
+    // 检查账户拥有的角色
+    this.get('/accounts/:account', RoleController.getAccountRoles, {
+      validation: {
+        params: {
+          account: {
+            type: 'address',
+            required: true
+          }
+        }
+      }
+    });
+
+    // 获取角色成员
+    this.get('/:role/members', RoleController.getRoleMembers, {
+      validation: {
+        params: roleParams
+      }
+    });
+
+    // 授予角色
+    this.post('/:role/grant', RoleController.grantRole, {
+      auth: true,
+      permissions: ['admin'],
+      validation: {
+        params: roleParams,
+        body: roleChangeBody
+      }
+    });
+
+    // 撤销角色（不允许撤销最后一个SUPER_ADMIN）
+    this.post('/:role/revoke', RoleController.revokeRole, {
+      auth: true,
+      permissions: ['admin'],
+      validation: {
+        params: roleParams,
+        body: roleChangeBody
+      }
+    });
+  }
+}
+
+// 创建路由实例
+const roleRouter = new RoleRouter();
+
+module.exports = roleRouter.getRouter();
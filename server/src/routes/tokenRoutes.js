@@ -4,10 +4,6 @@ const TokenController = require('../controllers/tokenController');
 const { asyncHandler } = require('../middlewares/asyncHandler');
 const { authMiddleware } = require('../middlewares/authMiddleware');
 const BaseRouter = require('../../../shared/routes/baseRouter');
-const { ethers } = require('ethers');
-const { validators } = require('../middlewares/validator');
-const { param, body, query } = require('express-validator');
-const { validateRequest } = require('../middlewares/validator');
 
 /**
  * @swagger
@@ -73,7 +69,6 @@ router.get('/implementation', asyncHandler(TokenController.getTokenImplementatio
  *               - name
  *               - symbol
  *               - initialSupply
- *               - initialHolder
  *             properties:
  *               propertyId:
  *                 type: string
@@ -81,15 +76,12 @@ router.get('/implementation', asyncHandler(TokenController.getTokenImplementatio
  *                 type: string
  *               symbol:
  *                 type: string
- *               decimals:
- *                 type: number
- *                 default: 18
  *               maxSupply:
  *                 type: string
+ *                 description: 最大供应量，不传时使用合约默认值
  *               initialSupply:
  *                 type: string
- *               initialHolder:
- *                 type: string
+ *                 description: 初始供应量，铸造给发送交易的SUPER_ADMIN账户
  *     responses:
  *       201:
  *         description: 代币创建成功
@@ -304,6 +296,18 @@ router.delete('/:tokenAddress/whitelist/batch', authMiddleware(), asyncHandler(T
  */
 router.get('/:tokenAddress/whitelist/:address', asyncHandler(TokenController.isWhitelisted));
 
+// 正整数校验（金额、快照ID、页码）
+const isUintString = value => /^\d+$/.test(value) && !/^0+$/.test(value);
+
+const addressParams = {
+  address: { type: 'address', required: true }
+};
+
+const paginationQuery = {
+  page: { type: 'string', required: false, validate: isUintString },
+  limit: { type: 'string', required: false, validate: value => isUintString(value) && Number(value) <= 100 }
+};
+
 /**
  * 代币路由类
  */
@@ -318,62 +322,116 @@ class TokenRouter extends BaseRouter {
    */
   setupRoutes() {
     // 获取所有代币
-    this.get('/', validators.paginationValidators, TokenController.getAllTokens);
+    this.get('/', TokenController.getAllTokens, {
+      validation: {
+        query: paginationQuery
+      }
+    });
 
     // 获取特定代币详情
-    this.get('/:address', [
-      param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      validateRequest
-    ], TokenController.getTokenByAddress);
+    this.get('/:address', TokenController.getTokenByAddress, {
+      validation: {
+        params: addressParams
+      }
+    });
 
-    // 创建新代币
-    this.post('/', validators.tokenValidators.create, TokenController.createToken, {
+    // 创建新代币（TokenFactory.createTokenPublic 需要SUPER_ADMIN）
+    this.post('/', TokenController.createToken, {
       auth: true,
-      permissions: ['operator']
+      permissions: ['operator'],
+      validation: {
+        body: {
+          propertyId: { type: 'string', required: true },
+          name: { type: 'string', required: true },
+          symbol: { type: 'string', required: true },
+          maxSupply: { type: 'string', required: false, validate: isUintString },
+          initialSupply: { type: 'string', required: true, validate: isUintString }
+        }
+      }
     });
 
-    // 铸造代币
-    this.post('/:address/mint', [
-      param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      body('to').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('接收地址格式不正确'),
-      body('amount').isNumeric().withMessage('金额必须是数字'),
-      validateRequest
-    ], TokenController.mintToken, {
+    // 铸造代币（需要签名账户持有MINTER_ROLE，且不超过最大供应量）
+    this.post('/:address/mint', TokenController.mintToken, {
       auth: true,
-      permissions: ['operator']
+      permissions: ['operator'],
+      validation: {
+        params: addressParams,
+        body: {
+          to: { type: 'address', required: true },
+          amount: { type: 'string', required: true, validate: isUintString }
+        }
+      }
     });
 
     // 销毁代币
-    this.post('/:address/burn', [
-      param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      body('amount').isNumeric().withMessage('金额必须是数字'),
-      validateRequest
-    ], TokenController.burnToken, {
+    this.post('/:address/burn', TokenController.burnToken, {
       auth: true,
-      permissions: ['operator']
+      permissions: ['operator'],
+      validation: {
+        params: addressParams,
+        body: {
+          amount: { type: 'string', required: true, validate: isUintString }
+        }
+      }
     });
 
-    // 转移代币
-    this.post('/:address/transfer', [
-      param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      ...validators.tokenValidators.transfer.filter(v => v !== validateRequest),
-      validateRequest
-    ], TokenController.transferToken);
+    // 转移代币（单笔或批量，通过batchTransfer执行）
+    this.post('/:address/transfer', TokenController.transferToken, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: addressParams,
+        body: {
+          to: { type: 'address', required: false },
+          amount: { type: 'string', required: false, validate: isUintString },
+          recipients: { type: 'array', required: false },
+          amounts: {
+            type: 'array',
+            required: false,
+            validate: values => values.every(value => isUintString(String(value)))
+          }
+        }
+      }
+    });
+
+    // 获取代币余额（可指定快照ID查询历史余额）
+    this.get('/:address/balance/:userAddress', TokenController.getBalance, {
+      validation: {
+        params: {
+          ...addressParams,
+          userAddress: { type: 'address', required: true }
+        },
+        query: {
+          snapshotId: { type: 'string', required: false, validate: isUintString }
+        }
+      }
+    });
 
-    // 获取代币余额
-    this.get('/:address/balance/:userAddress', [
-      param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      param('userAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('用户地址格式不正确'),
-      validateRequest
-    ], TokenController.getBalance);
+    // 获取代币转账历史（来自监控服务索引的Transfer事件）
+    this.get('/:address/history', TokenController.getTokenHistory, {
+      validation: {
+        params: addressParams,
+        query: {
+          from: { type: 'string', required: false, validate: value => /^\d+$/.test(value) },
+          to: { type: 'string', required: false, validate: value => /^\d+$/.test(value) },
+          account: { type: 'address', required: false },
+          ...paginationQuery
+        }
+      }
+    });
 
-    // 获取代币历史
-    this.get('/:address/history', [
-      param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('代币地址格式不正确'),
-      query('from').optional().isInt({ min: 0 }).withMessage('起始块高必须是非负整数'),
-      query('to').optional().isInt({ min: 0 }).withMessage('结束块高必须是非负整数'),
-      validators.paginationValidators
-    ], TokenController.getTokenHistory);
+    // 获取代币持有人名册（支持按快照查询历史持有情况）
+    this.get('/:address/holders', TokenController.getTokenHolders, {
+      validation: {
+        params: addressParams,
+        query: {
+          snapshotId: { type: 'string', required: false, validate: isUintString },
+          sortBy: { type: 'string', required: false, enum: ['balance', 'firstAcquiredAt', 'address'] },
+          order: { type: 'string', required: false, enum: ['asc', 'desc'] },
+          ...paginationQuery
+        }
+      }
+    });
   }
 }
 
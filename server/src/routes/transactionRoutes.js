@@ -3,29 +3,104 @@
  * 提供区块链交易状态查询和管理
  */
 
-const express = require('express');
-const router = express.Router();
-const { checkAuthentication, checkAuthorization } = require('../middlewares/auth');
-
-// 简单的路由，仅用于测试
-router.get('/status/:hash', (req, res) => {
-  try {
-    const { hash } = req.params;
-    
-    res.json({
-      success: true,
-      data: {
-        hash,
-        status: 'pending', // 模拟状态
-        message: '交易正在处理中'
+const BaseRouter = require('../../../shared/routes/baseRouter');
+const TransactionController = require('../controllers/transactionController');
+const { TX_STATUS } = require('../utils/transactionQueue');
+
+// 交易哈希校验
+const isTxHash = value => /^0x[0-9a-fA-F]{64}$/.test(value);
+
+// 正整数校验
+const isUintString = value => /^\d+$/.test(value) && value !== '0';
+
+const hashParams = {
+  hash: {
+    type: 'string',
+    required: true,
+    validate: isTxHash
+  }
+};
+
+/**
+ * 交易路由类
+ */
+class TransactionRouter extends BaseRouter {
+  constructor() {
+    super();
+    this.setupRoutes();
+  }
+
+  /**
+   * 设置路由
+   */
+  setupRoutes() {
+    // 获取交易列表（支持按状态过滤）
+    this.get('/', TransactionController.getTransactions, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        query: {
+          status: {
+            type: 'string',
+            required: false,
+            enum: Object.values(TX_STATUS)
+          },
+          page: {
+            type: 'string',
+            required: false,
+            validate: isUintString
+          },
+          limit: {
+            type: 'string',
+            required: false,
+            validate: value => isUintString(value) && Number(value) <= 100
+          }
+        }
       }
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message || '获取交易状态失败'
+
+    // 获取交易状态、确认数、收据、回滚原因及重试历史
+    this.get('/status/:hash', TransactionController.getTransactionStatus, {
+      validation: {
+        params: hashParams
+      }
+    });
+
+    // 广播外部签名的交易
+    this.post('/submit', TransactionController.submitTransaction, {
+      auth: true,
+      validation: {
+        body: {
+          rawTransaction: {
+            type: 'string',
+            required: true,
+            validate: value => /^0x[0-9a-fA-F]+$/.test(value)
+          }
+        }
+      }
+    });
+
+    // 重试失败或阻塞的交易
+    this.post('/:hash/retry', TransactionController.retryTransaction, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: hashParams
+      }
+    });
+
+    // 取消待处理的交易
+    this.post('/:hash/cancel', TransactionController.cancelTransaction, {
+      auth: true,
+      permissions: ['operator'],
+      validation: {
+        params: hashParams
+      }
     });
   }
-});
+}
+
+// 创建路由实例
+const transactionRouter = new TransactionRouter();
 
-module.exports = router; 
\ No newline at end of file
+module.exports = transactionRouter.getRouter();
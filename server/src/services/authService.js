@@ -0,0 +1,494 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+const roleManagerService = require('./roleManagerService');
+const { getAuthConfig } = require('../config');
+const { getServerDataPath } = require('../../../shared/utils/paths');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const { ROLE_PERMISSIONS } = require('../../../shared/contracts/constants');
+
+// API密钥记录文件，只保存密钥的SHA-256哈希
+const API_KEY_FILE = 'api-keys.json';
+
+// API密钥格式：rwa_<密钥ID>_<随机密文>
+const API_KEY_PATTERN = /^rwa_([0-9a-f]{16})_([0-9a-f]{48})$/;
+
+/**
+ * 认证服务
+ * 提供Sign-In-With-Ethereum钱包登录、JWT访问/刷新令牌和按操作员签发的API密钥。
+ * 身份的权限不在令牌或密钥中固化，而是根据账户在RoleManager合约中拥有的角色实时计算（短时缓存），
+ * 链上撤销角色后权限随之失效
+ */
+class AuthService {
+  constructor() {
+    this.config = getAuthConfig();
+    this.jwtSecret = this.config.jwtSecret || this._createEphemeralSecret();
+    this.apiKeyFile = path.join(process.env.SERVER_DATA_DIR || getServerDataPath(), API_KEY_FILE);
+
+    // 未使用的登录挑战：nonce -> { address, message, expiresAt }，每个地址只保留最新的一个
+    this.challenges = new Map();
+    // 地址的未使用挑战：地址 -> nonce
+    this.challengeNonces = new Map();
+    // 有效的刷新令牌：jti -> { address, expiresAt }
+    this.refreshTokens = new Map();
+    // 账户链上角色缓存：小写地址 -> { contractRoles, expiresAt }
+    this.roleCache = new Map();
+  }
+
+  /**
+   * 创建钱包登录挑战
+   * 每个地址只保留一个未使用的挑战，重新获取时替换旧挑战；未使用的挑战总数达到上限时返回429
+   * @param {string} address 钱包地址
+   * @returns {object} { address, nonce, message, issuedAt, expiresAt }
+   */
+  createChallenge(address) {
+    this._purgeExpired();
+
+    const account = ethers.utils.getAddress(address);
+    this._deleteChallenge(this.challengeNonces.get(account));
+    if (this.challenges.size >= this.config.maxChallenges) {
+      throw createError.tooManyRequests('登录挑战过多，请稍后再试');
+    }
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.config.nonceTtl * 1000);
+
+    const message = buildSiweMessage({
+      domain: this.config.siweDomain,
+      uri: this.config.siweUri,
+      chainId: this.config.chainId,
+      address: account,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    this.challenges.set(nonce, { address: account, message, expiresAt: expiresAt.getTime() });
+    this.challengeNonces.set(account, nonce);
+
+    return {
+      address: account,
+      nonce,
+      message,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * 使用签名后的登录消息登录
+   * 每个挑战只能使用一次，无论验证是否成功
+   * @param {string} message 挑战返回的原始消息
+   * @param {string} signature personal_sign签名
+   * @returns {Promise<object>} 令牌和身份信息
+   */
+  async login(message, signature) {
+    const match = /^Nonce: ([0-9a-f]+)$/m.exec(message);
+    const challenge = match ? this.challenges.get(match[1]) : null;
+    if (!challenge || challenge.message !== message) {
+      throw createError.unauthorized('登录消息无效或已被使用');
+    }
+    this._deleteChallenge(match[1]);
+
+    if (challenge.expiresAt <= Date.now()) {
+      throw createError.unauthorized('登录挑战已过期，请重新获取');
+    }
+
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+      throw createError.unauthorized('签名格式无效');
+    }
+    if (signer !== challenge.address) {
+      throw createError.unauthorized('签名与登录地址不匹配');
+    }
+
+    const user = await this.getWalletPrincipal(signer);
+    logger.info(`钱包登录成功 - address: ${signer}, roles: ${user.roles.join(',')}`);
+
+    return {
+      ...this._issueTokens(signer),
+      user
+    };
+  }
+
+  /**
+   * 使用刷新令牌换取新令牌
+   * 刷新令牌只能使用一次，换取后旧令牌失效
+   * @param {string} refreshToken 刷新令牌
+   * @returns {Promise<object>} 新的令牌和身份信息
+   */
+  async refresh(refreshToken) {
+    const payload = this._verifyToken(refreshToken, 'refresh');
+    if (!this.refreshTokens.has(payload.jti)) {
+      throw createError.unauthorized('刷新令牌无效或已被撤销');
+    }
+    this.refreshTokens.delete(payload.jti);
+
+    return {
+      ...this._issueTokens(payload.sub),
+      user: await this.getWalletPrincipal(payload.sub)
+    };
+  }
+
+  /**
+   * 撤销刷新令牌
+   * @param {string} refreshToken 刷新令牌
+   * @param {string} address 当前登录的钱包地址
+   * @returns {object} { revoked }
+   */
+  logout(refreshToken, address) {
+    const payload = this._verifyToken(refreshToken, 'refresh');
+    if (payload.sub !== address) {
+      throw createError.forbidden('不能撤销其他账户的刷新令牌');
+    }
+    return { revoked: this.refreshTokens.delete(payload.jti) };
+  }
+
+  /**
+   * 验证访问令牌
+   * @param {string} token JWT访问令牌
+   * @returns {Promise<object>} 身份信息
+   */
+  async authenticateAccessToken(token) {
+    const payload = this._verifyToken(token, 'access');
+    return this.getWalletPrincipal(payload.sub);
+  }
+
+  /**
+   * 验证API密钥
+   * 密钥的权限为其作用域与绑定操作员账户链上角色对应权限的交集
+   * @param {string} apiKey API密钥
+   * @returns {Promise<object>} 身份信息
+   */
+  async authenticateApiKey(apiKey) {
+    const match = API_KEY_PATTERN.exec(apiKey);
+    const record = match ? this._loadApiKeys()[match[1]] : null;
+    if (!record || !safeEqual(hashApiKey(apiKey), record.keyHash)) {
+      throw createError.unauthorized('无效的API密钥');
+    }
+    if (record.revokedAt) {
+      throw createError.unauthorized('API密钥已被撤销');
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw createError.unauthorized('API密钥已过期');
+    }
+
+    const contractRoles = await this.getContractRoles(record.address);
+    const permissions = getPermissions(contractRoles);
+
+    return {
+      authenticated: true,
+      type: 'apiKey',
+      id: `apiKey:${record.id}`,
+      keyId: record.id,
+      name: record.name,
+      address: record.address,
+      contractRoles,
+      scopes: record.scopes,
+      roles: record.scopes.filter(scope => permissions.includes(scope))
+    };
+  }
+
+  /**
+   * 获取钱包账户的身份信息
+   * @param {string} address 钱包地址
+   * @returns {Promise<object>} 身份信息
+   */
+  async getWalletPrincipal(address) {
+    const contractRoles = await this.getContractRoles(address);
+
+    return {
+      authenticated: true,
+      type: 'wallet',
+      id: address,
+      address,
+      contractRoles,
+      roles: getPermissions(contractRoles)
+    };
+  }
+
+  /**
+   * 获取账户在RoleManager中拥有的角色
+   * @param {string} address 账户地址
+   * @returns {Promise<Array<string>>} 角色名称列表
+   */
+  async getContractRoles(address) {
+    const key = address.toLowerCase();
+    const cached = this.roleCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.contractRoles;
+    }
+
+    let contractRoles;
+    try {
+      ({ roles: contractRoles } = await roleManagerService.getAccountRoles(address));
+    } catch (error) {
+      logger.error(`读取账户角色失败 - address: ${address}, error: ${error.message}`);
+      throw createError.serviceUnavailable('无法从RoleManager读取账户角色');
+    }
+
+    this.roleCache.set(key, { contractRoles, expiresAt: Date.now() + this.config.roleCacheTtl * 1000 });
+    return contractRoles;
+  }
+
+  /**
+   * 签发API密钥
+   * 明文密钥只在创建时返回一次
+   * @param {object} options 密钥选项
+   * @param {string} options.name 密钥名称
+   * @param {string} options.address 绑定的操作员账户地址
+   * @param {Array<string>} options.scopes 作用域
+   * @param {number} [options.expiresInDays] 有效天数，不传则不过期
+   * @param {string} createdBy 创建者身份ID
+   * @returns {object} 密钥记录和明文密钥
+   */
+  createApiKey({ name, address, scopes, expiresInDays }, createdBy) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const apiKey = `rwa_${id}_${crypto.randomBytes(24).toString('hex')}`;
+    const createdAt = new Date();
+
+    const record = {
+      id,
+      name,
+      address: ethers.utils.getAddress(address),
+      scopes: Array.from(new Set(scopes)),
+      createdBy,
+      createdAt: createdAt.toISOString(),
+      expiresAt: expiresInDays
+        ? new Date(createdAt.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      revokedAt: null,
+      keyHash: hashApiKey(apiKey)
+    };
+
+    const keys = this._loadApiKeys();
+    keys[id] = record;
+    this._saveApiKeys(keys);
+
+    logger.info(`签发API密钥 - id: ${id}, name: ${name}, address: ${record.address}, scopes: ${record.scopes.join(',')}`);
+    return { ...toPublicRecord(record), apiKey };
+  }
+
+  /**
+   * 获取所有API密钥（不含密钥哈希）
+   * @returns {Array<object>} 密钥记录列表，按创建时间排序
+   */
+  listApiKeys() {
+    return Object.values(this._loadApiKeys())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(toPublicRecord);
+  }
+
+  /**
+   * 撤销API密钥
+   * @param {string} id 密钥ID
+   * @returns {object} 密钥记录
+   */
+  revokeApiKey(id) {
+    const keys = this._loadApiKeys();
+    const record = keys[id];
+    if (!record) {
+      throw createError.notFound('API密钥不存在', { id });
+    }
+    if (record.revokedAt) {
+      throw createError.conflict('API密钥已被撤销', { id });
+    }
+
+    record.revokedAt = new Date().toISOString();
+    this._saveApiKeys(keys);
+
+    logger.info(`撤销API密钥 - id: ${id}`);
+    return toPublicRecord(record);
+  }
+
+  /**
+   * 签发访问令牌和刷新令牌
+   * @param {string} address 钱包地址
+   * @returns {object} 令牌信息
+   * @private
+   */
+  _issueTokens(address) {
+    const refreshId = crypto.randomBytes(16).toString('hex');
+
+    const accessToken = jwt.sign({ type: 'access' }, this.jwtSecret, {
+      subject: address,
+      expiresIn: this.config.accessTokenTtl
+    });
+    const refreshToken = jwt.sign({ type: 'refresh' }, this.jwtSecret, {
+      subject: address,
+      jwtid: refreshId,
+      expiresIn: this.config.refreshTokenTtl
+    });
+
+    this.refreshTokens.set(refreshId, {
+      address,
+      expiresAt: Date.now() + this.config.refreshTokenTtl * 1000
+    });
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      accessTokenExpiresIn: this.config.accessTokenTtl,
+      refreshToken,
+      refreshTokenExpiresIn: this.config.refreshTokenTtl
+    };
+  }
+
+  /**
+   * 验证JWT令牌
+   * @param {string} token 令牌
+   * @param {string} type 令牌类型：access | refresh
+   * @returns {object} 令牌载荷
+   * @private
+   */
+  _verifyToken(token, type) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      throw createError.unauthorized(error.name === 'TokenExpiredError' ? '令牌已过期' : '令牌无效');
+    }
+
+    if (payload.type !== type) {
+      throw createError.unauthorized('令牌类型不正确');
+    }
+    return payload;
+  }
+
+  /**
+   * 清理过期的登录挑战和刷新令牌
+   * @private
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt <= now) {
+        this._deleteChallenge(nonce);
+      }
+    }
+    for (const [jti, token] of this.refreshTokens) {
+      if (token.expiresAt <= now) {
+        this.refreshTokens.delete(jti);
+      }
+    }
+  }
+
+  /**
+   * 删除登录挑战及其地址索引
+   * @param {string} [nonce] 挑战nonce
+   * @private
+   */
+  _deleteChallenge(nonce) {
+    const challenge = nonce && this.challenges.get(nonce);
+    if (!challenge) {
+      return;
+    }
+    this.challenges.delete(nonce);
+    if (this.challengeNonces.get(challenge.address) === nonce) {
+      this.challengeNonces.delete(challenge.address);
+    }
+  }
+
+  /**
+   * 生成进程内临时JWT密钥
+   * 生产环境必须配置JWT_SECRET，否则多实例之间和重启后令牌无法验证
+   * @returns {string} 临时密钥
+   * @private
+   */
+  _createEphemeralSecret() {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be configured in production');
+    }
+    logger.warn('未配置JWT_SECRET，使用临时密钥，服务重启后已签发的令牌将失效');
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * 读取API密钥记录
+   * @returns {object} 密钥ID到记录的映射
+   * @private
+   */
+  _loadApiKeys() {
+    if (!fs.existsSync(this.apiKeyFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.apiKeyFile, 'utf8'));
+  }
+
+  /**
+   * 保存API密钥记录
+   * @param {object} keys 密钥ID到记录的映射
+   * @private
+   */
+  _saveApiKeys(keys) {
+    fs.mkdirSync(path.dirname(this.apiKeyFile), { recursive: true });
+    fs.writeFileSync(this.apiKeyFile, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  }
+}
+
+/**
+ * 构建EIP-4361（Sign-In-With-Ethereum）登录消息
+ * @param {object} fields 消息字段
+ * @returns {string} 登录消息
+ */
+function buildSiweMessage({ domain, uri, chainId, address, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to the Japan RWA platform.',
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+/**
+ * 根据RoleManager角色计算API权限
+ * @param {Array<string>} contractRoles 角色名称列表
+ * @returns {Array<string>} 权限列表
+ */
+function getPermissions(contractRoles) {
+  return Array.from(new Set(contractRoles.flatMap(role => ROLE_PERMISSIONS[role] || [])));
+}
+
+/**
+ * 计算API密钥哈希
+ * @param {string} apiKey API密钥
+ * @returns {string} SHA-256哈希
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * 常量时间比较两个十六进制字符串
+ * @param {string} a 字符串a
+ * @param {string} b 字符串b
+ * @returns {boolean} 是否相等
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * 去除密钥哈希后的API密钥记录
+ * @param {object} record 密钥记录
+ * @returns {object} 可返回给调用方的记录
+ */
+function toPublicRecord(record) {
+  const publicRecord = { ...record };
+  delete publicRecord.keyHash;
+  return publicRecord;
+}
+
+module.exports = new AuthService();
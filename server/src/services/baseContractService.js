@@ -1,39 +1,20 @@
 const { ethers } = require('ethers');
 const { getContractAddresses } = require('../../../shared/config/contracts');
-const { getProvider, getSigner } = require('../../../shared/utils/blockchain');
+const { getProvider } = require('../../../shared/utils/blockchain');
 const { getAbi } = require('../../../shared/utils/getAbis');
 const logger = require('../utils/logger');
-const { ApiError } = require('../middlewares/errorHandler');
+const { ApiError } = require('../../../shared/utils/errors');
 const { getContractAddress, getContractAbi } = require('../../../shared/utils/paths');
+const keyManager = require('../config/keyManager');
+const { operationRoles } = require('../config');
+const { transactionQueue } = require('../utils/transactionQueue');
+const { getUnsignedContext } = require('../utils/unsignedContext');
+const { cache, invalidateReceipt } = require('../utils/cacheManager');
+const metricsService = require('./metricsService');
 
 // 更改为强制禁用模拟模式
 const USE_MOCK = false;
 
-// 操作权限配置 - 定义每种操作需要的角色
-const operationRoles = {
-  // 房产管理
-  registerProperty: 'operator',
-  updateProperty: 'operator',
-  deleteProperty: 'operator',
-  
-  // 代币管理
-  mintToken: 'operator',
-  burnToken: 'operator',
-  transferToken: 'operator',
-  
-  // 赎回管理
-  createRedemption: 'operator',
-  approveRedemption: 'operator',
-  rejectRedemption: 'operator',
-  executeRedemption: 'operator',
-  
-  // 租金分配
-  createDistribution: 'operator',
-  distributeRent: 'operator',
-  claimRent: 'user',
-  liquidateUnclaimedRent: 'operator'
-};
-
 /**
  * 基础合约服务类
  * 提供通用的合约交互功能
@@ -50,6 +31,7 @@ class BaseContractService {
     this.provider = null;
     this.signer = null;
     this.contract = null;
+    this.blockTimestamps = new Map();
     this._useMock = USE_MOCK;
     
     if (this._useMock) {
@@ -85,13 +67,27 @@ class BaseContractService {
     }
   }
   
+  /**
+   * 确保合约已初始化
+   * 首次调用时连接共享provider，默认签名者为KeyManager中的operator
+   * @returns {Promise<void>}
+   */
+  async ensureInitialized() {
+    if (this.contract || this._useMock) {
+      return;
+    }
+    
+    const provider = await getProvider();
+    await this.initialize(provider, keyManager.getSigner('operator', provider));
+  }
+  
   /**
    * 获取合约地址
    * @returns {Promise<string>} 合约地址
    */
   async getContractAddress() {
     try {
-      const address = await getContractAddress(this.addressKey);
+      const address = getContractAddresses()[this.addressKey] || await getContractAddress(this.addressKey);
       if (!address) {
         if (this._useMock) {
           // 在模拟模式下，返回一个假地址
@@ -115,7 +111,15 @@ class BaseContractService {
    */
   async getContractAbi() {
     try {
-      const abi = await getContractAbi(this.contractName);
+      let abi = await getContractAbi(this.contractName);
+      if (!abi) {
+        // 构建产物不存在时使用共享ABI
+        try {
+          abi = getAbi(this.contractName);
+        } catch (error) {
+          abi = null;
+        }
+      }
       if (!abi) {
         if (this._useMock) {
           // 在模拟模式下，返回一个简单的 ABI
@@ -149,11 +153,28 @@ class BaseContractService {
     return this.contract;
   }
   
+  /**
+   * 获取用于关键读取的合约实例
+   * provider为RPC节点池时连接到要求法定数量节点结果一致的provider
+   * @returns {ethers.Contract} 合约实例
+   */
+  getCriticalReadContract() {
+    const contract = this.getContract();
+    if (!this.provider || typeof this.provider.forCriticalReads !== 'function') {
+      return contract;
+    }
+    
+    const provider = this.provider.forCriticalReads();
+    return provider === this.provider ? contract : contract.connect(provider);
+  }
+  
   /**
    * 获取带签名者的合约实例
+   * @param {string} [operationName] 操作名称，用于从KeyManager选择对应角色的签名者
+   * @param {string} [role] 指定签名角色，优先于操作名称对应的角色
    * @returns {ethers.Contract} 带签名者的合约实例
    */
-  getContractWithSigner() {
+  getContractWithSigner(operationName, role) {
     if (this._useMock) {
       // 在模拟模式下，返回模拟合约实例
       return this._getMockContract();
@@ -163,6 +184,11 @@ class BaseContractService {
       throw new ApiError(500, '合约或签名者未初始化');
     }
     
+    const signerRole = role || operationRoles[operationName];
+    if (signerRole) {
+      return this.contract.connect(keyManager.getSigner(signerRole, this.provider));
+    }
+    
     return this.contract.connect(this.signer);
   }
   
@@ -186,6 +212,14 @@ class BaseContractService {
       logger.info(`Waiting for transaction ${tx.hash} to be confirmed...`);
       const receipt = await tx.wait(confirmations);
       logger.info(`Transaction ${tx.hash} confirmed in block ${receipt.blockNumber}`);
+      
+      // 使交易事件影响的缓存失效，之后的读取能看到本次写入的结果
+      try {
+        await invalidateReceipt(receipt);
+      } catch (error) {
+        logger.warn(`缓存失效失败 - txHash: ${tx.hash}, error: ${error.message}`);
+      }
+      
       return receipt;
     } catch (error) {
       logger.error(`Transaction ${tx.hash} failed: ${error.message}`);
@@ -199,6 +233,9 @@ class BaseContractService {
    * @param {Array} args 方法参数
    * @param {object} options 选项
    * @param {string} options.operationName 操作名称，用于确定使用哪个角色
+   * @param {string} [options.role] 指定签名角色，优先于操作名称对应的角色
+   * @param {ethers.Contract} [options.contract] 目标合约，默认为本服务的合约（例如对ERC20代币授权）
+   * @param {string} [options.contractName] 目标合约名称，用于指标和交易跟踪
    * @param {number} options.gasLimit Gas限制
    * @param {ethers.BigNumber} options.value 发送的以太币数量
    * @returns {Promise<ethers.providers.TransactionReceipt>} 交易收据
@@ -214,8 +251,19 @@ class BaseContractService {
       };
     }
     
+    // 未签名模式下只构建交易，由外部签名后广播
+    if (getUnsignedContext()) {
+      await this.ensureInitialized();
+      return this.prepareWrite(options.contract || this.contract, methodName, args, options);
+    }
+    
     try {
-      const contract = this.getContractWithSigner();
+      await this.ensureInitialized();
+      const { operationName, role, confirmations, contract: target, contractName: targetName, ...overrides } = options;
+      const contractName = targetName || this.contractName;
+      const contract = target
+        ? target.connect(keyManager.getSigner(role || operationRoles[operationName] || 'operator', this.provider))
+        : this.getContractWithSigner(operationName, role);
       logger.info(`Executing write method ${methodName} with args:`, args);
       
       if (!contract[methodName]) {
@@ -226,15 +274,29 @@ class BaseContractService {
       logger.info(`Current gas price: ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei`);
       
       const txOptions = {
-        gasLimit: options.gasLimit || 3000000,
+        gasLimit: overrides.gasLimit || 3000000,
         gasPrice: gasPrice.mul(12).div(10),
-        ...options
+        ...overrides
       };
       
-      const tx = await contract[methodName](...args, txOptions);
-      logger.info(`Write method ${methodName} transaction sent: ${tx.hash}`);
-      
-      const receipt = await this.waitForTransaction(tx, options.confirmations);
+      const receipt = await metricsService.trackContractCall(contractName, methodName, 'write', async () => {
+        const tx = await contract[methodName](...args, txOptions);
+        logger.info(`Write method ${methodName} transaction sent: ${tx.hash}`);
+        
+        // 纳入交易队列跟踪，跟踪失败不影响交易本身
+        try {
+          await transactionQueue.track(tx, {
+            role: role || operationRoles[operationName] || 'operator',
+            contractName,
+            method: methodName,
+            args
+          });
+        } catch (error) {
+          logger.warn(`交易跟踪失败 - txHash: ${tx.hash}, error: ${error.message}`);
+        }
+        
+        return this.waitForTransaction(tx, confirmations);
+      });
       logger.info(`Write method ${methodName} completed successfully`);
       
       return receipt;
@@ -259,13 +321,139 @@ class BaseContractService {
     }
   }
   
+  /**
+   * 获取写操作的发送地址
+   * 未签名模式下为外部签名账户（未指定时为服务端账户），否则为KeyManager中对应角色的地址
+   * @param {string} [operationName] 操作名称
+   * @param {string} [role] 指定签名角色
+   * @returns {Promise<string>} 发送地址
+   */
+  async getSenderAddress(operationName, role) {
+    const context = getUnsignedContext();
+    if (context && context.from) {
+      return context.from;
+    }
+    
+    const signerRole = role || operationRoles[operationName];
+    if (signerRole) {
+      return keyManager.getAddress(signerRole);
+    }
+    
+    await this.ensureInitialized();
+    return this.signer.getAddress();
+  }
+  
+  /**
+   * 查找账户对应的KeyManager角色
+   * 用于判断服务端能否代表该账户签名（例如投资者自身发起的操作）
+   * @param {string} account 账户地址
+   * @returns {string|null} 角色名称，服务端不持有该账户私钥时返回null
+   */
+  getManagedRole(account) {
+    return keyManager.getAvailableRoles().find(role =>
+      keyManager.getAddress(role).toLowerCase() === account.toLowerCase()
+    ) || null;
+  }
+  
+  /**
+   * 构建未签名交易
+   * 交易记录到当前请求的未签名模式上下文中，同一请求内的多笔交易按顺序分配nonce提示
+   * @param {ethers.Contract} contract 合约实例
+   * @param {string} methodName 方法名称
+   * @param {Array} args 方法参数
+   * @param {object} options 选项，与executeWrite相同
+   * @param {string} [options.from] 发送地址，不传时由getSenderAddress确定
+   * @returns {Promise<object>} 模拟的交易收据，unsigned为true，不包含事件
+   */
+  async prepareWrite(contract, methodName, args = [], options = {}) {
+    const context = getUnsignedContext();
+    const { operationName, role, value } = options;
+    
+    if (!contract[methodName]) {
+      throw new ApiError(500, `合约方法不存在 - method: ${methodName}`);
+    }
+    
+    const from = options.from || await this.getSenderAddress(operationName, role);
+    const data = contract.interface.encodeFunctionData(methodName, args);
+    const txValue = ethers.BigNumber.from(value || 0);
+    
+    if (!context.nonces.has(from)) {
+      context.nonces.set(from, await this.provider.getTransactionCount(from, 'pending'));
+    }
+    const nonce = context.nonces.get(from);
+    context.nonces.set(from, nonce + 1);
+    
+    const { chainId } = await this.provider.getNetwork();
+    const gasPrice = await this.provider.getGasPrice();
+    
+    // 依赖同一请求中前序交易的操作（例如授权后的转账）在链上执行前无法预估gas
+    let gasLimit = null;
+    let estimateError = null;
+    try {
+      gasLimit = (await this.provider.estimateGas({ from, to: contract.address, data, value: txValue })).toString();
+    } catch (error) {
+      estimateError = error.reason || error.message;
+      logger.warn(`预估gas失败 - method: ${methodName}, error: ${estimateError}`);
+    }
+    
+    const transaction = {
+      contractName: contract === this.contract ? this.contractName : null,
+      method: methodName,
+      args: args.map(arg => (ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg)),
+      from,
+      to: contract.address,
+      data,
+      value: txValue.toString(),
+      chainId,
+      nonce,
+      gasLimit,
+      gasPrice: gasPrice.toString(),
+      estimateError
+    };
+    context.transactions.push(transaction);
+    logger.info(`已构建未签名交易 - method: ${methodName}, from: ${from}, nonce: ${nonce}`);
+    
+    return {
+      unsigned: true,
+      transactionHash: null,
+      blockNumber: null,
+      status: null,
+      events: [],
+      transaction
+    };
+  }
+  
+  /**
+   * 获取区块时间
+   * @param {number|null} blockNumber 区块号
+   * @returns {Promise<string|null>} ISO格式时间
+   */
+  async getBlockTime(blockNumber) {
+    if (blockNumber === null) {
+      return null;
+    }
+    
+    if (!this.blockTimestamps.has(blockNumber)) {
+      await this.ensureInitialized();
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) {
+        return null;
+      }
+      this.blockTimestamps.set(blockNumber, block.timestamp);
+    }
+    
+    return new Date(this.blockTimestamps.get(blockNumber) * 1000).toISOString();
+  }
+  
   /**
    * 执行合约只读操作
    * @param {string} methodName 方法名称
    * @param {Array} args 方法参数
+   * @param {object} [options] 选项
+   * @param {boolean} [options.critical] 关键读取，配置了RPC法定数量（RPC_QUORUM）时要求多个节点结果一致
    * @returns {Promise<any>} 方法返回值
    */
-  async executeRead(methodName, args = []) {
+  async executeRead(methodName, args = [], options = {}) {
     if (this._useMock) {
       // 在模拟模式下，返回模拟数据
       logger.info(`[模拟] 执行读取方法 ${methodName} 参数:`, args);
@@ -273,14 +461,20 @@ class BaseContractService {
     }
     
     try {
-      const contract = this.getContract();
+      await this.ensureInitialized();
+      const contract = options.critical ? this.getCriticalReadContract() : this.getContract();
       logger.info(`Executing read method ${methodName} with args:`, args);
       
       if (!contract[methodName]) {
         throw new ApiError(500, `合约方法不存在 - method: ${methodName}`);
       }
       
-      const result = await contract[methodName](...args);
+      const result = await metricsService.trackContractCall(
+        this.contractName,
+        methodName,
+        'read',
+        () => contract[methodName](...args)
+      );
       logger.info(`Read method ${methodName} completed successfully`);
       
       return result;
@@ -297,6 +491,31 @@ class BaseContractService {
     }
   }
   
+  /**
+   * 读取并缓存结果
+   * 缓存键由合约名称、合约地址、方法名和参数组成，条目通过标签在相关合约事件发生后失效
+   * @param {string} name 读取名称，通常为服务方法名
+   * @param {Array} args 参数，需可JSON序列化
+   * @param {Function} loader 未命中时的读取函数，结果需可JSON序列化
+   * @param {object} [options] 选项
+   * @param {number} [options.ttl] 过期时间（秒）
+   * @param {Array<string>|Function} [options.tags] 缓存标签，或根据结果返回标签的函数
+   * @returns {Promise<any>} 读取结果
+   */
+  cachedRead(name, args, loader, options = {}) {
+    const key = `${this.contractName}:${this.getCacheScope()}:${name}:${JSON.stringify(args)}`;
+    return cache.wrap(key, loader, options);
+  }
+  
+  /**
+   * 缓存键中区分合约实例的部分
+   * @returns {string} 合约地址，未配置时为地址配置键名
+   */
+  getCacheScope() {
+    const address = getContractAddresses()[this.addressKey];
+    return address ? address.toLowerCase() : this.addressKey;
+  }
+  
   /**
    * 获取模拟合约
    * @returns {Object} 模拟合约
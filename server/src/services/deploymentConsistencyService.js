@@ -0,0 +1,65 @@
+const { getProvider } = require('../../../shared/utils/blockchain');
+const { checkDeploymentConsistency } = require('../../../shared/utils/deploymentConsistency');
+const logger = require('../utils/logger');
+
+/**
+ * 部署一致性服务
+ * 启动时在后台检查ABI、合约地址和链上部署是否一致，保留最近一次的报告
+ */
+class DeploymentConsistencyService {
+  constructor() {
+    this.report = null;
+    this.running = null;
+  }
+
+  /**
+   * 执行一次检查，同时只会有一次检查在进行
+   * @returns {Promise<object>} 一致性报告
+   */
+  run() {
+    if (!this.running) {
+      this.running = this._check().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * 获取一致性报告
+   * @param {object} [options] 选项
+   * @param {boolean} [options.refresh] 是否重新检查
+   * @returns {Promise<object>} 一致性报告
+   */
+  async getReport({ refresh = false } = {}) {
+    if (refresh || !this.report) {
+      return this.run();
+    }
+    return this.report;
+  }
+
+  /**
+   * 检查并记录结果
+   * @returns {Promise<object>} 一致性报告
+   * @private
+   */
+  async _check() {
+    let provider = null;
+    try {
+      provider = await getProvider();
+    } catch (error) {
+      logger.warn(`无法连接区块链，部署一致性检查只比较本地文件 - error: ${error.message}`);
+    }
+
+    const report = await checkDeploymentConsistency({ provider });
+    this.report = report;
+
+    for (const mismatch of report.mismatches) {
+      logger.warn(`部署不一致 [${mismatch.type}] ${mismatch.message}`);
+    }
+    logger.info(`部署一致性检查完成 - mismatches: ${report.mismatches.length}, warnings: ${report.warnings.length}`);
+    return report;
+  }
+}
+
+module.exports = new DeploymentConsistencyService();
@@ -0,0 +1,327 @@
+const { ethers } = require('ethers');
+const BaseContractService = require('./baseContractService');
+const roleManagerService = require('./roleManagerService');
+const EventStore = require('../../../shared/utils/eventStore');
+const { getMonitorDataPath } = require('../../../shared/utils/paths');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const { FEE_TYPES } = require('../../../shared/contracts/constants');
+
+// 费率基数：calculateFee 按 amount * fee / 10000 计算
+const BASIS_POINTS = 10000;
+
+/**
+ * 收入报表统计的费用事件
+ * FeeCollected不包含代币地址，stablecoin为null
+ */
+const REVENUE_EVENTS = [
+  { contractName: 'FeeManager', eventName: 'FeeCollected' },
+  { contractName: 'Marketplace', eventName: 'TradingFeeCollected', feeType: 'TRADING' },
+  { contractName: 'RedemptionManager', eventName: 'RedemptionFeeCollected', feeType: 'REDEMPTION' }
+];
+
+/**
+ * 费用管理服务
+ * 负责与FeeManager合约交互，收入报表基于监控服务索引的费用事件构建
+ */
+class FeeManagerService extends BaseContractService {
+  constructor() {
+    super('FeeManager', 'feeManager');
+    this.eventStore = new EventStore(process.env.MONITOR_DATA_DIR || getMonitorDataPath(), { readOnly: true });
+  }
+
+  /**
+   * 获取当前费率表
+   * @returns {Promise<object>} { fees, maxFee, feeCollector }
+   */
+  async getFeeSchedule() {
+    const [fees, maxFee, feeCollector] = await Promise.all([
+      this.executeRead('getAllFees'),
+      this.executeRead('MAX_FEE'),
+      this.executeRead('feeCollector')
+    ]);
+
+    return {
+      fees: FEE_TYPES.map((feeType, index) => ({
+        feeType,
+        basisPoints: fees[index].toNumber(),
+        percentage: toPercentage(fees[index])
+      })),
+      maxFee: {
+        basisPoints: maxFee.toNumber(),
+        percentage: toPercentage(maxFee)
+      },
+      feeCollector
+    };
+  }
+
+  /**
+   * 预览指定金额的费用
+   * @param {string} amount 金额（最小单位）
+   * @param {string} feeType 费用类型
+   * @returns {Promise<object>} { feeType, amount, basisPoints, percentage, fee, netAmount }
+   */
+  async previewFee(amount, feeType) {
+    const [fee, fees] = await Promise.all([
+      this.executeRead('calculateFee', [amount, getFeeTypeIndex(feeType)]),
+      this.executeRead('getAllFees')
+    ]);
+    const basisPoints = fees[getFeeTypeIndex(feeType)];
+
+    return {
+      feeType,
+      amount: String(amount),
+      basisPoints: basisPoints.toNumber(),
+      percentage: toPercentage(basisPoints),
+      fee: fee.toString(),
+      netAmount: ethers.BigNumber.from(amount).sub(fee).toString()
+    };
+  }
+
+  /**
+   * 更新费率
+   * @param {string} feeType 费用类型
+   * @param {number} basisPoints 新费率（基点）
+   * @returns {Promise<object>} { receipt, oldValue, newValue }
+   */
+  async updateFee(feeType, basisPoints) {
+    try {
+      const maxFee = await this.executeRead('MAX_FEE');
+      if (maxFee.lt(basisPoints)) {
+        throw createError.unprocessableEntity(`费率不能超过 ${maxFee.toString()} 基点`, {
+          feeType,
+          basisPoints,
+          maxFee: maxFee.toNumber()
+        });
+      }
+      await this._ensureSuperAdmin('updateFee');
+
+      logger.info(`更新费率 - feeType: ${feeType}, basisPoints: ${basisPoints}`);
+      const receipt = await this.executeWrite(
+        'updateFee',
+        [getFeeTypeIndex(feeType), basisPoints],
+        { operationName: 'updateFee' }
+      );
+
+      const event = (receipt.events || []).find(e => e.event === 'FeeUpdated');
+
+      logger.info(`费率更新成功 - feeType: ${feeType}, txHash: ${receipt.transactionHash}`);
+      return {
+        receipt,
+        oldValue: event ? event.args.oldValue.toNumber() : null,
+        newValue: basisPoints
+      };
+    } catch (error) {
+      logger.error(`更新费率失败 - feeType: ${feeType}, error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 更新费用收集地址
+   * @param {string} feeCollector 新的费用收集地址
+   * @returns {Promise<object>} 交易收据
+   */
+  async updateFeeCollector(feeCollector) {
+    try {
+      await this._ensureSuperAdmin('updateFeeCollector');
+
+      logger.info(`更新费用收集地址 - feeCollector: ${feeCollector}`);
+      const receipt = await this.executeWrite(
+        'updateFeeCollector',
+        [feeCollector],
+        { operationName: 'updateFeeCollector' }
+      );
+
+      logger.info(`费用收集地址更新成功 - txHash: ${receipt.transactionHash}`);
+      return receipt;
+    } catch (error) {
+      logger.error(`更新费用收集地址失败 - error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取收入报表
+   * 按费用类型、稳定币和周期汇总FeeCollected、TradingFeeCollected和RedemptionFeeCollected事件
+   * @param {object} [options] 查询选项
+   * @param {string} [options.period='month'] 汇总周期：day | month | quarter
+   * @param {string} [options.from] 起始时间（ISO格式，包含）
+   * @param {string} [options.to] 结束时间（ISO格式，不包含）
+   * @param {string} [options.feeType] 费用类型
+   * @param {string} [options.stablecoin] 稳定币地址
+   * @returns {Promise<object>} 收入报表
+   */
+  async getRevenueReport(options = {}) {
+    const { period = 'month', feeType } = options;
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : null;
+    const stablecoin = options.stablecoin ? options.stablecoin.toLowerCase() : null;
+
+    const indexedToBlock = this._getIndexedBlocks();
+
+    const records = [];
+    for (const source of REVENUE_EVENTS) {
+      const events = this.eventStore.query({ contractName: source.contractName, eventName: source.eventName });
+      for (const event of events) {
+        const record = toRevenueRecord(source, event);
+        if (feeType && record.feeType !== feeType) continue;
+        if (stablecoin && (record.stablecoin || '').toLowerCase() !== stablecoin) continue;
+
+        const timestamp = await this.getBlockTime(event.blockNumber);
+        const time = new Date(timestamp);
+        if ((from && time < from) || (to && time >= to)) continue;
+
+        records.push({ ...record, timestamp, period: getPeriodKey(time, period) });
+      }
+    }
+
+    const periods = new Map();
+    for (const record of records) {
+      if (!periods.has(record.period)) {
+        periods.set(record.period, []);
+      }
+      periods.get(record.period).push(record);
+    }
+
+    return {
+      period,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      indexedToBlock,
+      finalizedBlock: this.eventStore.getFinalizedBlock(),
+      totals: summarize(records),
+      periods: Array.from(periods.keys()).sort().map(key => ({
+        period: key,
+        items: summarize(periods.get(key))
+      }))
+    };
+  }
+
+  /**
+   * 获取费用相关合约的索引进度
+   * @returns {object} 合约名称到已索引区块的映射，未索引的合约为null
+   * @private
+   */
+  _getIndexedBlocks() {
+    this.eventStore.refresh();
+    const checkpoints = Object.values(this.eventStore.getCheckpoints());
+
+    const indexed = {};
+    for (const { contractName } of REVENUE_EVENTS) {
+      const checkpoint = checkpoints.find(item => item.contractName === contractName);
+      indexed[contractName] = checkpoint ? checkpoint.blockNumber : null;
+    }
+
+    if (Object.values(indexed).every(blockNumber => blockNumber === null)) {
+      throw createError.serviceUnavailable('费用相关合约尚未被事件索引收录');
+    }
+    return indexed;
+  }
+
+  /**
+   * 确保签名账户拥有SUPER_ADMIN角色
+   * @param {string} operationName 操作名称，用于确定签名账户
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureSuperAdmin(operationName) {
+    const sender = await this.getSenderAddress(operationName);
+    if (!(await roleManagerService.hasRole('SUPER_ADMIN', sender))) {
+      throw createError.forbidden('签名账户没有 SUPER_ADMIN 角色，无法修改费用设置', { sender });
+    }
+  }
+}
+
+/**
+ * 获取费用类型的枚举值
+ * @param {string} feeType 费用类型
+ * @returns {number} 枚举值
+ */
+function getFeeTypeIndex(feeType) {
+  return FEE_TYPES.indexOf(feeType);
+}
+
+/**
+ * 基点转换为百分比
+ * @param {ethers.BigNumber|number} basisPoints 基点
+ * @returns {string} 百分比字符串，保留2位小数
+ */
+function toPercentage(basisPoints) {
+  return (Number(basisPoints.toString()) * 100 / BASIS_POINTS).toFixed(2);
+}
+
+/**
+ * 将费用事件转换为收入记录
+ * @param {object} source 事件来源配置
+ * @param {object} event 索引的事件
+ * @returns {object} { feeType, stablecoin, amount, source, blockNumber, transactionHash }
+ */
+function toRevenueRecord(source, event) {
+  const { args } = event;
+
+  if (source.eventName === 'FeeCollected') {
+    return {
+      feeType: FEE_TYPES[Number(args.feeType)] || String(args.feeType),
+      stablecoin: null,
+      amount: String(args.amount),
+      source: source.contractName,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash
+    };
+  }
+
+  return {
+    feeType: source.feeType,
+    stablecoin: args.feeToken,
+    amount: String(args.feeAmount),
+    source: source.contractName,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash
+  };
+}
+
+/**
+ * 获取时间所属的周期
+ * @param {Date} time 时间
+ * @param {string} period 汇总周期
+ * @returns {string} 周期标识，例如 2025-03-25、2025-03、2025-Q1（UTC）
+ */
+function getPeriodKey(time, period) {
+  const iso = time.toISOString();
+  if (period === 'day') {
+    return iso.slice(0, 10);
+  }
+  if (period === 'quarter') {
+    return `${time.getUTCFullYear()}-Q${Math.floor(time.getUTCMonth() / 3) + 1}`;
+  }
+  return iso.slice(0, 7);
+}
+
+/**
+ * 按费用类型和稳定币汇总收入记录
+ * @param {Array<object>} records 收入记录
+ * @returns {Array<object>} [{ feeType, stablecoin, amount, count }]
+ */
+function summarize(records) {
+  const groups = new Map();
+
+  for (const record of records) {
+    const key = `${record.feeType}:${record.stablecoin || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        feeType: record.feeType,
+        stablecoin: record.stablecoin,
+        amount: ethers.BigNumber.from(0),
+        count: 0
+      });
+    }
+    const group = groups.get(key);
+    group.amount = group.amount.add(record.amount);
+    group.count += 1;
+  }
+
+  return Array.from(groups.values()).map(group => ({ ...group, amount: group.amount.toString() }));
+}
+
+module.exports = new FeeManagerService();
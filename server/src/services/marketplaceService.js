@@ -0,0 +1,323 @@
+const { ethers } = require('ethers');
+const BaseContractService = require('./baseContractService');
+const roleManagerService = require('./roleManagerService');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const { ERC20_ABI } = require('../../../shared/contracts/constants');
+
+/**
+ * 订单状态 (与Marketplace.OrderStatus保持一致)
+ */
+const ORDER_STATUS = ['active', 'fulfilled', 'cancelled'];
+
+// 列表扫描时每批读取的订单数量
+const ORDER_SCAN_BATCH = 50;
+
+/**
+ * 交易市场服务
+ * 负责与Marketplace合约交互
+ */
+class MarketplaceService extends BaseContractService {
+  constructor() {
+    super('Marketplace', 'marketplace');
+  }
+
+  /**
+   * 获取订单总数
+   * @returns {Promise<number>} 订单总数
+   */
+  async getOrderCount() {
+    const count = await this.executeRead('orderCount');
+    return Number(count);
+  }
+
+  /**
+   * 获取订单详情
+   * @param {number|string} orderId 订单ID
+   * @returns {Promise<object|null>} 订单详情，不存在时返回null
+   */
+  async getOrder(orderId) {
+    try {
+      const data = await this.executeRead('getOrder', [orderId]);
+
+      // 未创建的订单卖家为零地址
+      if (data.seller === ethers.constants.AddressZero) {
+        return null;
+      }
+
+      return this._formatOrder(orderId, data);
+    } catch (error) {
+      logger.error(`获取订单失败 - orderId: ${orderId}, error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取活跃订单列表
+   * 按订单ID顺序分批读取，凑满当前页并多找到一条后即停止扫描，不再逐个加载全部订单。
+   * 扫描到末尾时才能得知符合条件的总数，否则total为null
+   * @param {object} [filters] 过滤条件
+   * @param {string} [filters.tokenAddress] 代币地址
+   * @param {string} [filters.seller] 卖家地址
+   * @param {string} [filters.stablecoin] 稳定币地址
+   * @param {number} [filters.page=1] 页码
+   * @param {number} [filters.limit=10] 每页数量
+   * @returns {Promise<object>} 分页结果 { items, total, hasMore, page, limit }
+   */
+  async getActiveOrders(filters = {}) {
+    try {
+      const page = Number(filters.page) || 1;
+      const limit = Number(filters.limit) || 10;
+      const start = (page - 1) * limit;
+      const end = start + limit;
+
+      // 指定卖家时直接使用合约提供的索引，否则按ID遍历订单
+      let sellerOrderIds = null;
+      let count;
+      if (filters.seller) {
+        const ids = await this.executeRead('getSellerActiveOrders', [filters.seller]);
+        sellerOrderIds = ids.map(id => id.toString());
+        count = sellerOrderIds.length;
+      } else {
+        count = await this.getOrderCount();
+      }
+
+      const matched = [];
+      let position = 0;
+
+      while (matched.length <= end && position < count) {
+        const size = Math.min(ORDER_SCAN_BATCH, count - position);
+        const ids = sellerOrderIds
+          ? sellerOrderIds.slice(position, position + size)
+          : Array.from({ length: size }, (_, i) => String(position + i + 1));
+        const orders = await Promise.all(ids.map(id => this.getOrder(id)));
+        position += size;
+
+        matched.push(...orders.filter(order => {
+          if (!order || order.status !== 'active') return false;
+          if (filters.tokenAddress && !sameAddress(order.tokenAddress, filters.tokenAddress)) return false;
+          if (filters.stablecoin && !sameAddress(order.stablecoin, filters.stablecoin)) return false;
+          return true;
+        }));
+      }
+
+      return {
+        items: matched.slice(start, end),
+        total: position >= count ? matched.length : null,
+        hasMore: matched.length > end,
+        page,
+        limit
+      };
+    } catch (error) {
+      logger.error(`获取活跃订单失败: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 检查稳定币是否被支持
+   * @param {string} stablecoin 稳定币地址
+   * @returns {Promise<boolean>} 是否支持
+   */
+  async isStablecoinSupported(stablecoin) {
+    return this.executeRead('isStablecoinSupported', [stablecoin]);
+  }
+
+  /**
+   * 创建卖单
+   * 签名者需持有足够的代币，授权不足时自动授权给市场合约
+   * @param {string} tokenAddress 代币地址
+   * @param {string} tokenAmount 代币数量（最小单位）
+   * @param {string} price 价格（稳定币最小单位）
+   * @param {string} stablecoin 支付的稳定币地址
+   * @returns {Promise<object>} { receipt, orderId }
+   */
+  async createOrder(tokenAddress, tokenAmount, price, stablecoin) {
+    try {
+      const supported = await this.isStablecoinSupported(stablecoin);
+      if (!supported) {
+        throw createError.badRequest('不支持的稳定币地址', { stablecoin });
+      }
+
+      await this._ensureAllowance(tokenAddress, tokenAmount, 'createOrder');
+
+      const receipt = await this.executeWrite(
+        'createOrder',
+        [tokenAddress, tokenAmount, price, stablecoin],
+        { operationName: 'createOrder' }
+      );
+
+      const event = (receipt.events || []).find(e => e.event === 'OrderCreated');
+      const orderId = event ? event.args.orderId.toString() : null;
+
+      logger.info(`订单创建成功 - orderId: ${orderId}, txHash: ${receipt.transactionHash}`);
+      return { receipt, orderId };
+    } catch (error) {
+      logger.error(`创建订单失败 - tokenAddress: ${tokenAddress}, error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 购买订单
+   * 稳定币授权不足时自动授权订单价格对应的金额
+   * @param {number|string} orderId 订单ID
+   * @returns {Promise<object>} 交易收据
+   */
+  async fulfillOrder(orderId) {
+    try {
+      const order = await this._getActiveOrder(orderId);
+
+      await this._ensureAllowance(order.stablecoin, order.price, 'fulfillOrder');
+
+      const receipt = await this.executeWrite('fulfillOrder', [orderId], { operationName: 'fulfillOrder' });
+
+      logger.info(`订单成交 - orderId: ${orderId}, txHash: ${receipt.transactionHash}`);
+      return receipt;
+    } catch (error) {
+      logger.error(`购买订单失败 - orderId: ${orderId}, error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 取消订单
+   * 合约只允许卖家或SUPER_ADMIN取消，签名账户不满足时直接返回403
+   * @param {number|string} orderId 订单ID
+   * @returns {Promise<object>} 交易收据
+   */
+  async cancelOrder(orderId) {
+    try {
+      const order = await this._getActiveOrder(orderId);
+      await this._ensureOrderOwner(order, 'cancelOrder', true);
+
+      const receipt = await this.executeWrite('cancelOrder', [orderId], { operationName: 'cancelOrder' });
+
+      logger.info(`订单已取消 - orderId: ${orderId}, txHash: ${receipt.transactionHash}`);
+      return receipt;
+    } catch (error) {
+      logger.error(`取消订单失败 - orderId: ${orderId}, error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 更新订单价格
+   * 合约只允许卖家修改价格，签名账户不是卖家时直接返回403
+   * @param {number|string} orderId 订单ID
+   * @param {string} newPrice 新价格（稳定币最小单位）
+   * @returns {Promise<object>} 交易收据
+   */
+  async updateOrderPrice(orderId, newPrice) {
+    try {
+      const order = await this._getActiveOrder(orderId);
+      await this._ensureOrderOwner(order, 'updateOrderPrice', false);
+
+      const receipt = await this.executeWrite(
+        'updateOrderPrice',
+        [orderId, newPrice],
+        { operationName: 'updateOrderPrice' }
+      );
+
+      logger.info(`订单价格已更新 - orderId: ${orderId}, newPrice: ${newPrice}, txHash: ${receipt.transactionHash}`);
+      return receipt;
+    } catch (error) {
+      logger.error(`更新订单价格失败 - orderId: ${orderId}, error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取活跃订单，不存在或非活跃时抛出错误
+   * @param {number|string} orderId 订单ID
+   * @returns {Promise<object>} 订单详情
+   * @private
+   */
+  async _getActiveOrder(orderId) {
+    const order = await this.getOrder(orderId);
+    if (!order) {
+      throw createError.notFound(`订单不存在: ${orderId}`);
+    }
+    if (order.status !== 'active') {
+      throw createError.conflict(`订单状态为 ${order.status}，无法操作`, { orderId });
+    }
+    return order;
+  }
+
+  /**
+   * 确保签名账户可以操作订单，避免发送必然回滚的交易
+   * @param {object} order 订单详情
+   * @param {string} operationName 操作名称，用于确定签名账户
+   * @param {boolean} allowSuperAdmin 是否允许SUPER_ADMIN代替卖家操作
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureOrderOwner(order, operationName, allowSuperAdmin) {
+    const sender = await this.getSenderAddress(operationName);
+    if (sameAddress(order.seller, sender)) {
+      return;
+    }
+    if (allowSuperAdmin && await roleManagerService.hasRole('SUPER_ADMIN', sender)) {
+      return;
+    }
+    throw createError.forbidden(
+      allowSuperAdmin ? '签名账户不是订单卖家，也没有 SUPER_ADMIN 角色' : '签名账户不是订单卖家',
+      { orderId: order.orderId, seller: order.seller, sender }
+    );
+  }
+
+  /**
+   * 确保操作角色对市场合约的ERC20授权足够
+   * @param {string} tokenAddress ERC20代币地址
+   * @param {string} amount 所需数量
+   * @param {string} operationName 操作名称，用于确定签名角色
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureAllowance(tokenAddress, amount, operationName) {
+    const owner = await this.getSenderAddress(operationName);
+    const spender = this.contract.address;
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+
+    const allowance = await token.allowance(owner, spender);
+    if (allowance.gte(amount)) {
+      return;
+    }
+
+    // 未签名模式下授权作为第一笔交易返回
+    logger.info(`授权不足，自动授权 - token: ${tokenAddress}, owner: ${owner}, amount: ${amount}`);
+    await this.executeWrite('approve', [spender, amount], { operationName, contract: token, contractName: 'ERC20' });
+  }
+
+  /**
+   * 格式化订单数据
+   * @param {number|string} orderId 订单ID
+   * @param {object} data 合约返回的订单数据
+   * @returns {object} 订单详情
+   * @private
+   */
+  _formatOrder(orderId, data) {
+    return {
+      orderId: String(orderId),
+      seller: data.seller,
+      tokenAddress: data.tokenAddress,
+      tokenAmount: data.tokenAmount.toString(),
+      price: data.price.toString(),
+      stablecoin: data.stablecoin,
+      createdAt: new Date(Number(data.creationTime) * 1000),
+      status: ORDER_STATUS[Number(data.status)] || 'unknown'
+    };
+  }
+}
+
+/**
+ * 比较两个地址是否相同（忽略大小写）
+ * @param {string} a 地址
+ * @param {string} b 地址
+ * @returns {boolean} 是否相同
+ */
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+module.exports = new MarketplaceService();
@@ -0,0 +1,257 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('../../../shared/utils/blockchain');
+const EventStore = require('../../../shared/utils/eventStore');
+const { getMonitorDataPath } = require('../../../shared/utils/paths');
+const keyManager = require('../config/keyManager');
+const { transactionQueue } = require('../utils/transactionQueue');
+const { CONTENT_TYPE, Counter, Gauge, Histogram, Registry } = require('../utils/prometheus');
+const logger = require('../utils/logger');
+
+// HTTP请求耗时的桶（秒）
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// 合约调用耗时的桶（秒），写入包含等待确认的时间
+const CONTRACT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+// 抓取时访问节点的超时（毫秒）
+const CHAIN_TIMEOUT = 5000;
+
+/**
+ * 在超时前完成，否则拒绝
+ * @param {Promise} promise 异步操作
+ * @param {string} name 操作名称
+ * @returns {Promise} 操作结果
+ */
+function withTimeout(promise, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${CHAIN_TIMEOUT}ms`)), CHAIN_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 指标服务
+ * 以 Prometheus 文本格式提供API延迟、合约调用、交易队列、RPC节点、监控进度和签名账户余额等指标。
+ * 请求和合约调用在发生时记录；队列、链上和监控相关的指标在每次抓取时采集
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new Registry();
+    this.contentType = CONTENT_TYPE;
+    this.eventStore = new EventStore(process.env.MONITOR_DATA_DIR || getMonitorDataPath(), { readOnly: true });
+
+    this.httpRequestDuration = this.registry.register(new Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP请求耗时（秒），route为路由模板，未匹配路由的请求为unmatched',
+      labelNames: ['method', 'route', 'status'],
+      buckets: HTTP_BUCKETS
+    }));
+    this.contractCalls = this.registry.register(new Counter({
+      name: 'contract_calls_total',
+      help: '合约调用次数，type为read或write',
+      labelNames: ['contract', 'method', 'type']
+    }));
+    this.contractCallErrors = this.registry.register(new Counter({
+      name: 'contract_call_errors_total',
+      help: '合约调用失败次数，code为ethers错误码',
+      labelNames: ['contract', 'method', 'type', 'code']
+    }));
+    this.contractCallDuration = this.registry.register(new Histogram({
+      name: 'contract_call_duration_seconds',
+      help: '合约调用耗时（秒），写入包含等待交易确认的时间',
+      labelNames: ['contract', 'method', 'type'],
+      buckets: CONTRACT_BUCKETS
+    }));
+    this.registry.register(new Gauge({
+      name: 'transaction_queue_transactions',
+      help: '交易队列中各状态的交易数量（含保留期内已完成的交易）',
+      labelNames: ['status'],
+      collect() {
+        this.reset();
+        for (const [status, count] of Object.entries(transactionQueue.getStatusCounts())) {
+          this.set({ status }, count);
+        }
+      }
+    }));
+    this.blockNumber = this.registry.register(new Gauge({
+      name: 'chain_block_number',
+      help: '节点的最新区块高度'
+    }));
+    this.monitorLag = this.registry.register(new Gauge({
+      name: 'monitor_lag_blocks',
+      help: '监控服务各合约的事件索引游标落后最新区块的区块数',
+      labelNames: ['contract', 'address']
+    }));
+    this.signerBalance = this.registry.register(new Gauge({
+      name: 'signer_balance_ether',
+      help: '各角色签名账户的原生代币余额',
+      labelNames: ['role', 'address']
+    }));
+    this.rpcEndpointUp = this.registry.register(new Gauge({
+      name: 'rpc_endpoint_up',
+      help: 'RPC节点是否可用（1可用，0处于冷却期）',
+      labelNames: ['endpoint']
+    }));
+    this.rpcEndpointLatency = this.registry.register(new Gauge({
+      name: 'rpc_endpoint_latency_seconds',
+      help: 'RPC节点请求耗时的移动平均（秒）',
+      labelNames: ['endpoint']
+    }));
+    this.rpcEndpointBlockNumber = this.registry.register(new Gauge({
+      name: 'rpc_endpoint_block_number',
+      help: 'RPC节点已知同步到的区块高度',
+      labelNames: ['endpoint']
+    }));
+    this.collectorUp = this.registry.register(new Gauge({
+      name: 'metrics_collector_up',
+      help: '抓取时的采集是否成功（1成功，0失败）',
+      labelNames: ['collector']
+    }));
+  }
+
+  /**
+   * 记录HTTP请求
+   * @param {string} method 请求方法
+   * @param {string} route 路由模板
+   * @param {number} status 状态码
+   * @param {number} seconds 耗时（秒）
+   */
+  observeHttpRequest(method, route, status, seconds) {
+    this.httpRequestDuration.observe({ method, route, status }, seconds);
+  }
+
+  /**
+   * 记录一次合约调用的次数、耗时和失败
+   * @param {string} contract 合约名称
+   * @param {string} method 方法名称
+   * @param {string} type read或write
+   * @param {Function} call 调用函数
+   * @returns {Promise<any>} 调用结果
+   */
+  async trackContractCall(contract, method, type, call) {
+    const labels = { contract, method, type };
+    const end = this.contractCallDuration.startTimer(labels);
+    this.contractCalls.inc(labels);
+    try {
+      return await call();
+    } catch (error) {
+      this.contractCallErrors.inc({ ...labels, code: error.code || 'UNKNOWN' });
+      throw error;
+    } finally {
+      end();
+    }
+  }
+
+  /**
+   * 采集并输出全部指标
+   * @returns {Promise<string>} Prometheus文本格式的指标
+   */
+  async getMetrics() {
+    await this._collectChain();
+    return this.registry.metrics();
+  }
+
+  /**
+   * 采集区块高度、监控进度和签名账户余额
+   * 节点不可用时对应的指标为空，metrics_collector_up为0
+   * @private
+   */
+  async _collectChain() {
+    this.blockNumber.reset();
+    this.monitorLag.reset();
+    this.signerBalance.reset();
+    this.rpcEndpointUp.reset();
+    this.rpcEndpointLatency.reset();
+    this.rpcEndpointBlockNumber.reset();
+
+    let provider;
+    try {
+      provider = await withTimeout(getProvider(), 'getProvider');
+    } catch (error) {
+      logger.debug(`指标采集无法连接区块链: ${error.message}`);
+      this.collectorUp.set({ collector: 'chain' }, 0);
+      this.collectorUp.set({ collector: 'signers' }, 0);
+      return;
+    }
+
+    this._collectRpcEndpoints(provider);
+    await Promise.all([
+      this._collect('chain', async () => {
+        const blockNumber = await withTimeout(provider.getBlockNumber(), 'getBlockNumber');
+        this.blockNumber.set({}, blockNumber);
+        this._collectMonitorLag(blockNumber);
+      }),
+      this._collect('signers', () => this._collectSignerBalances(provider))
+    ]);
+  }
+
+  /**
+   * 采集RPC节点池中各节点的健康状态
+   * @param {ethers.providers.Provider} provider 以太坊提供者，不是节点池时跳过
+   * @private
+   */
+  _collectRpcEndpoints(provider) {
+    if (typeof provider.getEndpointStatus !== 'function') {
+      return;
+    }
+    for (const endpoint of provider.getEndpointStatus()) {
+      const labels = { endpoint: endpoint.name };
+      this.rpcEndpointUp.set(labels, endpoint.healthy ? 1 : 0);
+      if (endpoint.latency !== null) {
+        this.rpcEndpointLatency.set(labels, endpoint.latency / 1000);
+      }
+      if (endpoint.blockNumber !== null) {
+        this.rpcEndpointBlockNumber.set(labels, endpoint.blockNumber);
+      }
+    }
+  }
+
+  /**
+   * 根据监控服务的事件索引游标计算落后的区块数
+   * @param {number} blockNumber 最新区块高度
+   * @private
+   */
+  _collectMonitorLag(blockNumber) {
+    this.eventStore.refresh();
+    for (const checkpoint of Object.values(this.eventStore.getCheckpoints())) {
+      this.monitorLag.set(
+        { contract: checkpoint.contractName, address: checkpoint.contractAddress },
+        Math.max(blockNumber - checkpoint.blockNumber, 0)
+      );
+    }
+  }
+
+  /**
+   * 查询各角色签名账户的余额，多个角色共用账户时只查询一次
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @private
+   */
+  async _collectSignerBalances(provider) {
+    const balances = new Map();
+    await Promise.all(keyManager.getAvailableRoles().map(async role => {
+      const address = keyManager.getAddress(role);
+      if (!balances.has(address)) {
+        balances.set(address, withTimeout(provider.getBalance(address), 'getBalance'));
+      }
+      const balance = await balances.get(address);
+      this.signerBalance.set({ role, address }, parseFloat(ethers.utils.formatEther(balance)));
+    }));
+  }
+
+  /**
+   * 执行一项采集并记录是否成功
+   * @param {string} collector 采集名称
+   * @param {Function} collect 采集函数
+   * @private
+   */
+  async _collect(collector, collect) {
+    try {
+      await collect();
+      this.collectorUp.set({ collector }, 1);
+    } catch (error) {
+      logger.debug(`指标采集失败 - collector: ${collector}, error: ${error.message}`);
+      this.collectorUp.set({ collector }, 0);
+    }
+  }
+}
+
+module.exports = new MetricsService();
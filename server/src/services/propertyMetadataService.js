@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getMetadataConfig } = require('../config');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const {
+  PROPERTY_METADATA_SCHEMA,
+  validatePropertyMetadata,
+  canonicalize,
+  computeCid,
+  getCidDigest,
+  parseMetadataURI
+} = require('../utils/propertyMetadata');
+
+// 单块内容上限，超过后IPFS会分块，CID不再是内容的直接哈希
+const MAX_METADATA_SIZE = 256 * 1024;
+
+/**
+ * 本地元数据存储
+ * 以CID为文件名保存，相同内容只保存一份
+ */
+class LocalMetadataStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * 保存内容
+   * @param {string} cid 内容CID
+   * @param {Buffer} content 内容
+   * @returns {Promise<void>}
+   */
+  async put(cid, content) {
+    const file = path.join(this.dir, cid);
+    if (fs.existsSync(file)) {
+      return;
+    }
+    fs.mkdirSync(this.dir, { recursive: true });
+    // 先写临时文件再重命名，避免读到写了一半的内容
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+  }
+
+  /**
+   * 读取内容
+   * @param {string} cid 内容CID
+   * @returns {Promise<Buffer|null>} 内容，不存在时返回null
+   */
+  async get(cid) {
+    const file = path.join(this.dir, cid);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+}
+
+/**
+ * IPFS兼容节点存储
+ * 通过Kubo RPC API（/api/v0/add、/api/v0/cat）读写，添加时固定（pin）内容
+ */
+class IpfsMetadataStore {
+  constructor(apiUrl, timeout) {
+    this.client = axios.create({ baseURL: `${apiUrl.replace(/\/$/, '')}/api/v0`, timeout });
+  }
+
+  /**
+   * 保存内容
+   * 节点返回的CID必须与本地计算的一致
+   * @param {string} cid 内容CID
+   * @param {Buffer} content 内容
+   * @returns {Promise<void>}
+   */
+  async put(cid, content) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), cid);
+
+    const { data } = await this.client.post('/add', form, {
+      params: { 'cid-version': 1, 'raw-leaves': true, pin: true }
+    });
+    if (data.Hash !== cid) {
+      throw createError.internal('IPFS节点返回的CID与内容不一致', { expected: cid, actual: data.Hash });
+    }
+  }
+
+  /**
+   * 读取内容
+   * @param {string} cid 内容CID
+   * @returns {Promise<Buffer|null>} 内容
+   */
+  async get(cid) {
+    const { data } = await this.client.post('/cat', null, {
+      params: { arg: cid, length: MAX_METADATA_SIZE + 1 },
+      responseType: 'arraybuffer'
+    });
+    return Buffer.from(data);
+  }
+}
+
+/**
+ * 房产元数据服务
+ * 按日本房产元数据Schema校验，规范化序列化后按内容寻址保存，CID作为链上metadataURI（ipfs://<CID>）。
+ * 读取时重新计算CID校验内容完整性
+ */
+class PropertyMetadataService {
+  constructor() {
+    const config = getMetadataConfig();
+    this.backend = config.store === 'ipfs'
+      ? new IpfsMetadataStore(config.ipfsApiUrl, config.ipfsTimeout)
+      : new LocalMetadataStore(config.localDir);
+  }
+
+  /**
+   * 获取元数据JSON Schema
+   * @returns {object} JSON Schema
+   */
+  getSchema() {
+    return PROPERTY_METADATA_SCHEMA;
+  }
+
+  /**
+   * 校验并保存元数据
+   * @param {object} metadata 元数据
+   * @returns {Promise<object>} { cid, metadataURI, sha256, size }
+   */
+  async store(metadata) {
+    const errors = validatePropertyMetadata(metadata);
+    if (errors.length > 0) {
+      throw createError.unprocessableEntity('房产元数据校验失败', { errors });
+    }
+
+    const content = Buffer.from(canonicalize(metadata));
+    if (content.length > MAX_METADATA_SIZE) {
+      throw createError.unprocessableEntity(`房产元数据不能超过 ${MAX_METADATA_SIZE} 字节`, { size: content.length });
+    }
+
+    const cid = computeCid(content);
+    await this.backend.put(cid, content);
+
+    logger.info(`房产元数据已保存 - cid: ${cid}, size: ${content.length}`);
+    return {
+      cid,
+      metadataURI: `ipfs://${cid}`,
+      sha256: getCidDigest(cid),
+      size: content.length
+    };
+  }
+
+  /**
+   * 按CID读取元数据
+   * @param {string} cid 内容CID
+   * @returns {Promise<object>} { metadata, integrity }
+   */
+  async get(cid) {
+    const result = await this.resolve(`ipfs://${cid}`);
+    if (result.integrity.reason === 'NOT_FOUND' || result.integrity.reason === 'UNSUPPORTED_URI') {
+      throw createError.notFound(`房产元数据不存在: ${cid}`);
+    }
+    return result;
+  }
+
+  /**
+   * 解析链上metadataURI并校验完整性
+   * 不抛出存储错误，校验失败时metadata为null，integrity.reason说明原因：
+   * UNSUPPORTED_URI（不是ipfs://<CID>）、NOT_FOUND、UNAVAILABLE（存储不可用）、HASH_MISMATCH、INVALID_JSON
+   * @param {string} metadataURI 元数据URI
+   * @returns {Promise<object>} { metadata, integrity: { cid, algorithm, verified, reason } }
+   */
+  async resolve(metadataURI) {
+    const cid = parseMetadataURI(metadataURI);
+    const integrity = { cid, algorithm: 'sha2-256', verified: false, reason: null };
+    if (!cid) {
+      return { metadata: null, integrity: { ...integrity, reason: 'UNSUPPORTED_URI' } };
+    }
+
+    let content;
+    try {
+      content = await this.backend.get(cid);
+    } catch (error) {
+      logger.warn(`读取房产元数据失败 - cid: ${cid}, error: ${error.message}`);
+      return { metadata: null, integrity: { ...integrity, reason: 'UNAVAILABLE' } };
+    }
+    if (!content) {
+      return { metadata: null, integrity: { ...integrity, reason: 'NOT_FOUND' } };
+    }
+    if (computeCid(content) !== cid) {
+      logger.error(`房产元数据内容与CID不一致 - cid: ${cid}`);
+      return { metadata: null, integrity: { ...integrity, reason: 'HASH_MISMATCH' } };
+    }
+
+    try {
+      return { metadata: JSON.parse(content.toString('utf8')), integrity: { ...integrity, verified: true } };
+    } catch (error) {
+      return { metadata: null, integrity: { ...integrity, reason: 'INVALID_JSON' } };
+    }
+  }
+
+  /**
+   * 确认metadataURI指向已保存、完整且符合Schema的元数据
+   * 用于先上传元数据、再以metadataURI注册房产的流程
+   * @param {string} metadataURI 元数据URI
+   * @returns {Promise<object>} { cid, metadataURI }
+   */
+  async verify(metadataURI) {
+    const { metadata, integrity } = await this.resolve(metadataURI);
+    if (!integrity.verified) {
+      throw createError.unprocessableEntity('元数据URI无法解析或内容校验失败', { metadataURI, integrity });
+    }
+
+    const errors = validatePropertyMetadata(metadata);
+    if (errors.length > 0) {
+      throw createError.unprocessableEntity('房产元数据校验失败', { errors });
+    }
+    return { cid: integrity.cid, metadataURI };
+  }
+}
+
+module.exports = new PropertyMetadataService();
@@ -1,43 +1,146 @@
 const BaseContractService = require('./baseContractService');
+const RealEstateTokenService = require('./realEstateTokenService');
+const EventStore = require('../../../shared/utils/eventStore');
+const { getMonitorDataPath } = require('../../../shared/utils/paths');
 const logger = require('../utils/logger');
-const { ApiError } = require('../middlewares/errorHandler');
+const { ApiError } = require('../../../shared/utils/errors');
+const { createError } = require('../middlewares/errorHandler');
 const { ethers } = require('ethers');
+const { PROPERTY_STATUSES } = require('../../../shared/contracts/constants');
+const { cacheTags } = require('../utils/cacheManager');
+
+// 带过滤条件的列表查询每批读取的房产数量
+const LIST_SCAN_BATCH = 50;
+
+/**
+ * 合法的状态转换，与PropertyRegistry._validateStatusTransition一致
+ * 值为执行该转换的接口动作：有专用合约函数的使用对应接口，其余通过 PUT /status
+ */
+const STATUS_TRANSITIONS = {
+  Pending: { Approved: 'approve', Rejected: 'reject' },
+  Approved: { Delisted: 'delist', Redemption: 'redemption', Frozen: 'freeze' },
+  Rejected: { Pending: 'status' },
+  Delisted: { Approved: 'status' },
+  Redemption: { Approved: 'status' },
+  Frozen: { Approved: 'unfreeze' }
+};
+
+// 构建状态时间线使用的事件
+const HISTORY_EVENTS = [
+  'PropertyRegistered',
+  'PropertyStatusUpdated',
+  'PropertyStatusTransition',
+  'PropertyApproved',
+  'PropertyRejected',
+  'PropertyDelisted'
+];
 
 /**
  * 房产注册服务
- * 负责与PropertyRegistry合约交互
+ * 负责与PropertyRegistry合约交互。状态变更在发送交易前按合约的状态机校验，
+ * 状态时间线基于监控服务索引的事件构建
  */
 class PropertyRegistryService extends BaseContractService {
   constructor() {
     super('PropertyRegistry', 'propertyRegistry');
+    this.eventStore = new EventStore(process.env.MONITOR_DATA_DIR || getMonitorDataPath(), { readOnly: true });
   }
   
   /**
-   * 获取所有房产
-   * @returns {Promise<Array>} 房产ID列表
+   * 分页获取房产列表
+   * 房产ID按注册顺序保存在合约中，registrationTime排序直接按该顺序正向或逆向读取。
+   * 无过滤条件时只读取当前页；有过滤条件时按批次扫描，直到凑满一页，nextOffset为下次扫描的起始位置
+   * @param {object} [options] 查询选项
+   * @param {number} [options.offset=0] 扫描起始位置（按排序方向计算）
+   * @param {number} [options.limit=20] 每页数量
+   * @param {string} [options.status] 房产状态名称
+   * @param {string} [options.country] 国家代码
+   * @param {boolean} [options.hasToken] 是否已发行代币
+   * @param {string} [options.order='desc'] registrationTime排序方向
+   * @returns {Promise<object>} { items, total, offset, limit, nextOffset }
    */
-  async getAllProperties() {
-    try {
-      const count = await this.executeRead('getPropertyCount');
-      
-      // 获取所有房产ID
-      const properties = [];
-      for (let i = 0; i < count; i++) {
-        const propertyId = await this.executeRead('propertyIds', [i]);
-        properties.push(propertyId);
+  async listProperties(options = {}) {
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+    const { status, country, hasToken } = options;
+    const descending = options.order !== 'asc';
+
+    const count = (await this.executeRead('getPropertyCount')).toNumber();
+    const filtered = Boolean(status || country || hasToken !== undefined);
+
+    // 仅按状态过滤时可以从合约得到总数；按国家或代币过滤时总数未知
+    let total = count;
+    if (status) {
+      total = country || hasToken !== undefined ? null : await this.getPropertyCountByStatus(status);
+    } else if (filtered) {
+      total = null;
+    }
+
+    const items = [];
+    let position = offset;
+    // 有过滤条件时按批次扫描，每批数量不少于一页
+    const batchSize = filtered ? Math.max(limit, LIST_SCAN_BATCH) : limit;
+
+    while (items.length < limit && position < count && total !== 0) {
+      const size = Math.min(batchSize, count - position);
+      const ids = await this._getPropertyIds(position, size, count, descending);
+      const properties = await Promise.all(ids.map(id => this.getPropertyWithToken(id)));
+
+      for (const property of properties) {
+        position++;
+        if ((!status || property.status === status) &&
+          (!country || property.country === country) &&
+          (hasToken === undefined || Boolean(property.token) === hasToken)) {
+          items.push(property);
+          if (items.length === limit) {
+            break;
+          }
+        }
       }
-      
-      return properties;
-    } catch (error) {
-      logger.error(`获取所有房产失败: ${error.message}`);
-      throw new ApiError(500, '获取房产列表失败', error.message);
     }
+
+    return {
+      items,
+      total,
+      offset,
+      limit,
+      nextOffset: position < count && total !== 0 ? position : null
+    };
+  }
+
+  /**
+   * 获取指定状态的房产数量
+   * @param {string} status 房产状态名称
+   * @returns {Promise<number>} 房产数量
+   */
+  async getPropertyCountByStatus(status) {
+    return (await this.executeRead('getPropertyCountByStatus', [PROPERTY_STATUSES.indexOf(status)])).toNumber();
+  }
+
+  /**
+   * 获取房产统计
+   * @returns {Promise<object>} { total, byStatus }
+   */
+  async getPropertyStats() {
+    return this.cachedRead('getPropertyStats', [], async () => {
+      // NotRegistered不会出现在房产列表中
+      const statuses = PROPERTY_STATUSES.filter(status => status !== 'NotRegistered');
+      const [total, ...counts] = await Promise.all([
+        this.executeRead('getPropertyCount'),
+        ...statuses.map(status => this.getPropertyCountByStatus(status))
+      ]);
+
+      return {
+        total: total.toNumber(),
+        byStatus: Object.fromEntries(statuses.map((status, index) => [status, counts[index]]))
+      };
+    }, { tags: [cacheTags.properties()] });
   }
   
   /**
    * 获取房产信息
    * @param {string} propertyId 房产ID
-   * @returns {Promise<object>} 房产信息
+   * @returns {Promise<object|null>} 房产信息，不存在时返回null
    */
   async getProperty(propertyId) {
     try {
@@ -45,29 +148,55 @@ class PropertyRegistryService extends BaseContractService {
         throw new ApiError(400, '房产ID不能为空');
       }
       
-      const propertyData = await this.executeRead('properties', [propertyId]);
-      const { exists, country, metadataURI, status, createdAt, updatedAt } = propertyData;
-      
-      // 如果房产不存在，返回null
-      if (!exists) {
-        return null;
-      }
-      
-      return {
-        propertyId,
-        country,
-        metadataURI,
-        status,
-        createdAt: new Date(Number(createdAt) * 1000),
-        updatedAt: new Date(Number(updatedAt) * 1000),
-        exists
-      };
+      return await this.cachedRead('getProperty', [propertyId], async () => {
+        const propertyData = await this.executeRead('properties', [propertyId]);
+        
+        // 如果房产不存在，返回null
+        if (!propertyData.exists) {
+          return null;
+        }
+        
+        return formatProperty(propertyData);
+      }, { tags: [cacheTags.property(propertyId)] });
     } catch (error) {
       logger.error(`获取房产信息失败 - propertyId: ${propertyId}, error: ${error.message}`);
       throw new ApiError(500, '获取房产信息失败', error.message);
     }
   }
   
+  /**
+   * 获取房产信息及其代币地址和发行量
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object|null>} 房产信息，token为 { address, totalSupply }，未发行代币时为null；房产不存在时返回null
+   */
+  async getPropertyWithToken(propertyId) {
+    return this.cachedRead('getPropertyWithToken', [propertyId], async () => {
+      const [propertyData, tokenAddress] = await Promise.all([
+        this.executeRead('properties', [propertyId]),
+        this.executeRead('propertyTokens', [propertyId])
+      ]);
+      if (!propertyData.exists) {
+        return null;
+      }
+
+      let token = null;
+      if (tokenAddress !== ethers.constants.AddressZero) {
+        const totalSupply = await new RealEstateTokenService(tokenAddress).executeRead('totalSupply');
+        token = { address: tokenAddress, totalSupply: totalSupply.toString() };
+      }
+
+      return {
+        ...formatProperty(propertyData),
+        token
+      };
+    }, {
+      // 发行量随代币的Transfer变化
+      tags: property => (property && property.token
+        ? [cacheTags.property(propertyId), cacheTags.token(property.token.address)]
+        : [cacheTags.property(propertyId)])
+    });
+  }
+
   /**
    * 注册新房产
    * @param {string} propertyId 房产ID
@@ -105,165 +234,166 @@ class PropertyRegistryService extends BaseContractService {
   }
   
   /**
-   * 批准房产
+   * 获取房产当前状态及合法的下一状态
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object>} { propertyId, status, transitions: [{ status, action }] }
+   */
+  async getTransitions(propertyId) {
+    const property = await this._getExistingProperty(propertyId);
+    return {
+      propertyId,
+      status: property.status,
+      transitions: Object.entries(STATUS_TRANSITIONS[property.status] || {})
+        .map(([status, action]) => ({ status, action }))
+    };
+  }
+
+  /**
+   * 批准房产（Pending → Approved）
    * @param {string} propertyId 房产ID
    * @returns {Promise<object>} 交易收据
    */
   async approveProperty(propertyId) {
-    try {
-      if (!propertyId) {
-        throw new ApiError(400, '房产ID不能为空');
-      }
-      
-      // 检查房产是否存在
-      const property = await this.getProperty(propertyId);
-      if (!property) {
-        throw new ApiError(404, '房产不存在');
-      }
-      
-      // 检查房产状态
-      if (property.status === 1) {
-        throw new ApiError(400, '房产已批准');
-      }
-      
-      const receipt = await this.executeWrite(
-        'setPropertyStatus',
-        [propertyId, 1], // status 1 = Approved
-        { operationName: 'approveProperty' }
-      );
-      
-      logger.info(`房产批准成功 - propertyId: ${propertyId}, txHash: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      logger.error(`房产批准失败 - propertyId: ${propertyId}, error: ${error.message}`);
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      throw new ApiError(500, '房产批准失败', error.message);
-    }
+    return this._transition(propertyId, 'Approved', 'approveProperty', '房产批准');
   }
   
   /**
-   * 拒绝房产
+   * 拒绝房产（Pending → Rejected）
    * @param {string} propertyId 房产ID
    * @returns {Promise<object>} 交易收据
    */
   async rejectProperty(propertyId) {
-    try {
-      if (!propertyId) {
-        throw new ApiError(400, '房产ID不能为空');
-      }
-      
-      // 检查房产是否存在
-      const property = await this.getProperty(propertyId);
-      if (!property) {
-        throw new ApiError(404, '房产不存在');
-      }
-      
-      // 检查房产状态
-      if (property.status === 2) {
-        throw new ApiError(400, '房产已拒绝');
-      }
-      
-      const receipt = await this.executeWrite(
-        'setPropertyStatus',
-        [propertyId, 2], // status 2 = Rejected
-        { operationName: 'rejectProperty' }
-      );
-      
-      logger.info(`房产拒绝成功 - propertyId: ${propertyId}, txHash: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      logger.error(`房产拒绝失败 - propertyId: ${propertyId}, error: ${error.message}`);
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      throw new ApiError(500, '房产拒绝失败', error.message);
-    }
+    return this._transition(propertyId, 'Rejected', 'rejectProperty', '房产拒绝');
   }
   
   /**
-   * 下架房产
+   * 下架房产（Approved → Delisted）
    * @param {string} propertyId 房产ID
    * @returns {Promise<object>} 交易收据
    */
   async delistProperty(propertyId) {
-    try {
-      if (!propertyId) {
-        throw new ApiError(400, '房产ID不能为空');
-      }
-      
-      // 检查房产是否存在
-      const property = await this.getProperty(propertyId);
-      if (!property) {
-        throw new ApiError(404, '房产不存在');
-      }
-      
-      // 检查房产状态
-      if (property.status === 3) {
-        throw new ApiError(400, '房产已下架');
-      }
-      
-      const receipt = await this.executeWrite(
-        'setPropertyStatus',
-        [propertyId, 3], // status 3 = Delisted
-        { operationName: 'delistProperty' }
-      );
-      
-      logger.info(`房产下架成功 - propertyId: ${propertyId}, txHash: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      logger.error(`房产下架失败 - propertyId: ${propertyId}, error: ${error.message}`);
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      throw new ApiError(500, '房产下架失败', error.message);
-    }
+    return this._transition(propertyId, 'Delisted', 'delistProperty', '房产下架');
+  }
+
+  /**
+   * 冻结房产（Approved → Frozen）
+   * 合约的freezeProperty不校验当前状态，由服务端限制只能冻结已批准的房产
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object>} 交易收据
+   */
+  async freezeProperty(propertyId) {
+    return this._transition(propertyId, 'Frozen', 'freezeProperty', '房产冻结');
+  }
+
+  /**
+   * 解冻房产（Frozen → Approved）
+   * 合约的unfreezeProperty不校验当前状态，由服务端限制只能解冻已冻结的房产
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object>} 交易收据
+   */
+  async unfreezeProperty(propertyId) {
+    return this._transition(propertyId, 'Approved', 'unfreezeProperty', '房产解冻', 'Frozen');
+  }
+
+  /**
+   * 将房产转入赎回状态（Approved → Redemption）
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object>} 交易收据
+   */
+  async setPropertyToRedemption(propertyId) {
+    return this._transition(propertyId, 'Redemption', 'setPropertyToRedemption', '房产转入赎回');
   }
   
   /**
    * 设置房产状态
+   * 用于没有专用合约函数的状态转换（如 Rejected → Pending、Delisted → Approved）
    * @param {string} propertyId 房产ID
-   * @param {number} status 状态码 (0=Pending, 1=Approved, 2=Rejected, 3=Delisted)
+   * @param {string} status 目标状态名称
    * @returns {Promise<object>} 交易收据
    */
   async setPropertyStatus(propertyId, status) {
-    try {
-      if (!propertyId) {
-        throw new ApiError(400, '房产ID不能为空');
+    return this._transition(propertyId, status, 'setPropertyStatus', '房产状态设置');
+  }
+
+  /**
+   * 获取房产状态变更时间线
+   * 基于监控服务索引的PropertyRegistered、PropertyStatusUpdated和PropertyStatusTransition事件构建。
+   * 专用函数（approveProperty等）只发出PropertyStatusUpdated，此时原状态取自上一条记录，
+   * 操作人取自同一交易中的PropertyApproved/PropertyRejected/PropertyDelisted事件
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object>} { propertyId, status, indexedToBlock, finalizedBlock, items }，items按时间正序
+   */
+  async getStatusHistory(propertyId) {
+    const property = await this._getExistingProperty(propertyId);
+    await this.ensureInitialized();
+    const checkpoint = this._getCheckpoint();
+
+    const topic = ethers.utils.id(propertyId);
+    const events = this.eventStore.query({ contractAddress: this.contract.address })
+      .filter(event => HISTORY_EVENTS.includes(event.eventName) && matchesPropertyId(event.args.propertyId, topic));
+
+    // 同一交易中的事件合并为一条记录
+    const transactions = new Map();
+    for (const event of events) {
+      if (!transactions.has(event.transactionHash)) {
+        transactions.set(event.transactionHash, []);
       }
-      
-      if (status < 0 || status > 3) {
-        throw new ApiError(400, '无效的状态码');
+      transactions.get(event.transactionHash).push(event);
+    }
+
+    const items = [];
+    let previousStatus = null;
+    for (const [transactionHash, txEvents] of transactions) {
+      const find = name => txEvents.find(event => event.eventName === name);
+      const registered = find('PropertyRegistered');
+      const transition = find('PropertyStatusTransition');
+      const updated = find('PropertyStatusUpdated');
+      if (!registered && !transition && !updated) {
+        continue;
       }
-      
-      // 检查房产是否存在
-      const property = await this.getProperty(propertyId);
-      if (!property) {
-        throw new ApiError(404, '房产不存在');
+
+      let toStatus = 'Pending';
+      if (transition) {
+        toStatus = PROPERTY_STATUSES[Number(transition.args.newStatus)];
+      } else if (updated) {
+        toStatus = PROPERTY_STATUSES[Number(updated.args.newStatus)];
       }
-      
-      const receipt = await this.executeWrite(
-        'setPropertyStatus',
-        [propertyId, status],
-        { operationName: 'setPropertyStatus' }
-      );
-      
-      logger.info(`房产状态设置成功 - propertyId: ${propertyId}, status: ${status}, txHash: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      logger.error(`房产状态设置失败 - propertyId: ${propertyId}, status: ${status}, error: ${error.message}`);
-      if (error instanceof ApiError) {
-        throw error;
+      const approved = find('PropertyApproved');
+      const rejected = find('PropertyRejected');
+      const delisted = find('PropertyDelisted');
+      let changer = null;
+      if (transition) {
+        changer = transition.args.changer;
+      } else if (approved || rejected || delisted) {
+        changer = approved ? approved.args.approver : (rejected ? rejected.args.rejecter : delisted.args.delister);
       }
-      throw new ApiError(500, '房产状态设置失败', error.message);
+
+      items.push({
+        fromStatus: transition ? PROPERTY_STATUSES[Number(transition.args.oldStatus)] : previousStatus,
+        toStatus,
+        changer,
+        event: registered ? 'PropertyRegistered' : (transition ? 'PropertyStatusTransition' : 'PropertyStatusUpdated'),
+        blockNumber: txEvents[0].blockNumber,
+        transactionHash,
+        timestamp: await this.getBlockTime(txEvents[0].blockNumber),
+        final: txEvents.every(event => event.final)
+      });
+      previousStatus = toStatus;
     }
+
+    return {
+      propertyId,
+      status: property.status,
+      indexedToBlock: checkpoint.blockNumber,
+      finalizedBlock: this.eventStore.getFinalizedBlock(),
+      items
+    };
   }
   
   /**
    * 获取房产状态
    * @param {string} propertyId 房产ID
-   * @returns {Promise<number>} 状态码 (0=Pending, 1=Approved, 2=Rejected, 3=Delisted)
+   * @returns {Promise<number>} 状态码，即PROPERTY_STATUSES中的下标
    */
   async getPropertyStatus(propertyId) {
     try {
@@ -286,6 +416,129 @@ class PropertyRegistryService extends BaseContractService {
       throw new ApiError(500, '获取房产状态失败', error.message);
     }
   }
+
+  /**
+   * 读取房产，不存在时抛出404
+   * @param {string} propertyId 房产ID
+   * @returns {Promise<object>} 房产信息
+   * @private
+   */
+  async _getExistingProperty(propertyId) {
+    const property = await this.getProperty(propertyId);
+    if (!property) {
+      throw createError.notFound(`房产不存在: ${propertyId}`);
+    }
+    return property;
+  }
+
+  /**
+   * 校验状态转换后调用合约函数
+   * 与合约的_validateStatusTransition保持一致，在发送交易前拒绝非法转换，避免交易回滚浪费gas
+   * @param {string} propertyId 房产ID
+   * @param {string} targetStatus 目标状态名称
+   * @param {string} operationName 操作名称，也是合约函数名（setPropertyStatus除外）
+   * @param {string} label 日志中的操作描述
+   * @param {string} [requiredStatus] 要求的当前状态，未指定时只校验转换表
+   * @returns {Promise<object>} 交易收据
+   * @private
+   */
+  async _transition(propertyId, targetStatus, operationName, label, requiredStatus) {
+    try {
+      if (!propertyId) {
+        throw createError.badRequest('房产ID不能为空');
+      }
+
+      const property = await this._getExistingProperty(propertyId);
+      const allowed = Object.keys(STATUS_TRANSITIONS[property.status] || {});
+      const details = { currentStatus: property.status, targetStatus, allowed };
+      if (property.status === targetStatus) {
+        throw createError.conflict(`房产已处于 ${targetStatus} 状态`, details);
+      }
+      if ((requiredStatus && property.status !== requiredStatus) || !allowed.includes(targetStatus)) {
+        throw createError.conflict(`房产状态不能从 ${property.status} 变更为 ${targetStatus}`, details);
+      }
+
+      const receipt = operationName === 'setPropertyStatus'
+        ? await this.executeWrite(
+          'setPropertyStatus(string,uint8)',
+          [propertyId, PROPERTY_STATUSES.indexOf(targetStatus)],
+          { operationName }
+        )
+        : await this.executeWrite(operationName, [propertyId], { operationName });
+
+      logger.info(`${label}成功 - propertyId: ${propertyId}, status: ${property.status} → ${targetStatus}, ` +
+        `txHash: ${receipt.transactionHash}`);
+      return receipt;
+    } catch (error) {
+      logger.error(`${label}失败 - propertyId: ${propertyId}, error: ${error.message}`);
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new ApiError(500, `${label}失败`, error.message);
+    }
+  }
+
+  /**
+   * 获取PropertyRegistry的索引游标
+   * 每次查询都重新读取监控服务写入的最新游标
+   * @returns {object} 游标
+   * @private
+   */
+  _getCheckpoint() {
+    this.eventStore.refresh();
+    const checkpoint = this.eventStore.getCheckpoint(this.contract.address);
+    if (!checkpoint) {
+      throw createError.serviceUnavailable('PropertyRegistry尚未被事件索引收录');
+    }
+    return checkpoint;
+  }
+
+  /**
+   * 按排序方向读取一段房产ID
+   * @param {number} position 扫描位置
+   * @param {number} size 数量
+   * @param {number} count 房产总数
+   * @param {boolean} descending 是否按注册时间倒序
+   * @returns {Promise<Array<string>>} 房产ID列表
+   * @private
+   */
+  async _getPropertyIds(position, size, count, descending) {
+    if (!descending) {
+      return this.executeRead('getPropertyIdsPaginated', [position, size]);
+    }
+    const ids = await this.executeRead('getPropertyIdsPaginated', [count - position - size, size]);
+    return [...ids].reverse();
+  }
+
+}
+
+/**
+ * 判断事件中的propertyId是否为指定房产
+ * propertyId是indexed string，监控服务索引的事件中只有其keccak256哈希
+ * @param {object|string} arg 事件参数
+ * @param {string} topic 房产ID的哈希
+ * @returns {boolean} 是否匹配
+ */
+function matchesPropertyId(arg, topic) {
+  if (!arg) {
+    return false;
+  }
+  return typeof arg === 'string' ? ethers.utils.id(arg) === topic : arg.hash === topic;
+}
+
+/**
+ * 格式化合约返回的房产信息
+ * @param {object} data properties映射的返回值
+ * @returns {object} 房产信息
+ */
+function formatProperty(data) {
+  return {
+    propertyId: data.propertyId,
+    country: data.country,
+    metadataURI: data.metadataURI,
+    status: PROPERTY_STATUSES[data.status],
+    registrationTime: new Date(data.registrationTime.toNumber() * 1000).toISOString()
+  };
 }
 
 module.exports = new PropertyRegistryService(); 
\ No newline at end of file
@@ -1,40 +1,41 @@
 const { ethers } = require('ethers');
-const { provider, getSigner } = require('../../../shared/utils/blockchain');
+const BaseContractService = require('./baseContractService');
 const logger = require('../utils/logger');
-const { contractAbis } = require('../../../shared/utils/getAbis');
-const { ApiError } = require('../middlewares/errorHandler');
+const { createError } = require('../middlewares/errorHandler');
+const { cacheTags } = require('../utils/cacheManager');
 
 /**
  * 房产代币服务
  * 处理与特定RealEstateToken代币合约的交互
  */
-class RealEstateTokenService {
+class RealEstateTokenService extends BaseContractService {
   /**
    * 构造函数
    * @param {string} tokenAddress 代币合约地址
    */
   constructor(tokenAddress) {
+    super('RealEstateToken', 'realEstateToken');
     this.tokenAddress = tokenAddress;
-    this.abi = contractAbis.RealEstateToken;
   }
-  
+
   /**
-   * 获取合约实例
-   * @param {boolean} useSigner 是否使用签名者
-   * @returns {ethers.Contract} 合约实例
+   * 获取合约地址
+   * 代币合约由TokenFactory按房产创建，地址由调用方指定
+   * @returns {Promise<string>} 合约地址
    */
-  getContract(useSigner = true) {
-    try {
-      const contractInterface = new ethers.utils.Interface(this.abi);
-      return new ethers.Contract(
-        this.tokenAddress,
-        contractInterface,
-        useSigner ? getSigner() : provider
-      );
-    } catch (error) {
-      logger.error(`获取RealEstateToken合约实例失败: ${error.message}`);
-      throw new ApiError(500, '获取合约实例失败');
+  async getContractAddress() {
+    if (!ethers.utils.isAddress(this.tokenAddress)) {
+      throw createError.badRequest(`无效的代币地址: ${this.tokenAddress}`);
     }
+    return this.tokenAddress;
+  }
+
+  /**
+   * 缓存键按代币地址区分
+   * @returns {string} 代币地址
+   */
+  getCacheScope() {
+    return String(this.tokenAddress).toLowerCase();
   }
 
   /**
@@ -43,17 +44,8 @@ class RealEstateTokenService {
    * @returns {object} 交易回执
    */
   async addToWhitelist(account) {
-    try {
-      logger.info(`添加账户 ${account} 到白名单`);
-      const contract = this.getContract();
-      const tx = await contract.addToWhitelist(account);
-      
-      logger.info(`白名单添加交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`添加白名单失败: ${error.message}`);
-      throw new ApiError(500, `添加白名单失败: ${error.message}`);
-    }
+    logger.info(`添加账户 ${account} 到白名单`);
+    return this.executeWrite('addToWhitelist', [account], { operationName: 'addToWhitelist' });
   }
 
   /**
@@ -62,17 +54,8 @@ class RealEstateTokenService {
    * @returns {object} 交易回执
    */
   async batchAddToWhitelist(accounts) {
-    try {
-      logger.info(`批量添加 ${accounts.length} 个账户到白名单`);
-      const contract = this.getContract();
-      const tx = await contract.batchAddToWhitelist(accounts);
-      
-      logger.info(`批量添加白名单交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`批量添加白名单失败: ${error.message}`);
-      throw new ApiError(500, `批量添加白名单失败: ${error.message}`);
-    }
+    logger.info(`批量添加 ${accounts.length} 个账户到白名单`);
+    return this.executeWrite('batchAddToWhitelist', [accounts], { operationName: 'batchAddToWhitelist' });
   }
 
   /**
@@ -81,17 +64,8 @@ class RealEstateTokenService {
    * @returns {object} 交易回执
    */
   async removeFromWhitelist(account) {
-    try {
-      logger.info(`从白名单移除账户 ${account}`);
-      const contract = this.getContract();
-      const tx = await contract.removeFromWhitelist(account);
-      
-      logger.info(`白名单移除交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`移除白名单失败: ${error.message}`);
-      throw new ApiError(500, `移除白名单失败: ${error.message}`);
-    }
+    logger.info(`从白名单移除账户 ${account}`);
+    return this.executeWrite('removeFromWhitelist', [account], { operationName: 'removeFromWhitelist' });
   }
 
   /**
@@ -100,17 +74,8 @@ class RealEstateTokenService {
    * @returns {object} 交易回执
    */
   async batchRemoveFromWhitelist(accounts) {
-    try {
-      logger.info(`批量从白名单移除 ${accounts.length} 个账户`);
-      const contract = this.getContract();
-      const tx = await contract.batchRemoveFromWhitelist(accounts);
-      
-      logger.info(`批量移除白名单交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`批量移除白名单失败: ${error.message}`);
-      throw new ApiError(500, `批量移除白名单失败: ${error.message}`);
-    }
+    logger.info(`批量从白名单移除 ${accounts.length} 个账户`);
+    return this.executeWrite('batchRemoveFromWhitelist', [accounts], { operationName: 'batchRemoveFromWhitelist' });
   }
 
   /**
@@ -119,66 +84,136 @@ class RealEstateTokenService {
    * @returns {boolean} 是否在白名单中
    */
   async isWhitelisted(account) {
-    try {
-      logger.info(`检查账户 ${account} 是否在白名单中`);
-      const contract = this.getContract(false);
-      return await contract.isWhitelisted(account);
-    } catch (error) {
-      logger.error(`检查白名单失败: ${error.message}`);
-      throw new ApiError(500, `检查白名单失败: ${error.message}`);
-    }
+    return this.executeRead('isWhitelisted', [account]);
   }
 
   /**
    * 铸造代币
+   * 发送交易前检查签名者的MINTER_ROLE、暂停状态以及最大供应量
    * @param {string} to 接收者地址
    * @param {string|number} amount 铸造数量
-   * @returns {object} 交易回执
+   * @returns {Promise<object>} 交易结果
    */
   async mint(to, amount) {
-    try {
-      logger.info(`为地址 ${to} 铸造 ${amount} 代币`);
-      const contract = this.getContract();
-      
-      // 转换为BigNumber
-      const amountBN = ethers.BigNumber.from(amount);
-      
-      const tx = await contract.mint(to, amountBN);
-      
-      logger.info(`铸造交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`铸造代币失败: ${error.message}`);
-      throw new ApiError(500, `铸造代币失败: ${error.message}`);
+    const amountBN = toPositiveAmount(amount);
+    const minter = await this.getSenderAddress('mintToken');
+
+    const minterRole = await this.executeRead('MINTER_ROLE');
+    const [hasMinterRole, paused, totalSupply, maxSupply] = await Promise.all([
+      this.executeRead('hasRole', [minterRole, minter]),
+      this.executeRead('paused'),
+      this.executeRead('totalSupply'),
+      this.executeRead('maxSupply')
+    ]);
+
+    if (!hasMinterRole) {
+      throw createError.forbidden('铸造账户没有MINTER_ROLE权限', { minter });
+    }
+    if (paused) {
+      throw createError.conflict('代币已暂停，无法铸造');
+    }
+    if (totalSupply.add(amountBN).gt(maxSupply)) {
+      throw createError.unprocessableEntity('铸造数量超过最大供应量', {
+        amount: amountBN.toString(),
+        totalSupply: totalSupply.toString(),
+        maxSupply: maxSupply.toString(),
+        availableSupply: maxSupply.sub(totalSupply).toString()
+      });
+    }
+
+    logger.info(`为地址 ${to} 铸造 ${amountBN.toString()} 代币 - token: ${this.tokenAddress}`);
+    const receipt = await this.executeWrite('mint', [to, amountBN], { operationName: 'mintToken' });
+
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      to,
+      amount: amountBN.toString(),
+      totalSupply: totalSupply.add(amountBN).toString(),
+      maxSupply: maxSupply.toString()
+    };
+  }
+
+  /**
+   * 销毁代币
+   * 销毁签名者自己持有的代币
+   * @param {string|number} amount 销毁数量
+   * @returns {Promise<object>} 交易结果
+   */
+  async burn(amount) {
+    const amountBN = toPositiveAmount(amount);
+    const holder = await this.getSenderAddress('burnToken');
+
+    const [balance, paused] = await Promise.all([
+      this.executeRead('balanceOf', [holder]),
+      this.executeRead('paused')
+    ]);
+
+    if (paused) {
+      throw createError.conflict('代币已暂停，无法销毁');
     }
+    if (balance.lt(amountBN)) {
+      throw createError.unprocessableEntity('销毁数量超过持有余额', {
+        holder,
+        amount: amountBN.toString(),
+        balance: balance.toString()
+      });
+    }
+
+    logger.info(`销毁 ${amountBN.toString()} 代币 - token: ${this.tokenAddress}, holder: ${holder}`);
+    const receipt = await this.executeWrite('burn', [amountBN], { operationName: 'burnToken' });
+
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      from: holder,
+      amount: amountBN.toString()
+    };
   }
 
   /**
    * 批量转账代币
    * @param {string[]} recipients 接收者地址数组
    * @param {string[]|number[]} amounts 转账数量数组
-   * @returns {object} 交易回执
+   * @returns {Promise<object>} 交易结果，包含成功与失败的转账
    */
   async batchTransfer(recipients, amounts) {
-    try {
-      if (recipients.length !== amounts.length) {
-        throw new Error('接收者和金额数组长度不匹配');
-      }
-      
-      logger.info(`批量转账给 ${recipients.length} 个地址`);
-      const contract = this.getContract();
-      
-      // 转换为BigNumber数组
-      const amountsBN = amounts.map(amount => ethers.BigNumber.from(amount));
-      
-      const tx = await contract.batchTransfer(recipients, amountsBN);
-      
-      logger.info(`批量转账交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`批量转账失败: ${error.message}`);
-      throw new ApiError(500, `批量转账失败: ${error.message}`);
+    if (recipients.length === 0 || recipients.length !== amounts.length) {
+      throw createError.badRequest('接收者和金额数组长度不匹配');
+    }
+
+    const amountsBN = amounts.map(amount => toPositiveAmount(amount));
+    const totalAmount = amountsBN.reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0));
+    const sender = await this.getSenderAddress('transferToken');
+
+    const [balance, paused] = await Promise.all([
+      this.executeRead('balanceOf', [sender]),
+      this.executeRead('paused')
+    ]);
+
+    if (paused) {
+      throw createError.conflict('代币已暂停，无法转账');
     }
+    if (balance.lt(totalAmount)) {
+      throw createError.unprocessableEntity('转账总额超过持有余额', {
+        sender,
+        totalAmount: totalAmount.toString(),
+        balance: balance.toString()
+      });
+    }
+
+    logger.info(`批量转账给 ${recipients.length} 个地址 - token: ${this.tokenAddress}`);
+    const receipt = await this.executeWrite('batchTransfer', [recipients, amountsBN], {
+      operationName: 'transferToken'
+    });
+
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      from: sender,
+      totalAmount: totalAmount.toString(),
+      ...parseBatchTransferResult(receipt)
+    };
   }
 
   /**
@@ -186,17 +221,8 @@ class RealEstateTokenService {
    * @returns {object} 交易回执
    */
   async snapshot() {
-    try {
-      logger.info('拍摄代币持有快照');
-      const contract = this.getContract();
-      const tx = await contract.snapshot();
-      
-      logger.info(`快照交易已提交，交易哈希: ${tx.hash}`);
-      return await tx.wait();
-    } catch (error) {
-      logger.error(`拍摄快照失败: ${error.message}`);
-      throw new ApiError(500, `拍摄快照失败: ${error.message}`);
-    }
+    logger.info(`拍摄代币持有快照 - token: ${this.tokenAddress}`);
+    return this.executeWrite('snapshot');
   }
 
   /**
@@ -205,48 +231,27 @@ class RealEstateTokenService {
    * @returns {string} 代币余额
    */
   async balanceOf(account) {
-    try {
-      logger.info(`获取账户 ${account} 的代币余额`);
-      const contract = this.getContract(false);
-      const balance = await contract.balanceOf(account);
+    return this.cachedRead('balanceOf', [account.toLowerCase()], async () => {
+      const balance = await this.executeRead('balanceOf', [account]);
       return balance.toString();
-    } catch (error) {
-      logger.error(`获取代币余额失败: ${error.message}`);
-      throw new ApiError(500, `获取代币余额失败: ${error.message}`);
-    }
+    }, { tags: [cacheTags.token(this.tokenAddress)] });
   }
 
   /**
    * 获取历史快照中的代币余额
    * @param {string} account 账户地址
-   * @param {number} snapshotId 快照ID
+   * @param {number|string} snapshotId 快照ID
    * @returns {string} 历史代币余额
    */
   async balanceOfAt(account, snapshotId) {
     try {
-      logger.info(`获取账户 ${account} 在快照 ${snapshotId} 的代币余额`);
-      const contract = this.getContract(false);
-      const balance = await contract.balanceOfAt(account, snapshotId);
+      const balance = await this.executeRead('balanceOfAt', [account, snapshotId], { critical: true });
       return balance.toString();
     } catch (error) {
-      logger.error(`获取历史代币余额失败: ${error.message}`);
-      throw new ApiError(500, `获取历史代币余额失败: ${error.message}`);
-    }
-  }
-
-  /**
-   * 获取当前快照ID
-   * @returns {string} 当前快照ID
-   */
-  async getCurrentSnapshotId() {
-    try {
-      logger.info('获取当前快照ID');
-      const contract = this.getContract(false);
-      const snapshotId = await contract.getCurrentSnapshotId();
-      return snapshotId.toString();
-    } catch (error) {
-      logger.error(`获取当前快照ID失败: ${error.message}`);
-      throw new ApiError(500, `获取当前快照ID失败: ${error.message}`);
+      if (String(error.details || error.message).includes('nonexistent id')) {
+        throw createError.notFound(`快照不存在: ${snapshotId}`);
+      }
+      throw error;
     }
   }
 
@@ -255,19 +260,16 @@ class RealEstateTokenService {
    * @returns {object} 代币信息
    */
   async getTokenInfo() {
-    try {
-      logger.info('获取代币信息');
-      const contract = this.getContract(false);
-      
+    return this.cachedRead('getTokenInfo', [], async () => {
       const [name, symbol, decimals, totalSupply, maxSupply, version] = await Promise.all([
-        contract.name(),
-        contract.symbol(),
-        contract.decimals(),
-        contract.totalSupply(),
-        contract.maxSupply(),
-        contract.version()
+        this.executeRead('name'),
+        this.executeRead('symbol'),
+        this.executeRead('decimals'),
+        this.executeRead('totalSupply'),
+        this.executeRead('maxSupply'),
+        this.executeRead('version')
       ]);
-      
+
       return {
         address: this.tokenAddress,
         name,
@@ -275,13 +277,83 @@ class RealEstateTokenService {
         decimals: decimals.toString(),
         totalSupply: totalSupply.toString(),
         maxSupply: maxSupply.toString(),
-        version
+        version: version.toString()
       };
-    } catch (error) {
-      logger.error(`获取代币信息失败: ${error.message}`);
-      throw new ApiError(500, `获取代币信息失败: ${error.message}`);
+    }, { tags: [cacheTags.token(this.tokenAddress)] });
+  }
+
+  /**
+   * 获取代币详情
+   * 在基本信息之外包含房产ID、可铸造数量及转账限制状态
+   * @returns {Promise<object>} 代币详情
+   */
+  async getTokenDetails() {
+    const [info, propertyId, availableSupply, paused, transferRestricted, whitelistEnabled] = await Promise.all([
+      this.getTokenInfo(),
+      this.executeRead('propertyId'),
+      this.executeRead('availableSupply'),
+      this.executeRead('paused'),
+      this.executeRead('transferRestricted'),
+      this.executeRead('whitelistEnabled')
+    ]);
+
+    return {
+      ...info,
+      propertyId,
+      availableSupply: availableSupply.toString(),
+      paused,
+      transferRestricted,
+      whitelistEnabled
+    };
+  }
+}
+
+/**
+ * 转换为正数金额
+ * @param {string|number} amount 金额
+ * @returns {ethers.BigNumber} 金额
+ */
+function toPositiveAmount(amount) {
+  let amountBN;
+  try {
+    amountBN = ethers.BigNumber.from(amount);
+  } catch (error) {
+    throw createError.badRequest(`无效的金额: ${amount}`);
+  }
+
+  if (amountBN.lte(0)) {
+    throw createError.badRequest('金额必须大于0');
+  }
+  return amountBN;
+}
+
+/**
+ * 从交易收据中解析批量转账结果
+ * @param {object} receipt 交易收据
+ * @returns {object} 成功数量、失败数量及失败明细
+ */
+function parseBatchTransferResult(receipt) {
+  const events = receipt.events || [];
+  const completed = events.find(event => event.event === 'BatchTransferCompleted');
+  const failures = events.find(event => event.event === 'BatchTransferFailures');
+
+  const failed = [];
+  if (failures) {
+    const count = Number(failures.args.failureCount);
+    for (let i = 0; i < count; i++) {
+      failed.push({
+        recipient: failures.args.recipients[i],
+        amount: failures.args.amounts[i].toString(),
+        reason: failures.args.reasons[i]
+      });
     }
   }
+
+  return {
+    successCount: completed ? Number(completed.args.successCount) : null,
+    failureCount: completed ? Number(completed.args.failureCount) : failed.length,
+    failed
+  };
 }
 
-module.exports = RealEstateTokenService; 
\ No newline at end of file
+module.exports = RealEstateTokenService;
@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const redemptionManagerService = require('./redemptionManagerService');
+const feeManagerService = require('./feeManagerService');
+const RealEstateTokenService = require('./realEstateTokenService');
+const { getServerDataPath } = require('../../../shared/utils/paths');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const { getUnsignedContext } = require('../utils/unsignedContext');
+const { ERC20_ABI } = require('../../../shared/contracts/constants');
+
+// 估值和批准提议记录文件
+const WORKFLOW_FILE = 'redemption-workflow.json';
+
+// 与RedemptionManager.completeRedemption一致：费率上限25%，费用不超过赎回金额的90%
+const BASIS_POINTS = 10000;
+const MAX_FEE_BASIS_POINTS = 2500;
+const MAX_FEE_SHARE = 9000;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// 每代币价格：以稳定币计价的非负小数
+const PRICE_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * 赎回审批服务
+ * 在RedemptionManager之上提供审批工作流：
+ * - 报价：按房产配置的每代币估值计算稳定币金额，并扣除FeeManager的赎回费用
+ * - 双人复核：一名操作员按报价提议批准，另一名操作员确认后才提交approveRedemption
+ * - SLA队列：按赎回期限跟踪待审批和待完成请求的时长，列出即将到期和已超期的请求
+ */
+class RedemptionApprovalService {
+  constructor() {
+    this.workflowFile = path.join(process.env.SERVER_DATA_DIR || getServerDataPath(), WORKFLOW_FILE);
+
+    // 正在确认的请求ID，防止同一提议被并发确认
+    this.confirming = new Set();
+  }
+
+  /**
+   * 获取所有房产估值
+   * @returns {Array<object>} 估值列表
+   */
+  listValuations() {
+    return Object.values(this._load().valuations);
+  }
+
+  /**
+   * 获取房产估值
+   * @param {string} propertyId 房产ID
+   * @returns {object|null} 估值，未配置时返回null
+   */
+  getValuation(propertyId) {
+    return this._load().valuations[String(propertyId)] || null;
+  }
+
+  /**
+   * 设置房产估值
+   * @param {string} propertyId 房产ID
+   * @param {object} params 估值参数
+   * @param {string} params.pricePerToken 每个代币（按代币精度的1个整币）对应的稳定币数量
+   * @param {string} [params.note] 备注，如估值报告编号
+   * @param {string} updatedBy 操作者身份ID
+   * @returns {object} 估值
+   */
+  setValuation(propertyId, { pricePerToken, note }, updatedBy) {
+    if (!PRICE_PATTERN.test(pricePerToken) || !(Number(pricePerToken) > 0)) {
+      throw createError.badRequest('每代币价格必须是大于0的数字', { pricePerToken });
+    }
+
+    const data = this._load();
+    const valuation = {
+      propertyId: String(propertyId),
+      pricePerToken,
+      note: note || null,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    };
+    data.valuations[valuation.propertyId] = valuation;
+    this._save(data);
+
+    logger.info(`更新赎回估值 - propertyId: ${propertyId}, pricePerToken: ${pricePerToken}, updatedBy: ${updatedBy}`);
+    return valuation;
+  }
+
+  /**
+   * 计算赎回报价
+   * stablecoinAmount为批准时写入合约的金额，完成赎回时合约从中扣除赎回费用，netAmount为投资者实收金额
+   * @param {object} params 报价参数
+   * @param {string} params.propertyId 房产ID
+   * @param {string} params.tokenAddress 房产代币地址
+   * @param {string} params.tokenAmount 赎回代币数量（最小单位）
+   * @param {string} params.stablecoin 稳定币地址
+   * @returns {Promise<object>} 报价
+   */
+  async quote({ propertyId, tokenAddress, tokenAmount, stablecoin }) {
+    const valuation = this.getValuation(propertyId);
+    if (!valuation) {
+      throw createError.unprocessableEntity(`房产未配置赎回估值: ${propertyId}`, { propertyId: String(propertyId) });
+    }
+    if (!(await redemptionManagerService.isSupportedStablecoin(stablecoin))) {
+      throw createError.unprocessableEntity('不支持的稳定币', { stablecoin });
+    }
+
+    const [tokenDecimals, stablecoinDecimals, redemptionFee] = await Promise.all([
+      new RealEstateTokenService(tokenAddress).executeRead('decimals'),
+      this._getStablecoinDecimals(stablecoin),
+      feeManagerService.executeRead('redemptionFee')
+    ]);
+
+    let price;
+    try {
+      price = ethers.utils.parseUnits(valuation.pricePerToken, stablecoinDecimals);
+    } catch (error) {
+      throw createError.unprocessableEntity('估值精度超过稳定币小数位数', {
+        pricePerToken: valuation.pricePerToken,
+        stablecoinDecimals
+      });
+    }
+
+    const amount = ethers.BigNumber.from(tokenAmount);
+    const stablecoinAmount = amount.mul(price).div(ethers.BigNumber.from(10).pow(tokenDecimals));
+
+    // 合约要求 stablecoinAmount > 0 且不低于 tokenAmount / 100（按最小单位比较，不考虑精度差异）
+    if (stablecoinAmount.isZero() || stablecoinAmount.lt(amount.div(100))) {
+      throw createError.unprocessableEntity('报价金额低于合约允许的最低赎回金额', {
+        stablecoinAmount: stablecoinAmount.toString(),
+        minimum: amount.div(100).toString()
+      });
+    }
+
+    const feeBasisPoints = Math.min(redemptionFee.toNumber(), MAX_FEE_BASIS_POINTS);
+    let feeAmount = stablecoinAmount.mul(feeBasisPoints).div(BASIS_POINTS);
+    const maxFee = stablecoinAmount.mul(MAX_FEE_SHARE).div(BASIS_POINTS);
+    if (feeAmount.gt(maxFee)) {
+      feeAmount = maxFee;
+    }
+
+    return {
+      propertyId: String(propertyId),
+      tokenAddress,
+      tokenAmount: amount.toString(),
+      tokenDecimals: Number(tokenDecimals),
+      stablecoin,
+      stablecoinDecimals,
+      pricePerToken: valuation.pricePerToken,
+      valuationUpdatedAt: valuation.updatedAt,
+      stablecoinAmount: stablecoinAmount.toString(),
+      feeBasisPoints,
+      feeAmount: feeAmount.toString(),
+      netAmount: stablecoinAmount.sub(feeAmount).toString(),
+      quotedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 计算赎回请求的报价
+   * @param {string} requestId 请求ID
+   * @returns {Promise<object>} 报价
+   */
+  async quoteRequest(requestId) {
+    const request = await this._getRequest(requestId);
+    return {
+      requestId: request.requestId,
+      ...(await this.quote(request))
+    };
+  }
+
+  /**
+   * 获取赎回请求的批准提议
+   * @param {string} requestId 请求ID
+   * @returns {object} { pending, history }
+   */
+  getApproval(requestId) {
+    const proposals = this._load().proposals[String(requestId)] || [];
+    return {
+      pending: proposals.find(proposal => proposal.status === 'pending') || null,
+      history: proposals
+    };
+  }
+
+  /**
+   * 提议批准赎回请求（maker）
+   * 按当前估值生成报价并记录，需由另一名操作员确认后才提交上链
+   * @param {string} requestId 请求ID
+   * @param {object} principal 提议人身份（req.user）
+   * @param {string} [note] 备注
+   * @returns {Promise<object>} 提议
+   */
+  async proposeApproval(requestId, principal, note) {
+    const request = await this._getRequest(requestId);
+    assertPending(request);
+
+    if (this.getApproval(requestId).pending) {
+      throw createError.conflict('该赎回请求已有待确认的批准提议', { requestId: String(requestId) });
+    }
+
+    const quote = await this.quote(request);
+    const proposal = {
+      requestId: String(requestId),
+      status: 'pending',
+      quote,
+      note: note || null,
+      proposedBy: toActor(principal),
+      proposedAt: new Date().toISOString(),
+      confirmedBy: null,
+      confirmedAt: null,
+      transactionHash: null,
+      withdrawnBy: null,
+      withdrawnAt: null,
+      withdrawReason: null
+    };
+
+    const data = this._load();
+    data.proposals[proposal.requestId] = [...(data.proposals[proposal.requestId] || []), proposal];
+    this._save(data);
+
+    logger.info(`提议批准赎回 - requestId: ${requestId}, stablecoinAmount: ${quote.stablecoinAmount}, ` +
+      `proposedBy: ${principal.id}`);
+    return proposal;
+  }
+
+  /**
+   * 确认批准提议并提交上链（checker）
+   * 确认人必须与提议人不是同一账户；确认时重新报价，与提议时的报价不一致则拒绝。
+   * 提议只有在批准交易上链后才标记为已确认，因此不支持未签名模式
+   * @param {string} requestId 请求ID
+   * @param {object} principal 确认人身份（req.user）
+   * @returns {Promise<object>} { proposal, receipt }
+   */
+  async confirmApproval(requestId, principal) {
+    const key = String(requestId);
+    if (getUnsignedContext()) {
+      throw createError.badRequest('确认批准需要由服务端签名提交，不支持未签名模式', { requestId: key });
+    }
+    if (this.confirming.has(key)) {
+      throw createError.conflict('该批准提议正在确认中', { requestId: key });
+    }
+
+    this.confirming.add(key);
+    try {
+      const { pending } = this.getApproval(key);
+      if (!pending) {
+        throw createError.notFound(`赎回请求没有待确认的批准提议: ${key}`);
+      }
+      if (isSameActor(pending.proposedBy, principal)) {
+        throw createError.forbidden('批准提议必须由另一名操作员确认', {
+          requestId: key,
+          proposedBy: pending.proposedBy
+        });
+      }
+
+      const request = await this._getRequest(key);
+      assertPending(request);
+
+      const quote = await this.quote(request);
+      if (quote.stablecoinAmount !== pending.quote.stablecoinAmount || quote.feeAmount !== pending.quote.feeAmount) {
+        throw createError.conflict('估值或费率已变化，请撤回提议后重新报价', {
+          requestId: key,
+          proposed: quoteAmounts(pending.quote),
+          current: quoteAmounts(quote)
+        });
+      }
+
+      const receipt = await redemptionManagerService.approveRedemption(key, pending.quote.stablecoinAmount);
+
+      const proposal = this._updatePending(key, {
+        status: 'confirmed',
+        confirmedBy: toActor(principal),
+        confirmedAt: new Date().toISOString(),
+        transactionHash: receipt.transactionHash || null
+      });
+
+      logger.info(`确认批准赎回 - requestId: ${key}, confirmedBy: ${principal.id}, txHash: ${receipt.transactionHash}`);
+      return { proposal, receipt };
+    } finally {
+      this.confirming.delete(key);
+    }
+  }
+
+  /**
+   * 撤回待确认的批准提议
+   * 提议人可以撤回，复核人也可以以此驳回提议
+   * @param {string} requestId 请求ID
+   * @param {object} principal 操作者身份（req.user）
+   * @param {string} [reason] 原因
+   * @returns {object} 提议
+   */
+  withdrawApproval(requestId, principal, reason) {
+    const key = String(requestId);
+    if (this.confirming.has(key)) {
+      throw createError.conflict('该批准提议正在确认中', { requestId: key });
+    }
+    if (!this.getApproval(key).pending) {
+      throw createError.notFound(`赎回请求没有待确认的批准提议: ${key}`);
+    }
+
+    const proposal = this._updatePending(key, {
+      status: 'withdrawn',
+      withdrawnBy: toActor(principal),
+      withdrawnAt: new Date().toISOString(),
+      withdrawReason: reason || null
+    });
+
+    logger.info(`撤回赎回批准提议 - requestId: ${key}, withdrawnBy: ${principal.id}`);
+    return proposal;
+  }
+
+  /**
+   * 获取SLA处理队列
+   * 包含待审批和已批准待完成的请求，按期限从近到远排序
+   * @param {object} [options] 过滤选项
+   * @param {string} [options.stage] approval 或 completion
+   * @param {boolean} [options.overdue] 只返回已超期（true）或未超期（false）的请求
+   * @returns {Promise<object>} { redemptionPeriod, items, summary }
+   */
+  async getQueue({ stage, overdue } = {}) {
+    const { redemptionPeriod, items } = await redemptionManagerService.getRequests({
+      limit: Number.MAX_SAFE_INTEGER
+    });
+    const { proposals } = this._load();
+    const now = Date.now();
+
+    const open = items.filter(item => item.deadline);
+    const queue = open
+      .filter(item =>
+        (!stage || item.deadline.stage === stage) &&
+        (overdue === undefined || item.deadline.overdue === overdue))
+      .map(item => {
+        const since = item.deadline.stage === 'approval' ? item.requestTime : item.approvalTime;
+        const ageSeconds = Math.max(Math.floor((now - Date.parse(since)) / 1000), 0);
+        const pending = (proposals[item.requestId] || []).find(proposal => proposal.status === 'pending');
+
+        return {
+          ...item,
+          age: {
+            seconds: ageSeconds,
+            days: Math.floor(ageSeconds / SECONDS_PER_DAY)
+          },
+          approval: pending ? {
+            status: pending.status,
+            stablecoinAmount: pending.quote.stablecoinAmount,
+            proposedBy: pending.proposedBy,
+            proposedAt: pending.proposedAt
+          } : null
+        };
+      })
+      .sort((a, b) => Date.parse(a.deadline.expiresAt) - Date.parse(b.deadline.expiresAt));
+
+    return {
+      redemptionPeriod,
+      items: queue,
+      summary: {
+        approval: open.filter(item => item.deadline.stage === 'approval').length,
+        completion: open.filter(item => item.deadline.stage === 'completion').length,
+        overdue: open.filter(item => item.deadline.overdue).length,
+        awaitingConfirmation: open.filter(item =>
+          (proposals[item.requestId] || []).some(proposal => proposal.status === 'pending')).length
+      }
+    };
+  }
+
+  /**
+   * 获取赎回请求，不存在时抛出404
+   * @param {string} requestId 请求ID
+   * @returns {Promise<object>} 赎回请求
+   * @private
+   */
+  async _getRequest(requestId) {
+    const request = await redemptionManagerService.getRequest(requestId);
+    if (!request) {
+      throw createError.notFound(`赎回请求不存在: ${requestId}`);
+    }
+    return request;
+  }
+
+  /**
+   * 读取稳定币小数位数
+   * @param {string} stablecoin 稳定币地址
+   * @returns {Promise<number>} 小数位数
+   * @private
+   */
+  async _getStablecoinDecimals(stablecoin) {
+    await redemptionManagerService.ensureInitialized();
+    const token = new ethers.Contract(stablecoin, ERC20_ABI, redemptionManagerService.provider);
+    return Number(await token.decimals());
+  }
+
+  /**
+   * 更新请求的待确认提议
+   * @param {string} requestId 请求ID
+   * @param {object} changes 更新字段
+   * @returns {object} 更新后的提议
+   * @private
+   */
+  _updatePending(requestId, changes) {
+    const data = this._load();
+    const proposal = data.proposals[requestId].find(item => item.status === 'pending');
+    Object.assign(proposal, changes);
+    this._save(data);
+    return proposal;
+  }
+
+  /**
+   * 读取估值和提议记录
+   * @returns {object} { valuations, proposals }
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.workflowFile)) {
+      return { valuations: {}, proposals: {} };
+    }
+    return JSON.parse(fs.readFileSync(this.workflowFile, 'utf8'));
+  }
+
+  /**
+   * 保存估值和提议记录
+   * @param {object} data { valuations, proposals }
+   * @private
+   */
+  _save(data) {
+    fs.mkdirSync(path.dirname(this.workflowFile), { recursive: true });
+    fs.writeFileSync(this.workflowFile, JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * 确认赎回请求处于待审批状态
+ * @param {object} request 赎回请求
+ */
+function assertPending(request) {
+  if (request.status !== 'Pending') {
+    throw createError.conflict(`赎回请求当前状态为 ${request.status}，只能批准待审批的请求`, {
+      requestId: request.requestId,
+      status: request.status
+    });
+  }
+}
+
+/**
+ * 提取记录在提议中的操作者信息
+ * @param {object} principal 认证身份（req.user）
+ * @returns {object} { id, type, address }
+ */
+function toActor(principal) {
+  return {
+    id: principal.id,
+    type: principal.type,
+    address: principal.address
+  };
+}
+
+/**
+ * 判断两个身份是否属于同一操作员
+ * 同一账户的钱包登录和API密钥视为同一人
+ * @param {object} actor 提议中记录的操作者
+ * @param {object} principal 当前认证身份
+ * @returns {boolean} 是否同一操作员
+ */
+function isSameActor(actor, principal) {
+  if (actor.address && principal.address) {
+    return actor.address.toLowerCase() === principal.address.toLowerCase();
+  }
+  return actor.id === principal.id;
+}
+
+/**
+ * 提取报价中的金额字段
+ * @param {object} quote 报价
+ * @returns {object} { pricePerToken, stablecoinAmount, feeBasisPoints, feeAmount }
+ */
+function quoteAmounts(quote) {
+  return {
+    pricePerToken: quote.pricePerToken,
+    stablecoinAmount: quote.stablecoinAmount,
+    feeBasisPoints: quote.feeBasisPoints,
+    feeAmount: quote.feeAmount
+  };
+}
+
+module.exports = new RedemptionApprovalService();
@@ -1,217 +1,453 @@
-const { getSystemContract, sendTransaction, callContractMethod } = require('../../../shared/utils/blockchain');
-const logger = require('../utils/logger');
-const { ApiError } = require('../middlewares/errorHandler');
 const { ethers } = require('ethers');
+const BaseContractService = require('./baseContractService');
+const RealEstateTokenService = require('./realEstateTokenService');
+const propertyRegistryService = require('./propertyRegistryService');
+const roleManagerService = require('./roleManagerService');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const { getUnsignedContext } = require('../utils/unsignedContext');
+const { PROPERTY_STATUSES, REDEMPTION_STATUSES } = require('../../../shared/contracts/constants');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
 
 /**
  * 赎回管理服务
- * 封装RedemptionManager合约的操作
+ * 负责与RedemptionManager合约交互。赎回请求由投资者本人发起和取消：
+ * 投资者账户由服务端KeyManager管理时由服务端签名提交，否则使用 mode=unsigned 返回未签名交易
  */
-class RedemptionManagerService {
+class RedemptionManagerService extends BaseContractService {
+  constructor() {
+    super('RedemptionManager', 'redemptionManager');
+  }
+
   /**
-   * 获取RedemptionManager合约实例
-   * @param {boolean} [withSigner=true] 是否使用签名者
-   * @returns {ethers.Contract} 合约实例
+   * 获取赎回期限
+   * 待审批的请求应在提交后、已批准的请求应在批准后的赎回期限内处理
+   * @returns {Promise<number>} 赎回期限（秒）
    */
-  static getContract(withSigner = true) {
-    return getSystemContract('RedemptionManager', withSigner);
+  async getRedemptionPeriod() {
+    return (await this.executeRead('redemptionPeriod')).toNumber();
   }
 
   /**
-   * 批准赎回请求
-   * @param {number} requestId 请求ID
-   * @param {string} stablecoinAmount 稳定币金额
-   * @returns {Promise<object>} 交易收据
+   * 检查是否为支持的稳定币
+   * @param {string} stablecoin 稳定币地址
+   * @returns {Promise<boolean>} 是否支持
    */
-  static async approveRedemption(requestId, stablecoinAmount) {
-    try {
-      logger.info(`Approving redemption request ${requestId} with stablecoin amount ${stablecoinAmount}`);
-      const contract = this.getContract();
-      const amount = ethers.BigNumber.from(stablecoinAmount).toString();
-      return await sendTransaction(contract, 'approveRedemption', [requestId, amount]);
-    } catch (error) {
-      logger.error(`Failed to approve redemption: ${error.message}`);
-      throw ApiError.contractError(`Failed to approve redemption: ${error.message}`);
+  async isSupportedStablecoin(stablecoin) {
+    return this.executeRead('supportedStablecoins', [stablecoin]);
+  }
+
+  /**
+   * 获取赎回请求
+   * @param {number|string} requestId 请求ID
+   * @param {number} [redemptionPeriod] 赎回期限（秒），批量查询时由调用方传入
+   * @returns {Promise<object|null>} 赎回请求，不存在时返回null
+   */
+  async getRequest(requestId, redemptionPeriod) {
+    const data = await this.executeRead('redemptionRequests', [requestId]);
+    if (data.requester === ethers.constants.AddressZero) {
+      return null;
     }
+
+    const period = redemptionPeriod === undefined ? await this.getRedemptionPeriod() : redemptionPeriod;
+    return formatRequest(data, period);
   }
 
   /**
-   * 拒绝赎回请求
-   * @param {number} requestId 请求ID
-   * @returns {Promise<object>} 交易收据
+   * 获取赎回请求列表
+   * 按请求者（userRequests）或房产（propertyRequests）查询，都不传时返回所有请求
+   * @param {object} [options] 查询选项
+   * @param {string} [options.requester] 请求者地址
+   * @param {string} [options.propertyId] 房产ID
+   * @param {string} [options.status] 赎回状态
+   * @param {number} [options.page=1] 页码
+   * @param {number} [options.limit=20] 每页数量
+   * @returns {Promise<object>} 赎回请求分页列表，按请求ID倒序
    */
-  static async rejectRedemption(requestId) {
-    try {
-      logger.info(`Rejecting redemption request ${requestId}`);
-      const contract = this.getContract();
-      return await sendTransaction(contract, 'rejectRedemption', [requestId]);
-    } catch (error) {
-      logger.error(`Failed to reject redemption: ${error.message}`);
-      throw ApiError.contractError(`Failed to reject redemption: ${error.message}`);
+  async getRequests(options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+    const { requester, propertyId, status } = options;
+
+    let requestIds;
+    if (requester) {
+      requestIds = await this._getRequestIds('userRequests', requester);
+    } else if (propertyId) {
+      requestIds = await this._getRequestIds('propertyRequests', propertyId);
+    } else {
+      const count = (await this.executeRead('requestCount')).toNumber();
+      requestIds = Array.from({ length: count }, (_, index) => String(index + 1));
+    }
+    requestIds.reverse();
+
+    const redemptionPeriod = await this.getRedemptionPeriod();
+    const start = (page - 1) * limit;
+
+    // 按房产或状态过滤时需要读取全部请求后再分页
+    const needsFilter = (requester && propertyId) || status;
+    const ids = needsFilter ? requestIds : requestIds.slice(start, start + limit);
+
+    let items = [];
+    for (const requestId of ids) {
+      items.push(await this.getRequest(requestId, redemptionPeriod));
+    }
+
+    let total = requestIds.length;
+    if (needsFilter) {
+      items = items.filter(item =>
+        (!propertyId || item.propertyId === String(propertyId)) &&
+        (!status || item.status === status));
+      total = items.length;
+      items = items.slice(start, start + limit);
     }
+
+    return {
+      redemptionPeriod,
+      items,
+      total,
+      page,
+      limit
+    };
   }
 
   /**
-   * 完成赎回
-   * @param {number} requestId 请求ID
-   * @returns {Promise<object>} 交易收据
+   * 提交赎回请求
+   * 合约要求房产处于Approved状态，并将代币从请求者转入合约托管；授权不足时先授权
+   * @param {string} account 请求者地址
+   * @param {object} params 请求参数
+   * @param {string} params.propertyId 房产ID
+   * @param {string} params.tokenAddress 房产代币地址
+   * @param {string} params.tokenAmount 赎回代币数量（最小单位）
+   * @param {string} params.stablecoin 赎回使用的稳定币地址
+   * @returns {Promise<object>} { receipt, requestId }
    */
-  static async completeRedemption(requestId) {
+  async requestRedemption(account, { propertyId, tokenAddress, tokenAmount, stablecoin }) {
     try {
-      logger.info(`Completing redemption request ${requestId}`);
-      const contract = this.getContract();
-      return await sendTransaction(contract, 'completeRedemption', [requestId]);
+      const sender = this._resolveSender(account);
+      const requester = sender.from || account;
+
+      const propertyStatus = PROPERTY_STATUSES[
+        await propertyRegistryService.executeRead('getPropertyStatus(string)', [propertyId])
+      ];
+      if (propertyStatus === 'NotRegistered') {
+        throw createError.notFound(`房产不存在: ${propertyId}`);
+      }
+      if (propertyStatus !== 'Approved') {
+        throw createError.unprocessableEntity(`房产当前状态为 ${propertyStatus}，仅 Approved 状态可以申请赎回`, {
+          propertyId,
+          propertyStatus
+        });
+      }
+
+      const tokenService = new RealEstateTokenService(tokenAddress);
+      const tokenPropertyId = await tokenService.executeRead('propertyId');
+      if (tokenPropertyId !== String(propertyId)) {
+        throw createError.unprocessableEntity('代币不属于该房产', { propertyId, tokenAddress, tokenPropertyId });
+      }
+
+      if (!(await this.isSupportedStablecoin(stablecoin))) {
+        throw createError.unprocessableEntity('不支持的稳定币', { stablecoin });
+      }
+
+      await this._ensureTokenAllowance(tokenService, requester, tokenAmount, sender);
+
+      logger.info(`提交赎回请求 - propertyId: ${propertyId}, requester: ${requester}, tokenAmount: ${tokenAmount}`);
+      const receipt = await this.executeWrite(
+        'requestRedemption',
+        [propertyId, tokenAddress, tokenAmount, stablecoin],
+        sender
+      );
+
+      const event = (receipt.events || []).find(e => e.event === 'RedemptionRequested');
+      const requestId = event ? event.args.requestId.toString() : null;
+
+      logger.info(`赎回请求提交成功 - requestId: ${requestId}, txHash: ${receipt.transactionHash}`);
+      return { receipt, requestId };
     } catch (error) {
-      logger.error(`Failed to complete redemption: ${error.message}`);
-      throw ApiError.contractError(`Failed to complete redemption: ${error.message}`);
+      logger.error(`提交赎回请求失败 - propertyId: ${propertyId}, account: ${account}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * 添加支持的稳定币
-   * @param {string} stablecoinAddress 稳定币地址
+   * 取消赎回请求
+   * 只有待审批的请求可以取消，调用者必须是请求者或SUPER_ADMIN，代币返还给请求者
+   * @param {string} account 调用者地址
+   * @param {number|string} requestId 请求ID
    * @returns {Promise<object>} 交易收据
    */
-  static async addSupportedStablecoin(stablecoinAddress) {
+  async cancelRedemption(account, requestId) {
     try {
-      logger.info(`Adding supported stablecoin ${stablecoinAddress}`);
-      const contract = this.getContract();
-      return await sendTransaction(contract, 'addSupportedStablecoin', [stablecoinAddress]);
+      const sender = this._resolveSender(account);
+      const caller = sender.from || account;
+
+      const request = await this.getRequest(requestId);
+      if (!request) {
+        throw createError.notFound(`赎回请求不存在: ${requestId}`);
+      }
+      if (request.status !== 'Pending') {
+        throw createError.conflict(`赎回请求当前状态为 ${request.status}，只能取消待审批的请求`, {
+          requestId: String(requestId),
+          status: request.status
+        });
+      }
+      if (request.requester.toLowerCase() !== caller.toLowerCase() &&
+        !(await roleManagerService.hasRole('SUPER_ADMIN', caller))) {
+        throw createError.forbidden('只有请求者或SUPER_ADMIN可以取消赎回请求', { requestId: String(requestId), caller });
+      }
+
+      logger.info(`取消赎回请求 - requestId: ${requestId}, caller: ${caller}`);
+      const receipt = await this.executeWrite('cancelRedemption', [requestId], sender);
+
+      logger.info(`赎回请求取消成功 - requestId: ${requestId}, txHash: ${receipt.transactionHash}`);
+      return receipt;
     } catch (error) {
-      logger.error(`Failed to add supported stablecoin: ${error.message}`);
-      throw ApiError.contractError(`Failed to add supported stablecoin: ${error.message}`);
+      logger.error(`取消赎回请求失败 - requestId: ${requestId}, account: ${account}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * 移除支持的稳定币
-   * @param {string} stablecoinAddress 稳定币地址
+   * 批准赎回请求
+   * 金额应来自审批工作流的报价（见redemptionApprovalService），不直接接受调用方输入
+   * @param {number|string} requestId 请求ID
+   * @param {string} stablecoinAmount 稳定币金额（最小单位）
    * @returns {Promise<object>} 交易收据
    */
-  static async removeSupportedStablecoin(stablecoinAddress) {
+  async approveRedemption(requestId, stablecoinAmount) {
     try {
-      logger.info(`Removing supported stablecoin ${stablecoinAddress}`);
-      const contract = this.getContract();
-      return await sendTransaction(contract, 'removeSupportedStablecoin', [stablecoinAddress]);
+      logger.info(`批准赎回请求 - requestId: ${requestId}, stablecoinAmount: ${stablecoinAmount}`);
+      const receipt = await this.executeWrite('approveRedemption', [requestId, stablecoinAmount], {
+        operationName: 'approveRedemption'
+      });
+
+      logger.info(`赎回请求批准成功 - requestId: ${requestId}, txHash: ${receipt.transactionHash}`);
+      return receipt;
     } catch (error) {
-      logger.error(`Failed to remove supported stablecoin: ${error.message}`);
-      throw ApiError.contractError(`Failed to remove supported stablecoin: ${error.message}`);
+      logger.error(`批准赎回请求失败 - requestId: ${requestId}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * 紧急提款
-   * @param {string} token 代币地址
-   * @param {string} to 接收地址
-   * @param {string} amount 金额
+   * 拒绝赎回请求（合约要求PROPERTY_MANAGER）
+   * @param {string} requestId 请求ID
+   * @param {string} [reason=''] 拒绝原因
    * @returns {Promise<object>} 交易收据
    */
-  static async emergencyWithdraw(token, to, amount) {
+  async rejectRedemption(requestId, reason = '') {
     try {
-      logger.info(`Emergency withdraw ${amount} of ${token} to ${to}`);
-      const contract = this.getContract();
-      const amountBN = ethers.BigNumber.from(amount).toString();
-      return await sendTransaction(contract, 'emergencyWithdraw', [token, to, amountBN]);
+      logger.info(`拒绝赎回请求 - requestId: ${requestId}`);
+      const receipt = await this.executeWrite('rejectRedemption', [requestId, reason], {
+        operationName: 'rejectRedemption'
+      });
+
+      logger.info(`赎回请求拒绝成功 - requestId: ${requestId}, txHash: ${receipt.transactionHash}`);
+      return receipt;
     } catch (error) {
-      logger.error(`Emergency withdraw failed: ${error.message}`);
-      throw ApiError.contractError(`Emergency withdraw failed: ${error.message}`);
+      logger.error(`拒绝赎回请求失败 - requestId: ${requestId}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * 获取赎回请求
-   * @param {number} requestId 请求ID
-   * @returns {Promise<object>} 赎回请求详情
+   * 完成赎回请求（合约要求PROPERTY_MANAGER）
+   * @param {string} requestId 请求ID
+   * @returns {Promise<object>} 交易收据
    */
-  static async getRedemptionRequest(requestId) {
+  async completeRedemption(requestId) {
     try {
-      const contract = this.getContract(false);
-      const request = await callContractMethod(contract, 'redemptionRequests', [requestId]);
-      
-      // 转换结果为更友好的格式
-      return {
-        id: requestId,
-        propertyId: request.propertyId,
-        tokenAddress: request.tokenAddress,
-        requester: request.requester,
-        tokenAmount: request.tokenAmount.toString(),
-        stablecoinAddress: request.stablecoinAddress,
-        stablecoinAmount: request.stablecoinAmount.toString(),
-        status: Number(request.status),
-        requestTime: new Date(Number(request.requestTime) * 1000).toISOString(),
-        lastUpdateTime: new Date(Number(request.lastUpdateTime) * 1000).toISOString()
-      };
+      logger.info(`完成赎回请求 - requestId: ${requestId}`);
+      const receipt = await this.executeWrite('completeRedemption', [requestId], {
+        operationName: 'completeRedemption'
+      });
+
+      logger.info(`赎回请求完成 - requestId: ${requestId}, txHash: ${receipt.transactionHash}`);
+      return receipt;
     } catch (error) {
-      logger.error(`Failed to get redemption request: ${error.message}`);
-      throw ApiError.contractError(`Failed to get redemption request: ${error.message}`);
+      logger.error(`完成赎回请求失败 - requestId: ${requestId}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * 获取当前赎回请求计数
-   * @returns {Promise<number>} 请求计数
+   * 添加支持的稳定币（合约要求SUPER_ADMIN）
+   * @param {string} stablecoin 稳定币地址
+   * @returns {Promise<object>} 交易收据
    */
-  static async getRedemptionRequestCount() {
-    try {
-      const contract = this.getContract(false);
-      const count = await callContractMethod(contract, 'redemptionRequestCount', []);
-      return Number(count);
-    } catch (error) {
-      logger.error(`Failed to get redemption request count: ${error.message}`);
-      throw ApiError.contractError(`Failed to get redemption request count: ${error.message}`);
-    }
+  async addSupportedStablecoin(stablecoin) {
+    logger.info(`添加支持的稳定币 - stablecoin: ${stablecoin}`);
+    return this.executeWrite('addSupportedStablecoin', [stablecoin], {
+      operationName: 'addSupportedStablecoin'
+    });
   }
 
   /**
-   * 获取所有赎回请求
-   * @returns {Promise<Array<object>>} 赎回请求列表
+   * 移除支持的稳定币（合约要求SUPER_ADMIN）
+   * @param {string} stablecoin 稳定币地址
+   * @returns {Promise<object>} 交易收据
    */
-  static async getAllRedemptionRequests() {
-    try {
-      const count = await this.getRedemptionRequestCount();
-      
-      // 并行获取所有赎回请求
-      const requests = [];
-      for (let i = 1; i <= count; i++) {
-        requests.push(this.getRedemptionRequest(i));
+  async removeSupportedStablecoin(stablecoin) {
+    logger.info(`移除支持的稳定币 - stablecoin: ${stablecoin}`);
+    return this.executeWrite('removeSupportedStablecoin', [stablecoin], {
+      operationName: 'removeSupportedStablecoin'
+    });
+  }
+
+  /**
+   * 读取userRequests或propertyRequests映射中的请求ID
+   * 合约未提供数组长度，逐个读取直到越界
+   * @param {string} mapping 映射名称
+   * @param {string} key 请求者地址或房产ID
+   * @returns {Promise<Array<string>>} 请求ID列表
+   * @private
+   */
+  async _getRequestIds(mapping, key) {
+    const requestIds = [];
+    for (let index = 0; ; index++) {
+      try {
+        requestIds.push((await this.executeRead(mapping, [key, index])).toString());
+      } catch (error) {
+        // 数组越界时合约调用回滚（400），其他错误继续抛出
+        if (error.statusCode === 400) {
+          return requestIds;
+        }
+        throw error;
       }
-      
-      return await Promise.all(requests);
-    } catch (error) {
-      logger.error(`Failed to get all redemption requests: ${error.message}`);
-      throw ApiError.contractError(`Failed to get all redemption requests: ${error.message}`);
     }
   }
 
   /**
-   * 检查是否为支持的稳定币
-   * @param {string} stablecoinAddress 稳定币地址
-   * @returns {Promise<boolean>} 是否支持
+   * 确定投资者操作的签名方式
+   * 未签名模式下交易从指定的from（默认调用者本人）发出；
+   * 否则调用者必须是KeyManager管理的账户，由服务端使用对应角色签名
+   * @param {string} account 调用者地址
+   * @returns {object} executeWrite选项：{ from } 或 { role }
+   * @private
    */
-  static async isSupportedStablecoin(stablecoinAddress) {
-    try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'supportedStablecoins', [stablecoinAddress]);
-    } catch (error) {
-      logger.error(`Failed to check supported stablecoin: ${error.message}`);
-      throw ApiError.contractError(`Failed to check supported stablecoin: ${error.message}`);
+  _resolveSender(account) {
+    const context = getUnsignedContext();
+    if (context) {
+      return { from: context.from || account };
+    }
+
+    const role = this.getManagedRole(account);
+    if (!role) {
+      throw createError.forbidden('服务端不持有该账户的私钥，请使用 mode=unsigned 获取未签名交易', { account });
     }
+    return { role };
   }
 
   /**
-   * 获取合约当前版本
-   * @returns {Promise<number>} 版本号
+   * 确保请求者的代币余额和对RedemptionManager的授权足够
+   * @param {RealEstateTokenService} tokenService 房产代币服务
+   * @param {string} owner 请求者地址
+   * @param {string} amount 所需数量
+   * @param {object} sender executeWrite选项
+   * @returns {Promise<void>}
+   * @private
    */
-  static async getVersion() {
-    try {
-      const contract = this.getContract(false);
-      const version = await callContractMethod(contract, 'version', []);
-      return Number(version);
-    } catch (error) {
-      logger.error(`Failed to get version: ${error.message}`);
-      throw ApiError.contractError(`Failed to get version: ${error.message}`);
+  async _ensureTokenAllowance(tokenService, owner, amount, sender) {
+    await this.ensureInitialized();
+    const spender = this.contract.address;
+
+    const balance = await tokenService.executeRead('balanceOf', [owner]);
+    if (balance.lt(amount)) {
+      throw createError.unprocessableEntity('代币余额不足', {
+        tokenAddress: tokenService.tokenAddress,
+        balance: balance.toString(),
+        amount: String(amount)
+      });
     }
+
+    const allowance = await tokenService.executeRead('allowance', [owner, spender]);
+    if (allowance.gte(amount)) {
+      return;
+    }
+
+    // 未签名模式下授权作为第一笔交易返回
+    logger.info(`代币授权不足，先授权 - token: ${tokenService.tokenAddress}, owner: ${owner}, amount: ${amount}`);
+    await tokenService.executeWrite('approve', [spender, amount], sender);
+  }
+}
+
+/**
+ * 格式化赎回请求
+ * @param {object} data 合约返回的请求数据
+ * @param {number} redemptionPeriod 赎回期限（秒）
+ * @returns {object} 赎回请求
+ */
+function formatRequest(data, redemptionPeriod) {
+  const status = REDEMPTION_STATUSES[data.status];
+  const requestTime = data.requestTime.toNumber();
+  const approvalTime = data.approvalTime.toNumber();
+  const completionTime = data.completionTime.toNumber();
+
+  return {
+    requestId: data.requestId.toString(),
+    propertyId: data.propertyId.toString(),
+    requester: data.requester,
+    tokenAddress: data.tokenAddress,
+    tokenAmount: data.tokenAmount.toString(),
+    stablecoin: data.stablecoinAddress,
+    stablecoinAmount: data.stablecoinAmount.toString(),
+    status,
+    rejectReason: data.rejectReason || null,
+    requestTime: toIsoString(requestTime),
+    approvalTime: toIsoString(approvalTime),
+    completionTime: toIsoString(completionTime),
+    deadline: getDeadline(status, requestTime, approvalTime, redemptionPeriod)
+  };
+}
+
+/**
+ * 计算赎回请求当前阶段的处理期限
+ * 待审批的请求期限从提交时间起算，已批准的请求从批准时间起算；已结束的请求没有期限
+ * @param {string} status 赎回状态
+ * @param {number} requestTime 提交时间（秒）
+ * @param {number} approvalTime 批准时间（秒）
+ * @param {number} redemptionPeriod 赎回期限（秒）
+ * @param {number} [now] 当前时间（毫秒）
+ * @returns {object|null} { stage, expiresAt, remainingDays, overdue, summary }
+ */
+function getDeadline(status, requestTime, approvalTime, redemptionPeriod, now = Date.now()) {
+  let stage;
+  let startTime;
+  if (status === 'Pending') {
+    stage = 'approval';
+    startTime = requestTime;
+  } else if (status === 'Approved') {
+    stage = 'completion';
+    startTime = approvalTime;
+  } else {
+    return null;
   }
+
+  const expiresAt = (startTime + redemptionPeriod) * 1000;
+  const remaining = expiresAt - now;
+  const overdue = remaining <= 0;
+  // 剩余天数向上取整，超期天数取整日（|| 0 避免 -0）
+  const remainingDays = Math.ceil(remaining / 1000 / SECONDS_PER_DAY) || 0;
+  const days = Math.abs(remainingDays);
+  const label = stage === 'approval' ? '审批' : '完成';
+
+  return {
+    stage,
+    expiresAt: new Date(expiresAt).toISOString(),
+    remainingDays,
+    overdue,
+    summary: overdue ? `${label}已超期 ${days} 天` : `${label}将在 ${days} 天后到期`
+  };
+}
+
+/**
+ * 将合约时间戳转换为ISO字符串
+ * @param {number} seconds 时间戳（秒），0表示未发生
+ * @returns {string|null} ISO时间
+ */
+function toIsoString(seconds) {
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
 }
 
-module.exports = RedemptionManagerService; 
\ No newline at end of file
+module.exports = new RedemptionManagerService();
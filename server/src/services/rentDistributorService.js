@@ -1,256 +1,501 @@
-const { getSystemContract, sendTransaction, callContractMethod } = require('../../../shared/utils/blockchain');
-const logger = require('../utils/logger');
-const { ApiError } = require('../middlewares/errorHandler');
 const { ethers } = require('ethers');
 const BaseContractService = require('./baseContractService');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+const { ERC20_ABI } = require('../../../shared/contracts/constants');
+const { cacheTags } = require('../utils/cacheManager');
 
 /**
  * 租金分配服务
  * 负责与RentDistributor合约交互
+ *
+ * 租金分配分为两个阶段：
+ * 1. receiveStablecoinRent - 房产管理员存入稳定币租金，生成分配记录
+ * 2. processRentDistribution - 扣除平台费和维护费，并对房产代币拍摄快照供投资者按持有比例领取
  */
 class RentDistributorService extends BaseContractService {
   constructor() {
     super('RentDistributor', 'rentDistributor');
   }
-  
+
+  /**
+   * 获取分配记录总数
+   * @returns {Promise<number>} 分配记录数量（分配ID从1开始）
+   */
+  async getDistributionCount() {
+    const count = await this.executeRead('distributionCount');
+    return Number(count);
+  }
+
   /**
    * 获取所有租金分配记录
    * @returns {Promise<Array>} 租金分配记录列表
    */
   async getAllDistributions() {
     try {
-      const count = await this.executeRead('getDistributionCount');
-      
-      // 获取所有分配ID
+      const count = await this.getDistributionCount();
+
       const distributions = [];
-      for (let i = 0; i < count; i++) {
-        const id = await this.executeRead('distributionIds', [i]);
-        
-        // 获取分配详情
+      for (let id = 1; id <= count; id++) {
         const distribution = await this.getDistribution(id);
         if (distribution) {
           distributions.push(distribution);
         }
       }
-      
+
       return distributions;
     } catch (error) {
       logger.error(`获取所有租金分配记录失败: ${error.message}`);
       throw error;
     }
   }
-  
+
   /**
    * 获取租金分配记录
-   * @param {string} distributionId 分配ID
-   * @returns {Promise<object>} 分配记录
+   * @param {number|string} distributionId 分配ID
+   * @returns {Promise<object|null>} 分配记录，不存在时返回null
    */
   async getDistribution(distributionId) {
     try {
-      const data = await this.executeRead('distributions', [distributionId]);
-      
-      // 如果分配不存在，返回null
-      if (!data.exists) {
-        return null;
-      }
-      
-      return {
-        distributionId,
-        tokenAddress: data.token,
-        amount: ethers.utils.formatEther(data.amount),
-        propertyId: data.propertyId,
-        snapshotId: data.snapshotId.toString(),
-        distributor: data.distributor,
-        claimedAmount: ethers.utils.formatEther(data.claimedAmount),
-        rentPeriodStart: new Date(Number(data.rentPeriodStart) * 1000),
-        rentPeriodEnd: new Date(Number(data.rentPeriodEnd) * 1000),
-        distributedAt: new Date(Number(data.distributedAt) * 1000)
-      };
+      return await this.cachedRead('getDistribution', [String(distributionId)], async () => {
+        const data = await this.executeRead('rentDistributions', [distributionId]);
+
+        // 未创建的分配记录代币地址为零地址
+        if (data.tokenAddress === ethers.constants.AddressZero) {
+          return null;
+        }
+
+        return this._formatDistribution(distributionId, data);
+      }, { tags: this._distributionTags(distributionId) });
     } catch (error) {
       logger.error(`获取租金分配记录失败 - distributionId: ${distributionId}, error: ${error.message}`);
       throw error;
     }
   }
-  
+
+  /**
+   * 检查稳定币是否被支持
+   * @param {string} stablecoin 稳定币地址
+   * @returns {Promise<boolean>} 是否支持
+   */
+  async isStablecoinSupported(stablecoin) {
+    return this.executeRead('supportedStablecoins', [stablecoin]);
+  }
+
   /**
    * 获取指定账户可领取的租金
-   * @param {string} distributionId 分配ID
+   * @param {number|string} distributionId 分配ID
    * @param {string} account 账户地址
-   * @returns {Promise<string>} 可领取的租金金额
+   * @returns {Promise<string>} 可领取的租金金额（稳定币最小单位）
    */
   async getClaimableRent(distributionId, account) {
+    return this.cachedRead('getClaimableRent', [String(distributionId), account.toLowerCase()], async () => {
+      const amount = await this.executeRead('getClaimableRent', [distributionId, account], { critical: true });
+      return amount.toString();
+    }, { tags: this._distributionTags(distributionId) });
+  }
+
+  /**
+   * 检查账户是否已领取租金
+   * @param {number|string} distributionId 分配ID
+   * @param {string} account 账户地址
+   * @returns {Promise<boolean>} 是否已领取
+   */
+  async hasClaimed(distributionId, account) {
+    return this.cachedRead(
+      'hasClaimed',
+      [String(distributionId), account.toLowerCase()],
+      () => this.executeRead('hasClaimed', [distributionId, account]),
+      { tags: this._distributionTags(distributionId) }
+    );
+  }
+
+  /**
+   * 存入稳定币租金（第一阶段）
+   * 稳定币授权不足时自动授权给RentDistributor合约
+   * @param {object} rentData 租金数据
+   * @param {string} rentData.propertyId 房产ID
+   * @param {string} rentData.tokenAddress 房产代币地址
+   * @param {string} rentData.stablecoin 稳定币地址
+   * @param {string} rentData.amount 租金金额（稳定币最小单位）
+   * @param {string} rentData.rentalPeriod 租期标识（例如：2025Q1）
+   * @returns {Promise<object>} { receipt, distributionId }
+   */
+  async receiveRent(rentData) {
+    const { propertyId, tokenAddress, stablecoin, amount, rentalPeriod } = rentData;
+
     try {
-      const amount = await this.executeRead('getClaimableRent', [distributionId, account]);
-      return ethers.utils.formatEther(amount);
+      const supported = await this.isStablecoinSupported(stablecoin);
+      if (!supported) {
+        throw createError.badRequest('不支持的稳定币地址', { stablecoin });
+      }
+
+      await this._ensureAllowance(stablecoin, amount, 'receiveRent');
+
+      logger.info(`存入租金 - propertyId: ${propertyId}, stablecoin: ${stablecoin}, amount: ${amount}, 使用财务角色`);
+      const receipt = await this.executeWrite(
+        'receiveStablecoinRent',
+        [propertyId, tokenAddress, stablecoin, amount, rentalPeriod],
+        { operationName: 'receiveRent' }
+      );
+
+      const event = (receipt.events || []).find(e => e.event === 'RentReceived');
+      const distributionId = event ? event.args.distributionId.toString() : null;
+
+      logger.info(`租金存入成功 - distributionId: ${distributionId}, txHash: ${receipt.transactionHash}`);
+      return { receipt, distributionId };
     } catch (error) {
-      logger.error(`获取可领取租金失败 - distributionId: ${distributionId}, account: ${account}, error: ${error.message}`);
+      logger.error(`存入租金失败 - propertyId: ${propertyId}, error: ${error.message}`);
       throw error;
     }
   }
-  
+
   /**
-   * 分配租金
-   * @param {object} distributionData 分配数据
-   * @param {string} distributionData.tokenAddress 代币地址
-   * @param {string} distributionData.amount 租金金额（ETH字符串，如"1.5"）
-   * @param {string} distributionData.propertyId 房产ID
-   * @param {string} [distributionData.snapshotId] 快照ID
-   * @param {Date} distributionData.rentPeriodStart 租期开始时间
-   * @param {Date} distributionData.rentPeriodEnd 租期结束时间
-   * @returns {Promise<object>} 交易收据
+   * 处理租金分配（第二阶段）
+   * 合约扣除平台费和维护费，并对房产代币拍摄快照
+   * @param {number|string} distributionId 分配ID
+   * @returns {Promise<object>} { receipt, platformFee, maintenanceFee, netAmount, snapshotId }
    */
-  async distributeRent(distributionData) {
+  async processDistribution(distributionId) {
     try {
-      const {
-        tokenAddress,
-        amount,
-        propertyId,
-        snapshotId = 0,
-        rentPeriodStart,
-        rentPeriodEnd
-      } = distributionData;
-      
-      // 转换金额为wei
-      const amountInWei = ethers.utils.parseEther(amount);
-      
-      // 转换日期为Unix时间戳
-      const startTimestamp = Math.floor(rentPeriodStart.getTime() / 1000);
-      const endTimestamp = Math.floor(rentPeriodEnd.getTime() / 1000);
-      
-      logger.info(`准备分配租金 - tokenAddress: ${tokenAddress}, amount: ${amount} ETH, propertyId: ${propertyId}, 使用财务角色`);
-      
+      const distribution = await this.getDistribution(distributionId);
+      if (!distribution) {
+        throw createError.notFound(`租金分配记录不存在: ${distributionId}`);
+      }
+      if (distribution.isProcessed) {
+        throw createError.conflict('租金分配已处理', { distributionId: String(distributionId) });
+      }
+
+      logger.info(`处理租金分配 - distributionId: ${distributionId}, 使用财务角色`);
       const receipt = await this.executeWrite(
-        'distributeRent',
-        [tokenAddress, amountInWei, propertyId, snapshotId, startTimestamp, endTimestamp],
-        { 
-          operationName: 'distributeRent',
-          value: amountInWei // 发送ETH作为租金
-        }
+        'processRentDistribution',
+        [distributionId],
+        { operationName: 'processRent' }
       );
-      
-      logger.info(`租金分配成功 - tokenAddress: ${tokenAddress}, amount: ${amount} ETH, txHash: ${receipt.transactionHash}`);
-      
-      // 从事件中获取分配ID
-      const events = receipt.events || [];
-      const rentDistributedEvent = events.find(e => e.event === 'RentDistributed');
-      const distributionId = rentDistributedEvent ? rentDistributedEvent.args.distributionId : null;
-      
+
+      const event = (receipt.events || []).find(e => e.event === 'RentProcessed');
+      const snapshotId = await this.executeRead('getDistributionSnapshotId', [distributionId]);
+
+      logger.info(`租金分配处理成功 - distributionId: ${distributionId}, txHash: ${receipt.transactionHash}`);
       return {
         receipt,
-        distributionId
+        platformFee: event ? event.args.platformFee.toString() : null,
+        maintenanceFee: event ? event.args.maintenanceFee.toString() : null,
+        netAmount: event ? event.args.netAmount.toString() : null,
+        snapshotId: snapshotId.toString()
       };
     } catch (error) {
-      logger.error(`分配租金失败 - error: ${error.message}`);
+      logger.error(`处理租金分配失败 - distributionId: ${distributionId}, error: ${error.message}`);
       throw error;
     }
   }
-  
+
   /**
-   * 清算未领取的租金
-   * @param {string} distributionId 分配ID
+   * 标记未领取的租金
+   * 处理满180天后，将剩余未领取的净额转入待清算余额。合约要求SUPER_ADMIN，使用管理员签名者
+   * @param {number|string} distributionId 分配ID
    * @returns {Promise<object>} 交易收据
    */
   async liquidateUnclaimedRent(distributionId) {
     try {
-      logger.info(`准备清算未领取租金 - distributionId: ${distributionId}, 使用财务角色`);
-      
+      logger.info(`准备标记未领取租金 - distributionId: ${distributionId}, 使用管理员角色`);
+
       const receipt = await this.executeWrite(
-        'liquidateUnclaimedRent',
+        'markUnclaimedRent',
         [distributionId],
         { operationName: 'liquidateUnclaimedRent' }
       );
-      
-      logger.info(`未领取租金清算成功 - distributionId: ${distributionId}, txHash: ${receipt.transactionHash}`);
+
+      logger.info(`未领取租金标记成功 - distributionId: ${distributionId}, txHash: ${receipt.transactionHash}`);
       return receipt;
     } catch (error) {
-      logger.error(`清算未领取租金失败 - distributionId: ${distributionId}, error: ${error.message}`);
+      logger.error(`标记未领取租金失败 - distributionId: ${distributionId}, error: ${error.message}`);
       throw error;
     }
   }
-  
+
   /**
-   * 领取租金
-   * @param {string} distributionId 分配ID
-   * @returns {Promise<object>} 交易收据
+   * 获取账户所有可领取的租金
+   * 遍历已处理的分配记录，返回可领取金额大于0的分配，并按稳定币和房产分组汇总
+   * @param {string} account 账户地址
+   * @returns {Promise<object>} { account, items, byStablecoin }
    */
-  async claimRent(distributionId) {
-    try {
-      logger.info(`准备领取租金 - distributionId: ${distributionId}`);
-      
-      const receipt = await this.executeWrite(
-        'claimRent',
-        [distributionId],
-        { operationName: 'claimRent' }
-      );
-      
-      logger.info(`租金领取成功 - distributionId: ${distributionId}, txHash: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      logger.error(`租金领取失败 - distributionId: ${distributionId}, error: ${error.message}`);
-      throw error;
+  async getClaimableDistributions(account) {
+    const distributions = await this.getAllDistributions();
+
+    const items = [];
+    for (const distribution of distributions.filter(d => d.isProcessed)) {
+      const amount = await this.getClaimableRent(distribution.distributionId, account);
+      if (amount !== '0') {
+        items.push({
+          distributionId: distribution.distributionId,
+          propertyId: distribution.propertyId,
+          tokenAddress: distribution.tokenAddress,
+          stablecoin: distribution.stablecoin,
+          rentalPeriod: distribution.rentalPeriod,
+          snapshotId: distribution.snapshotId,
+          amount
+        });
+      }
     }
+
+    return {
+      account,
+      items,
+      byStablecoin: groupClaims(items)
+    };
   }
-  
+
   /**
-   * 批量领取租金
-   * @param {string[]} distributionIds 分配ID数组
-   * @returns {Promise<object>} 交易收据
+   * 构建未签名的领取交易
+   * 合约只提供单个分配的claimRent，每个分配生成一笔交易，由投资者钱包签名后发送
+   * @param {string} account 账户地址
+   * @param {string[]} [distributionIds] 分配ID，不传时包含所有可领取的分配
+   * @returns {Promise<object>} { account, chainId, transactions }
    */
-  async batchClaimRent(distributionIds) {
-    try {
-      logger.info(`准备批量领取租金 - distributionIds: ${distributionIds.join(', ')}`);
-      
-      const receipt = await this.executeWrite(
-        'batchClaimRent',
-        [distributionIds],
-        { operationName: 'batchClaimRent' }
-      );
-      
-      logger.info(`批量租金领取成功 - distributionIds: ${distributionIds.join(', ')}, txHash: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      logger.error(`批量租金领取失败 - distributionIds: ${distributionIds.join(', ')}, error: ${error.message}`);
-      throw error;
+  async buildClaimTransactions(account, distributionIds) {
+    const claims = await this._resolveClaims(account, distributionIds);
+    await this.ensureInitialized();
+
+    const { chainId } = await this.provider.getNetwork();
+    const to = this.contract.address;
+
+    const transactions = [];
+    for (const claim of claims) {
+      const data = this.contract.interface.encodeFunctionData('claimRent', [claim.distributionId]);
+
+      // 预估gas失败不影响构建，由钱包重新估算
+      let gasLimit = null;
+      try {
+        gasLimit = (await this.provider.estimateGas({ from: account, to, data })).toString();
+      } catch (error) {
+        logger.warn(`预估领取交易gas失败 - distributionId: ${claim.distributionId}, error: ${error.message}`);
+      }
+
+      transactions.push({
+        distributionId: claim.distributionId,
+        stablecoin: claim.stablecoin,
+        amount: claim.amount,
+        transaction: { from: account, to, data, value: '0', chainId, gasLimit }
+      });
+    }
+
+    return { account, chainId, transactions };
+  }
+
+  /**
+   * 领取账户所有可领取的租金
+   * 仅当账户为KeyManager管理的账户时可由服务端签名提交，逐笔发送claimRent交易
+   * @param {string} account 账户地址
+   * @param {string[]} [distributionIds] 分配ID，不传时领取所有可领取的分配
+   * @returns {Promise<object>} 每个分配的领取结果
+   */
+  async claimRents(account, distributionIds) {
+    const role = this.getManagedRole(account);
+    if (!role) {
+      throw createError.forbidden('服务端不持有该账户的私钥，请使用 mode=unsigned 获取未签名交易', { account });
+    }
+
+    const claims = await this._resolveClaims(account, distributionIds);
+
+    const results = [];
+    for (const claim of claims) {
+      try {
+        logger.info(`领取租金 - distributionId: ${claim.distributionId}, account: ${account}`);
+        const receipt = await this.executeWrite('claimRent', [claim.distributionId], { role });
+        const event = (receipt.events || []).find(e => e.event === 'RentClaimed');
+
+        results.push({
+          distributionId: claim.distributionId,
+          stablecoin: claim.stablecoin,
+          success: true,
+          amount: event ? event.args.amount.toString() : claim.amount,
+          transactionHash: receipt.transactionHash
+        });
+      } catch (error) {
+        // 单个分配领取失败时继续领取其余分配
+        logger.error(`租金领取失败 - distributionId: ${claim.distributionId}, error: ${error.message}`);
+        results.push({
+          distributionId: claim.distributionId,
+          stablecoin: claim.stablecoin,
+          success: false,
+          error: error.message
+        });
+      }
     }
+
+    return {
+      account,
+      successCount: results.filter(result => result.success).length,
+      failureCount: results.filter(result => !result.success).length,
+      results
+    };
   }
-  
+
+  /**
+   * 确定要领取的分配
+   * @param {string} account 账户地址
+   * @param {string[]} [distributionIds] 指定的分配ID
+   * @returns {Promise<Array>} 可领取的分配
+   * @private
+   */
+  async _resolveClaims(account, distributionIds) {
+    const { items } = await this.getClaimableDistributions(account);
+
+    let claims = items;
+    if (distributionIds && distributionIds.length > 0) {
+      const requested = distributionIds.map(String);
+      const notClaimable = requested.filter(id => !items.some(item => item.distributionId === id));
+      if (notClaimable.length > 0) {
+        throw createError.unprocessableEntity('部分分配没有可领取的租金', { distributionIds: notClaimable });
+      }
+      claims = items.filter(item => requested.includes(item.distributionId));
+    }
+
+    if (claims.length === 0) {
+      throw createError.notFound(`账户没有可领取的租金: ${account}`);
+    }
+
+    return claims;
+  }
+
   /**
    * 根据房产ID获取租金分配记录
    * @param {string} propertyId 房产ID
    * @returns {Promise<Array>} 租金分配记录列表
    */
   async getDistributionsByPropertyId(propertyId) {
-    try {
-      // 获取所有分配记录
-      const allDistributions = await this.getAllDistributions();
-      
-      // 过滤指定房产的分配记录
-      return allDistributions.filter(distribution => distribution.propertyId === propertyId);
-    } catch (error) {
-      logger.error(`根据房产ID获取租金分配记录失败 - propertyId: ${propertyId}, error: ${error.message}`);
-      throw error;
-    }
+    const allDistributions = await this.getAllDistributions();
+    return allDistributions.filter(distribution => distribution.propertyId === propertyId);
   }
-  
+
   /**
    * 根据代币地址获取租金分配记录
    * @param {string} tokenAddress 代币地址
    * @returns {Promise<Array>} 租金分配记录列表
    */
   async getDistributionsByToken(tokenAddress) {
-    try {
-      // 获取所有分配记录
-      const allDistributions = await this.getAllDistributions();
-      
-      // 过滤指定代币的分配记录
-      return allDistributions.filter(distribution => 
-        distribution.tokenAddress.toLowerCase() === tokenAddress.toLowerCase()
-      );
-    } catch (error) {
-      logger.error(`根据代币地址获取租金分配记录失败 - tokenAddress: ${tokenAddress}, error: ${error.message}`);
-      throw error;
+    const allDistributions = await this.getAllDistributions();
+    return allDistributions.filter(distribution =>
+      distribution.tokenAddress.toLowerCase() === tokenAddress.toLowerCase()
+    );
+  }
+
+  /**
+   * 确保操作角色对RentDistributor合约的稳定币授权足够
+   * @param {string} tokenAddress 稳定币地址
+   * @param {string} amount 所需数量
+   * @param {string} operationName 操作名称，用于确定签名角色
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureAllowance(tokenAddress, amount, operationName) {
+    await this.ensureInitialized();
+    const owner = await this.getSenderAddress(operationName);
+    const spender = this.contract.address;
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+
+    const balance = await token.balanceOf(owner);
+    if (balance.lt(amount)) {
+      throw createError.unprocessableEntity('稳定币余额不足', {
+        stablecoin: tokenAddress,
+        balance: balance.toString(),
+        amount: String(amount)
+      });
+    }
+
+    const allowance = await token.allowance(owner, spender);
+    if (allowance.gte(amount)) {
+      return;
+    }
+
+    // 未签名模式下授权作为第一笔交易返回
+    logger.info(`授权不足，自动授权 - token: ${tokenAddress}, owner: ${owner}, amount: ${amount}`);
+    await this.executeWrite('approve', [spender, amount], { operationName, contract: token, contractName: 'ERC20' });
+  }
+
+  /**
+   * 分配记录相关读取的缓存标签
+   * 领取、处理等事件使单个分配失效，清算未领取租金使全部分配失效
+   * @param {number|string} distributionId 分配ID
+   * @returns {Array<string>} 缓存标签
+   * @private
+   */
+  _distributionTags(distributionId) {
+    return [cacheTags.distribution(distributionId), cacheTags.distributions()];
+  }
+
+  /**
+   * 格式化分配记录
+   * @param {number|string} distributionId 分配ID
+   * @param {object} data 合约返回的分配数据
+   * @returns {object} 分配记录
+   * @private
+   */
+  _formatDistribution(distributionId, data) {
+    return {
+      distributionId: String(distributionId),
+      propertyId: data.propertyId,
+      tokenAddress: data.tokenAddress,
+      stablecoin: data.stablecoinAddress,
+      rentalPeriod: data.rentalPeriod,
+      totalAmount: data.totalAmount.toString(),
+      platformFee: data.platformFee.toString(),
+      maintenanceFee: data.maintenanceFee.toString(),
+      netAmount: data.netAmount.toString(),
+      isProcessed: data.isProcessed,
+      snapshotId: data.snapshotId.toString(),
+      totalClaimed: data.totalClaimed.toString(),
+      // 存入时为存入时间，处理后更新为处理时间
+      updatedAt: new Date(Number(data.approvalTime) * 1000)
+    };
+  }
+}
+
+/**
+ * 按稳定币和房产分组汇总可领取租金
+ * @param {Array} items 可领取的分配
+ * @returns {Array} 按稳定币分组的汇总，每组包含各房产的可领取分配
+ */
+function groupClaims(items) {
+  const groups = new Map();
+
+  for (const item of items) {
+    if (!groups.has(item.stablecoin)) {
+      groups.set(item.stablecoin, {
+        stablecoin: item.stablecoin,
+        totalAmount: ethers.BigNumber.from(0),
+        properties: new Map()
+      });
+    }
+    const group = groups.get(item.stablecoin);
+    group.totalAmount = group.totalAmount.add(item.amount);
+
+    if (!group.properties.has(item.propertyId)) {
+      group.properties.set(item.propertyId, {
+        propertyId: item.propertyId,
+        tokenAddress: item.tokenAddress,
+        totalAmount: ethers.BigNumber.from(0),
+        distributions: []
+      });
     }
+    const property = group.properties.get(item.propertyId);
+    property.totalAmount = property.totalAmount.add(item.amount);
+    property.distributions.push({
+      distributionId: item.distributionId,
+      rentalPeriod: item.rentalPeriod,
+      amount: item.amount
+    });
   }
+
+  return Array.from(groups.values()).map(group => ({
+    stablecoin: group.stablecoin,
+    totalAmount: group.totalAmount.toString(),
+    properties: Array.from(group.properties.values()).map(property => ({
+      ...property,
+      totalAmount: property.totalAmount.toString()
+    }))
+  }));
 }
 
-module.exports = new RentDistributorService(); 
\ No newline at end of file
+module.exports = new RentDistributorService();
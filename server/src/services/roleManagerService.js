@@ -1,173 +1,385 @@
-const { getSystemContract, sendTransaction, callContractMethod } = require('../utils/blockchain');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const BaseContractService = require('./baseContractService');
+const EventStore = require('../../../shared/utils/eventStore');
+const { getMonitorDataPath, getServerDataPath } = require('../../../shared/utils/paths');
 const logger = require('../utils/logger');
-const { ApiError } = require('../middlewares/errorHandler');
+const { createError } = require('../middlewares/errorHandler');
+const { CONTRACT_ROLES: ROLE_NAMES } = require('../../../shared/contracts/constants');
+const keyManager = require('../config/keyManager');
+const { signerContractRoles } = require('../config');
+
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+// 角色变更原因记录文件（合约事件中不包含原因）
+const AUDIT_FILE = 'role-audit.json';
 
 /**
  * 角色管理服务
- * 封装RoleManager合约的操作
+ * 负责与RoleManager合约交互。AccessControl不支持枚举成员，
+ * 角色成员和审计历史基于监控服务索引的RoleGranted/RoleRevoked事件构建
  */
-class RoleManagerService {
+class RoleManagerService extends BaseContractService {
+  constructor() {
+    super('RoleManager', 'roleManager');
+    this.eventStore = new EventStore(process.env.MONITOR_DATA_DIR || getMonitorDataPath(), { readOnly: true });
+    this.auditFile = path.join(process.env.SERVER_DATA_DIR || getServerDataPath(), AUDIT_FILE);
+  }
+
   /**
-   * 获取RoleManager合约实例
-   * @param {boolean} [withSigner=true] 是否使用签名者
-   * @returns {ethers.Contract} 合约实例
+   * 获取所有角色及成员数量
+   * @returns {Promise<Array>} 角色列表
    */
-  static getContract(withSigner = true) {
-    return getSystemContract('RoleManager', withSigner);
+  async getRoles() {
+    const members = await this._getMembersByRole();
+
+    const roles = [];
+    for (const role of ROLE_NAMES) {
+      const adminRoleId = await this.executeRead('getRoleAdmin', [getRoleId(role)]);
+      roles.push({
+        role,
+        roleId: getRoleId(role),
+        adminRole: getRoleName(adminRoleId),
+        memberCount: members.get(role).length
+      });
+    }
+
+    return roles;
+  }
+
+  /**
+   * 获取角色成员
+   * @param {string} role 角色名称
+   * @returns {Promise<object>} { role, roleId, members, indexedToBlock }
+   */
+  async getRoleMembers(role) {
+    const members = await this._getMembersByRole();
+
+    const items = [];
+    for (const member of members.get(role)) {
+      items.push({
+        address: member.address,
+        grantedAtBlock: member.blockNumber,
+        grantedAt: await this.getBlockTime(member.blockNumber),
+        transactionHash: member.transactionHash
+      });
+    }
+
+    return {
+      role,
+      roleId: getRoleId(role),
+      members: items,
+      indexedToBlock: this._getCheckpoint().blockNumber
+    };
+  }
+
+  /**
+   * 检查账户拥有的角色
+   * @param {string} account 账户地址
+   * @returns {Promise<object>} { account, roles, details }
+   */
+  async getAccountRoles(account) {
+    const details = {};
+    for (const role of ROLE_NAMES) {
+      details[role] = await this.hasRole(role, account);
+    }
+
+    return {
+      account,
+      roles: ROLE_NAMES.filter(role => details[role]),
+      details
+    };
+  }
+
+  /**
+   * 检查账户是否拥有角色
+   * @param {string} role 角色名称
+   * @param {string} account 账户地址
+   * @returns {Promise<boolean>} 是否拥有该角色
+   */
+  async hasRole(role, account) {
+    return this.executeRead('hasRole', [getRoleId(role), account]);
+  }
+
+  /**
+   * 检查各签名角色的地址是否拥有所需的链上角色
+   * @returns {Promise<Array>} 每个签名角色的检查结果 { role, signerType, address, required, missing }
+   */
+  async verifySignerRoles() {
+    const results = [];
+    for (const role of keyManager.getAvailableRoles()) {
+      const address = keyManager.getAddress(role);
+      const required = signerContractRoles[role] || [];
+      const missing = [];
+      for (const contractRole of required) {
+        if (!(await this.hasRole(contractRole, address))) {
+          missing.push(contractRole);
+        }
+      }
+      results.push({ role, signerType: keyManager.getSignerType(role), address, required, missing });
+    }
+    return results;
   }
 
   /**
    * 授予角色
-   * @param {string} role 角色常量
+   * @param {string} role 角色名称
    * @param {string} account 账户地址
+   * @param {string} reason 变更原因
    * @returns {Promise<object>} 交易收据
    */
-  static async grantRole(role, account) {
+  async grantRole(role, account, reason) {
     try {
-      logger.info(`Granting role ${role} to account ${account}`);
-      const contract = this.getContract();
-      return await sendTransaction(contract, 'grantRole', [role, account]);
+      if (await this.hasRole(role, account)) {
+        throw createError.conflict(`账户已拥有角色 ${role}`, { role, account });
+      }
+      await this._ensureRoleAdmin(role, 'grantRole');
+
+      logger.info(`授予角色 - role: ${role}, account: ${account}, reason: ${reason}`);
+      const receipt = await this.executeWrite(
+        'grantRole',
+        [getRoleId(role), account],
+        { operationName: 'grantRole' }
+      );
+
+      this._recordReason(receipt.transactionHash, { action: 'grant', role, account, reason });
+      logger.info(`角色授予成功 - role: ${role}, account: ${account}, txHash: ${receipt.transactionHash}`);
+      return receipt;
     } catch (error) {
-      logger.error(`Failed to grant role: ${error.message}`);
-      throw ApiError.contractError(`Failed to grant role: ${error.message}`);
+      logger.error(`授予角色失败 - role: ${role}, account: ${account}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
    * 撤销角色
-   * @param {string} role 角色常量
+   * 不允许撤销最后一个SUPER_ADMIN持有者
+   * @param {string} role 角色名称
    * @param {string} account 账户地址
+   * @param {string} reason 变更原因
    * @returns {Promise<object>} 交易收据
    */
-  static async revokeRole(role, account) {
+  async revokeRole(role, account, reason) {
     try {
-      logger.info(`Revoking role ${role} from account ${account}`);
-      const contract = this.getContract();
-      return await sendTransaction(contract, 'revokeRole', [role, account]);
+      if (!(await this.hasRole(role, account))) {
+        throw createError.notFound(`账户未拥有角色 ${role}`, { role, account });
+      }
+      if (role === 'SUPER_ADMIN') {
+        await this._ensureNotLastSuperAdmin(account);
+      }
+      await this._ensureRoleAdmin(role, 'revokeRole');
+
+      logger.info(`撤销角色 - role: ${role}, account: ${account}, reason: ${reason}`);
+      const receipt = await this.executeWrite(
+        'revokeRole',
+        [getRoleId(role), account],
+        { operationName: 'revokeRole' }
+      );
+
+      this._recordReason(receipt.transactionHash, { action: 'revoke', role, account, reason });
+      logger.info(`角色撤销成功 - role: ${role}, account: ${account}, txHash: ${receipt.transactionHash}`);
+      return receipt;
     } catch (error) {
-      logger.error(`Failed to revoke role: ${error.message}`);
-      throw ApiError.contractError(`Failed to revoke role: ${error.message}`);
+      logger.error(`撤销角色失败 - role: ${role}, account: ${account}, error: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * 检查账户是否有特定角色
-   * @param {string} role 角色常量
-   * @param {string} account 账户地址
-   * @returns {Promise<boolean>} 是否有该角色
+   * 获取角色变更审计历史
+   * @param {object} [options] 查询选项
+   * @param {string} [options.role] 角色名称
+   * @param {string} [options.account] 账户地址
+   * @param {number} [options.page=1] 页码
+   * @param {number} [options.limit=20] 每页数量
+   * @returns {Promise<object>} 审计记录分页列表，按区块倒序
    */
-  static async hasRole(role, account) {
-    try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'hasRole', [role, account]);
-    } catch (error) {
-      logger.error(`Failed to check role: ${error.message}`);
-      throw ApiError.contractError(`Failed to check role: ${error.message}`);
+  async getAuditHistory(options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+
+    const account = options.account ? options.account.toLowerCase() : null;
+    const events = (await this._getRoleEvents()).filter(event =>
+      (!options.role || getRoleName(event.args.role) === options.role) &&
+      (!account || event.args.account.toLowerCase() === account));
+
+    const reasons = this._loadReasons();
+    const start = (page - 1) * limit;
+    const items = [];
+    for (const event of events.reverse().slice(start, start + limit)) {
+      const record = reasons[event.transactionHash.toLowerCase()];
+      items.push({
+        action: event.eventName === 'RoleGranted' ? 'grant' : 'revoke',
+        role: getRoleName(event.args.role),
+        account: event.args.account,
+        sender: event.args.sender,
+        reason: record ? record.reason : null,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        timestamp: await this.getBlockTime(event.blockNumber),
+        final: event.final
+      });
     }
+
+    return {
+      indexedToBlock: this._getCheckpoint().blockNumber,
+      finalizedBlock: this.eventStore.getFinalizedBlock(),
+      items,
+      total: events.length,
+      page,
+      limit
+    };
   }
 
   /**
-   * 获取角色管理员
-   * @param {string} role 角色常量
-   * @returns {Promise<string>} 管理员角色
+   * 根据角色事件计算各角色当前成员
+   * @returns {Promise<Map<string, Array>>} 角色名称到成员列表的映射
+   * @private
    */
-  static async getRoleAdmin(role) {
-    try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'getRoleAdmin', [role]);
-    } catch (error) {
-      logger.error(`Failed to get role admin: ${error.message}`);
-      throw ApiError.contractError(`Failed to get role admin: ${error.message}`);
+  async _getMembersByRole() {
+    const members = new Map(ROLE_NAMES.map(role => [role, new Map()]));
+
+    for (const event of await this._getRoleEvents()) {
+      const role = getRoleName(event.args.role);
+      if (!members.has(role)) {
+        continue;
+      }
+
+      const address = ethers.utils.getAddress(event.args.account);
+      if (event.eventName === 'RoleGranted') {
+        members.get(role).set(address, {
+          address,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        });
+      } else {
+        members.get(role).delete(address);
+      }
     }
+
+    return new Map(Array.from(members.entries()).map(([role, map]) => [role, Array.from(map.values())]));
   }
 
   /**
-   * 获取超级管理员角色常量
-   * @returns {Promise<string>} SUPER_ADMIN角色常量
+   * 获取已索引的角色变更事件
+   * @returns {Promise<Array>} RoleGranted和RoleRevoked事件，按区块顺序
+   * @private
    */
-  static async getSuperAdminRole() {
-    try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'SUPER_ADMIN', []);
-    } catch (error) {
-      logger.error(`Failed to get SUPER_ADMIN role: ${error.message}`);
-      throw ApiError.contractError(`Failed to get SUPER_ADMIN role: ${error.message}`);
+  async _getRoleEvents() {
+    await this.ensureInitialized();
+    this._getCheckpoint();
+    return this.eventStore.query({ contractAddress: this.contract.address })
+      .filter(event => event.eventName === 'RoleGranted' || event.eventName === 'RoleRevoked');
+  }
+
+  /**
+   * 获取RoleManager的索引游标
+   * 每次查询都重新读取监控服务写入的最新游标
+   * @returns {object} 游标
+   * @private
+   */
+  _getCheckpoint() {
+    this.eventStore.refresh();
+    const checkpoint = this.eventStore.getCheckpoint(this.contract.address);
+    if (!checkpoint) {
+      throw createError.serviceUnavailable('RoleManager尚未被事件索引收录');
     }
+    return checkpoint;
   }
 
   /**
-   * 获取房产管理员角色常量
-   * @returns {Promise<string>} PROPERTY_MANAGER角色常量
+   * 确保账户不是最后一个SUPER_ADMIN持有者
+   * 以链上hasRole为准复核索引中的成员，避免索引延迟导致误判
+   * @param {string} account 要撤销的账户
+   * @returns {Promise<void>}
+   * @private
    */
-  static async getPropertyManagerRole() {
-    try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'PROPERTY_MANAGER', []);
-    } catch (error) {
-      logger.error(`Failed to get PROPERTY_MANAGER role: ${error.message}`);
-      throw ApiError.contractError(`Failed to get PROPERTY_MANAGER role: ${error.message}`);
+  async _ensureNotLastSuperAdmin(account) {
+    const candidates = (await this._getMembersByRole()).get('SUPER_ADMIN')
+      .map(member => member.address)
+      .filter(address => address.toLowerCase() !== account.toLowerCase());
+
+    for (const address of candidates) {
+      if (await this.hasRole('SUPER_ADMIN', address)) {
+        return;
+      }
     }
+
+    throw createError.conflict('不能撤销最后一个SUPER_ADMIN持有者', { account });
   }
 
   /**
-   * 获取费用收集者角色常量
-   * @returns {Promise<string>} FEE_COLLECTOR角色常量
+   * 确保签名账户拥有该角色的管理角色
+   * @param {string} role 角色名称
+   * @param {string} operationName 操作名称，用于确定签名账户
+   * @returns {Promise<void>}
+   * @private
    */
-  static async getFeeCollectorRole() {
-    try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'FEE_COLLECTOR', []);
-    } catch (error) {
-      logger.error(`Failed to get FEE_COLLECTOR role: ${error.message}`);
-      throw ApiError.contractError(`Failed to get FEE_COLLECTOR role: ${error.message}`);
+  async _ensureRoleAdmin(role, operationName) {
+    const adminRoleId = await this.executeRead('getRoleAdmin', [getRoleId(role)]);
+    const sender = await this.getSenderAddress(operationName);
+
+    if (!(await this.executeRead('hasRole', [adminRoleId, sender]))) {
+      throw createError.forbidden(`签名账户没有 ${getRoleName(adminRoleId)} 角色，无法变更 ${role}`, { sender });
     }
   }
 
   /**
-   * 获取账户所拥有的所有角色
-   * @param {string} account 账户地址
-   * @returns {Promise<Array<string>>} 角色列表
+   * 读取角色变更原因
+   * @returns {object} 交易哈希到变更记录的映射
+   * @private
    */
-  static async getAccountRoles(account) {
-    try {
-      // 获取所有角色常量
-      const superAdminRole = await this.getSuperAdminRole();
-      const propertyManagerRole = await this.getPropertyManagerRole();
-      const feeCollectorRole = await this.getFeeCollectorRole();
-      
-      // 获取账户在每个角色上的状态
-      const [hasSuperAdmin, hasPropertyManager, hasFeeCollector] = await Promise.all([
-        this.hasRole(superAdminRole, account),
-        this.hasRole(propertyManagerRole, account),
-        this.hasRole(feeCollectorRole, account)
-      ]);
-      
-      // 构建结果对象
-      const roles = [];
-      if (hasSuperAdmin) roles.push('SUPER_ADMIN');
-      if (hasPropertyManager) roles.push('PROPERTY_MANAGER');
-      if (hasFeeCollector) roles.push('FEE_COLLECTOR');
-      
-      return roles;
-    } catch (error) {
-      logger.error(`Failed to get account roles: ${error.message}`);
-      throw ApiError.contractError(`Failed to get account roles: ${error.message}`);
+  _loadReasons() {
+    if (!fs.existsSync(this.auditFile)) {
+      return {};
     }
+    return JSON.parse(fs.readFileSync(this.auditFile, 'utf8'));
   }
-  
+
   /**
-   * 获取合约当前版本
-   * @returns {Promise<number>} 版本号
+   * 记录角色变更原因
+   * 未签名模式下没有交易哈希，不记录
+   * @param {string|null} transactionHash 交易哈希
+   * @param {object} record 变更记录
+   * @private
    */
-  static async getVersion() {
+  _recordReason(transactionHash, record) {
+    if (!transactionHash) {
+      return;
+    }
+
     try {
-      const contract = this.getContract(false);
-      return await callContractMethod(contract, 'version', []);
+      const reasons = this._loadReasons();
+      reasons[transactionHash.toLowerCase()] = { ...record, recordedAt: new Date().toISOString() };
+      fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+      fs.writeFileSync(this.auditFile, JSON.stringify(reasons, null, 2));
     } catch (error) {
-      logger.error(`Failed to get version: ${error.message}`);
-      throw ApiError.contractError(`Failed to get version: ${error.message}`);
+      // 交易已上链，记录失败不影响结果
+      logger.warn(`记录角色变更原因失败 - txHash: ${transactionHash}, error: ${error.message}`);
     }
   }
 }
 
-module.exports = RoleManagerService; 
\ No newline at end of file
+/**
+ * 获取角色ID
+ * @param {string} role 角色名称
+ * @returns {string} 角色ID
+ */
+function getRoleId(role) {
+  return ethers.utils.id(role);
+}
+
+/**
+ * 根据角色ID获取角色名称
+ * @param {string} roleId 角色ID
+ * @returns {string} 角色名称，未知角色返回角色ID
+ */
+function getRoleName(roleId) {
+  if (roleId === DEFAULT_ADMIN_ROLE) {
+    return 'DEFAULT_ADMIN_ROLE';
+  }
+  return ROLE_NAMES.find(role => getRoleId(role) === roleId) || roleId;
+}
+
+module.exports = new RoleManagerService();
@@ -0,0 +1,305 @@
+const { ethers } = require('ethers');
+const BaseContractService = require('./baseContractService');
+const EventStore = require('../../../shared/utils/eventStore');
+const { getMonitorDataPath } = require('../../../shared/utils/paths');
+const logger = require('../utils/logger');
+const { createError } = require('../middlewares/errorHandler');
+
+// 单次快照查询的持有人数量，避免eth_call过大
+const SNAPSHOT_BATCH_SIZE = 200;
+
+// 持股比例精度（保留4位小数）
+const PERCENTAGE_SCALE = 1000000;
+
+/**
+ * 代币持有人服务
+ * 基于监控服务索引的Transfer事件构建持有人名册（股东名册），
+ * 历史快照通过TokenHolderQuery合约查询
+ */
+class TokenHolderService extends BaseContractService {
+  constructor() {
+    super('TokenHolderQuery', 'tokenHolderQuery');
+    this.eventStore = new EventStore(process.env.MONITOR_DATA_DIR || getMonitorDataPath(), { readOnly: true });
+  }
+
+  /**
+   * 获取代币持有人列表
+   * @param {string} tokenAddress 代币地址
+   * @param {object} [options] 查询选项
+   * @param {number|string} [options.snapshotId] 快照ID，不传时返回当前持有情况
+   * @param {string} [options.sortBy='balance'] 排序字段
+   * @param {string} [options.order='desc'] 排序方向
+   * @param {number} [options.page=1] 页码
+   * @param {number} [options.limit=20] 每页数量
+   * @returns {Promise<object>} 持有人分页列表
+   */
+  async getHolders(tokenAddress, options = {}) {
+    const { snapshotId, sortBy = 'balance', order = 'desc' } = options;
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+
+    const index = this.buildHolderIndex(tokenAddress);
+
+    let holders;
+    let totalSupply;
+    if (snapshotId !== undefined && snapshotId !== null) {
+      ({ holders, totalSupply } = await this._getSnapshotBalances(tokenAddress, index.holders, snapshotId));
+    } else {
+      holders = index.holders.filter(holder => !holder.balance.isZero());
+      totalSupply = index.totalSupply;
+    }
+
+    const sorted = sortHolders(holders, sortBy, order);
+    const start = (page - 1) * limit;
+    const pageHolders = sorted.slice(start, start + limit);
+
+    const items = [];
+    for (const holder of pageHolders) {
+      items.push({
+        address: holder.address,
+        balance: holder.balance.toString(),
+        percentage: toPercentage(holder.balance, totalSupply),
+        firstAcquiredBlock: holder.firstAcquiredBlock,
+        firstAcquiredAt: await this.getBlockTime(holder.firstAcquiredBlock)
+      });
+    }
+
+    return {
+      tokenAddress: index.tokenAddress,
+      snapshotId: snapshotId !== undefined && snapshotId !== null ? String(snapshotId) : null,
+      totalSupply: totalSupply.toString(),
+      holderCount: holders.length,
+      indexedToBlock: index.indexedToBlock,
+      finalizedBlock: index.finalizedBlock,
+      items,
+      total: sorted.length,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * 获取代币转账历史
+   * @param {string} tokenAddress 代币地址
+   * @param {object} [options] 查询选项
+   * @param {number} [options.fromBlock] 起始区块
+   * @param {number} [options.toBlock] 结束区块
+   * @param {string} [options.account] 只返回与该账户相关的转账
+   * @param {number} [options.page=1] 页码
+   * @param {number} [options.limit=20] 每页数量
+   * @returns {Promise<object>} 转账记录分页列表，按区块倒序
+   */
+  async getTransferHistory(tokenAddress, options = {}) {
+    const address = ethers.utils.getAddress(tokenAddress);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+
+    const checkpoint = this._getCheckpoint(address);
+
+    const account = options.account ? options.account.toLowerCase() : null;
+    const events = this.eventStore.query({
+      contractAddress: address,
+      eventName: 'Transfer',
+      fromBlock: options.fromBlock !== undefined ? Number(options.fromBlock) : undefined,
+      toBlock: options.toBlock !== undefined ? Number(options.toBlock) : undefined
+    }).filter(event => !account ||
+      event.args.from.toLowerCase() === account ||
+      event.args.to.toLowerCase() === account);
+
+    const start = (page - 1) * limit;
+    const items = [];
+    for (const event of events.reverse().slice(start, start + limit)) {
+      items.push({
+        type: transferType(event.args),
+        from: event.args.from,
+        to: event.args.to,
+        value: event.args.value,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        timestamp: await this.getBlockTime(event.blockNumber),
+        final: event.final
+      });
+    }
+
+    return {
+      tokenAddress: address,
+      indexedToBlock: checkpoint.blockNumber,
+      finalizedBlock: this.eventStore.getFinalizedBlock(),
+      items,
+      total: events.length,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * 根据索引的Transfer事件构建持有人索引
+   * @param {string} tokenAddress 代币地址
+   * @returns {object} 持有人索引，包含所有曾经持有过代币的地址
+   */
+  buildHolderIndex(tokenAddress) {
+    const address = ethers.utils.getAddress(tokenAddress);
+
+    const checkpoint = this._getCheckpoint(address);
+
+    const events = this.eventStore.query({ contractAddress: address, eventName: 'Transfer' });
+    const holders = new Map();
+    let totalSupply = ethers.BigNumber.from(0);
+
+    const getHolder = (holderAddress) => {
+      const key = ethers.utils.getAddress(holderAddress);
+      if (!holders.has(key)) {
+        holders.set(key, { address: key, balance: ethers.BigNumber.from(0), firstAcquiredBlock: null });
+      }
+      return holders.get(key);
+    };
+
+    for (const event of events) {
+      const { from, to, value } = event.args;
+      const amount = ethers.BigNumber.from(value);
+
+      // 零地址转出为铸造，转入零地址为销毁
+      if (from === ethers.constants.AddressZero) {
+        totalSupply = totalSupply.add(amount);
+      } else {
+        const sender = getHolder(from);
+        sender.balance = sender.balance.sub(amount);
+      }
+
+      if (to === ethers.constants.AddressZero) {
+        totalSupply = totalSupply.sub(amount);
+      } else {
+        const recipient = getHolder(to);
+        recipient.balance = recipient.balance.add(amount);
+        if (recipient.firstAcquiredBlock === null && !amount.isZero()) {
+          recipient.firstAcquiredBlock = event.blockNumber;
+        }
+      }
+    }
+
+    return {
+      tokenAddress: address,
+      holders: Array.from(holders.values()),
+      totalSupply,
+      indexedToBlock: checkpoint.blockNumber,
+      finalizedBlock: this.eventStore.getFinalizedBlock()
+    };
+  }
+
+  /**
+   * 获取代币的索引游标
+   * 每次查询都重新读取监控服务写入的最新游标
+   * @param {string} address 代币地址
+   * @returns {object} 游标
+   * @private
+   */
+  _getCheckpoint(address) {
+    this.eventStore.refresh();
+    const checkpoint = this.eventStore.getCheckpoint(address);
+    if (!checkpoint) {
+      throw createError.serviceUnavailable(`代币尚未被事件索引收录: ${address}`);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * 查询快照时的持有人余额
+   * @param {string} tokenAddress 代币地址
+   * @param {Array<object>} holders 索引中的持有人
+   * @param {number|string} snapshotId 快照ID
+   * @returns {Promise<object>} 快照时余额大于0的持有人及总供应量
+   * @private
+   */
+  async _getSnapshotBalances(tokenAddress, holders, snapshotId) {
+    const result = [];
+    let totalSupply = ethers.BigNumber.from(0);
+
+    try {
+      // 没有持有人时也查询一次，以获取快照时的总供应量
+      for (let i = 0; i === 0 || i < holders.length; i += SNAPSHOT_BATCH_SIZE) {
+        const batch = holders.slice(i, i + SNAPSHOT_BATCH_SIZE);
+        const data = await this.executeRead('getBalancesAtSnapshot', [
+          tokenAddress,
+          batch.map(holder => holder.address),
+          snapshotId
+        ], { critical: true });
+
+        totalSupply = data.totalSupply;
+        batch.forEach((holder, index) => {
+          if (!data.balances[index].isZero()) {
+            result.push({ ...holder, balance: data.balances[index] });
+          }
+        });
+      }
+    } catch (error) {
+      logger.error(`查询快照余额失败 - token: ${tokenAddress}, snapshotId: ${snapshotId}, error: ${error.message}`);
+      // executeRead将合约回滚原因放在details中
+      if (String(error.details || error.message).includes('nonexistent id')) {
+        throw createError.notFound(`快照不存在: ${snapshotId}`);
+      }
+      throw error;
+    }
+
+    return { holders: result, totalSupply };
+  }
+}
+
+/**
+ * 对持有人排序
+ * @param {Array<object>} holders 持有人列表
+ * @param {string} sortBy 排序字段
+ * @param {string} order 排序方向
+ * @returns {Array<object>} 排序后的列表
+ */
+function sortHolders(holders, sortBy, order) {
+  const direction = order === 'asc' ? 1 : -1;
+
+  const compare = (a, b) => {
+    if (sortBy === 'address') {
+      return a.address.toLowerCase().localeCompare(b.address.toLowerCase());
+    }
+    if (sortBy === 'firstAcquiredAt') {
+      return (a.firstAcquiredBlock || 0) - (b.firstAcquiredBlock || 0);
+    }
+    if (a.balance.eq(b.balance)) {
+      return 0;
+    }
+    return a.balance.gt(b.balance) ? 1 : -1;
+  };
+
+  // 相同排序值时按地址排序，保证分页结果稳定
+  return [...holders].sort((a, b) => compare(a, b) * direction || a.address.localeCompare(b.address));
+}
+
+/**
+ * 判断转账类型
+ * @param {object} args Transfer事件参数
+ * @returns {string} mint | burn | transfer
+ */
+function transferType(args) {
+  if (args.from === ethers.constants.AddressZero) {
+    return 'mint';
+  }
+  if (args.to === ethers.constants.AddressZero) {
+    return 'burn';
+  }
+  return 'transfer';
+}
+
+/**
+ * 计算持股比例
+ * @param {ethers.BigNumber} balance 余额
+ * @param {ethers.BigNumber} totalSupply 总供应量
+ * @returns {string} 百分比字符串，保留4位小数
+ */
+function toPercentage(balance, totalSupply) {
+  if (totalSupply.isZero()) {
+    return '0.0000';
+  }
+
+  const scaled = balance.mul(100 * PERCENTAGE_SCALE).div(totalSupply).toNumber();
+  return (scaled / PERCENTAGE_SCALE).toFixed(4);
+}
+
+module.exports = new TokenHolderService();
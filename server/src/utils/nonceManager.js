@@ -0,0 +1,357 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getUnsignedContext } = require('./unsignedContext');
+
+// 节点明确拒绝、nonce未被占用的错误，可以立即释放nonce
+const REJECTED_ERRORS = new Set([
+  'CALL_EXCEPTION',
+  'UNPREDICTABLE_GAS_LIMIT',
+  'INSUFFICIENT_FUNDS',
+  'INVALID_ARGUMENT',
+  'UNSUPPORTED_OPERATION'
+]);
+
+// nonce已被其他交易占用的错误
+const NONCE_TAKEN_ERRORS = new Set(['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED']);
+
+/**
+ * Nonce管理器
+ * 按签名地址在本地分配nonce，同一地址的发送串行执行，不同地址之间互不阻塞。
+ * 分配前与节点的交易数同步，并回收发送失败或被节点丢弃的nonce以填补空洞。
+ * 多个角色共用同一私钥时共享同一个nonce序列。
+ */
+class NonceManager extends EventEmitter {
+  constructor() {
+    super();
+    this.accounts = new Map();
+    this.dropTimeout = 2 * 60 * 1000; // 已发送的交易超过2分钟仍未进入节点的pending计数，视为被丢弃
+    this.maxAttempts = 3; // nonce被占用时重新分配的最大次数
+  }
+
+  /**
+   * 使用本地分配的nonce发送交易
+   * 指定了nonce时（替换或取消交易）不重新分配，只在同一地址的队列中串行发送
+   * @param {string} address 签名地址
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @param {function(number): Promise<ethers.providers.TransactionResponse>} sendFn 使用给定nonce发送交易
+   * @param {number} [nonce] 指定的nonce
+   * @returns {Promise<ethers.providers.TransactionResponse>} 交易响应
+   */
+  send(address, provider, sendFn, nonce = null) {
+    // 未签名模式的请求中不允许服务端签名发送，写操作应经过executeWrite构建未签名交易
+    if (getUnsignedContext()) {
+      return Promise.reject(Object.assign(new Error('未签名模式下不能使用服务端签名者发送交易'), {
+        code: 'UNSIGNED_MODE',
+        statusCode: 400
+      }));
+    }
+
+    const account = this._getAccount(address);
+    return this._serialize(account, async () => {
+      if (nonce !== null && nonce !== undefined) {
+        const tx = await sendFn(ethers.BigNumber.from(nonce).toNumber());
+        this._markSent(account, tx.nonce, tx.hash);
+        return tx;
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        const reserved = await this._reserve(account, provider);
+        try {
+          return await this._sendWithNonce(account, reserved, sendFn);
+        } catch (error) {
+          // nonce已被本服务之外的交易使用，跳过后重新分配
+          if (NONCE_TAKEN_ERRORS.has(error.code) && attempt < this.maxAttempts) {
+            logger.warn(`nonce ${reserved} 已被占用，重新分配`, { address: account.address });
+            continue;
+          }
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * 使用最小的回收nonce发送交易，填补被丢弃交易留下的空洞
+   * 在地址队列中执行，发送前重新与节点同步；回收的nonce已被其他交易使用，
+   * 或其后已没有等待中的交易时不发送
+   * @param {string} address 签名地址
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @param {function(number): Promise<ethers.providers.TransactionResponse>} sendFn 使用给定nonce发送交易
+   * @returns {Promise<ethers.providers.TransactionResponse|null>} 交易响应，无需填补时返回null
+   */
+  fillGap(address, provider, sendFn) {
+    const account = this._getAccount(address);
+    return this._serialize(account, async () => {
+      await this._sync(account, provider);
+      if (account.released.size === 0) {
+        return null;
+      }
+
+      const nonce = Math.min(...account.released);
+      if (!this.hasPendingAfter(account.address, nonce)) {
+        return null;
+      }
+      account.released.delete(nonce);
+      return this._sendWithNonce(account, nonce, sendFn);
+    });
+  }
+
+  /**
+   * 与节点同步指定地址的nonce状态
+   * 由交易队列定期调用，以便在没有新交易时也能发现被丢弃的交易
+   * @param {string} address 签名地址
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @returns {Promise<void>}
+   */
+  sync(address, provider) {
+    const account = this._getAccount(address);
+    return this._serialize(account, () => this._sync(account, provider));
+  }
+
+  /**
+   * 同步所有存在未上链交易的地址
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @returns {Promise<void>}
+   */
+  async syncAll(provider) {
+    const accounts = Array.from(this.accounts.values()).filter(account => account.sent.size > 0);
+    await Promise.all(accounts.map(account => this.sync(account.address, provider).catch(error => {
+      logger.warn(`同步nonce失败: ${error.message}`, { address: account.address });
+    })));
+  }
+
+  /**
+   * 检查指定nonce之后是否还有已发送但未上链的交易
+   * 有时说明后续交易正等待该nonce，需要尽快填补
+   * @param {string} address 签名地址
+   * @param {number} nonce nonce
+   * @returns {boolean} 是否有后续交易
+   */
+  hasPendingAfter(address, nonce) {
+    const account = this.accounts.get(address.toLowerCase());
+    return Boolean(account) && Array.from(account.sent.keys()).some(sent => sent > nonce);
+  }
+
+  /**
+   * 获取各地址的nonce状态
+   * @returns {Object[]} nonce状态
+   */
+  getStatus() {
+    return Array.from(this.accounts.values()).map(account => ({
+      address: account.address,
+      nextNonce: account.next,
+      pending: Array.from(account.sent.keys()).sort((a, b) => a - b),
+      released: Array.from(account.released).sort((a, b) => a - b)
+    }));
+  }
+
+  /**
+   * 清空本地状态，下次发送时重新从节点同步
+   * @param {string} [address] 签名地址，不指定时清空全部
+   */
+  reset(address) {
+    if (address) {
+      this.accounts.delete(address.toLowerCase());
+    } else {
+      this.accounts.clear();
+    }
+  }
+
+  /**
+   * 获取地址对应的状态，不存在时创建
+   * @param {string} address 签名地址
+   * @returns {Object} 地址状态
+   * @private
+   */
+  _getAccount(address) {
+    const key = address.toLowerCase();
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        address: ethers.utils.getAddress(address),
+        next: null, // 下一个新分配的nonce
+        sent: new Map(), // 已发送但未上链的nonce -> { hash, sentAt }
+        released: new Set(), // 可以重新使用的nonce
+        queue: Promise.resolve()
+      });
+    }
+    return this.accounts.get(key);
+  }
+
+  /**
+   * 在地址的队列中串行执行任务
+   * @param {Object} account 地址状态
+   * @param {function(): Promise<*>} task 任务
+   * @returns {Promise<*>} 任务结果
+   * @private
+   */
+  _serialize(account, task) {
+    const result = account.queue.then(task);
+    account.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 分配nonce，优先重用最小的已释放nonce
+   * @param {Object} account 地址状态
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @returns {Promise<number>} nonce
+   * @private
+   */
+  async _reserve(account, provider) {
+    await this._sync(account, provider);
+
+    if (account.released.size > 0) {
+      const nonce = Math.min(...account.released);
+      account.released.delete(nonce);
+      return nonce;
+    }
+    return account.next++;
+  }
+
+  /**
+   * 根据节点的交易数更新本地状态
+   * 已上链的nonce不再跟踪；节点的pending计数停在本地已发送的nonce上且超过丢弃时间时，回收该nonce
+   * @param {Object} account 地址状态
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sync(account, provider) {
+    const [mined, pending] = await Promise.all([
+      this._getTransactionCount(provider, account.address, 'latest'),
+      this._getTransactionCount(provider, account.address, 'pending')
+    ]);
+
+    for (const nonce of account.sent.keys()) {
+      if (nonce < mined) account.sent.delete(nonce);
+    }
+    // 节点已有交易占用的nonce不再重用
+    for (const nonce of account.released) {
+      if (nonce < pending) account.released.delete(nonce);
+    }
+    // 本服务之外发送的交易会使节点的计数超过本地
+    if (account.next === null || pending > account.next) {
+      account.next = pending;
+    }
+
+    const record = account.sent.get(pending);
+    if (record && Date.now() - record.sentAt > this.dropTimeout) {
+      account.sent.delete(pending);
+      account.released.add(pending);
+      logger.warn(`交易未进入节点的待处理队列，回收nonce ${pending}`, {
+        address: account.address,
+        txHash: record.hash
+      });
+      this.emit('dropped', { address: account.address, nonce: pending, hash: record.hash });
+    }
+  }
+
+  /**
+   * 获取节点的交易数
+   * provider为RPC节点池时取各节点的最大值，节点之间交易池不一致时不会低估
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @param {string} address 签名地址
+   * @param {string} blockTag latest 或 pending
+   * @returns {Promise<number>} 交易数
+   * @private
+   */
+  _getTransactionCount(provider, address, blockTag) {
+    if (typeof provider.getMaxTransactionCount === 'function') {
+      return provider.getMaxTransactionCount(address, blockTag);
+    }
+    return provider.getTransactionCount(address, blockTag);
+  }
+
+  /**
+   * 使用指定nonce发送交易并记录结果
+   * 节点明确拒绝时释放nonce；nonce被占用或网络错误时按已发送处理，超时未进入节点后再回收
+   * @param {Object} account 地址状态
+   * @param {number} nonce nonce
+   * @param {function(number): Promise<ethers.providers.TransactionResponse>} sendFn 使用给定nonce发送交易
+   * @returns {Promise<ethers.providers.TransactionResponse>} 交易响应
+   * @private
+   */
+  async _sendWithNonce(account, nonce, sendFn) {
+    try {
+      const tx = await sendFn(nonce);
+      this._markSent(account, nonce, tx.hash);
+      return tx;
+    } catch (error) {
+      if (REJECTED_ERRORS.has(error.code)) {
+        this._release(account, nonce);
+      } else {
+        this._markSent(account, nonce, null);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 记录已发送的nonce
+   * @param {Object} account 地址状态
+   * @param {number} nonce nonce
+   * @param {string|null} hash 交易哈希，无法确定是否广播时为null
+   * @private
+   */
+  _markSent(account, nonce, hash) {
+    account.sent.set(nonce, { hash, sentAt: Date.now() });
+    account.released.delete(nonce);
+    if (account.next === null || nonce >= account.next) {
+      account.next = nonce + 1;
+    }
+  }
+
+  /**
+   * 释放未使用的nonce
+   * @param {Object} account 地址状态
+   * @param {number} nonce nonce
+   * @private
+   */
+  _release(account, nonce) {
+    if (nonce === account.next - 1) {
+      account.next = nonce;
+    } else {
+      account.released.add(nonce);
+    }
+  }
+}
+
+const nonceManager = new NonceManager();
+
+/**
+ * 由Nonce管理器分配nonce的钱包
+ * 与 ethers.Wallet 用法相同，sendTransaction 经过 nonceManager 串行发送
+ */
+class ManagedWallet extends ethers.Wallet {
+  /**
+   * 发送交易
+   * @param {ethers.providers.TransactionRequest} transaction 交易请求
+   * @returns {Promise<ethers.providers.TransactionResponse>} 交易响应
+   */
+  async sendTransaction(transaction) {
+    this._checkProvider('sendTransaction');
+    const request = await ethers.utils.resolveProperties(transaction);
+    return nonceManager.send(
+      this.address,
+      this.provider,
+      nonce => super.sendTransaction({ ...request, nonce }),
+      request.nonce
+    );
+  }
+
+  /**
+   * 连接到新的provider
+   * @param {ethers.providers.Provider} provider 以太坊提供者
+   * @returns {ManagedWallet} 新的钱包实例
+   */
+  connect(provider) {
+    return new ManagedWallet(this, provider);
+  }
+}
+
+module.exports = {
+  nonceManager,
+  NonceManager,
+  ManagedWallet
+};
@@ -0,0 +1,258 @@
+/**
+ * Prometheus指标
+ * 提供计数器、仪表和直方图，按 Prometheus 文本格式（0.0.4）输出
+ */
+
+// 文本格式的Content-Type
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * 格式化样本值
+ * @param {number} value 样本值
+ * @returns {string} 文本格式的值
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * 格式化标签
+ * @param {object} labels 标签
+ * @returns {string} 文本格式的标签，没有标签时为空字符串
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 指标基类
+ * 按标签值保存样本，标签必须在 labelNames 中声明
+ */
+class Metric {
+  /**
+   * @param {object} options 选项
+   * @param {string} options.name 指标名称
+   * @param {string} options.help 说明
+   * @param {string[]} [options.labelNames] 标签名称
+   * @param {Function} [options.collect] 输出前调用的采集函数，可以是异步函数，this指向指标
+   */
+  constructor({ name, help, labelNames = [], collect = null }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.values = new Map();
+  }
+
+  /**
+   * 清除所有样本
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * 获取标签对应的样本，不存在时创建
+   * @param {object} labels 标签
+   * @param {Function} create 创建初始样本
+   * @returns {object} 样本
+   * @protected
+   */
+  _get(labels, create) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Metric ${this.name} has no label ${name}`);
+      }
+    }
+    const key = JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+    if (!this.values.has(key)) {
+      const normalized = {};
+      for (const name of this.labelNames) {
+        normalized[name] = labels[name] === undefined ? '' : String(labels[name]);
+      }
+      this.values.set(key, { labels: normalized, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * 输出文本格式
+   * @returns {string} 指标文本
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    for (const sample of this.values.values()) {
+      lines.push(...this._renderSample(sample));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {object} sample 样本
+   * @returns {string[]} 样本行
+   * @protected
+   */
+  _renderSample(sample) {
+    return [`${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`];
+  }
+}
+
+/**
+ * 计数器，只增不减
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'counter';
+  }
+
+  /**
+   * 增加计数
+   * @param {object} [labels] 标签
+   * @param {number} [value=1] 增加的值
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this._get(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * 仪表，可任意设置
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'gauge';
+  }
+
+  /**
+   * 设置值
+   * @param {object} labels 标签
+   * @param {number} value 值
+   */
+  set(labels, value) {
+    this._get(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * 直方图
+ */
+class Histogram extends Metric {
+  /**
+   * @param {object} options 选项，同Metric
+   * @param {number[]} options.buckets 桶的上界（升序）
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'histogram';
+    this.buckets = [...options.buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * 记录观测值
+   * @param {object} labels 标签
+   * @param {number} value 观测值
+   */
+  observe(labels, value) {
+    const sample = this._get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        sample.counts[index]++;
+      }
+    });
+    sample.sum += value;
+    sample.count++;
+  }
+
+  /**
+   * 开始计时
+   * @param {object} [labels] 标签
+   * @returns {Function} 结束计时的函数，可传入补充的标签，返回耗时（秒）
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  _renderSample(sample) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...sample.labels, le: formatValue(bound) })} ${sample.counts[index]}`);
+    lines.push(`${this.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+    lines.push(`${this.name}_sum${formatLabels(sample.labels)} ${formatValue(sample.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表
+ */
+class Registry {
+  constructor() {
+    this.registered = new Map();
+  }
+
+  /**
+   * 注册指标
+   * @param {Metric} metric 指标
+   * @returns {Metric} 指标
+   */
+  register(metric) {
+    if (this.registered.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.registered.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * 获取指标
+   * @param {string} name 指标名称
+   * @returns {Metric|undefined} 指标
+   */
+  getMetric(name) {
+    return this.registered.get(name);
+  }
+
+  /**
+   * 调用各指标的采集函数并输出文本格式
+   * @returns {Promise<string>} 全部指标文本
+   */
+  async metrics() {
+    const metrics = Array.from(this.registered.values());
+    await Promise.all(metrics.filter(metric => metric.collect).map(metric => metric.collect.call(metric)));
+    return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
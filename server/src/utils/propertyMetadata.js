@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+
+/**
+ * 房产元数据工具
+ * 定义日本房产元数据的JSON Schema，提供校验、规范化序列化和内容标识（CID）计算
+ */
+
+// 当前元数据格式版本
+const METADATA_SCHEMA_VERSION = 1;
+
+// 都道府县
+const PREFECTURES = [
+  '北海道', '青森県', '岩手県', '宮城県', '秋田県', '山形県', '福島県',
+  '茨城県', '栃木県', '群馬県', '埼玉県', '千葉県', '東京都', '神奈川県',
+  '新潟県', '富山県', '石川県', '福井県', '山梨県', '長野県', '岐阜県',
+  '静岡県', '愛知県', '三重県', '滋賀県', '京都府', '大阪府', '兵庫県',
+  '奈良県', '和歌山県', '鳥取県', '島根県', '岡山県', '広島県', '山口県',
+  '徳島県', '香川県', '愛媛県', '高知県', '福岡県', '佐賀県', '長崎県',
+  '熊本県', '大分県', '宮崎県', '鹿児島県', '沖縄県'
+];
+
+// 建筑结构：RC=钢筋混凝土造，SRC=钢骨钢筋混凝土造，S=钢结构，LGS=轻量钢结构，W=木造，CB=混凝土砌块造
+const BUILDING_STRUCTURES = ['RC', 'SRC', 'S', 'LGS', 'W', 'CB', 'OTHER'];
+
+// 附属文件类型：登记簿謄本、估价报告、建筑检查、租赁合同、保险
+const DOCUMENT_TYPES = ['registry', 'appraisal', 'inspection', 'lease', 'insurance', 'other'];
+
+// 明治元年，登记制度可追溯的最早建成年份
+const EARLIEST_YEAR_BUILT = 1868;
+
+/**
+ * 日本房产元数据JSON Schema（draft-07子集）
+ * 面积单位为平方米，估值单位为日元
+ */
+const PROPERTY_METADATA_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: '日本房产元数据',
+  type: 'object',
+  required: ['schemaVersion', 'name', 'address', 'landArea', 'structure', 'yearBuilt', 'valuation', 'documents'],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { enum: [METADATA_SCHEMA_VERSION] },
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    address: {
+      type: 'object',
+      required: ['postalCode', 'prefecture', 'city', 'street'],
+      additionalProperties: false,
+      properties: {
+        postalCode: { type: 'string', pattern: '^\\d{3}-\\d{4}$' },
+        prefecture: { type: 'string', enum: PREFECTURES },
+        city: { type: 'string', minLength: 1, maxLength: 100 },
+        street: { type: 'string', minLength: 1, maxLength: 200 },
+        building: { type: 'string', maxLength: 200 }
+      }
+    },
+    landArea: { type: 'number', exclusiveMinimum: 0 },
+    buildingArea: { type: 'number', exclusiveMinimum: 0 },
+    structure: { type: 'string', enum: BUILDING_STRUCTURES },
+    floors: { type: 'integer', minimum: 1 },
+    yearBuilt: { type: 'integer', minimum: EARLIEST_YEAR_BUILT },
+    valuation: {
+      type: 'object',
+      required: ['amount', 'currency', 'valuedAt'],
+      additionalProperties: false,
+      properties: {
+        amount: { type: 'integer', minimum: 1 },
+        currency: { enum: ['JPY'] },
+        valuedAt: { type: 'string', format: 'date' },
+        appraiser: { type: 'string', maxLength: 200 }
+      }
+    },
+    documents: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'name', 'uri', 'sha256'],
+        additionalProperties: false,
+        properties: {
+          type: { enum: DOCUMENT_TYPES },
+          name: { type: 'string', minLength: 1, maxLength: 200 },
+          uri: { type: 'string', minLength: 1, maxLength: 500 },
+          sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+        }
+      }
+    }
+  }
+};
+
+// 类型检查
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+// 格式检查
+const FORMAT_CHECKS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+/**
+ * 按Schema校验值
+ * 支持type、enum、required、properties、additionalProperties、items、minItems、
+ * minLength、maxLength、pattern、format、minimum、exclusiveMinimum
+ * @param {object} schema Schema
+ * @param {*} value 待校验的值
+ * @param {string} [pointer] 当前字段路径
+ * @returns {Array<object>} 错误列表 [{ field, message }]
+ */
+function validateSchema(schema, value, pointer = '') {
+  const field = pointer || '(root)';
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [{ field, message: `类型应为 ${schema.type}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `取值应为 ${schema.enum.join(', ')} 之一` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `长度不能小于 ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `长度不能大于 ${schema.maxLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `格式不正确，应匹配 ${schema.pattern}` });
+    }
+    if (schema.format && !FORMAT_CHECKS[schema.format](value)) {
+      errors.push({ field, message: `应为 ${schema.format} 格式` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `不能小于 ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `必须大于 ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `至少需要 ${schema.minItems} 项` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${pointer}[${index}]`));
+      });
+    }
+  }
+
+  if (TYPE_CHECKS.object(value) && schema.properties) {
+    const prefix = pointer ? `${pointer}.` : '';
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: `${prefix}${key}`, message: '必填' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        errors.push(...validateSchema(schema.properties[key], item, `${prefix}${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${prefix}${key}`, message: '不允许的字段' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验房产元数据
+ * 在Schema之外检查建成年份和估值日期不晚于当前时间
+ * @param {object} metadata 元数据
+ * @returns {Array<object>} 错误列表 [{ field, message }]，为空表示通过
+ */
+function validatePropertyMetadata(metadata) {
+  const errors = validateSchema(PROPERTY_METADATA_SCHEMA, metadata);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const currentYear = new Date().getUTCFullYear();
+  if (metadata.yearBuilt > currentYear) {
+    errors.push({ field: 'yearBuilt', message: `不能晚于 ${currentYear}` });
+  }
+  if (Date.parse(metadata.valuation.valuedAt) > Date.now()) {
+    errors.push({ field: 'valuation.valuedAt', message: '不能是未来日期' });
+  }
+  return errors;
+}
+
+/**
+ * 规范化序列化
+ * 对象键按字典序排列、不含空白，相同内容总是得到相同的字节，从而得到相同的CID
+ * @param {*} value 值
+ * @returns {string} JSON字符串
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算内容的CIDv1（raw编码，sha2-256，base32）
+ * 与 `ipfs add --cid-version=1 --raw-leaves` 对单块内容（小于256KiB）得到的CID一致
+ * @param {Buffer} content 内容
+ * @returns {string} CID
+ */
+function computeCid(content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  // CIDv1 + raw(0x55) + sha2-256(0x12) + 长度32(0x20)
+  const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]);
+  return `b${toBase32(bytes)}`;
+}
+
+/**
+ * 从CID中取出sha256摘要
+ * @param {string} cid CID
+ * @returns {string|null} 十六进制摘要，不是本模块支持的CID时返回null
+ */
+function getCidDigest(cid) {
+  if (!/^b[a-z2-7]{58}$/.test(cid)) {
+    return null;
+  }
+  const bytes = fromBase32(cid.slice(1));
+  if (bytes.length !== 36 || bytes[0] !== 0x01 || bytes[1] !== 0x55 || bytes[2] !== 0x12 || bytes[3] !== 0x20) {
+    return null;
+  }
+  return bytes.subarray(4).toString('hex');
+}
+
+/**
+ * 解析元数据URI
+ * @param {string} metadataURI 链上记录的元数据URI
+ * @returns {string|null} CID，不是 ipfs://<CID> 格式时返回null
+ */
+function parseMetadataURI(metadataURI) {
+  const match = /^ipfs:\/\/([a-z2-7]+)$/.exec(metadataURI || '');
+  return match && getCidDigest(match[1]) ? match[1] : null;
+}
+
+/**
+ * RFC 4648 base32编码（小写、无填充）
+ * @param {Buffer} bytes 字节
+ * @returns {string} 编码结果
+ */
+function toBase32(bytes) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let buffer = 0;
+  let output = '';
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0x1fff;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * RFC 4648 base32解码（小写、无填充）
+ * @param {string} text 编码文本
+ * @returns {Buffer} 字节
+ */
+function fromBase32(text) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let buffer = 0;
+  const output = [];
+  for (const char of text) {
+    buffer = ((buffer << 5) | alphabet.indexOf(char)) & 0x1fff;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((buffer >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+}
+
+module.exports = {
+  METADATA_SCHEMA_VERSION,
+  PREFECTURES,
+  BUILDING_STRUCTURES,
+  DOCUMENT_TYPES,
+  PROPERTY_METADATA_SCHEMA,
+  validateSchema,
+  validatePropertyMetadata,
+  canonicalize,
+  computeCid,
+  getCidDigest,
+  parseMetadataURI
+};
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { nonceManager, ManagedWallet } = require('./nonceManager');
+
+/**
+ * 签名者来源
+ * KeyManager的每个角色由一个签名者来源提供签名：
+ * - env: 环境变量中的明文私钥，仅用于开发
+ * - keystore: 加密的keystore JSON文件，启动时使用密码文件解密
+ * - remote: 远程签名服务（Web3Signer兼容的 eth_signTransaction JSON-RPC 接口），私钥不离开签名服务
+ */
+
+/**
+ * 远程签名者
+ * 通过 Web3Signer 兼容的 JSON-RPC 接口签名，发送交易时由nonceManager分配nonce
+ */
+class RemoteSigner extends ethers.Signer {
+  /**
+   * @param {Object} options 选项
+   * @param {string} options.url 签名服务地址
+   * @param {string} options.address 签名地址
+   * @param {string} [options.token] 访问令牌，设置后以 Authorization: Bearer 发送
+   * @param {number} [options.timeout=10000] 请求超时（毫秒）
+   * @param {ethers.providers.Provider} [provider] 以太坊提供者
+   */
+  constructor(options, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, 'address', ethers.utils.getAddress(options.address));
+    ethers.utils.defineReadOnly(this, 'options', options);
+    ethers.utils.defineReadOnly(this, 'provider', provider || null);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  /**
+   * 签名消息（eth_sign）
+   * @param {string|Uint8Array} message 消息
+   * @returns {Promise<string>} 签名
+   */
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+    return this._call('eth_sign', [this.address, ethers.utils.hexlify(data)]);
+  }
+
+  /**
+   * 签名交易（eth_signTransaction）
+   * 校验签名服务返回的交易与请求一致，防止签名服务配置错误（地址或链ID不符）
+   * @param {ethers.providers.TransactionRequest} transaction 交易请求
+   * @returns {Promise<string>} 已签名的原始交易
+   */
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    if (tx.from && ethers.utils.getAddress(tx.from) !== this.address) {
+      throw new Error(`交易发送地址与签名地址不符: ${tx.from}`);
+    }
+
+    const request = { from: this.address };
+    for (const field of ['to', 'data']) {
+      if (tx[field] !== null && tx[field] !== undefined) request[field] = tx[field];
+    }
+    const quantities = {
+      gas: tx.gasLimit,
+      gasPrice: tx.gasPrice,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      value: tx.value,
+      nonce: tx.nonce
+    };
+    for (const [field, value] of Object.entries(quantities)) {
+      if (value !== null && value !== undefined) request[field] = ethers.utils.hexValue(value);
+    }
+
+    const signed = await this._call('eth_signTransaction', [request]);
+    const parsed = ethers.utils.parseTransaction(signed);
+    if (!parsed.from || ethers.utils.getAddress(parsed.from) !== this.address) {
+      throw new Error(`远程签名服务返回的交易签名地址不符: ${parsed.from}`);
+    }
+    if (tx.chainId && parsed.chainId !== tx.chainId) {
+      throw new Error(`远程签名服务返回的交易链ID不符: ${parsed.chainId}`);
+    }
+    return signed;
+  }
+
+  /**
+   * 发送交易
+   * @param {ethers.providers.TransactionRequest} transaction 交易请求
+   * @returns {Promise<ethers.providers.TransactionResponse>} 交易响应
+   */
+  async sendTransaction(transaction) {
+    this._checkProvider('sendTransaction');
+    const request = await ethers.utils.resolveProperties(transaction);
+    return nonceManager.send(
+      this.address,
+      this.provider,
+      nonce => super.sendTransaction({ ...request, nonce }),
+      request.nonce
+    );
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.options, provider);
+  }
+
+  /**
+   * 获取签名服务管理的账户（eth_accounts）
+   * @returns {Promise<string[]>} 账户地址
+   */
+  async getAccounts() {
+    const accounts = await this._call('eth_accounts', []);
+    return accounts.map(account => ethers.utils.getAddress(account));
+  }
+
+  /**
+   * 调用签名服务的JSON-RPC方法
+   * 错误信息不包含签名服务地址，避免泄露其中的凭据
+   * @param {string} method 方法名
+   * @param {Array} params 参数
+   * @returns {Promise<*>} 结果
+   * @private
+   */
+  async _call(method, params) {
+    const connection = {
+      url: this.options.url,
+      timeout: this.options.timeout || 10000,
+      headers: { 'Content-Type': 'application/json' }
+    };
+    if (this.options.token) {
+      connection.headers.Authorization = `Bearer ${this.options.token}`;
+    }
+
+    let response;
+    try {
+      response = await ethers.utils.fetchJson(connection, JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }));
+    } catch (error) {
+      throw Object.assign(new Error(`远程签名服务请求失败 (${method}): ${error.reason || error.code}`), {
+        code: 'SERVER_ERROR'
+      });
+    }
+    if (response.error) {
+      throw new Error(`远程签名服务拒绝 ${method}: ${response.error.message}`);
+    }
+    return response.result;
+  }
+}
+
+/**
+ * 环境变量私钥
+ */
+class EnvSignerSource {
+  /**
+   * @param {string} privateKey 私钥
+   */
+  constructor(privateKey) {
+    this.type = 'env';
+    this.privateKey = privateKey;
+    this.wallet = null;
+  }
+
+  get address() {
+    return this._getWallet().address;
+  }
+
+  async load() {
+    this._getWallet();
+  }
+
+  getSigner(provider) {
+    return new ManagedWallet(this._getWallet(), provider);
+  }
+
+  _getWallet() {
+    if (!this.wallet) {
+      this.wallet = new ethers.Wallet(this.privateKey);
+    }
+    return this.wallet;
+  }
+}
+
+/**
+ * 加密的keystore文件
+ * 地址直接从keystore读取，签名前需要调用load()解密
+ */
+class KeystoreSignerSource {
+  /**
+   * @param {string} keystorePath keystore文件路径
+   * @param {string} passwordPath 密码文件路径
+   */
+  constructor(keystorePath, passwordPath) {
+    this.type = 'keystore';
+    this.keystorePath = keystorePath;
+    this.passwordPath = passwordPath;
+    this.json = null;
+    this.wallet = null;
+  }
+
+  get address() {
+    return ethers.utils.getJsonWalletAddress(this._readKeystore());
+  }
+
+  async load() {
+    if (this.wallet) return;
+    if (!this.passwordPath) {
+      throw new Error(`未配置keystore密码文件: ${this.keystorePath}`);
+    }
+    const password = fs.readFileSync(this.passwordPath, 'utf8').replace(/\r?\n$/, '');
+    this.wallet = await ethers.Wallet.fromEncryptedJson(this._readKeystore(), password);
+  }
+
+  getSigner(provider) {
+    if (!this.wallet) {
+      throw new Error(`keystore尚未解密: ${this.keystorePath}`);
+    }
+    return new ManagedWallet(this.wallet, provider);
+  }
+
+  _readKeystore() {
+    if (!this.json) {
+      this.json = fs.readFileSync(this.keystorePath, 'utf8');
+    }
+    return this.json;
+  }
+}
+
+/**
+ * 远程签名服务
+ * 加载时确认签名服务管理该地址
+ */
+class RemoteSignerSource {
+  /**
+   * @param {Object} options RemoteSigner的选项
+   */
+  constructor(options) {
+    this.type = 'remote';
+    this.options = options;
+    this.address = ethers.utils.getAddress(options.address);
+  }
+
+  async load() {
+    const accounts = await new RemoteSigner(this.options).getAccounts();
+    if (!accounts.includes(this.address)) {
+      throw new Error(`远程签名服务不管理地址 ${this.address}`);
+    }
+  }
+
+  getSigner(provider) {
+    return new RemoteSigner(this.options, provider);
+  }
+}
+
+/**
+ * 根据环境变量创建角色的签名者来源
+ * 使用 <ROLE>_SIGNER_TYPE 指定类型，未指定时按已配置的变量推断
+ * @param {string} role 角色
+ * @param {Object} [env=process.env] 环境变量
+ * @returns {EnvSignerSource|KeystoreSignerSource|RemoteSignerSource|null} 签名者来源，未配置时返回null
+ */
+function createSignerSource(role, env = process.env) {
+  const prefix = role.toUpperCase();
+  const remoteUrl = env[`${prefix}_REMOTE_SIGNER_URL`] || env.REMOTE_SIGNER_URL;
+
+  let type = env[`${prefix}_SIGNER_TYPE`];
+  if (!type) {
+    if (env[`${prefix}_KEYSTORE_PATH`]) {
+      type = 'keystore';
+    } else if (env[`${prefix}_SIGNER_ADDRESS`] && remoteUrl) {
+      type = 'remote';
+    } else if (env[`${prefix}_PRIVATE_KEY`]) {
+      type = 'env';
+    } else {
+      return null;
+    }
+  }
+
+  switch (type.toLowerCase()) {
+  case 'env':
+    if (!env[`${prefix}_PRIVATE_KEY`]) {
+      throw new Error(`${prefix}_PRIVATE_KEY 未设置`);
+    }
+    return new EnvSignerSource(env[`${prefix}_PRIVATE_KEY`]);
+  case 'keystore':
+    if (!env[`${prefix}_KEYSTORE_PATH`]) {
+      throw new Error(`${prefix}_KEYSTORE_PATH 未设置`);
+    }
+    return new KeystoreSignerSource(env[`${prefix}_KEYSTORE_PATH`], env[`${prefix}_KEYSTORE_PASSWORD_FILE`]);
+  case 'remote':
+    if (!remoteUrl || !env[`${prefix}_SIGNER_ADDRESS`]) {
+      throw new Error(`远程签名需要设置 REMOTE_SIGNER_URL 和 ${prefix}_SIGNER_ADDRESS`);
+    }
+    return new RemoteSignerSource({
+      url: remoteUrl,
+      address: env[`${prefix}_SIGNER_ADDRESS`],
+      token: env[`${prefix}_REMOTE_SIGNER_TOKEN`] || env.REMOTE_SIGNER_TOKEN,
+      timeout: parseInt(env.REMOTE_SIGNER_TIMEOUT, 10) || 10000
+    });
+  default:
+    throw new Error(`不支持的签名者类型 ${prefix}_SIGNER_TYPE=${type}`);
+  }
+}
+
+module.exports = {
+  RemoteSigner,
+  EnvSignerSource,
+  KeystoreSignerSource,
+  RemoteSignerSource,
+  createSignerSource
+};
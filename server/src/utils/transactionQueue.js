@@ -1,13 +1,23 @@
-const { logger } = require('../../../shared/utils/logger');
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
-const { contractService } = require('../../../shared/utils/contractService');
-const { get, set, createNamespace } = require('./cacheManager');
+const logger = require('./logger');
+const { getProvider } = require('../../../shared/utils/blockchain');
+const { contractAbis } = require('../../../shared/utils/getAbis');
+const { decodeRevertReason } = require('../../../shared/utils/transaction');
+const keyManager = require('../config/keyManager');
+const { invalidateReceipt } = require('./cacheManager');
+const { nonceManager, ManagedWallet } = require('./nonceManager');
+const { getServerDataPath } = require('../../../shared/utils/paths');
 
-// 创建用于交易队列的缓存实例
-const txCache = {
-  get: (key) => get(key), 
-  set: (key, value) => set(key, value, 86400) // 1天的TTL
-};
+// 交易记录文件，服务重启后从中恢复未完成的交易
+const RECORD_FILE = 'transactions.json';
+
+// 已完成交易的记录保留时间（1天）
+const RECORD_TTL = 24 * 60 * 60 * 1000;
+
+// 记录变更后延迟写入文件的时间，合并短时间内的多次更新
+const RECORD_SAVE_DELAY = 1000;
 
 /**
  * 交易状态枚举
@@ -36,42 +46,62 @@ const TX_PRIORITY = {
  */
 class TransactionQueue {
   constructor() {
-    // 使用contractService获取provider
     this.provider = null;
     this.pendingTxs = new Map();
     this.confirmationBlocks = 2; // 交易确认所需的区块数
     this.maxRetries = 3; // 交易重试最大次数
     this.checkInterval = 30000; // 交易状态检查间隔（30秒）
     this.gasPriceIncreasePercentage = 10; // 每次重试增加gas价格的百分比
+    this.recordFile = path.join(process.env.SERVER_DATA_DIR || getServerDataPath(), RECORD_FILE);
+    this.records = null; // 首次访问时从记录文件加载
+    this._saveTimer = null;
+    this._initPromise = null;
+  }
 
-    // 异步初始化
-    this._initialize();
+  /**
+   * 确保交易队列已初始化
+   * 首次使用时才连接provider，避免在加载模块时访问网络
+   * @returns {Promise<void>}
+   */
+  _ensureInitialized() {
+    if (!this._initPromise) {
+      this._initPromise = this._initialize().catch(error => {
+        this._initPromise = null;
+        throw error;
+      });
+    }
+    return this._initPromise;
   }
 
   /**
    * 异步初始化交易队列
+   * @private
    */
   async _initialize() {
     try {
-      // 确保合约服务已初始化
-      if (!contractService.initialized) {
-        await contractService.initialize();
-      }
-      this.provider = contractService.provider;
+      this.provider = await getProvider();
 
       // 启动交易状态检查定时任务
       this.checker = setInterval(() => this._checkPendingTransactions(), this.checkInterval);
-      
-      // 从缓存恢复未处理交易
-      this._recoverFromCache();
-      
+      if (this.checker.unref) {
+        this.checker.unref();
+      }
+
+      // 从记录文件恢复未处理交易
+      this._recoverFromStore();
+
+      // nonce被回收时处理对应的交易
+      nonceManager.on('dropped', event => this._handleDroppedNonce(event));
+
       // 为正常退出注册清理函数
       process.on('SIGTERM', () => this._cleanup());
       process.on('SIGINT', () => this._cleanup());
-      
+      process.on('exit', () => this._flushRecords());
+
       logger.info('交易队列管理器已初始化');
     } catch (error) {
-      logger.error('初始化交易队列失败:', error);
+      logger.error(`初始化交易队列失败: ${error.message}`);
+      throw error;
     }
   }
 
@@ -92,74 +122,80 @@ class TransactionQueue {
    */
   async addTransaction(txData, callback = null) {
     try {
+      await this._ensureInitialized();
+
+      let tx = null;
+
       // 如果没有提供交易哈希（即这是一个新交易请求）
       if (!txData.hash) {
         // 确定适当的gas价格
         const gasPrice = await this._getOptimalGasPrice(txData.priority || TX_PRIORITY.NORMAL);
-        
+
         // 如果提供了合约实例，使用它发送交易
         if (txData.contract && txData.method) {
-          const tx = await txData.contract[txData.method](...(txData.args || []), {
+          tx = await txData.contract[txData.method](...(txData.args || []), {
             gasPrice,
             gasLimit: txData.gasLimit || 2000000
           });
-          txData.hash = tx.hash;
-          logger.info(`交易已提交: ${txData.hash}`);
-        } 
+        }
         // 否则使用provider发送交易
         else if (txData.to && (txData.data || txData.value)) {
-          const wallet = new ethers.Wallet(txData.privateKey, this.provider);
-          const tx = await wallet.sendTransaction({
+          const wallet = new ManagedWallet(txData.privateKey, this.provider);
+          tx = await wallet.sendTransaction({
             to: txData.to,
             data: txData.data || '0x',
             value: txData.value || '0x0',
             gasPrice,
             gasLimit: txData.gasLimit || 2000000
           });
-          txData.hash = tx.hash;
-          logger.info(`交易已提交: ${txData.hash}`);
         } else {
           throw new Error('无效的交易数据，未提供足够的信息');
         }
+        logger.info(`交易已提交: ${tx.hash}`);
+      } else {
+        tx = await this.provider.getTransaction(txData.hash);
       }
 
-      // 记录交易到队列
-      const txRecord = {
-        hash: txData.hash,
-        from: txData.from,
-        to: txData.to,
-        data: txData.data,
-        value: txData.value,
-        contract: txData.contract ? true : false, // 只存储标记，不存储完整合约
-        method: txData.method,
-        args: txData.args,
-        priority: txData.priority || TX_PRIORITY.NORMAL,
-        status: TX_STATUS.PENDING,
-        submittedAt: new Date().toISOString(),
-        lastChecked: new Date().toISOString(),
-        retryCount: 0,
-        gasPrice: await this.provider.getGasPrice(),
-        callback: callback ? true : false // 只存储标记，不存储回调函数
-      };
-
-      this.pendingTxs.set(txData.hash, {
-        ...txRecord,
-        callbackFn: callback // 内存中保存实际回调函数
-      });
-
-      // 同时保存到缓存中（不包含回调函数）
-      txCache.set(txData.hash, txRecord);
-
-      // 开始跟踪交易
-      this._watchTransaction(txData.hash);
-
-      return txData.hash;
+      return this._recordTransaction(tx || { hash: txData.hash }, txData, callback);
     } catch (error) {
       logger.error(`添加交易失败: ${error.message}`, { stack: error.stack });
       throw error;
     }
   }
 
+  /**
+   * 跟踪已经发送的交易
+   * 用于由服务层直接发送、但需要纳入队列管理的交易
+   * @param {ethers.providers.TransactionResponse} tx 交易响应
+   * @param {Object} [meta] 附加信息
+   * @param {string} [meta.role] 发送交易的KeyManager角色，重试和取消时用于签名
+   * @param {string} [meta.contractName] 合约名称
+   * @param {string} [meta.method] 合约方法名
+   * @param {Array} [meta.args] 合约方法参数
+   * @param {string} [meta.priority] 交易优先级
+   * @returns {Promise<string>} 交易哈希
+   */
+  async track(tx, meta = {}) {
+    await this._ensureInitialized();
+    return this._recordTransaction(tx, meta, null);
+  }
+
+  /**
+   * 广播外部签名的交易并纳入队列跟踪
+   * 外部签名的交易没有KeyManager角色，只跟踪状态，不能由服务端重试或取消
+   * @param {string} rawTransaction 已签名的原始交易
+   * @returns {Promise<ethers.providers.TransactionResponse>} 交易响应
+   */
+  async submitSignedTransaction(rawTransaction) {
+    await this._ensureInitialized();
+
+    const tx = await this.provider.sendTransaction(rawTransaction);
+    this._recordTransaction(tx, {}, null);
+
+    logger.info(`已广播外部签名交易: ${tx.hash}`, { from: tx.from, nonce: tx.nonce });
+    return tx;
+  }
+
   /**
    * 获取交易状态
    * @param {string} txHash 交易哈希
@@ -167,9 +203,8 @@ class TransactionQueue {
    */
   getTransactionStatus(txHash) {
     try {
-      // 先从内存中获取
-      if (this.pendingTxs.has(txHash)) {
-        const tx = this.pendingTxs.get(txHash);
+      const tx = this._getRecord(txHash);
+      if (tx) {
         return {
           hash: tx.hash,
           status: tx.status,
@@ -179,20 +214,7 @@ class TransactionQueue {
           priority: tx.priority
         };
       }
-      
-      // 如果内存中没有，尝试从缓存中获取
-      const cachedTx = txCache.get(txHash);
-      if (cachedTx) {
-        return {
-          hash: cachedTx.hash,
-          status: cachedTx.status,
-          submittedAt: cachedTx.submittedAt,
-          confirmedAt: cachedTx.confirmedAt,
-          retryCount: cachedTx.retryCount,
-          priority: cachedTx.priority
-        };
-      }
-      
+
       return { hash: txHash, status: 'unknown' };
     } catch (error) {
       logger.error(`获取交易状态失败: ${error.message}`, { txHash });
@@ -200,64 +222,244 @@ class TransactionQueue {
     }
   }
 
+  /**
+   * 获取交易详情
+   * 合并队列记录与链上数据：状态、确认数、收据、回滚原因以及重试历史
+   * @param {string} txHash 交易哈希
+   * @returns {Promise<Object|null>} 交易详情，队列和链上都找不到时返回null
+   */
+  async getTransactionDetails(txHash) {
+    await this._ensureInitialized();
+
+    const [onchainTx, receipt] = await Promise.all([
+      this.provider.getTransaction(txHash),
+      this.provider.getTransactionReceipt(txHash)
+    ]);
+
+    // 链上已有结果但队列尚未处理时，同步状态
+    if (receipt && this.pendingTxs.has(txHash)) {
+      if (receipt.status === 1) {
+        this._confirmTransaction(txHash, receipt);
+      } else {
+        this._handleFailedTransaction(txHash, receipt);
+      }
+    }
+
+    const record = this._getRecord(txHash);
+    if (!record && !onchainTx && !receipt) {
+      return null;
+    }
+
+    let status = record ? record.status : TX_STATUS.PENDING;
+    let confirmations = 0;
+    let revertReason = record ? record.revertReason || null : null;
+
+    if (receipt) {
+      const latestBlock = await this.provider.getBlockNumber();
+      confirmations = Math.max(latestBlock - receipt.blockNumber + 1, 0);
+
+      if (!record) {
+        status = receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED;
+      }
+      if (receipt.status === 0 && !revertReason && onchainTx) {
+        revertReason = await this._getRevertReason(onchainTx, receipt.blockNumber);
+        if (record && revertReason) {
+          this._updateRecord(txHash, { revertReason });
+        }
+      }
+    }
+
+    return {
+      hash: txHash,
+      status,
+      from: onchainTx ? onchainTx.from : record && record.from,
+      to: onchainTx ? onchainTx.to : record && record.to,
+      nonce: onchainTx ? onchainTx.nonce : record && record.nonce,
+      contractName: record ? record.contractName : undefined,
+      method: record ? record.method : undefined,
+      priority: record ? record.priority : undefined,
+      submittedAt: record ? record.submittedAt : undefined,
+      confirmedAt: record ? record.confirmedAt : undefined,
+      confirmations,
+      requiredConfirmations: this.confirmationBlocks,
+      receipt: receipt ? formatReceipt(receipt) : null,
+      revertReason,
+      retryCount: record ? record.retryCount || 0 : 0,
+      retryHistory: this.getRetryHistory(txHash)
+    };
+  }
+
+  /**
+   * 获取交易的重试历史
+   * 沿 previousTxHash / replacedBy 链接返回同一笔业务交易的全部尝试，按时间排序
+   * @param {string} txHash 交易哈希（链上任意一次尝试均可）
+   * @returns {Array<Object>} 重试历史
+   */
+  getRetryHistory(txHash) {
+    let first = this._getRecord(txHash);
+    if (!first) {
+      return [];
+    }
+
+    const visited = new Set([first.hash]);
+    while (first.previousTxHash && !visited.has(first.previousTxHash)) {
+      const previous = this._getRecord(first.previousTxHash);
+      if (!previous) break;
+      visited.add(previous.hash);
+      first = previous;
+    }
+
+    const history = [];
+    let current = first;
+    const seen = new Set();
+    while (current && !seen.has(current.hash)) {
+      seen.add(current.hash);
+      history.push({
+        hash: current.hash,
+        status: current.status,
+        nonce: current.nonce,
+        gasPrice: current.gasPrice,
+        submittedAt: current.submittedAt,
+        replacedBy: current.replacedBy || null,
+        cancelledBy: current.cancelledBy || null
+      });
+      current = current.replacedBy ? this._getRecord(current.replacedBy) : null;
+    }
+
+    return history;
+  }
+
+  /**
+   * 获取队列中的交易列表
+   * @param {Object} [filters] 过滤条件
+   * @param {string} [filters.status] 交易状态
+   * @param {number} [filters.page=1] 页码
+   * @param {number} [filters.limit=10] 每页数量
+   * @returns {Object} 分页结果 { items, total, page, limit }
+   */
+  listTransactions(filters = {}) {
+    const page = Number(filters.page) || 1;
+    const limit = Number(filters.limit) || 10;
+
+    const matched = this._getAllRecords()
+      .filter(tx => !filters.status || tx.status === filters.status)
+      .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+
+    const start = (page - 1) * limit;
+
+    return {
+      items: matched.slice(start, start + limit).map(tx => ({
+        hash: tx.hash,
+        status: tx.status,
+        from: tx.from,
+        to: tx.to,
+        nonce: tx.nonce,
+        contractName: tx.contractName,
+        method: tx.method,
+        priority: tx.priority,
+        submittedAt: tx.submittedAt,
+        retryCount: tx.retryCount || 0,
+        replacedBy: tx.replacedBy || null
+      })),
+      total: matched.length,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * 按状态统计队列中的交易数量
+   * @returns {Object} 各状态的交易数量，未出现的状态为0
+   */
+  getStatusCounts() {
+    const counts = Object.fromEntries(Object.values(TX_STATUS).map(status => [status, 0]));
+    for (const tx of this._getAllRecords()) {
+      counts[tx.status] = (counts[tx.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * 获取全部交易记录
+   * 内存中的记录最新，记录文件中保留了已完成交易的历史
+   * @returns {Array<Object>} 交易记录
+   * @private
+   */
+  _getAllRecords() {
+    const records = new Map(this._getStoredRecords());
+    for (const [txHash, tx] of this.pendingTxs.entries()) {
+      records.set(txHash, toStoredRecord(tx));
+    }
+    return Array.from(records.values());
+  }
+
+  /**
+   * 检查交易是否可以重试
+   * 失败、阻塞以及被节点丢弃（nonce已回收且尚未重发）的交易可以重试
+   * @param {string} txHash 交易哈希
+   * @returns {boolean} 是否可以重试
+   */
+  isRetryable(txHash) {
+    const tx = this._getRecord(txHash);
+    if (!tx) return false;
+
+    return tx.status === TX_STATUS.FAILED || tx.status === TX_STATUS.STUCK ||
+      (tx.status === TX_STATUS.DROPPED && Boolean(tx.nonceReleased) && !tx.replacedBy);
+  }
+
   /**
    * 重试指定的交易
+   * 卡住的交易使用相同nonce并提高gas价格进行替换；失败的交易使用新的nonce重新发送；
+   * 被节点丢弃的交易由nonceManager分配回收的nonce重新发送
    * @param {string} txHash 交易哈希
    * @returns {string} 新的交易哈希
    */
   async retryTransaction(txHash) {
     try {
-      const tx = this.pendingTxs.get(txHash) || txCache.get(txHash);
+      await this._ensureInitialized();
+
+      const tx = this._getRecord(txHash);
       if (!tx) {
         throw new Error(`找不到交易: ${txHash}`);
       }
-      
-      if (tx.status !== TX_STATUS.FAILED && tx.status !== TX_STATUS.STUCK) {
-        throw new Error(`只能重试失败或阻塞的交易`);
+
+      if (!this.isRetryable(txHash)) {
+        throw new Error('只能重试失败、阻塞或被丢弃的交易');
       }
-      
-      // 增加gas价格
-      const newGasPrice = ethers.BigNumber.from(tx.gasPrice)
-        .mul(100 + this.gasPriceIncreasePercentage)
-        .div(100);
-      
-      // 准备新的交易数据
-      const txData = {
-        from: tx.from,
+
+      if ((tx.retryCount || 0) >= this.maxRetries) {
+        throw new Error(`已达到最大重试次数: ${this.maxRetries}`);
+      }
+
+      const signer = this._getSignerFor(tx);
+      const gasPrice = await this._getReplacementGasPrice(tx);
+
+      const request = {
         to: tx.to,
-        data: tx.data,
-        value: tx.value,
-        priority: tx.priority,
-        gasPrice: newGasPrice.toString()
+        data: tx.data || '0x',
+        value: tx.value || '0x0',
+        gasLimit: tx.gasLimit || 2000000,
+        gasPrice
       };
-      
-      // 如果原交易是合约调用，重新构建合约实例
-      if (tx.contract && tx.method && tx.args) {
-        // 注意：此处需要实际重构合约实例，但简化处理
-        // 在实际实现中，需要根据ABI和地址重新创建合约实例
-        txData.method = tx.method;
-        txData.args = tx.args;
+      // 卡住的交易尚未上链，沿用原nonce才能替换
+      if (tx.status === TX_STATUS.STUCK) {
+        request.nonce = tx.nonce;
       }
-      
-      // 记录旧交易为dropped
-      this._updateTransactionStatus(txHash, TX_STATUS.DROPPED);
-      
-      // 提交新交易
-      const newTxHash = await this.addTransaction(txData, 
-        tx.callback ? this.pendingTxs.get(txHash).callbackFn : null);
-      
-      // 将旧交易与新交易关联
-      const newTx = this.pendingTxs.get(newTxHash);
-      newTx.previousTxHash = txHash;
-      newTx.retryCount = (tx.retryCount || 0) + 1;
-      this.pendingTxs.set(newTxHash, newTx);
-      
-      // 更新缓存
-      txCache.set(newTxHash, {
-        ...newTx,
-        callbackFn: undefined // 不存储回调函数
-      });
-      
+
+      const newTx = await signer.sendTransaction(request);
+
+      const callbackFn = this.pendingTxs.has(txHash) ? this.pendingTxs.get(txHash).callbackFn : null;
+
+      // 记录旧交易为dropped，并与新交易关联
+      this._updateRecord(txHash, { status: TX_STATUS.DROPPED, replacedBy: newTx.hash });
+      this.pendingTxs.delete(txHash);
+
+      const newTxHash = this._recordTransaction(newTx, {
+        ...tx,
+        previousTxHash: txHash,
+        retryCount: (tx.retryCount || 0) + 1
+      }, callbackFn);
+
       logger.info(`重试交易: ${txHash} -> ${newTxHash}`);
       return newTxHash;
     } catch (error) {
@@ -266,6 +468,55 @@ class TransactionQueue {
     }
   }
 
+  /**
+   * 取消待处理的交易
+   * 使用相同nonce发送一笔提高gas价格的0金额自转账交易来替换原交易
+   * @param {string} txHash 交易哈希
+   * @returns {Promise<string>} 取消交易的哈希
+   */
+  async cancelTransaction(txHash) {
+    try {
+      await this._ensureInitialized();
+
+      const tx = this._getRecord(txHash);
+      if (!tx) {
+        throw new Error(`找不到交易: ${txHash}`);
+      }
+
+      if (tx.status !== TX_STATUS.PENDING && tx.status !== TX_STATUS.STUCK) {
+        throw new Error('只能取消待处理或阻塞的交易');
+      }
+
+      const signer = this._getSignerFor(tx);
+      const from = await signer.getAddress();
+      const gasPrice = await this._getReplacementGasPrice(tx);
+
+      const cancelTx = await signer.sendTransaction({
+        to: from,
+        value: 0,
+        gasLimit: 21000,
+        gasPrice,
+        nonce: tx.nonce
+      });
+
+      this._updateRecord(txHash, { status: TX_STATUS.DROPPED, cancelledBy: cancelTx.hash });
+      this.pendingTxs.delete(txHash);
+
+      this._recordTransaction(cancelTx, {
+        role: tx.role,
+        method: 'cancel',
+        priority: tx.priority,
+        cancels: txHash
+      }, null);
+
+      logger.info(`交易已取消: ${txHash} -> ${cancelTx.hash}`);
+      return cancelTx.hash;
+    } catch (error) {
+      logger.error(`取消交易失败: ${error.message}`, { txHash });
+      throw error;
+    }
+  }
+
   /**
    * 取消所有待处理的交易
    */
@@ -282,6 +533,209 @@ class TransactionQueue {
     }
   }
 
+  /**
+   * 记录交易并开始监控
+   * @param {Object} tx 交易响应
+   * @param {Object} meta 附加信息
+   * @param {function} callback 回调函数
+   * @returns {string} 交易哈希
+   * @private
+   */
+  _recordTransaction(tx, meta, callback) {
+    const now = new Date().toISOString();
+    const txRecord = {
+      hash: tx.hash,
+      from: tx.from || meta.from,
+      to: tx.to || meta.to,
+      nonce: tx.nonce !== undefined ? tx.nonce : meta.nonce,
+      data: tx.data || meta.data,
+      value: toStringValue(tx.value || meta.value),
+      gasLimit: toStringValue(tx.gasLimit || meta.gasLimit),
+      gasPrice: toStringValue(tx.gasPrice || tx.maxFeePerGas || meta.gasPrice),
+      role: meta.role,
+      contractName: meta.contractName,
+      method: meta.method,
+      args: meta.args ? meta.args.map(toStringValue) : undefined,
+      priority: meta.priority || TX_PRIORITY.NORMAL,
+      status: TX_STATUS.PENDING,
+      submittedAt: now,
+      lastChecked: now,
+      retryCount: meta.retryCount || 0,
+      previousTxHash: meta.previousTxHash,
+      cancels: meta.cancels,
+      callback: callback ? true : false // 只存储标记，不存储回调函数
+    };
+
+    this.pendingTxs.set(tx.hash, {
+      ...txRecord,
+      callbackFn: callback // 内存中保存实际回调函数
+    });
+
+    // 同时保存到记录文件中（不包含回调函数）
+    this._storeRecord(txRecord);
+
+    // 开始跟踪交易
+    this._watchTransaction(tx.hash);
+
+    return tx.hash;
+  }
+
+  /**
+   * 获取交易记录（优先内存，其次记录文件）
+   * @param {string} txHash 交易哈希
+   * @returns {Object|undefined} 交易记录
+   * @private
+   */
+  _getRecord(txHash) {
+    return this.pendingTxs.get(txHash) || this._getStoredRecords().get(txHash);
+  }
+
+  /**
+   * 获取已保存的交易记录，首次访问时从记录文件加载并丢弃过期的记录
+   * @returns {Map<string, Object>} 交易哈希到记录的映射
+   * @private
+   */
+  _getStoredRecords() {
+    if (!this.records) {
+      this.records = new Map();
+      if (fs.existsSync(this.recordFile)) {
+        const now = Date.now();
+        for (const record of JSON.parse(fs.readFileSync(this.recordFile, 'utf8'))) {
+          if (!isExpired(record, now)) {
+            this.records.set(record.hash, record);
+          }
+        }
+      }
+    }
+    return this.records;
+  }
+
+  /**
+   * 保存交易记录，延迟写入记录文件
+   * @param {Object} tx 交易记录
+   * @private
+   */
+  _storeRecord(tx) {
+    const records = this._getStoredRecords();
+    records.set(tx.hash, toStoredRecord(tx));
+
+    const now = Date.now();
+    for (const [txHash, record] of records.entries()) {
+      if (isExpired(record, now)) {
+        records.delete(txHash);
+      }
+    }
+
+    if (!this._saveTimer) {
+      this._saveTimer = setTimeout(() => this._flushRecords(), RECORD_SAVE_DELAY);
+      if (this._saveTimer.unref) {
+        this._saveTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * 将内存中的交易记录写入记录文件
+   * 先写临时文件再重命名，进程中途退出不会留下不完整的记录文件；
+   * 写入失败时记录仍保留在内存中，不影响已发送交易的跟踪
+   * @private
+   */
+  _flushRecords() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+    if (!this.records) return;
+
+    const tmpFile = `${this.recordFile}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.recordFile), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify(Array.from(this.records.values()), null, 2));
+      fs.renameSync(tmpFile, this.recordFile);
+    } catch (error) {
+      logger.error(`保存交易记录失败: ${error.message}`, { recordFile: this.recordFile });
+    }
+  }
+
+  /**
+   * 更新交易记录的字段
+   * @param {string} txHash 交易哈希
+   * @param {Object} fields 需要更新的字段
+   * @private
+   */
+  _updateRecord(txHash, fields) {
+    const tx = this._getRecord(txHash);
+    if (!tx) return;
+
+    Object.assign(tx, fields, { updatedAt: new Date().toISOString() });
+    if (this.pendingTxs.has(txHash)) {
+      this.pendingTxs.set(txHash, tx);
+    }
+    this._storeRecord(tx);
+  }
+
+  /**
+   * 获取重发交易所用的签名者
+   * @param {Object} tx 交易记录
+   * @returns {ethers.Signer} 签名者
+   * @private
+   */
+  _getSignerFor(tx) {
+    if (!tx.role) {
+      throw new Error('交易缺少签名角色信息，无法重新发送');
+    }
+    return keyManager.getSigner(tx.role, this.provider);
+  }
+
+  /**
+   * 计算替换交易的gas价格
+   * 至少比原交易高出 gasPriceIncreasePercentage，且不低于当前优先级对应的价格
+   * @param {Object} tx 交易记录
+   * @returns {Promise<ethers.BigNumber>} gas价格
+   * @private
+   */
+  async _getReplacementGasPrice(tx) {
+    const current = ethers.BigNumber.from(await this._getOptimalGasPrice(tx.priority));
+    if (!tx.gasPrice) {
+      return current;
+    }
+
+    const bumped = ethers.BigNumber.from(tx.gasPrice)
+      .mul(100 + this.gasPriceIncreasePercentage)
+      .add(99)
+      .div(100);
+
+    return bumped.gt(current) ? bumped : current;
+  }
+
+  /**
+   * 在交易所在区块重放调用以获取回滚原因
+   * @param {Object} tx 链上交易
+   * @param {number} blockNumber 区块号
+   * @returns {Promise<string|null>} 回滚原因
+   * @private
+   */
+  async _getRevertReason(tx, blockNumber) {
+    let data = null;
+    try {
+      // ethers v5 在节点返回回滚数据时直接将其作为调用结果返回
+      data = await this.provider.call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit
+      }, blockNumber);
+    } catch (error) {
+      data = extractRevertData(error);
+      if (!data) {
+        return error.reason || null;
+      }
+    }
+
+    return decodeRevertReason(data, Object.values(contractAbis));
+  }
+
   /**
    * 开始监控交易状态
    * @param {string} txHash 交易哈希
@@ -307,21 +761,23 @@ class TransactionQueue {
     try {
       const tx = this.pendingTxs.get(txHash);
       if (!tx) return;
-      
+
       tx.status = TX_STATUS.CONFIRMED;
       tx.confirmedAt = new Date().toISOString();
       tx.blockNumber = receipt.blockNumber;
       tx.gasUsed = receipt.gasUsed.toString();
-      
-      // 更新内存和缓存
+
+      // 更新内存和记录文件
       this.pendingTxs.set(txHash, tx);
-      txCache.set(txHash, {
-        ...tx,
-        callbackFn: undefined
-      });
-      
+      this._storeRecord(tx);
+
       logger.info(`交易已确认: ${txHash}`, { blockNumber: receipt.blockNumber });
-      
+
+      // 外部签名后广播的交易也在这里使受影响的缓存失效
+      invalidateReceipt(receipt).catch(error => {
+        logger.warn(`缓存失效失败 - txHash: ${txHash}, error: ${error.message}`);
+      });
+
       // 执行回调
       if (tx.callbackFn) {
         try {
@@ -330,8 +786,8 @@ class TransactionQueue {
           logger.error(`交易回调执行失败: ${callbackError.message}`);
         }
       }
-      
-      // 从待处理列表移除（但保留在缓存中供历史查询）
+
+      // 从待处理列表移除（但保留在记录文件中供历史查询）
       this.pendingTxs.delete(txHash);
     } catch (error) {
       logger.error(`确认交易失败: ${error.message}`, { txHash });
@@ -348,20 +804,19 @@ class TransactionQueue {
     try {
       const tx = this.pendingTxs.get(txHash);
       if (!tx) return;
-      
+
       tx.status = TX_STATUS.FAILED;
       tx.error = 'Transaction reverted';
       tx.failedAt = new Date().toISOString();
-      
-      // 更新内存和缓存
+      tx.blockNumber = receipt.blockNumber;
+      tx.gasUsed = receipt.gasUsed ? receipt.gasUsed.toString() : undefined;
+
+      // 更新内存和记录文件
       this.pendingTxs.set(txHash, tx);
-      txCache.set(txHash, {
-        ...tx,
-        callbackFn: undefined
-      });
-      
+      this._storeRecord(tx);
+
       logger.error(`交易失败: ${txHash}`, { blockNumber: receipt.blockNumber });
-      
+
       // 如果设置了重试并且未超过最大重试次数，自动重试
       if (tx.priority === TX_PRIORITY.HIGH || tx.priority === TX_PRIORITY.CRITICAL) {
         if ((tx.retryCount || 0) < this.maxRetries) {
@@ -372,7 +827,7 @@ class TransactionQueue {
           return;
         }
       }
-      
+
       // 执行回调传递错误
       if (tx.callbackFn) {
         try {
@@ -381,6 +836,9 @@ class TransactionQueue {
           logger.error(`交易错误回调执行失败: ${callbackError.message}`);
         }
       }
+
+      // 失败记录保留在记录文件中，可通过接口手动重试
+      this.pendingTxs.delete(txHash);
     } catch (error) {
       logger.error(`处理失败交易异常: ${error.message}`, { txHash });
     }
@@ -393,17 +851,17 @@ class TransactionQueue {
   async _checkPendingTransactions() {
     const now = Date.now();
     const pendingTime = 10 * 60 * 1000; // 10分钟
-    
+
     for (const [txHash, tx] of this.pendingTxs.entries()) {
-      if (tx.status !== TX_STATUS.PENDING) continue;
-      
+      if (tx.status !== TX_STATUS.PENDING && tx.status !== TX_STATUS.STUCK) continue;
+
       try {
         tx.lastChecked = new Date().toISOString();
         this.pendingTxs.set(txHash, tx);
-        
+
         // 检查交易收据
         const receipt = await this.provider.getTransactionReceipt(txHash);
-        
+
         if (receipt) {
           // 交易已经被挖出
           if (receipt.status === 1) {
@@ -411,20 +869,17 @@ class TransactionQueue {
           } else {
             this._handleFailedTransaction(txHash, receipt);
           }
-        } else {
+        } else if (tx.status === TX_STATUS.PENDING) {
           // 检查交易是否因为各种原因卡住了
           const submittedTime = new Date(tx.submittedAt).getTime();
           if (now - submittedTime > pendingTime) {
             // 如果交易超过10分钟还未被确认，标记为stuck
             tx.status = TX_STATUS.STUCK;
             this.pendingTxs.set(txHash, tx);
-            txCache.set(txHash, {
-              ...tx,
-              callbackFn: undefined
-            });
-            
+            this._storeRecord(tx);
+
             logger.warn(`交易已卡住: ${txHash}`, { pendingTime: Math.floor((now - submittedTime) / 1000) });
-            
+
             // 高优先级交易自动重试
             if (tx.priority === TX_PRIORITY.HIGH || tx.priority === TX_PRIORITY.CRITICAL) {
               if ((tx.retryCount || 0) < this.maxRetries) {
@@ -440,6 +895,95 @@ class TransactionQueue {
         logger.error(`检查交易状态失败: ${error.message}`, { txHash });
       }
     }
+
+    // 没有新交易时也要发现被丢弃的交易
+    await nonceManager.syncAll(this.provider);
+  }
+
+  /**
+   * 处理被节点丢弃的交易
+   * nonceManager回收nonce后调用：高优先级交易使用回收的nonce重新发送；
+   * 其余交易标记为dropped，如果后续交易正在等待该nonce，发送0金额自转账填补空洞
+   * @param {Object} event 丢弃事件
+   * @param {string} event.address 签名地址
+   * @param {number} event.nonce 被回收的nonce
+   * @private
+   */
+  async _handleDroppedNonce({ address, nonce }) {
+    try {
+      const tx = Array.from(this.pendingTxs.values()).find(record =>
+        record.from && record.from.toLowerCase() === address.toLowerCase() && Number(record.nonce) === nonce &&
+        (record.status === TX_STATUS.PENDING || record.status === TX_STATUS.STUCK));
+
+      if (tx) {
+        this._updateRecord(tx.hash, {
+          status: TX_STATUS.DROPPED,
+          error: 'Transaction dropped',
+          nonceReleased: true
+        });
+        logger.warn(`交易已被节点丢弃: ${tx.hash}`, { nonce });
+
+        if ((tx.priority === TX_PRIORITY.HIGH || tx.priority === TX_PRIORITY.CRITICAL) &&
+            tx.role && (tx.retryCount || 0) < this.maxRetries) {
+          logger.info(`自动重发被丢弃的高优先级交易: ${tx.hash}`);
+          await this.retryTransaction(tx.hash);
+          return;
+        }
+
+        if (tx.callbackFn) {
+          try {
+            tx.callbackFn(new Error('Transaction dropped'), null);
+          } catch (callbackError) {
+            logger.error(`交易错误回调执行失败: ${callbackError.message}`);
+          }
+        }
+        this.pendingTxs.delete(tx.hash);
+      }
+
+      if (nonceManager.hasPendingAfter(address, nonce)) {
+        await this._fillNonceGap(address, tx && tx.role);
+      }
+    } catch (error) {
+      logger.error(`处理被丢弃的交易失败: ${error.message}`, { address, nonce });
+    }
+  }
+
+  /**
+   * 发送0金额自转账填补nonce空洞
+   * 由nonceManager在地址队列中分配最小的回收nonce，发送前重新同步节点的pending计数，
+   * 该nonce已被其他交易使用时不再发送
+   * @param {string} address 签名地址
+   * @param {string} [role] 签名角色，不指定时按地址查找
+   * @returns {Promise<string|null>} 交易哈希，地址不属于任何角色或无需填补时返回null
+   * @private
+   */
+  async _fillNonceGap(address, role) {
+    const signerRole = role || keyManager.getAvailableRoles()
+      .find(name => keyManager.getAddress(name).toLowerCase() === address.toLowerCase());
+    if (!signerRole) {
+      logger.warn(`无法填补nonce空洞，地址不属于任何角色: ${address}`);
+      return null;
+    }
+
+    const signer = keyManager.getSigner(signerRole, this.provider);
+    const gasPrice = await this._getOptimalGasPrice(TX_PRIORITY.HIGH);
+    const fillTx = await nonceManager.fillGap(address, this.provider, async nonce => {
+      const transaction = await signer.populateTransaction({ to: address, value: 0, gasLimit: 21000, gasPrice, nonce });
+      return this.provider.sendTransaction(await signer.signTransaction(transaction));
+    });
+    if (!fillTx) {
+      logger.info('nonce空洞已被其他交易填补', { address });
+      return null;
+    }
+
+    this._recordTransaction(fillTx, {
+      role: signerRole,
+      method: 'fillNonceGap',
+      priority: TX_PRIORITY.HIGH
+    }, null);
+
+    logger.info(`已填补nonce空洞: ${fillTx.hash}`, { address, nonce: fillTx.nonce });
+    return fillTx.hash;
   }
 
   /**
@@ -452,7 +996,7 @@ class TransactionQueue {
     try {
       const baseGasPrice = await this.provider.getGasPrice();
       let multiplier = 1.0;
-      
+
       switch (priority) {
         case TX_PRIORITY.LOW:
           multiplier = 0.9; // 比基础价格低10%
@@ -466,12 +1010,12 @@ class TransactionQueue {
         default: // NORMAL
           multiplier = 1.0;
       }
-      
+
       // 计算新的gas价格并确保是整数
       const gasPrice = ethers.BigNumber.from(baseGasPrice)
         .mul(Math.floor(multiplier * 100))
         .div(100);
-      
+
       return gasPrice.toString();
     } catch (error) {
       logger.error(`获取最佳gas价格失败: ${error.message}`);
@@ -480,36 +1024,36 @@ class TransactionQueue {
   }
 
   /**
-   * 从缓存恢复未处理的交易
+   * 从记录文件恢复未处理的交易
+   * 服务重启后继续监控上次未完成的交易
    * @private
    */
-  _recoverFromCache() {
+  _recoverFromStore() {
     try {
-      const transactions = txCache.keys();
       let recoveredCount = 0;
-      
-      for (const txHash of transactions) {
-        const tx = txCache.get(txHash);
-        
+
+      for (const [txHash, tx] of this._getStoredRecords().entries()) {
+
         // 只恢复pending和stuck状态的交易
-        if (tx && (tx.status === TX_STATUS.PENDING || tx.status === TX_STATUS.STUCK)) {
+        if (tx && !this.pendingTxs.has(txHash) &&
+            (tx.status === TX_STATUS.PENDING || tx.status === TX_STATUS.STUCK)) {
           // 将交易添加到内存队列，不带回调函数
           this.pendingTxs.set(txHash, {
             ...tx,
             callbackFn: null
           });
-          
+
           // 恢复监控
           this._watchTransaction(txHash);
           recoveredCount++;
         }
       }
-      
+
       if (recoveredCount > 0) {
-        logger.info(`从缓存恢复了 ${recoveredCount} 个未完成的交易`);
+        logger.info(`从记录文件恢复了 ${recoveredCount} 个未完成的交易`);
       }
     } catch (error) {
-      logger.error(`从缓存恢复交易失败: ${error.message}`);
+      logger.error(`从记录文件恢复交易失败: ${error.message}`);
     }
   }
 
@@ -521,17 +1065,7 @@ class TransactionQueue {
    */
   _updateTransactionStatus(txHash, status) {
     try {
-      const tx = this.pendingTxs.get(txHash);
-      if (tx) {
-        tx.status = status;
-        tx.updatedAt = new Date().toISOString();
-        
-        this.pendingTxs.set(txHash, tx);
-        txCache.set(txHash, {
-          ...tx,
-          callbackFn: undefined
-        });
-      }
+      this._updateRecord(txHash, { status });
     } catch (error) {
       logger.error(`更新交易状态失败: ${error.message}`, { txHash });
     }
@@ -546,10 +1080,88 @@ class TransactionQueue {
       clearInterval(this.checker);
       this.checker = null;
     }
+    this._flushRecords();
     logger.info('交易队列管理器已关闭');
   }
 }
 
+/**
+ * 去除内存中的回调函数，得到可保存的记录
+ * @param {Object} tx 交易记录
+ * @returns {Object} 可保存的记录
+ */
+function toStoredRecord(tx) {
+  const record = { ...tx };
+  delete record.callbackFn;
+  return record;
+}
+
+/**
+ * 判断交易记录是否已过期
+ * 未完成的交易一直保留，已完成的交易在最后一次更新1天后过期
+ * @param {Object} record 交易记录
+ * @param {number} now 当前时间戳（毫秒）
+ * @returns {boolean} 是否过期
+ */
+function isExpired(record, now) {
+  if (record.status === TX_STATUS.PENDING || record.status === TX_STATUS.STUCK) {
+    return false;
+  }
+  const updatedAt = record.updatedAt || record.confirmedAt || record.failedAt || record.submittedAt;
+  return now - new Date(updatedAt).getTime() > RECORD_TTL;
+}
+
+/**
+ * 将BigNumber等值转换为字符串
+ * @param {any} value 原始值
+ * @returns {any} 转换后的值
+ */
+function toStringValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return value;
+}
+
+/**
+ * 格式化交易收据
+ * @param {Object} receipt 交易收据
+ * @returns {Object} 格式化后的收据
+ */
+function formatReceipt(receipt) {
+  return {
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    transactionIndex: receipt.transactionIndex,
+    status: receipt.status,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+    cumulativeGasUsed: receipt.cumulativeGasUsed.toString(),
+    contractAddress: receipt.contractAddress,
+    logs: receipt.logs.length
+  };
+}
+
+/**
+ * 从调用异常中提取回滚数据
+ * 不同节点与ethers版本会把数据放在不同的嵌套层级
+ * @param {Error} error 错误对象
+ * @returns {string|null} 回滚数据
+ */
+function extractRevertData(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x')) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === 'string') {
+      return current.data.data;
+    }
+    current = current.error;
+  }
+  return null;
+}
+
 // 创建单例实例
 const transactionQueue = new TransactionQueue();
 
@@ -557,4 +1169,4 @@ module.exports = {
   transactionQueue,
   TX_STATUS,
   TX_PRIORITY
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * 未签名交易模式上下文
+ * 请求带 mode=unsigned 时，在整个请求的异步调用链中保存上下文，
+ * 服务层的写操作据此构建未签名交易而不是使用KeyManager私钥签名发送
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * 在未签名模式下执行函数
+ * @param {object} options 选项
+ * @param {string} [options.from] 外部签名账户地址，不传时使用操作角色对应的服务端账户地址
+ * @param {function} fn 要执行的函数
+ * @returns {*} 函数返回值
+ */
+function runUnsigned(options, fn) {
+  const context = {
+    from: options.from || null,
+    transactions: [],
+    // 每个发送地址的下一个nonce，同一请求构建的多笔交易nonce依次递增
+    nonces: new Map()
+  };
+  return storage.run(context, fn);
+}
+
+/**
+ * 获取当前请求的未签名模式上下文
+ * @returns {object|undefined} 上下文，不在未签名模式下时返回undefined
+ */
+function getUnsignedContext() {
+  return storage.getStore();
+}
+
+module.exports = {
+  runUnsigned,
+  getUnsignedContext
+};
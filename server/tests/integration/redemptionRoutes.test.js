@@ -0,0 +1,101 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const { authenticate } = require('../../src/middlewares/authMiddleware');
+const unsignedMode = require('../../src/middlewares/unsignedMode');
+const { errorHandler } = require('../../src/middlewares/errorHandler');
+const authService = require('../../src/services/authService');
+const redemptionManagerService = require('../../src/services/redemptionManagerService');
+const redemptionRoutes = require('../../src/routes/redemptionRoutes');
+
+const REDEMPTION_MANAGER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const USDC = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const OPERATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const CUSTODY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+describe('Redemption Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(authService, 'authenticateApiKey').mockImplementation(async apiKey => {
+      if (apiKey !== 'operator-key') {
+        throw Object.assign(new Error('无效的API密钥'), { statusCode: 401 });
+      }
+      return { authenticated: true, type: 'apiKey', id: 'apiKey:1', address: OPERATOR, roles: ['operator'] };
+    });
+
+    redemptionManagerService.contract = new ethers.Contract(REDEMPTION_MANAGER, [
+      'function rejectRedemption(uint256 requestId, string reason)',
+      'function completeRedemption(uint256 requestId)',
+      'function addSupportedStablecoin(address stablecoin)',
+      'function removeSupportedStablecoin(address stablecoin)'
+    ]);
+    redemptionManagerService.provider = {
+      getTransactionCount: jest.fn().mockResolvedValue(3),
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 31337 }),
+      getGasPrice: jest.fn().mockResolvedValue(ethers.BigNumber.from(1000)),
+      estimateGas: jest.fn().mockResolvedValue(ethers.BigNumber.from(60000))
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(authenticate);
+    app.use(unsignedMode);
+    app.use('/redemptions', redemptionRoutes);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['post', '/redemptions/7/reject', { reason: 'KYC' }, 'rejectRedemption', [7, 'KYC']],
+    ['post', '/redemptions/7/complete', {}, 'completeRedemption', [7]],
+    ['post', '/redemptions/stablecoin', { stablecoinAddress: USDC }, 'addSupportedStablecoin', [USDC]],
+    ['delete', '/redemptions/stablecoin', { stablecoinAddress: USDC }, 'removeSupportedStablecoin', [USDC]]
+  ])('should return an unsigned transaction for %s %s', async (method, path, body, contractMethod, args) => {
+    const response = await request(app)[method](`${path}?mode=unsigned&from=${CUSTODY}`)
+      .set('X-API-Key', 'operator-key')
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.mode).toBe('unsigned');
+    expect(response.body.data.transactions).toEqual([
+      expect.objectContaining({
+        method: contractMethod,
+        from: CUSTODY,
+        to: REDEMPTION_MANAGER,
+        nonce: 3,
+        data: redemptionManagerService.contract.interface.encodeFunctionData(contractMethod, args)
+      })
+    ]);
+  });
+
+  it('should require authentication for write routes', async () => {
+    const response = await request(app)
+      .post('/redemptions/7/complete?mode=unsigned')
+      .send({});
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should validate the stablecoin address', async () => {
+    const response = await request(app)
+      .post('/redemptions/stablecoin?mode=unsigned')
+      .set('X-API-Key', 'operator-key')
+      .send({ stablecoinAddress: 'not-an-address' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should report whether a stablecoin is supported', async () => {
+    jest.spyOn(redemptionManagerService, 'executeRead').mockResolvedValue(true);
+
+    const response = await request(app).get(`/redemptions/stablecoin/${USDC}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ stablecoin: USDC, isSupported: true });
+    expect(redemptionManagerService.executeRead).toHaveBeenCalledWith('supportedStablecoins', [USDC]);
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const authService = require('../../src/services/authService');
+const roleManagerService = require('../../src/services/roleManagerService');
+
+// Hardhat默认账户
+const ADMIN = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const OPERATOR = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+describe('Auth Service', () => {
+  let dataDir;
+  let roles;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    authService.apiKeyFile = path.join(dataDir, 'api-keys.json');
+    authService.challenges.clear();
+    authService.challengeNonces.clear();
+    authService.refreshTokens.clear();
+    authService.roleCache.clear();
+
+    // 链上角色状态：address -> 角色列表
+    roles = {
+      [ADMIN.address]: ['SUPER_ADMIN'],
+      [OPERATOR.address]: ['PROPERTY_MANAGER', 'FEE_MANAGER']
+    };
+    jest.spyOn(roleManagerService, 'getAccountRoles')
+      .mockImplementation(async account => ({ account, roles: roles[account] || [] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const signIn = async wallet => {
+    const { message } = authService.createChallenge(wallet.address.toLowerCase());
+    return authService.login(message, await wallet.signMessage(message));
+  };
+
+  describe('wallet login', () => {
+    it('should issue tokens with permissions derived from on-chain roles', async () => {
+      const result = await signIn(OPERATOR);
+
+      expect(result.tokenType).toBe('Bearer');
+      expect(result.user).toMatchObject({
+        type: 'wallet',
+        address: OPERATOR.address,
+        contractRoles: ['PROPERTY_MANAGER', 'FEE_MANAGER'],
+        roles: ['operator', 'finance']
+      });
+
+      const user = await authService.authenticateAccessToken(result.accessToken);
+      expect(user.id).toBe(OPERATOR.address);
+      await expect(authService.authenticateAccessToken(result.refreshToken))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject a signature from another account and not allow the nonce to be reused', async () => {
+      const { message } = authService.createChallenge(ADMIN.address);
+
+      await expect(authService.login(message, await OPERATOR.signMessage(message)))
+        .rejects.toMatchObject({ statusCode: 401, message: '签名与登录地址不匹配' });
+      await expect(authService.login(message, await ADMIN.signMessage(message)))
+        .rejects.toMatchObject({ statusCode: 401, message: '登录消息无效或已被使用' });
+    });
+
+    it('should keep only the latest challenge per address', async () => {
+      const first = authService.createChallenge(ADMIN.address);
+      const second = authService.createChallenge(ADMIN.address.toLowerCase());
+
+      expect(authService.challenges.size).toBe(1);
+      await expect(authService.login(first.message, await ADMIN.signMessage(first.message)))
+        .rejects.toMatchObject({ statusCode: 401, message: '登录消息无效或已被使用' });
+      await expect(authService.login(second.message, await ADMIN.signMessage(second.message)))
+        .resolves.toMatchObject({ tokenType: 'Bearer' });
+      expect(authService.challengeNonces.size).toBe(0);
+    });
+
+    it('should refuse new challenges once the outstanding limit is reached', () => {
+      const { maxChallenges } = authService.config;
+      authService.config.maxChallenges = 2;
+      try {
+        authService.createChallenge(ADMIN.address);
+        authService.createChallenge(OPERATOR.address);
+
+        expect(() => authService.createChallenge(ethers.Wallet.createRandom().address))
+          .toThrow(expect.objectContaining({ statusCode: 429 }));
+        // 同一地址重新获取会替换旧挑战，不受上限影响
+        expect(() => authService.createChallenge(ADMIN.address)).not.toThrow();
+      } finally {
+        authService.config.maxChallenges = maxChallenges;
+      }
+    });
+
+    it('should reject expired challenges', async () => {
+      const { message, nonce } = authService.createChallenge(ADMIN.address);
+      authService.challenges.get(nonce).expiresAt = Date.now() - 1;
+
+      await expect(authService.login(message, await ADMIN.signMessage(message)))
+        .rejects.toMatchObject({ statusCode: 401, message: '登录挑战已过期，请重新获取' });
+    });
+
+    it('should rotate refresh tokens', async () => {
+      const { refreshToken } = await signIn(ADMIN);
+
+      const refreshed = await authService.refresh(refreshToken);
+      expect(refreshed.user.roles).toEqual(['admin']);
+
+      await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+      expect(authService.logout(refreshed.refreshToken, ADMIN.address)).toEqual({ revoked: true });
+      await expect(authService.refresh(refreshed.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('API keys', () => {
+    it('should limit scopes to the permissions the operator holds on-chain', async () => {
+      const { apiKey, id, keyHash } = authService.createApiKey({
+        name: 'custody',
+        address: OPERATOR.address,
+        scopes: ['operator', 'admin']
+      }, ADMIN.address);
+
+      expect(keyHash).toBeUndefined();
+      expect(fs.readFileSync(authService.apiKeyFile, 'utf8')).not.toContain(apiKey);
+
+      const user = await authService.authenticateApiKey(apiKey);
+      expect(user).toMatchObject({ type: 'apiKey', keyId: id, scopes: ['operator', 'admin'], roles: ['operator'] });
+
+      // 链上撤销角色后，缓存过期即失去权限
+      roles[OPERATOR.address] = [];
+      authService.roleCache.clear();
+      expect((await authService.authenticateApiKey(apiKey)).roles).toEqual([]);
+    });
+
+    it('should reject unknown and revoked keys', async () => {
+      const { apiKey, id } = authService.createApiKey({
+        name: 'custody',
+        address: OPERATOR.address,
+        scopes: ['operator']
+      }, ADMIN.address);
+
+      const forged = `${apiKey.slice(0, -1)}${apiKey.endsWith('0') ? '1' : '0'}`;
+      await expect(authService.authenticateApiKey(forged))
+        .rejects.toMatchObject({ statusCode: 401 });
+
+      expect(authService.revokeApiKey(id).revokedAt).not.toBeNull();
+      await expect(authService.authenticateApiKey(apiKey))
+        .rejects.toMatchObject({ statusCode: 401, message: 'API密钥已被撤销' });
+      expect(() => authService.revokeApiKey(id)).toThrow('API密钥已被撤销');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const net = require('net');
+const { ethers } = require('ethers');
+
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const INVESTOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+jest.mock('../../../shared/config/contracts', () => ({
+  getContractAddresses: () => ({ propertyRegistry: '0x5FbDB2315678afecb367f032d93F642f64180aa3' })
+}));
+
+const abis = require('../../../shared/contracts/abis');
+const {
+  CacheManager,
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  cacheTags
+} = require('../../../shared/utils/cache');
+const { CacheInvalidator, getReceiptTags } = require('../../../shared/utils/cacheInvalidation');
+
+// 只实现缓存后端用到的命令的Redis协议服务
+const startFakeRedis = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const commands = [];
+  const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const array = values => `*${values.length}\r\n${values
+    .map(value => (Array.isArray(value) ? array(value) : bulk(value)))
+    .join('')}`;
+
+  const handle = ([command, ...args]) => {
+    commands.push(command);
+    switch (command) {
+    case 'AUTH':
+      return args[0] === 'secret' ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+    case 'GET':
+      return bulk(strings.has(args[0]) ? strings.get(args[0]) : null);
+    case 'SET':
+      strings.set(args[0], args[1]);
+      return '+OK\r\n';
+    case 'SADD':
+      if (!sets.has(args[0])) sets.set(args[0], new Set());
+      sets.get(args[0]).add(args[1]);
+      return ':1\r\n';
+    case 'EXPIRE':
+      return ':1\r\n';
+    case 'SMEMBERS':
+      return array(Array.from(sets.get(args[0]) || []));
+    case 'DEL':
+      return `:${args.filter(key => strings.delete(key) || sets.delete(key)).length}\r\n`;
+    case 'SCAN': {
+      const prefix = args[2].slice(0, -1);
+      return array(['0', [...strings.keys(), ...sets.keys()].filter(key => key.startsWith(prefix))]);
+    }
+    default:
+      return `-ERR unknown command ${command}\r\n`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.on('data', data => {
+      buffer += data.toString();
+      // 请求均为不含换行的批量字符串数组
+      let match = buffer.match(/^\*(\d+)\r\n/);
+      while (match) {
+        const lines = buffer.slice(match[0].length).split('\r\n');
+        const count = Number(match[1]);
+        if (lines.length <= count * 2) break;
+        const args = [];
+        for (let i = 0; i < count; i++) args.push(lines[i * 2 + 1]);
+        buffer = lines.slice(count * 2).join('\r\n');
+        socket.write(handle(args));
+        match = buffer.match(/^\*(\d+)\r\n/);
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, strings, sets, commands }));
+  });
+};
+
+describe('Cache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new CacheManager({ backend: new MemoryCacheBackend() });
+  });
+
+  it('should load once per key and invalidate entries by tag', async () => {
+    const loader = jest.fn(async () => ({ status: 'Approved' }));
+    const tags = [cacheTags.property('PROP-001'), cacheTags.properties()];
+
+    const [first, second] = await Promise.all([
+      cache.wrap('property:PROP-001', loader, { tags }),
+      cache.wrap('property:PROP-001', loader, { tags })
+    ]);
+    expect(first).toEqual({ status: 'Approved' });
+    expect(second).toEqual(first);
+    expect(loader).toHaveBeenCalledTimes(1);
+    await cache.set('balance', '100', { tags: [cacheTags.token(TOKEN)] });
+
+    expect(await cache.invalidateTags([cacheTags.property('PROP-001')])).toBe(1);
+    expect(await cache.get('property:PROP-001')).toBeUndefined();
+    expect(await cache.get('balance')).toBe('100');
+
+    // 加载期间发生失效时不写入旧结果
+    let release;
+    const pending = cache.wrap('stats', () => new Promise(resolve => { release = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+    await cache.invalidateTags([cacheTags.properties()]);
+    release({ total: 1 });
+    expect(await pending).toEqual({ total: 1 });
+    expect(await cache.getKeys()).toEqual(['balance']);
+  });
+
+  it('should invalidate entries from transaction receipts and indexed events', async () => {
+    const registry = new ethers.utils.Interface(abis.PropertyRegistry);
+    const token = new ethers.utils.Interface(abis.RealEstateToken);
+    const log = (iface, address, name, args) => ({ address, ...iface.encodeEventLog(iface.getEvent(name), args) });
+
+    expect(getReceiptTags({
+      logs: [
+        log(registry, REGISTRY, 'PropertyStatusTransition', ['PROP-001', 2, 6, INVESTOR]),
+        log(token, TOKEN, 'Transfer', [ethers.constants.AddressZero, INVESTOR, 100])
+      ]
+    }).sort()).toEqual([
+      cacheTags.properties(),
+      cacheTags.property('PROP-001'),
+      cacheTags.token(TOKEN)
+    ].sort());
+
+    const checkpoints = { [REGISTRY.toLowerCase()]: { contractName: 'PropertyRegistry', blockNumber: 10 } };
+    const events = [];
+    const eventStore = {
+      refresh: jest.fn(),
+      getCheckpoints: () => JSON.parse(JSON.stringify(checkpoints)),
+      query: jest.fn(({ fromBlock }) => events.filter(event => event.blockNumber >= fromBlock))
+    };
+    const invalidator = new CacheInvalidator(cache, eventStore);
+    await cache.set('stale', 1);
+
+    // 首次轮询时无法确定缓存是否过期，全部清空
+    await invalidator.poll();
+    expect(await cache.get('stale')).toBeUndefined();
+
+    await cache.set('property', { status: 'Approved' }, { tags: [cacheTags.property('PROP-001')] });
+    await cache.set('distribution', { isProcessed: false }, { tags: [cacheTags.distribution(1)] });
+    events.push({
+      contractName: 'PropertyRegistry',
+      contractAddress: REGISTRY,
+      blockNumber: 12,
+      eventName: 'PropertyStatusTransition',
+      // 监控进程保存的indexed string参数只有哈希
+      args: { propertyId: { _isIndexed: true, hash: ethers.utils.id('PROP-001') }, oldStatus: 2, newStatus: 6 }
+    });
+    checkpoints[REGISTRY.toLowerCase()].blockNumber = 12;
+
+    expect(await invalidator.poll()).toBe(1);
+    expect(eventStore.query).toHaveBeenLastCalledWith({ fromBlock: 11 });
+    expect(await cache.get('property')).toBeUndefined();
+    expect(await cache.get('distribution')).toEqual({ isProcessed: false });
+
+    // 游标后退（链重组或链重置）时全部清空
+    checkpoints[REGISTRY.toLowerCase()].blockNumber = 5;
+    await invalidator.poll();
+    expect(await cache.get('distribution')).toBeUndefined();
+  });
+
+  it('should share entries and tags through a Redis protocol server', async () => {
+    const redis = await startFakeRedis();
+    const backend = new RedisCacheBackend({
+      url: `redis://:secret@127.0.0.1:${redis.port}`,
+      namespace: 'rwa:31337',
+      maxTtl: 86400
+    });
+    const shared = new CacheManager({ backend });
+
+    try {
+      await shared.set('getDistribution:["1"]', { totalClaimed: '0' }, { tags: [cacheTags.distribution(1)] });
+      await shared.set('getTokenInfo:[]', { symbol: 'PROP' }, { tags: [cacheTags.token(TOKEN)] });
+
+      expect(redis.commands[0]).toBe('AUTH');
+      expect(redis.sets.get('rwa:31337:t:distribution:1')).toEqual(new Set(['getDistribution:["1"]']));
+      expect(await shared.get('getDistribution:["1"]')).toEqual({ totalClaimed: '0' });
+
+      expect(await shared.invalidateTags([cacheTags.distribution(1)])).toBe(1);
+      expect(await shared.get('getDistribution:["1"]')).toBeUndefined();
+      expect(await shared.getKeys()).toEqual(['getTokenInfo:[]']);
+    } finally {
+      await shared.close();
+      await new Promise(resolve => redis.server.close(resolve));
+    }
+  });
+});
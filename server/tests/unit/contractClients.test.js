@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const abis = require('../../../shared/contracts/abis');
+const { CONFIG } = require('../../../shared/utils/updateAbis');
+const { OUTPUT_DIR, generateClients } = require('../../../shared/utils/generateContractClients');
+const { checkContractReferences } = require('../../../shared/utils/contractReferences');
+const { PropertyRegistryClient } = require('../../../shared/contracts/clients');
+
+describe('Contract clients', () => {
+  describe('generateClients', () => {
+    it('should match the committed clients', () => {
+      const files = generateClients(abis, CONFIG.defaultContracts);
+
+      for (const [name, content] of Object.entries(files)) {
+        expect(fs.readFileSync(path.join(OUTPUT_DIR, name), 'utf8')).toBe(content);
+      }
+    });
+
+    it('should expose overloaded functions only by signature', async () => {
+      const client = new PropertyRegistryClient('0x5FbDB2315678afecb367f032d93F642f64180aa3', null);
+      const call = jest.fn().mockResolvedValue(2);
+      client.contract = { 'getPropertyStatus(string)': call };
+
+      expect(client.getPropertyStatus).toBeUndefined();
+      expect(typeof client.getPropertyStatusExtended).toBe('function');
+      await expect(client['getPropertyStatus(string)']('P001')).resolves.toBe(2);
+      expect(call).toHaveBeenCalledWith('P001', {});
+    });
+  });
+
+  describe('checkContractReferences', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-refs-'));
+      fs.mkdirSync(path.join(rootDir, 'server/src/services'), { recursive: true });
+      fs.mkdirSync(path.join(rootDir, 'frontend-tests/tests'), { recursive: true });
+
+      fs.writeFileSync(path.join(rootDir, 'server/src/services/registryService.js'), [
+        'class RegistryService extends BaseContractService {',
+        '  constructor() { super(\'PropertyRegistry\', \'propertyRegistry\'); }',
+        '  a() { return this.executeRead(\'getPropertyStatus(string)\', [id]); }',
+        '  b() { return this.executeRead(\'getPropertyStatus\', [id]); }',
+        '  c() { return this.executeWrite(\n    \'registerPropertyV2\', []); }',
+        '}',
+        'module.exports = new RegistryService();'
+      ].join('\n'));
+      fs.writeFileSync(path.join(rootDir, 'server/src/services/otherService.js'), [
+        'const registryService = require(\'./registryService\');',
+        'const run = () => registryService.executeRead(\'properties\', [id]);',
+        'const missing = () => registryService.executeRead(\'getPropertyStatus(bytes32)\', [id]);'
+      ].join('\n'));
+      // 拆开字符串，避免本文件被引用检查当作合约调用
+      fs.writeFileSync(path.join(rootDir, 'frontend-tests/tests/flow.test.js'), [
+        'const tokenFactory = ' + 'contractService.getTokenFactory();',
+        'const address = await tokenFactory.getTokenForProperty(id);',
+        'const created = await tokenFactory.getTokenAddress(id);',
+        'const event = receipt.events.find(e => e.event === \'RentDistributed\');',
+        'if (event.contractName === \'TokenFactory\' && event.eventName === \'TokenRegistered\') {}'
+      ].join('\n'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should report functions and events missing from the ABI', () => {
+      const problems = checkContractReferences({ abis, rootDir });
+
+      expect(problems.map(({ file, line, contract, member }) => ({ file, line, contract, member }))).toEqual([
+        { file: 'server/src/services/otherService.js', line: 3, contract: 'PropertyRegistry',
+          member: 'getPropertyStatus(bytes32)' },
+        { file: 'server/src/services/registryService.js', line: 4, contract: 'PropertyRegistry',
+          member: 'getPropertyStatus' },
+        { file: 'server/src/services/registryService.js', line: 5, contract: 'PropertyRegistry',
+          member: 'registerPropertyV2' },
+        { file: 'frontend-tests/tests/flow.test.js', line: 2, contract: 'TokenFactory', member: 'getTokenForProperty' },
+        { file: 'frontend-tests/tests/flow.test.js', line: 5, contract: 'TokenFactory', member: 'TokenRegistered' },
+        { file: 'frontend-tests/tests/flow.test.js', line: 4, contract: null, member: 'RentDistributed' }
+      ]);
+    });
+  });
+});
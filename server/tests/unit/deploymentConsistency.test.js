@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  IMPLEMENTATION_SLOT,
+  checkDeploymentConsistency
+} = require('../../../shared/utils/deploymentConsistency');
+
+const REGISTRY_ABI = [
+  'function getPropertyCount() view returns (uint256)',
+  'function approveProperty(string propertyId)',
+  'event PropertyApproved(string indexed propertyId, address approver)'
+];
+const ROLE_MANAGER_ABI = [
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function grantRole(bytes32 role, address account)'
+];
+
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const REGISTRY_IMPL = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const ROLE_MANAGER = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const OTHER = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9';
+
+// 按ABI拼出带函数分发、immutable占位和CBOR元数据的运行时字节码
+const runtimeCode = (abi, { self = null, metadata = '11' } = {}) => {
+  const iface = new ethers.utils.Interface(abi);
+  const dispatch = Object.keys(iface.functions).map(signature => `63${iface.getSighash(signature).slice(2)}14`);
+  const immutable = self ? self.slice(2).toLowerCase().padStart(64, '0') : '0'.repeat(64);
+  const cbor = `a2646970667358221220${metadata.repeat(32)}64736f6c63430008110033`;
+  return `0x6080604052${dispatch.join('')}7f${immutable}${cbor}`;
+};
+
+const writeFile = (rootDir, file, content) => {
+  fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+};
+
+describe('Deployment consistency', () => {
+  let rootDir;
+  let code;
+  let provider;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployment-consistency-'));
+    const abis = { PropertyRegistry: REGISTRY_ABI, RoleManager: ROLE_MANAGER_ABI };
+    writeFile(rootDir, 'shared/contracts/abis.js', `module.exports = ${JSON.stringify(abis)};`);
+    // 手工维护的JSON漏掉了approveProperty
+    writeFile(rootDir, 'shared/contracts/abis/index.js', `module.exports = ${JSON.stringify({
+      PropertyRegistry: REGISTRY_ABI.filter(item => !item.includes('approveProperty')),
+      RoleManager: ROLE_MANAGER_ABI
+    })};`);
+    writeFile(rootDir, 'monitor/src/contracts/index.js', `module.exports = ${JSON.stringify({
+      propertyRegistry: [REGISTRY_ABI[2]],
+      roleManager: []
+    })};`);
+    for (const [name, abi] of Object.entries(abis)) {
+      writeFile(rootDir, `artifacts/contracts/${name}.sol/${name}.json`, {
+        contractName: name,
+        abi: JSON.parse(new ethers.utils.Interface(abi).format(ethers.utils.FormatTypes.json)),
+        deployedBytecode: runtimeCode(abi),
+        deployedLinkReferences: {}
+      });
+    }
+    writeFile(rootDir, 'deploy-state.json', { contracts: { PropertyRegistry: REGISTRY, RoleManager: ROLE_MANAGER } });
+    writeFile(rootDir, 'deployments/hardhat-latest.json', {
+      network: 'hardhat',
+      chainId: '31337',
+      contracts: { PropertyRegistry: REGISTRY.toLowerCase(), RoleManager: ROLE_MANAGER }
+    });
+    writeFile(rootDir, 'deployments/testnet-latest.json', {
+      network: 'testnet',
+      chainId: '11155111',
+      contracts: { PropertyRegistry: OTHER }
+    });
+
+    // PropertyRegistry是代理，实现合约只有元数据和immutable不同；RoleManager直接部署但少了grantRole
+    code = {
+      [REGISTRY]: '0x363d3d373d3d3d363d73',
+      [REGISTRY_IMPL]: runtimeCode(REGISTRY_ABI, { self: REGISTRY_IMPL, metadata: '22' }),
+      [ROLE_MANAGER]: runtimeCode(ROLE_MANAGER_ABI.slice(0, 1))
+    };
+    provider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 31337 }),
+      getBlockNumber: jest.fn().mockResolvedValue(120),
+      getCode: jest.fn(async address => code[ethers.utils.getAddress(address)] || '0x'),
+      getStorageAt: jest.fn(async (address, slot) => (slot === IMPLEMENTATION_SLOT && address === REGISTRY
+        ? ethers.utils.hexZeroPad(REGISTRY_IMPL, 32)
+        : ethers.constants.HashZero))
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should report ABI drift and address conflicts without a chain connection', async () => {
+    const report = await checkDeploymentConsistency({
+      rootDir,
+      contracts: ['PropertyRegistry', 'RoleManager'],
+      env: { ROLE_MANAGER_ADDRESS: OTHER, CHAIN_ID: '31337' }
+    });
+
+    expect(report.ok).toBe(false);
+    expect(report.chain).toBeNull();
+    expect(report.mismatches.map(({ type, contract }) => ({ type, contract }))).toEqual([
+      { type: 'ABI_MISMATCH', contract: 'PropertyRegistry' },
+      { type: 'ADDRESS_MISMATCH', contract: 'RoleManager' }
+    ]);
+    expect(report.mismatches[0]).toMatchObject({
+      source: 'shared/contracts/abis',
+      reference: 'artifacts',
+      missing: ['function approveProperty(string propertyId)'],
+      extra: []
+    });
+    expect(report.mismatches[1].addresses).toEqual({
+      'env': OTHER,
+      'deploy-state.json': ROLE_MANAGER,
+      'deployments/hardhat-latest.json': ROLE_MANAGER
+    });
+    // 其他链的部署记录不参与比较
+    expect(Object.keys(report.sources.addresses))
+      .toEqual(['env', 'deploy-state.json', 'deployments/hardhat-latest.json']);
+    expect(report.contracts.PropertyRegistry.address).toBe(REGISTRY);
+  });
+
+  it('should compare deployed proxies and implementations with the compiled artifacts', async () => {
+    const report = await checkDeploymentConsistency({
+      rootDir,
+      contracts: ['PropertyRegistry', 'RoleManager'],
+      env: {},
+      provider
+    });
+
+    expect(report.chain).toEqual({ chainId: 31337, blockNumber: 120 });
+    expect(report.sources.addresses['deployments/testnet-latest.json']).toBeUndefined();
+    expect(report.contracts.PropertyRegistry).toMatchObject({
+      address: REGISTRY,
+      implementation: REGISTRY_IMPL,
+      bytecode: { implementation: { address: REGISTRY_IMPL } }
+    });
+    expect(report.contracts.PropertyRegistry.bytecode.implementation.actualHash)
+      .toBe(report.contracts.PropertyRegistry.bytecode.implementation.expectedHash);
+    expect(report.warnings).toEqual([
+      expect.objectContaining({ type: 'NO_ARTIFACT', contract: 'PropertyRegistry', role: 'proxy' })
+    ]);
+    expect(report.mismatches.filter(item => item.contract === 'RoleManager')).toEqual([
+      expect.objectContaining({ type: 'BYTECODE_MISMATCH', role: 'implementation', address: ROLE_MANAGER }),
+      expect.objectContaining({
+        type: 'SELECTOR_MISSING',
+        functions: ['grantRole(bytes32,address)']
+      })
+    ]);
+
+    code[REGISTRY_IMPL] = '0x';
+    const broken = await checkDeploymentConsistency({ rootDir, contracts: ['PropertyRegistry'], env: {}, provider });
+    expect(broken.mismatches).toContainEqual(expect.objectContaining({
+      type: 'NO_CODE',
+      role: 'implementation',
+      address: REGISTRY_IMPL
+    }));
+  });
+});
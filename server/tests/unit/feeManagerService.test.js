@@ -0,0 +1,104 @@
+const { ethers } = require('ethers');
+const feeManagerService = require('../../src/services/feeManagerService');
+const roleManagerService = require('../../src/services/roleManagerService');
+
+const USDC = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const PAYER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+// 2025-03-31 与 2025-04-01（UTC）
+const MARCH_31 = Date.UTC(2025, 2, 31) / 1000;
+const APRIL_1 = Date.UTC(2025, 3, 1) / 1000;
+
+const bn = value => ethers.BigNumber.from(value);
+
+const feeEvent = (contractName, eventName, blockNumber, args) => ({
+  contractName,
+  eventName,
+  blockNumber,
+  transactionHash: `0x${String(blockNumber).padStart(64, '0')}`,
+  args
+});
+
+describe('FeeManager Service', () => {
+  let events;
+
+  beforeEach(() => {
+    events = [
+      feeEvent('Marketplace', 'TradingFeeCollected', 1, { orderId: '1', feeAmount: '100', feeToken: USDC }),
+      feeEvent('Marketplace', 'TradingFeeCollected', 2, { orderId: '2', feeAmount: '50', feeToken: USDC }),
+      feeEvent('RedemptionManager', 'RedemptionFeeCollected', 3, { requestId: '1', feeAmount: '30', feeToken: USDC }),
+      feeEvent('FeeManager', 'FeeCollected', 4, { feeType: 0, amount: '7', from: PAYER })
+    ];
+    const blockTimes = { 1: MARCH_31, 2: APRIL_1, 3: APRIL_1, 4: APRIL_1 };
+
+    feeManagerService.eventStore = {
+      refresh: jest.fn(),
+      getCheckpoints: jest.fn(() => ({
+        a: { contractName: 'Marketplace', blockNumber: 10 },
+        b: { contractName: 'FeeManager', blockNumber: 10 }
+      })),
+      getFinalizedBlock: jest.fn(() => 8),
+      query: jest.fn(filter => events.filter(event =>
+        event.contractName === filter.contractName && event.eventName === filter.eventName))
+    };
+    feeManagerService.contract = {};
+    feeManagerService.provider = {
+      getBlock: jest.fn(async blockNumber => ({ timestamp: blockTimes[blockNumber] }))
+    };
+    feeManagerService.blockTimestamps.clear();
+
+    jest.spyOn(feeManagerService, 'executeRead').mockImplementation(async method => ({
+      MAX_FEE: bn(1000),
+      getAllFees: [bn(20), bn(10), bn(10), bn(5), bn(50)]
+    })[method]);
+    jest.spyOn(feeManagerService, 'executeWrite');
+    jest.spyOn(feeManagerService, 'getSenderAddress').mockResolvedValue(PAYER);
+    jest.spyOn(roleManagerService, 'hasRole').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should aggregate revenue by fee type, stablecoin and period', async () => {
+    const report = await feeManagerService.getRevenueReport({ period: 'month' });
+
+    expect(report.indexedToBlock).toEqual({ FeeManager: 10, Marketplace: 10, RedemptionManager: null });
+    expect(report.totals).toEqual(expect.arrayContaining([
+      { feeType: 'TRADING', stablecoin: USDC, amount: '150', count: 2 },
+      { feeType: 'REDEMPTION', stablecoin: USDC, amount: '30', count: 1 },
+      { feeType: 'TOKENIZATION', stablecoin: null, amount: '7', count: 1 }
+    ]));
+    expect(report.periods.map(period => period.period)).toEqual(['2025-03', '2025-04']);
+    expect(report.periods[0].items).toEqual([{ feeType: 'TRADING', stablecoin: USDC, amount: '100', count: 1 }]);
+  });
+
+  it('should filter revenue by time range and fee type', async () => {
+    const report = await feeManagerService.getRevenueReport({
+      period: 'quarter',
+      from: '2025-04-01T00:00:00Z',
+      feeType: 'TRADING'
+    });
+
+    expect(report.totals).toEqual([{ feeType: 'TRADING', stablecoin: USDC, amount: '50', count: 1 }]);
+    expect(report.periods[0].period).toBe('2025-Q2');
+  });
+
+  it('should report the schedule in basis points and percentages', async () => {
+    feeManagerService.executeRead.mockImplementation(async method => ({
+      MAX_FEE: bn(1000),
+      feeCollector: PAYER,
+      getAllFees: [bn(20), bn(10), bn(10), bn(5), bn(50)]
+    })[method]);
+
+    const schedule = await feeManagerService.getFeeSchedule();
+
+    expect(schedule.fees[4]).toEqual({ feeType: 'PLATFORM', basisPoints: 50, percentage: '0.50' });
+    expect(schedule.maxFee).toEqual({ basisPoints: 1000, percentage: '10.00' });
+  });
+
+  it('should reject fees above MAX_FEE before sending a transaction', async () => {
+    await expect(feeManagerService.updateFee('TRADING', 1001)).rejects.toMatchObject({ statusCode: 422 });
+    expect(feeManagerService.executeWrite).not.toHaveBeenCalled();
+  });
+});
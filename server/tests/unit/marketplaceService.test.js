@@ -0,0 +1,196 @@
+const { ethers } = require('ethers');
+const marketplaceService = require('../../src/services/marketplaceService');
+const roleManagerService = require('../../src/services/roleManagerService');
+
+const SELLER_A = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const SELLER_B = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const TOKEN_A = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOKEN_B = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const USDT = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+// 模拟链上订单 (status: 0=Active, 1=Fulfilled, 2=Cancelled)
+const orders = {
+  1: { seller: SELLER_A, tokenAddress: TOKEN_A, status: 0 },
+  2: { seller: SELLER_B, tokenAddress: TOKEN_B, status: 0 },
+  3: { seller: SELLER_A, tokenAddress: TOKEN_B, status: 1 },
+  4: { seller: SELLER_A, tokenAddress: TOKEN_B, status: 0 }
+};
+
+describe('Marketplace Service', () => {
+  let executeRead;
+
+  beforeEach(() => {
+    executeRead = jest.spyOn(marketplaceService, 'executeRead').mockImplementation(async (method, args = []) => {
+      if (method === 'orderCount') {
+        return ethers.BigNumber.from(Object.keys(orders).length);
+      }
+      if (method === 'getSellerActiveOrders') {
+        return Object.keys(orders)
+          .filter(id => orders[id].seller === args[0] && orders[id].status === 0)
+          .map(id => ethers.BigNumber.from(id));
+      }
+      if (method === 'getOrder') {
+        const order = orders[args[0]];
+        return {
+          seller: order ? order.seller : ethers.constants.AddressZero,
+          tokenAddress: order ? order.tokenAddress : ethers.constants.AddressZero,
+          tokenAmount: ethers.BigNumber.from(100),
+          price: ethers.BigNumber.from(2500),
+          stablecoin: USDT,
+          creationTime: ethers.BigNumber.from(1700000000),
+          status: order ? order.status : 0
+        };
+      }
+      throw new Error(`unexpected method ${method}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return null for an order that does not exist', async () => {
+    const order = await marketplaceService.getOrder(99);
+
+    expect(order).toBeNull();
+  });
+
+  it('should format order fields and status', async () => {
+    const order = await marketplaceService.getOrder(3);
+
+    expect(order.orderId).toBe('3');
+    expect(order.tokenAmount).toBe('100');
+    expect(order.price).toBe('2500');
+    expect(order.status).toBe('fulfilled');
+  });
+
+  it('should list only active orders', async () => {
+    const result = await marketplaceService.getActiveOrders();
+
+    expect(result.total).toBe(3);
+    expect(result.items.map(o => o.orderId)).toEqual(['1', '2', '4']);
+  });
+
+  it('should filter by token address case-insensitively', async () => {
+    const result = await marketplaceService.getActiveOrders({ tokenAddress: TOKEN_B.toLowerCase() });
+
+    expect(result.items.map(o => o.orderId)).toEqual(['2', '4']);
+  });
+
+  it('should use the seller index when filtering by seller', async () => {
+    const result = await marketplaceService.getActiveOrders({ seller: SELLER_A });
+
+    expect(executeRead).toHaveBeenCalledWith('getSellerActiveOrders', [SELLER_A]);
+    expect(result.items.map(o => o.orderId)).toEqual(['1', '4']);
+  });
+
+  it('should paginate results', async () => {
+    const result = await marketplaceService.getActiveOrders({ page: 2, limit: 2 });
+
+    expect(result.total).toBe(3);
+    expect(result.hasMore).toBe(false);
+    expect(result.page).toBe(2);
+    expect(result.items.map(o => o.orderId)).toEqual(['4']);
+  });
+
+  it('should stop scanning once the page is filled', async () => {
+    executeRead.mockImplementation(async (method, args = []) => {
+      if (method === 'orderCount') {
+        return ethers.BigNumber.from(1000);
+      }
+      return {
+        seller: SELLER_A,
+        tokenAddress: TOKEN_A,
+        tokenAmount: ethers.BigNumber.from(100),
+        price: ethers.BigNumber.from(2500),
+        stablecoin: USDT,
+        creationTime: ethers.BigNumber.from(1700000000),
+        status: Number(args[0]) % 2 === 0 ? 0 : 1
+      };
+    });
+
+    const result = await marketplaceService.getActiveOrders({ page: 2, limit: 10 });
+    const fetched = executeRead.mock.calls.filter(([method]) => method === 'getOrder');
+
+    expect(result.items.map(o => o.orderId)).toEqual(['22', '24', '26', '28', '30', '32', '34', '36', '38', '40']);
+    expect(result.total).toBeNull();
+    expect(result.hasMore).toBe(true);
+    expect(fetched).toHaveLength(50);
+  });
+
+  describe('order owner checks', () => {
+    let executeWrite;
+
+    beforeEach(() => {
+      executeWrite = jest.spyOn(marketplaceService, 'executeWrite').mockResolvedValue({ transactionHash: '0xabc' });
+    });
+
+    it('should reject a price update when the signer is not the seller', async () => {
+      jest.spyOn(marketplaceService, 'getSenderAddress').mockResolvedValue(SELLER_B);
+
+      await expect(marketplaceService.updateOrderPrice(1, '3000')).rejects.toMatchObject({
+        statusCode: 403,
+        details: { orderId: '1', seller: SELLER_A, sender: SELLER_B }
+      });
+      expect(executeWrite).not.toHaveBeenCalled();
+    });
+
+    it('should update the price when the signer is the seller', async () => {
+      jest.spyOn(marketplaceService, 'getSenderAddress').mockResolvedValue(SELLER_A.toLowerCase());
+
+      await marketplaceService.updateOrderPrice(1, '3000');
+
+      expect(executeWrite).toHaveBeenCalledWith('updateOrderPrice', [1, '3000'], { operationName: 'updateOrderPrice' });
+    });
+
+    it('should allow a SUPER_ADMIN signer to cancel another seller\'s order', async () => {
+      jest.spyOn(marketplaceService, 'getSenderAddress').mockResolvedValue(SELLER_B);
+      const hasRole = jest.spyOn(roleManagerService, 'hasRole').mockResolvedValue(true);
+
+      await marketplaceService.cancelOrder(1);
+
+      expect(hasRole).toHaveBeenCalledWith('SUPER_ADMIN', SELLER_B);
+      expect(executeWrite).toHaveBeenCalledWith('cancelOrder', [1], { operationName: 'cancelOrder' });
+    });
+
+    it('should reject a cancel from a signer that is neither seller nor SUPER_ADMIN', async () => {
+      jest.spyOn(marketplaceService, 'getSenderAddress').mockResolvedValue(SELLER_B);
+      jest.spyOn(roleManagerService, 'hasRole').mockResolvedValue(false);
+
+      await expect(marketplaceService.cancelOrder(1)).rejects.toMatchObject({ statusCode: 403 });
+      expect(executeWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('allowance', () => {
+    const MARKETPLACE = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9';
+
+    beforeEach(() => {
+      marketplaceService.contract = { address: MARKETPLACE };
+      jest.spyOn(marketplaceService, 'getSenderAddress').mockResolvedValue(SELLER_A);
+      marketplaceService.provider = new ethers.providers.StaticJsonRpcProvider('http://127.0.0.1:8545', 31337);
+      jest.spyOn(marketplaceService.provider, 'call')
+        .mockResolvedValue(ethers.utils.defaultAbiCoder.encode(['uint256'], [10]));
+    });
+
+    it('should send the approve through executeWrite', async () => {
+      const executeWrite = jest.spyOn(marketplaceService, 'executeWrite').mockResolvedValue({ transactionHash: '0xa' });
+
+      await marketplaceService._ensureAllowance(TOKEN_A, ethers.BigNumber.from(100), 'createOrder');
+
+      expect(executeWrite).toHaveBeenCalledWith('approve', [MARKETPLACE, ethers.BigNumber.from(100)], {
+        operationName: 'createOrder',
+        contract: expect.objectContaining({ address: TOKEN_A }),
+        contractName: 'ERC20'
+      });
+    });
+
+    it('should skip the approve when the allowance is sufficient', async () => {
+      const executeWrite = jest.spyOn(marketplaceService, 'executeWrite');
+
+      await marketplaceService._ensureAllowance(TOKEN_A, ethers.BigNumber.from(10), 'createOrder');
+
+      expect(executeWrite).not.toHaveBeenCalled();
+    });
+  });
+});
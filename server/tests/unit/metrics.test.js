@@ -0,0 +1,141 @@
+const { ethers } = require('ethers');
+
+jest.mock('../../../shared/utils/blockchain', () => ({
+  getProvider: jest.fn()
+}));
+
+const { getProvider } = require('../../../shared/utils/blockchain');
+const keyManager = require('../../src/config/keyManager');
+const { transactionQueue } = require('../../src/utils/transactionQueue');
+const { Counter, Histogram, Registry } = require('../../src/utils/prometheus');
+const metricsService = require('../../src/services/metricsService');
+const MetricsController = require('../../src/controllers/metricsController');
+
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+describe('Prometheus metrics', () => {
+  it('should render counters and histograms in the text exposition format', async () => {
+    const registry = new Registry();
+    const requests = registry.register(new Counter({
+      name: 'requests_total',
+      help: 'Requests\nserved',
+      labelNames: ['route']
+    }));
+    const latency = registry.register(new Histogram({
+      name: 'latency_seconds',
+      help: 'Latency',
+      labelNames: ['route'],
+      buckets: [1, 0.1]
+    }));
+
+    requests.inc({ route: '/say/"hi"' });
+    requests.inc({ route: '/say/"hi"' }, 2);
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 0.5);
+
+    expect(await registry.metrics()).toBe([
+      '# HELP requests_total Requests\\nserved',
+      '# TYPE requests_total counter',
+      'requests_total{route="/say/\\"hi\\""} 3',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{route="/a",le="0.1"} 1',
+      'latency_seconds_bucket{route="/a",le="1"} 2',
+      'latency_seconds_bucket{route="/a",le="+Inf"} 2',
+      'latency_seconds_sum{route="/a"} 0.55',
+      'latency_seconds_count{route="/a"} 2',
+      ''
+    ].join('\n'));
+    expect(() => requests.inc({ method: 'GET' })).toThrow('has no label method');
+  });
+
+  it('should export contract calls, queue depth, monitor lag and signer balances', async () => {
+    getProvider.mockResolvedValue({
+      getBlockNumber: jest.fn().mockResolvedValue(150),
+      getBalance: jest.fn().mockResolvedValue(ethers.utils.parseEther('1.5'))
+    });
+    jest.spyOn(metricsService.eventStore, 'refresh').mockImplementation(() => {});
+    jest.spyOn(metricsService.eventStore, 'getCheckpoints').mockReturnValue({
+      [REGISTRY.toLowerCase()]: { contractName: 'PropertyRegistry', contractAddress: REGISTRY, blockNumber: 148 },
+      [TOKEN.toLowerCase()]: { contractName: 'RealEstateToken:P001', contractAddress: TOKEN, blockNumber: 120 }
+    });
+    jest.spyOn(transactionQueue, 'getStatusCounts').mockReturnValue({ pending: 2, confirmed: 5, failed: 1 });
+
+    await metricsService.trackContractCall('PropertyRegistry', 'properties', 'read', async () => 'ok');
+    const error = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+    await expect(metricsService.trackContractCall('PropertyRegistry', 'approveProperty', 'write', async () => {
+      throw error;
+    })).rejects.toBe(error);
+
+    const lines = (await metricsService.getMetrics()).split('\n');
+    const admin = keyManager.getAddress('admin');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'contract_calls_total{contract="PropertyRegistry",method="properties",type="read"} 1',
+      'contract_calls_total{contract="PropertyRegistry",method="approveProperty",type="write"} 1',
+      'contract_call_errors_total{contract="PropertyRegistry",method="approveProperty",type="write",' +
+        'code="CALL_EXCEPTION"} 1',
+      'contract_call_duration_seconds_count{contract="PropertyRegistry",method="approveProperty",type="write"} 1',
+      'transaction_queue_transactions{status="pending"} 2',
+      'transaction_queue_transactions{status="failed"} 1',
+      'chain_block_number 150',
+      `monitor_lag_blocks{contract="PropertyRegistry",address="${REGISTRY}"} 2`,
+      `monitor_lag_blocks{contract="RealEstateToken:P001",address="${TOKEN}"} 30`,
+      `signer_balance_ether{role="admin",address="${admin}"} 1.5`,
+      'metrics_collector_up{collector="chain"} 1',
+      'metrics_collector_up{collector="signers"} 1'
+    ]));
+
+    // 节点不可用时链上指标为空
+    getProvider.mockRejectedValue(new Error('could not detect network'));
+    const offline = await metricsService.getMetrics();
+    expect(offline).toContain('metrics_collector_up{collector="chain"} 0');
+    expect(offline).not.toContain('chain_block_number 150');
+    expect(offline).not.toContain('monitor_lag_blocks{');
+  });
+
+  describe('scrape endpoint', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, METRICS_TOKEN: process.env.METRICS_TOKEN };
+    const scrape = async (headers = {}) => {
+      const res = { status: jest.fn().mockReturnThis(), type: jest.fn().mockReturnThis(), send: jest.fn() };
+      const next = jest.fn();
+      await MetricsController.getPrometheusMetrics({ headers }, res, next);
+      return res.status.mock.calls[0] && res.status.mock.calls[0][0];
+    };
+
+    beforeEach(() => {
+      jest.spyOn(metricsService, 'getMetrics').mockResolvedValue('');
+    });
+
+    afterEach(() => {
+      Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+      jest.restoreAllMocks();
+    });
+
+    it('should not expose metrics in production without METRICS_TOKEN', async () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.METRICS_TOKEN;
+
+      expect(await scrape()).toBe(404);
+    });
+
+    it('should require the bearer token when METRICS_TOKEN is set', async () => {
+      process.env.NODE_ENV = 'production';
+      process.env.METRICS_TOKEN = 'scrape-secret';
+
+      expect(await scrape()).toBe(401);
+      expect(await scrape({ authorization: 'Bearer scrape-secret' })).toBe(200);
+    });
+
+    it('should leave the endpoint open outside production when METRICS_TOKEN is unset', async () => {
+      process.env.NODE_ENV = 'test';
+      delete process.env.METRICS_TOKEN;
+
+      expect(await scrape()).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../monitor/src/config');
+const ethereumService = require('../../../monitor/src/utils/ethereum');
+const EventStore = require('../../../shared/utils/eventStore');
+
+const FACTORY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+const hashOf = n => `0x${n.toString(16).padStart(64, '0')}`;
+
+const transfer = blockNumber => ({
+  blockNumber,
+  blockHash: hashOf(blockNumber),
+  transactionHash: hashOf(blockNumber + 1000),
+  transactionIndex: 0,
+  logIndex: 0,
+  event: 'Transfer',
+  args: []
+});
+
+describe('Monitor finality notifications', () => {
+  const monitorConfig = { ...config.monitor };
+  let dataDir;
+  let currentBlock;
+  let finalized;
+
+  beforeEach(() => {
+    Object.assign(config.monitor, {
+      enableHistoricalEvents: true,
+      blocksToFetch: 30,
+      confirmations: 10,
+      maxReorgDepth: 64
+    });
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-finality-'));
+    ethereumService.eventStore = new EventStore(dataDir, { segmentBlocks: 1000 });
+    ethereumService.eventStore.open();
+
+    currentBlock = 120;
+    ethereumService.activeProvider = {
+      getBlockNumber: jest.fn(async () => currentBlock),
+      getBlock: jest.fn(async number => ({ hash: hashOf(number) }))
+    };
+
+    const tokenEvents = [transfer(60), transfer(85), transfer(95), transfer(115)];
+    const token = {
+      address: TOKEN,
+      queryFilter: jest.fn(async (filter, fromBlock, toBlock) =>
+        tokenEvents.filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock))
+    };
+    ethereumService.contracts = {
+      TokenFactory: {
+        address: FACTORY,
+        queryFilter: jest.fn(async () => []),
+        getAllTokens: jest.fn(async () => [TOKEN]),
+        getPropertyIdFromToken: jest.fn(async () => 'P001')
+      }
+    };
+    jest.spyOn(ethereumService, 'trackToken').mockImplementation(name => {
+      ethereumService.contracts[name] = token;
+      return token;
+    });
+    jest.spyOn(ethereumService, 'findDeploymentBlock').mockResolvedValue(50);
+
+    // 工厂合约已索引到块100，最终区块为90
+    ethereumService.eventStore.setCheckpoint(FACTORY, 'TokenFactory', 100);
+    ethereumService.eventStore.setFinalizedBlock(90);
+
+    finalized = [];
+    ethereumService.on('finalized', events => finalized.push(...events));
+  });
+
+  afterEach(() => {
+    ethereumService.removeAllListeners('finalized');
+    Object.assign(config.monitor, monitorConfig);
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should finalize each backfilled event exactly once when the cursor is inside the backfill range', async () => {
+    // 代币部署在块50，发现时最终区块90位于回填范围内，块80-109的分块跨过最终区块
+    await ethereumService.loadKnownTokens();
+    await ethereumService.getEvents();
+
+    expect(ethereumService.eventStore.getFinalizedBlock()).toBe(110);
+    expect(finalized.map(event => event.blockNumber)).toEqual([60, 85, 95]);
+
+    currentBlock = 140;
+    await ethereumService.getEvents();
+
+    const blocks = finalized.map(event => event.blockNumber);
+    expect(blocks.sort((a, b) => a - b)).toEqual([60, 85, 95, 115]);
+    expect(new Set(finalized.map(event => event.transactionHash)).size).toBe(finalized.length);
+  });
+});
@@ -0,0 +1,136 @@
+const { NonceManager } = require('../../src/utils/nonceManager');
+
+const ADMIN = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const OPERATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const hashOf = n => `0x${n.toString(16).padStart(64, '0')}`;
+
+function rpcError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+describe('Nonce Manager', () => {
+  let nonceManager;
+  let counts;
+  let provider;
+
+  beforeEach(() => {
+    nonceManager = new NonceManager();
+    counts = { latest: 5, pending: 5 };
+    provider = {
+      getTransactionCount: jest.fn(async (address, blockTag) => counts[blockTag])
+    };
+  });
+
+  // 模拟发送：记录发送顺序，节点的pending计数随之增加
+  const sender = (sent, delay = 0) => async nonce => {
+    sent.push(nonce);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    counts.pending = Math.max(counts.pending, nonce + 1);
+    return { hash: hashOf(nonce), nonce };
+  };
+
+  it('should serialize sends per signer and allocate consecutive nonces', async () => {
+    const sent = [];
+    const results = await Promise.all([
+      nonceManager.send(ADMIN, provider, sender(sent, 20)),
+      nonceManager.send(ADMIN, provider, sender(sent)),
+      nonceManager.send(ADMIN, provider, sender(sent))
+    ]);
+
+    expect(results.map(tx => tx.nonce)).toEqual([5, 6, 7]);
+    expect(sent).toEqual([5, 6, 7]);
+
+    // 不同地址互不阻塞
+    const order = [];
+    await Promise.all([
+      nonceManager.send(ADMIN, provider, async nonce => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('admin');
+        return { hash: hashOf(nonce), nonce };
+      }),
+      nonceManager.send(OPERATOR, provider, async nonce => {
+        order.push('operator');
+        return { hash: hashOf(100 + nonce), nonce };
+      })
+    ]);
+    expect(order).toEqual(['operator', 'admin']);
+  });
+
+  it('should reuse rejected nonces and skip nonces used elsewhere', async () => {
+    const sent = [];
+    await nonceManager.send(ADMIN, provider, sender(sent));
+
+    // 节点拒绝的交易不占用nonce
+    await expect(nonceManager.send(ADMIN, provider, async () => {
+      throw rpcError('INSUFFICIENT_FUNDS');
+    })).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    await nonceManager.send(ADMIN, provider, sender(sent));
+    expect(sent).toEqual([5, 6]);
+
+    // 本服务之外发送的交易
+    counts.pending = 9;
+    await nonceManager.send(ADMIN, provider, sender(sent));
+    expect(sent).toEqual([5, 6, 9]);
+
+    // nonce被占用时重新分配
+    const send = jest.fn()
+      .mockRejectedValueOnce(rpcError('NONCE_EXPIRED'))
+      .mockImplementation(sender(sent));
+    await expect(nonceManager.send(ADMIN, provider, send)).resolves.toMatchObject({ nonce: 11 });
+    expect(send.mock.calls.map(([nonce]) => nonce)).toEqual([10, 11]);
+
+    // 指定nonce的替换交易不重新分配
+    await nonceManager.send(ADMIN, provider, sender(sent), 9);
+    expect(sent).toEqual([5, 6, 9, 11, 9]);
+  });
+
+  it('should release the nonce of a dropped transaction and fill the gap', async () => {
+    const sent = [];
+    await nonceManager.send(ADMIN, provider, sender(sent));
+    await nonceManager.send(ADMIN, provider, sender(sent));
+    await nonceManager.send(ADMIN, provider, sender(sent));
+
+    // nonce 5 被节点丢弃，6 和 7 在等待
+    counts.pending = 5;
+    const dropped = jest.fn();
+    nonceManager.on('dropped', dropped);
+
+    await nonceManager.sync(ADMIN, provider);
+    expect(dropped).not.toHaveBeenCalled();
+
+    nonceManager.dropTimeout = 0;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await nonceManager.syncAll(provider);
+
+    expect(dropped).toHaveBeenCalledWith({ address: ADMIN, nonce: 5, hash: hashOf(5) });
+    expect(nonceManager.hasPendingAfter(ADMIN, 5)).toBe(true);
+    expect(nonceManager.getStatus()).toEqual([{ address: ADMIN, nextNonce: 8, pending: [6, 7], released: [5] }]);
+
+    // 填补空洞前重新同步：nonce 5 已被其他交易使用时不发送
+    nonceManager.dropTimeout = 60 * 1000;
+    counts.pending = 6;
+    const fill = jest.fn();
+    await expect(nonceManager.fillGap(ADMIN, provider, fill)).resolves.toBeNull();
+    expect(fill).not.toHaveBeenCalled();
+    counts.pending = 5;
+    nonceManager.accounts.get(ADMIN.toLowerCase()).released.add(5);
+
+    await expect(nonceManager.fillGap(ADMIN, provider, sender(sent))).resolves.toMatchObject({ nonce: 5 });
+    counts.latest = 8;
+    counts.pending = 8;
+    await expect(nonceManager.send(ADMIN, provider, sender(sent))).resolves.toMatchObject({ nonce: 8 });
+    expect(nonceManager.getStatus()[0].pending).toEqual([8]);
+  });
+
+  it('should take the highest count across pool endpoints when syncing', async () => {
+    // 节点池中落后的节点看不到已发送的交易
+    provider.getMaxTransactionCount = jest.fn(async (address, blockTag) => counts[blockTag] + 1);
+    const sent = [];
+    await nonceManager.send(ADMIN, provider, sender(sent));
+
+    expect(sent).toEqual([6]);
+    expect(provider.getMaxTransactionCount).toHaveBeenCalledWith(ADMIN, 'pending');
+    expect(provider.getTransactionCount).not.toHaveBeenCalled();
+  });
+});
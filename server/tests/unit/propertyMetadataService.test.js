@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const propertyMetadataService = require('../../src/services/propertyMetadataService');
+const { computeCid } = require('../../src/utils/propertyMetadata');
+
+const sampleMetadata = () => ({
+  schemaVersion: 1,
+  name: '渋谷区神南レジデンス',
+  address: {
+    postalCode: '150-0041',
+    prefecture: '東京都',
+    city: '渋谷区',
+    street: '神南1-2-3',
+    building: '神南レジデンス'
+  },
+  landArea: 320.5,
+  buildingArea: 1150.2,
+  structure: 'RC',
+  floors: 8,
+  yearBuilt: 2015,
+  valuation: {
+    amount: 1250000000,
+    currency: 'JPY',
+    valuedAt: '2026-09-30',
+    appraiser: '不動産鑑定士 山田太郎'
+  },
+  documents: [
+    {
+      type: 'registry',
+      name: '登記簿謄本',
+      uri: 'ipfs://bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+      sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    }
+  ]
+});
+
+describe('PropertyMetadata Service', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+    propertyMetadataService.backend.dir = dataDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('store', () => {
+    it('should store metadata content-addressed with a key-order independent CID', async () => {
+      const stored = await propertyMetadataService.store(sampleMetadata());
+
+      expect(stored.metadataURI).toBe(`ipfs://${stored.cid}`);
+      expect(stored.cid).toMatch(/^bafkrei[a-z2-7]+$/);
+      expect(computeCid(fs.readFileSync(path.join(dataDir, stored.cid)))).toBe(stored.cid);
+
+      const { documents, valuation, ...rest } = sampleMetadata();
+      const reordered = await propertyMetadataService.store({ valuation, documents, ...rest });
+      expect(reordered.cid).toBe(stored.cid);
+    });
+
+    it('should reject metadata that does not match the schema', async () => {
+      const metadata = sampleMetadata();
+      metadata.address.prefecture = 'Tokyo';
+      metadata.address.postalCode = '1500041';
+      metadata.yearBuilt = 2015.5;
+      metadata.extra = true;
+      delete metadata.documents;
+
+      const error = await propertyMetadataService.store(metadata).catch(e => e);
+      expect(error.statusCode).toBe(422);
+      expect(error.details.errors.map(e => e.field).sort()).toEqual([
+        'address.postalCode',
+        'address.prefecture',
+        'documents',
+        'extra',
+        'yearBuilt'
+      ]);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should resolve stored metadata and verify its integrity', async () => {
+      const { metadataURI, cid } = await propertyMetadataService.store(sampleMetadata());
+
+      const result = await propertyMetadataService.resolve(metadataURI);
+      expect(result.metadata).toEqual(sampleMetadata());
+      expect(result.integrity).toEqual({ cid, algorithm: 'sha2-256', verified: true, reason: null });
+    });
+
+    it('should report tampered, missing and unsupported metadata', async () => {
+      const { metadataURI, cid } = await propertyMetadataService.store(sampleMetadata());
+      fs.writeFileSync(path.join(dataDir, cid), JSON.stringify({ ...sampleMetadata(), name: '改ざん' }));
+
+      const tampered = await propertyMetadataService.resolve(metadataURI);
+      expect(tampered).toMatchObject({ metadata: null, integrity: { verified: false, reason: 'HASH_MISMATCH' } });
+
+      fs.rmSync(path.join(dataDir, cid));
+      expect((await propertyMetadataService.resolve(metadataURI)).integrity.reason).toBe('NOT_FOUND');
+      expect((await propertyMetadataService.resolve('ipfs://mock-uri-PROP001')).integrity.reason)
+        .toBe('UNSUPPORTED_URI');
+      await expect(propertyMetadataService.verify(metadataURI)).rejects.toMatchObject({ statusCode: 422 });
+    });
+  });
+});
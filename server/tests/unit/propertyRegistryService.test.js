@@ -0,0 +1,219 @@
+const { ethers } = require('ethers');
+const propertyRegistryService = require('../../src/services/propertyRegistryService');
+const RealEstateTokenService = require('../../src/services/realEstateTokenService');
+const { PROPERTY_STATUSES } = require('../../../shared/contracts/constants');
+const { cache } = require('../../../shared/utils/cache');
+
+const bn = value => ethers.BigNumber.from(value);
+const REGISTERED_AT = 1760000000;
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ADMIN = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// 监控服务索引后的事件，indexed string 只保留哈希
+const registryEvent = (eventName, blockNumber, propertyId, args = {}) => ({
+  contractAddress: REGISTRY,
+  eventName,
+  blockNumber,
+  logIndex: 0,
+  transactionHash: `0x${String(blockNumber).padStart(64, '0')}`,
+  args: { propertyId: { hash: ethers.utils.id(propertyId), _isIndexed: true }, ...args },
+  final: blockNumber <= 8
+});
+
+// 按注册顺序排列：奇数ID已批准并发行代币
+const PROPERTIES = Array.from({ length: 8 }, (_, index) => {
+  const propertyId = String(index + 1);
+  return {
+    propertyId,
+    country: 'JP',
+    metadataURI: `ipfs://property-${propertyId}`,
+    status: PROPERTY_STATUSES.indexOf(index % 2 === 0 ? 'Approved' : 'Pending'),
+    exists: true,
+    registrationTime: bn(REGISTERED_AT + index * 3600),
+    token: index % 2 === 0 ? ethers.utils.getAddress(`0x${String(index + 1).repeat(40)}`) : null
+  };
+});
+
+describe('PropertyRegistry Service', () => {
+  let reads;
+
+  beforeEach(async () => {
+    // 读取结果会被缓存，每个用例从空缓存开始
+    await cache.clear();
+    reads = [];
+    const readers = {
+      getPropertyCount: () => bn(PROPERTIES.length),
+      getPropertyIdsPaginated: ([offset, limit]) =>
+        PROPERTIES.slice(offset, offset + limit).map(property => property.propertyId),
+      properties: ([propertyId]) =>
+        PROPERTIES.find(property => property.propertyId === propertyId) || { exists: false },
+      propertyTokens: ([propertyId]) =>
+        PROPERTIES.find(property => property.propertyId === propertyId).token || ethers.constants.AddressZero,
+      getPropertyCountByStatus: ([status]) =>
+        bn(PROPERTIES.filter(property => property.status === status).length)
+    };
+    jest.spyOn(propertyRegistryService, 'executeRead').mockImplementation(async (method, args) => {
+      reads.push(method);
+      return readers[method](args);
+    });
+    jest.spyOn(RealEstateTokenService.prototype, 'executeRead').mockResolvedValue(bn('1000000'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('listProperties', () => {
+    it('should page newest first and only read the requested page', async () => {
+      const result = await propertyRegistryService.listProperties({ limit: 3 });
+
+      expect(result.items.map(item => item.propertyId)).toEqual(['8', '7', '6']);
+      expect(result).toMatchObject({ total: 8, offset: 0, limit: 3, nextOffset: 3 });
+      expect(reads.filter(method => method === 'properties')).toHaveLength(3);
+      expect(result.items[1]).toMatchObject({
+        status: 'Approved',
+        registrationTime: new Date((REGISTERED_AT + 6 * 3600) * 1000).toISOString(),
+        token: { address: PROPERTIES[6].token, totalSupply: '1000000' }
+      });
+      expect(result.items[0].token).toBeNull();
+
+      const last = await propertyRegistryService.listProperties({ offset: 6, limit: 3, order: 'asc' });
+      expect(last.items.map(item => item.propertyId)).toEqual(['7', '8']);
+      expect(last.nextOffset).toBeNull();
+    });
+
+    it('should filter by status and token and continue from nextOffset', async () => {
+      const first = await propertyRegistryService.listProperties({ status: 'Approved', limit: 2 });
+      expect(first.items.map(item => item.propertyId)).toEqual(['7', '5']);
+      expect(first).toMatchObject({ total: 4, nextOffset: 4 });
+
+      const second = await propertyRegistryService.listProperties({ status: 'Approved', limit: 2, offset: 4 });
+      expect(second.items.map(item => item.propertyId)).toEqual(['3', '1']);
+      expect(second.nextOffset).toBeNull();
+
+      const withoutToken = await propertyRegistryService.listProperties({ hasToken: false, country: 'JP' });
+      expect(withoutToken.items.map(item => item.propertyId)).toEqual(['8', '6', '4', '2']);
+      expect(withoutToken.total).toBeNull();
+    });
+
+    it('should skip scanning when no property has the requested status', async () => {
+      const result = await propertyRegistryService.listProperties({ status: 'Frozen' });
+
+      expect(result).toMatchObject({ items: [], total: 0, nextOffset: null });
+      expect(reads).not.toContain('getPropertyIdsPaginated');
+    });
+  });
+
+  describe('getPropertyStats', () => {
+    it('should count properties by status', async () => {
+      const stats = await propertyRegistryService.getPropertyStats();
+
+      expect(stats).toEqual({
+        total: 8,
+        byStatus: {
+          Pending: 4,
+          Approved: 4,
+          Rejected: 0,
+          Delisted: 0,
+          Redemption: 0,
+          Frozen: 0
+        }
+      });
+    });
+  });
+
+  describe('status transitions', () => {
+    beforeEach(() => {
+      jest.spyOn(propertyRegistryService, 'executeWrite').mockResolvedValue({ transactionHash: '0xabc' });
+    });
+
+    it('should list the legal next states of a property', async () => {
+      const result = await propertyRegistryService.getTransitions('1');
+
+      expect(result).toEqual({
+        propertyId: '1',
+        status: 'Approved',
+        transitions: [
+          { status: 'Delisted', action: 'delist' },
+          { status: 'Redemption', action: 'redemption' },
+          { status: 'Frozen', action: 'freeze' }
+        ]
+      });
+      await expect(propertyRegistryService.getTransitions('99')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should call the dedicated contract function for legal transitions', async () => {
+      await propertyRegistryService.freezeProperty('1');
+      await propertyRegistryService.approveProperty('2');
+      await propertyRegistryService.setPropertyStatus('1', 'Redemption');
+
+      expect(propertyRegistryService.executeWrite.mock.calls).toEqual([
+        ['freezeProperty', ['1'], { operationName: 'freezeProperty' }],
+        ['approveProperty', ['2'], { operationName: 'approveProperty' }],
+        ['setPropertyStatus(string,uint8)', ['1', PROPERTY_STATUSES.indexOf('Redemption')],
+          { operationName: 'setPropertyStatus' }]
+      ]);
+    });
+
+    it('should reject illegal transitions before sending a transaction', async () => {
+      const error = await propertyRegistryService.freezeProperty('2').catch(e => e);
+      expect(error.statusCode).toBe(409);
+      expect(error.details).toEqual({
+        currentStatus: 'Pending',
+        targetStatus: 'Frozen',
+        allowed: ['Approved', 'Rejected']
+      });
+
+      // 合约的unfreezeProperty不校验状态，Pending的房产也不能被“解冻”为Approved
+      await expect(propertyRegistryService.unfreezeProperty('2')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(propertyRegistryService.approveProperty('1')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(propertyRegistryService.delistProperty('99')).rejects.toMatchObject({ statusCode: 404 });
+      expect(propertyRegistryService.executeWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStatusHistory', () => {
+    beforeEach(() => {
+      const events = [
+        registryEvent('PropertyRegistered', 1, '1', { country: 'JP', metadataURI: 'ipfs://property-1' }),
+        registryEvent('PropertyRegistered', 2, '2', { country: 'JP', metadataURI: 'ipfs://property-2' }),
+        registryEvent('PropertyStatusUpdated', 3, '1', { newStatus: 2 }),
+        registryEvent('PropertyApproved', 3, '1', { approver: ADMIN }),
+        registryEvent('PropertyStatusUpdated', 9, '1', { newStatus: 6 }),
+        registryEvent('PropertyStatusUpdated', 10, '1', { newStatus: 2 }),
+        registryEvent('PropertyStatusTransition', 10, '1', { oldStatus: 6, newStatus: 2, changer: ADMIN })
+      ];
+      propertyRegistryService.eventStore = {
+        refresh: jest.fn(),
+        getCheckpoint: jest.fn(() => ({ blockNumber: 12 })),
+        getFinalizedBlock: jest.fn(() => 8),
+        query: jest.fn(() => events)
+      };
+      propertyRegistryService.contract = { address: REGISTRY };
+      propertyRegistryService.provider = {
+        getBlock: jest.fn(async blockNumber => ({ timestamp: REGISTERED_AT + blockNumber }))
+      };
+      propertyRegistryService.blockTimestamps.clear();
+    });
+
+    it('should build the timeline from indexed status events', async () => {
+      const history = await propertyRegistryService.getStatusHistory('1');
+
+      expect(history).toMatchObject({ propertyId: '1', status: 'Approved', indexedToBlock: 12, finalizedBlock: 8 });
+      expect(history.items.map(({ fromStatus, toStatus, changer, event, final }) =>
+        ({ fromStatus, toStatus, changer, event, final }))).toEqual([
+        { fromStatus: null, toStatus: 'Pending', changer: null, event: 'PropertyRegistered', final: true },
+        { fromStatus: 'Pending', toStatus: 'Approved', changer: ADMIN, event: 'PropertyStatusUpdated', final: true },
+        { fromStatus: 'Approved', toStatus: 'Frozen', changer: null, event: 'PropertyStatusUpdated', final: false },
+        { fromStatus: 'Frozen', toStatus: 'Approved', changer: ADMIN, event: 'PropertyStatusTransition', final: false }
+      ]);
+      expect(history.items[1].timestamp).toBe(new Date((REGISTERED_AT + 3) * 1000).toISOString());
+    });
+
+    it('should report when the registry is not indexed yet', async () => {
+      propertyRegistryService.eventStore.getCheckpoint.mockReturnValue(null);
+
+      await expect(propertyRegistryService.getStatusHistory('1')).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+});
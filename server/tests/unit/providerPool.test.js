@@ -0,0 +1,122 @@
+const { ethers } = require('ethers');
+const { ProviderPool } = require('../../../shared/utils/providerPool');
+
+const NETWORK = { chainId: 31337, name: 'hardhat' };
+
+/**
+ * 创建模拟节点，handler 返回结果或抛出错误，可以是异步函数
+ */
+function fakeEndpoint(name, handler) {
+  return { name, provider: { perform: jest.fn(handler) } };
+}
+
+function rpcError(code, message = code) {
+  return Object.assign(new Error(message), { code });
+}
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('ProviderPool', () => {
+  it('should fail over to the next endpoint and put failing endpoints on cooldown', async () => {
+    const down = fakeEndpoint('down', async () => {
+      throw rpcError('SERVER_ERROR', 'bad response (status=503)');
+    });
+    const up = fakeEndpoint('up', async () => '0x2a');
+    const pool = new ProviderPool([down, up], NETWORK, { maxFailures: 1, stallTimeout: 0 });
+
+    await expect(pool.perform('getBlockNumber', {})).resolves.toBe('0x2a');
+    expect(down.provider.perform).toHaveBeenCalledTimes(1);
+
+    // 冷却期内先尝试可用节点
+    await expect(pool.perform('getBlockNumber', {})).resolves.toBe('0x2a');
+    expect(down.provider.perform).toHaveBeenCalledTimes(1);
+    expect(pool.getEndpointStatus().map(endpoint => [endpoint.name, endpoint.healthy, endpoint.blockNumber]))
+      .toEqual([['up', true, 42], ['down', false, null]]);
+
+    // 合约回滚等确定性错误不切换节点
+    up.provider.perform.mockRejectedValueOnce(rpcError('CALL_EXCEPTION', 'execution reverted'));
+    await expect(pool.perform('call', { transaction: {}, blockTag: 'latest' })).rejects.toMatchObject({
+      code: 'CALL_EXCEPTION'
+    });
+    expect(down.provider.perform).toHaveBeenCalledTimes(1);
+
+    up.provider.perform.mockRejectedValue(rpcError('TIMEOUT', 'timeout'));
+    await expect(pool.perform('getGasPrice', {})).rejects.toMatchObject({
+      code: 'NETWORK_ERROR',
+      message: expect.stringContaining('All 2 RPC endpoints failed for getGasPrice')
+    });
+  });
+
+  it('should hedge slow reads and send transactions to one endpoint at a time', async () => {
+    const slow = fakeEndpoint('slow', () => delay(200, '0x1'));
+    const fast = fakeEndpoint('fast', async method => {
+      if (method === 'sendTransaction') {
+        throw rpcError('SERVER_ERROR', 'already known');
+      }
+      return '0x2';
+    });
+    const pool = new ProviderPool([slow, fast], NETWORK, { stallTimeout: 20 });
+
+    await expect(pool.perform('getBalance', { address: ethers.constants.AddressZero })).resolves.toBe('0x2');
+    expect(slow.provider.perform).toHaveBeenCalledTimes(1);
+    expect(fast.provider.perform).toHaveBeenCalledTimes(1);
+
+    // 指定区块的请求不发给已知落后的节点
+    pool.endpoints[0].recordBlockNumber(100);
+    pool.endpoints[1].recordBlockNumber(10);
+    const logs = [{ blockNumber: '0x32' }];
+    slow.provider.perform.mockResolvedValue(logs);
+    fast.provider.perform.mockResolvedValue([]);
+    await expect(pool.perform('getLogs', { filter: { fromBlock: '0x1', toBlock: '0x32' } })).resolves.toBe(logs);
+    expect(fast.provider.perform).toHaveBeenCalledTimes(1);
+
+    const signedTransaction = '0x1234';
+    slow.provider.perform.mockRejectedValue(rpcError('SERVER_ERROR', 'connection reset'));
+    fast.provider.perform.mockRejectedValue(rpcError('SERVER_ERROR', 'already known'));
+    await expect(pool.perform('sendTransaction', { signedTransaction }))
+      .resolves.toBe(ethers.utils.keccak256(signedTransaction));
+  });
+
+  it('should require matching results from a quorum of endpoints for critical reads', async () => {
+    const a = fakeEndpoint('a', async () => '0x01');
+    const b = fakeEndpoint('b', async () => '0x02');
+    const c = fakeEndpoint('c', async () => '0x01');
+    const pool = new ProviderPool([a, b, c], NETWORK, { quorum: 2 });
+    const critical = pool.forCriticalReads();
+
+    expect(pool.withQuorum(1)).toBe(pool);
+    expect(critical).not.toBe(pool);
+    await expect(critical.perform('call', { transaction: {}, blockTag: 'latest' })).resolves.toBe('0x01');
+    expect([a, b, c].map(endpoint => endpoint.provider.perform.mock.calls.length)).toEqual([1, 1, 1]);
+
+    // 普通读取不校验法定数量
+    await expect(pool.perform('call', { transaction: {}, blockTag: 'latest' })).resolves.toBe('0x01');
+
+    c.provider.perform.mockRejectedValue(rpcError('TIMEOUT', 'timeout'));
+    await expect(critical.perform('call', { transaction: {}, blockTag: 'latest' })).rejects.toMatchObject({
+      code: 'SERVER_ERROR',
+      message: expect.stringContaining('RPC quorum of 2 not reached for call')
+    });
+  });
+
+  it('should read the highest transaction count across endpoints for nonce sync', async () => {
+    const behind = fakeEndpoint('behind', async () => '0x5');
+    const ahead = fakeEndpoint('ahead', async () => '0x7');
+    const down = fakeEndpoint('down', async () => {
+      throw rpcError('TIMEOUT', 'timeout');
+    });
+    const pool = new ProviderPool([behind, ahead, down], NETWORK);
+
+    await expect(pool.getMaxTransactionCount(ethers.constants.AddressZero, 'pending')).resolves.toBe(7);
+    expect(behind.provider.perform).toHaveBeenCalledWith('getTransactionCount', {
+      address: ethers.constants.AddressZero,
+      blockTag: 'pending'
+    });
+
+    behind.provider.perform.mockRejectedValue(rpcError('TIMEOUT', 'timeout'));
+    ahead.provider.perform.mockRejectedValue(rpcError('TIMEOUT', 'timeout'));
+    await expect(pool.getMaxTransactionCount(ethers.constants.AddressZero, 'pending')).rejects.toMatchObject({
+      code: 'NETWORK_ERROR'
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+const keyManager = require('../../src/config/keyManager');
+const RealEstateTokenService = require('../../src/services/realEstateTokenService');
+const { cache } = require('../../../shared/utils/cache');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ADMIN = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const HOLDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const bn = value => ethers.BigNumber.from(value);
+
+describe('RealEstateToken Service', () => {
+  let service;
+  let reads;
+
+  beforeEach(async () => {
+    // 读取结果会被缓存，每个用例从空缓存开始
+    await cache.clear();
+    jest.spyOn(keyManager, 'getAddress').mockReturnValue(ADMIN);
+
+    reads = {
+      MINTER_ROLE: ethers.utils.id('MINTER_ROLE'),
+      hasRole: true,
+      paused: false,
+      totalSupply: bn(900),
+      maxSupply: bn(1000),
+      balanceOf: bn(50)
+    };
+
+    service = new RealEstateTokenService(TOKEN);
+    jest.spyOn(service, 'executeRead').mockImplementation(async method => reads[method]);
+    jest.spyOn(service, 'executeWrite').mockResolvedValue({
+      transactionHash: `0x${'a'.repeat(64)}`,
+      blockNumber: 10,
+      events: []
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should mint within the max supply', async () => {
+    const result = await service.mint(HOLDER, '100');
+
+    expect(service.executeWrite).toHaveBeenCalledWith('mint', [HOLDER, bn(100)], { operationName: 'mintToken' });
+    expect(result.totalSupply).toBe('1000');
+  });
+
+  it('should reject minting beyond the max supply', async () => {
+    await expect(service.mint(HOLDER, '101')).rejects.toMatchObject({
+      statusCode: 422,
+      details: expect.objectContaining({ availableSupply: '100' })
+    });
+    expect(service.executeWrite).not.toHaveBeenCalled();
+  });
+
+  it('should reject minting without MINTER_ROLE', async () => {
+    reads.hasRole = false;
+
+    await expect(service.mint(HOLDER, '1')).rejects.toMatchObject({ statusCode: 403 });
+    expect(service.executeWrite).not.toHaveBeenCalled();
+  });
+
+  it('should report failed recipients of a batch transfer', async () => {
+    service.executeWrite.mockResolvedValue({
+      transactionHash: `0x${'b'.repeat(64)}`,
+      blockNumber: 11,
+      events: [
+        { event: 'BatchTransferCompleted', args: { successCount: bn(1), failureCount: bn(1) } },
+        {
+          event: 'BatchTransferFailures',
+          args: {
+            recipients: [ethers.constants.AddressZero],
+            amounts: [bn(5)],
+            reasons: ['Recipient is zero address'],
+            failureCount: bn(1)
+          }
+        }
+      ]
+    });
+
+    const result = await service.batchTransfer([HOLDER, ethers.constants.AddressZero], ['10', '5']);
+
+    expect(result.totalAmount).toBe('15');
+    expect(result.successCount).toBe(1);
+    expect(result.failed).toEqual([
+      { recipient: ethers.constants.AddressZero, amount: '5', reason: 'Recipient is zero address' }
+    ]);
+  });
+
+  it('should reject a burn larger than the signer balance', async () => {
+    await expect(service.burn('51')).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
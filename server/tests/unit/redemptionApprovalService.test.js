@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const redemptionApprovalService = require('../../src/services/redemptionApprovalService');
+const redemptionManagerService = require('../../src/services/redemptionManagerService');
+const feeManagerService = require('../../src/services/feeManagerService');
+const RealEstateTokenService = require('../../src/services/realEstateTokenService');
+const { runUnsigned } = require('../../src/utils/unsignedContext');
+
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const USDC = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const INVESTOR = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const MAKER = { type: 'wallet', id: 'maker', address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' };
+const CHECKER = { type: 'wallet', id: 'checker', address: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC' };
+
+const DAY = 24 * 60 * 60 * 1000;
+const bn = value => ethers.BigNumber.from(value);
+
+const redemptionRequest = (requestId, overrides = {}) => ({
+  requestId: String(requestId),
+  propertyId: '1',
+  requester: INVESTOR,
+  tokenAddress: TOKEN,
+  // 2.5个代币（18位精度）
+  tokenAmount: ethers.utils.parseUnits('2.5', 18).toString(),
+  stablecoin: USDC,
+  status: 'Pending',
+  requestTime: new Date(Date.now() - 2 * DAY).toISOString(),
+  approvalTime: null,
+  deadline: { stage: 'approval', expiresAt: new Date(Date.now() + 12 * DAY).toISOString(), overdue: false },
+  ...overrides
+});
+
+describe('RedemptionApproval Service', () => {
+  let dataDir;
+  let requests;
+  let redemptionFee;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redemption-'));
+    redemptionApprovalService.workflowFile = path.join(dataDir, 'redemption-workflow.json');
+    redemptionApprovalService.setValuation('1', { pricePerToken: '1000.5' }, 'finance');
+
+    requests = {
+      1: redemptionRequest(1),
+      2: redemptionRequest(2, {
+        status: 'Approved',
+        approvalTime: new Date(Date.now() - 20 * DAY).toISOString(),
+        deadline: { stage: 'completion', expiresAt: new Date(Date.now() - 6 * DAY).toISOString(), overdue: true }
+      }),
+      3: redemptionRequest(3, { status: 'Completed', deadline: null })
+    };
+    redemptionFee = bn(100);
+
+    jest.spyOn(redemptionManagerService, 'getRequest')
+      .mockImplementation(async requestId => requests[requestId] || null);
+    jest.spyOn(redemptionManagerService, 'getRequests').mockImplementation(async () => ({
+      redemptionPeriod: 14 * 24 * 60 * 60,
+      items: Object.values(requests).reverse()
+    }));
+    jest.spyOn(redemptionManagerService, 'isSupportedStablecoin').mockResolvedValue(true);
+    jest.spyOn(redemptionManagerService, 'approveRedemption').mockResolvedValue({
+      transactionHash: `0x${'1'.repeat(64)}`,
+      blockNumber: 10
+    });
+    jest.spyOn(redemptionApprovalService, '_getStablecoinDecimals').mockResolvedValue(18);
+    jest.spyOn(RealEstateTokenService.prototype, 'executeRead').mockResolvedValue(18);
+    jest.spyOn(feeManagerService, 'executeRead').mockImplementation(async () => redemptionFee);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('quote', () => {
+    it('should price the request from the property valuation and deduct the redemption fee', async () => {
+      const quote = await redemptionApprovalService.quoteRequest('1');
+
+      // 2.5 * 1000.5 = 2501.25 稳定币，1%费用
+      expect(quote).toMatchObject({
+        requestId: '1',
+        pricePerToken: '1000.5',
+        stablecoinAmount: '2501250000000000000000',
+        feeBasisPoints: 100,
+        feeAmount: '25012500000000000000',
+        netAmount: '2476237500000000000000'
+      });
+    });
+
+    it('should cap the fee rate like the contract and require a valuation', async () => {
+      redemptionFee = bn(5000);
+      expect((await redemptionApprovalService.quoteRequest('1')).feeBasisPoints).toBe(2500);
+
+      requests[1].propertyId = '2';
+      await expect(redemptionApprovalService.quoteRequest('1'))
+        .rejects.toMatchObject({ statusCode: 422 });
+    });
+  });
+
+  describe('maker/checker approval', () => {
+    it('should only submit the quoted amount once a different operator confirms', async () => {
+      const proposal = await redemptionApprovalService.proposeApproval('1', MAKER, '估值报告 2026-Q3');
+      expect(proposal).toMatchObject({ status: 'pending', proposedBy: { id: 'maker' } });
+      expect(redemptionManagerService.approveRedemption).not.toHaveBeenCalled();
+
+      await expect(redemptionApprovalService.proposeApproval('1', CHECKER))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(redemptionApprovalService.confirmApproval('1', { ...MAKER, type: 'apiKey', id: 'apiKey:1' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const { proposal: confirmed } = await redemptionApprovalService.confirmApproval('1', CHECKER);
+      expect(redemptionManagerService.approveRedemption).toHaveBeenCalledWith('1', '2501250000000000000000');
+      expect(confirmed).toMatchObject({ status: 'confirmed', confirmedBy: { id: 'checker' } });
+      expect(redemptionApprovalService.getApproval('1').pending).toBeNull();
+    });
+
+    it('should keep the proposal pending when confirmation is requested in unsigned mode', async () => {
+      await redemptionApprovalService.proposeApproval('1', MAKER);
+
+      await expect(runUnsigned({}, () => redemptionApprovalService.confirmApproval('1', CHECKER)))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(redemptionManagerService.approveRedemption).not.toHaveBeenCalled();
+      expect(redemptionApprovalService.getApproval('1').pending).toMatchObject({ status: 'pending' });
+    });
+
+    it('should refuse to confirm when the quote changed after the proposal', async () => {
+      await redemptionApprovalService.proposeApproval('1', MAKER);
+      redemptionApprovalService.setValuation('1', { pricePerToken: '1200' }, 'finance');
+
+      await expect(redemptionApprovalService.confirmApproval('1', CHECKER))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(redemptionManagerService.approveRedemption).not.toHaveBeenCalled();
+
+      expect(redemptionApprovalService.withdrawApproval('1', CHECKER, '估值已更新').status).toBe('withdrawn');
+      await redemptionApprovalService.proposeApproval('1', MAKER);
+      expect(redemptionApprovalService.getApproval('1').history).toHaveLength(2);
+    });
+
+    it('should only allow approving pending requests', async () => {
+      await expect(redemptionApprovalService.proposeApproval('2', MAKER))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(redemptionApprovalService.proposeApproval('9', MAKER))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getQueue', () => {
+    it('should list open requests by deadline with age and proposal state', async () => {
+      await redemptionApprovalService.proposeApproval('1', MAKER);
+
+      const queue = await redemptionApprovalService.getQueue();
+      expect(queue.items.map(item => item.requestId)).toEqual(['2', '1']);
+      expect(queue.items[0].age.days).toBe(20);
+      expect(queue.items[1].approval).toMatchObject({ status: 'pending', stablecoinAmount: '2501250000000000000000' });
+      expect(queue.summary).toEqual({ approval: 1, completion: 1, overdue: 1, awaitingConfirmation: 1 });
+
+      const overdue = await redemptionApprovalService.getQueue({ overdue: true });
+      expect(overdue.items.map(item => item.requestId)).toEqual(['2']);
+    });
+  });
+});
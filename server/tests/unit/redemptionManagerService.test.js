@@ -0,0 +1,179 @@
+const { ethers } = require('ethers');
+const redemptionManagerService = require('../../src/services/redemptionManagerService');
+const propertyRegistryService = require('../../src/services/propertyRegistryService');
+const roleManagerService = require('../../src/services/roleManagerService');
+const RealEstateTokenService = require('../../src/services/realEstateTokenService');
+const keyManager = require('../../src/config/keyManager');
+const { runUnsigned } = require('../../src/utils/unsignedContext');
+const { ApiError } = require('../../../shared/utils/errors');
+
+const REDEMPTION_MANAGER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const USDC = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const INVESTOR = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const OTHER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const DAY = 24 * 60 * 60;
+const NOW = Math.floor(Date.now() / 1000);
+
+const bn = value => ethers.BigNumber.from(value);
+
+const redemptionRequest = (requestId, overrides = {}) => ({
+  requestId: bn(requestId),
+  propertyId: bn(1),
+  requester: INVESTOR,
+  tokenAddress: TOKEN,
+  tokenAmount: bn(100),
+  stablecoinAddress: USDC,
+  requestTime: bn(NOW - 2 * DAY),
+  approvalTime: bn(0),
+  completionTime: bn(0),
+  stablecoinAmount: bn(0),
+  status: 0,
+  rejectReason: '',
+  ...overrides
+});
+
+describe('RedemptionManager Service', () => {
+  let requests;
+  let userRequests;
+
+  beforeEach(() => {
+    requests = {
+      1: redemptionRequest(1),
+      2: redemptionRequest(2, { status: 1, approvalTime: bn(NOW - 20 * DAY) }),
+      3: redemptionRequest(3, { status: 4, propertyId: bn(2) })
+    };
+    userRequests = ['1', '2', '3'];
+
+    redemptionManagerService.contract = {
+      address: REDEMPTION_MANAGER,
+      interface: new ethers.utils.Interface(['function cancelRedemption(uint256)'])
+    };
+
+    jest.spyOn(redemptionManagerService, 'executeRead').mockImplementation(async (method, args) => {
+      if (method === 'userRequests') {
+        if (args[1] >= userRequests.length) {
+          throw new ApiError(400, '合约调用失败');
+        }
+        return bn(userRequests[args[1]]);
+      }
+      if (method === 'redemptionRequests') {
+        return requests[args[0]] || redemptionRequest(0, { requester: ethers.constants.AddressZero });
+      }
+      if (method === 'supportedStablecoins') {
+        return args[0] === USDC;
+      }
+      if (method === 'redemptionPeriod') {
+        return bn(14 * DAY);
+      }
+      throw new Error(`unexpected read ${method}`);
+    });
+    jest.spyOn(redemptionManagerService, 'executeWrite').mockResolvedValue({
+      transactionHash: `0x${'1'.repeat(64)}`,
+      blockNumber: 10,
+      events: [{ event: 'RedemptionRequested', args: { requestId: bn(4) } }]
+    });
+    jest.spyOn(propertyRegistryService, 'executeRead').mockResolvedValue(2);
+    // 投资者持有100代币，尚未授权
+    const tokenReads = { propertyId: '1', balanceOf: bn(100), allowance: bn(0) };
+    jest.spyOn(RealEstateTokenService.prototype, 'executeRead').mockImplementation(async method => tokenReads[method]);
+    jest.spyOn(RealEstateTokenService.prototype, 'executeWrite').mockResolvedValue({ transactionHash: null });
+    jest.spyOn(roleManagerService, 'hasRole').mockResolvedValue(false);
+    jest.spyOn(keyManager, 'getAvailableRoles').mockReturnValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRequests', () => {
+    it('should list requester requests newest first with derived deadlines', async () => {
+      const result = await redemptionManagerService.getRequests({ requester: INVESTOR });
+
+      expect(result.total).toBe(3);
+      expect(result.redemptionPeriod).toBe(14 * DAY);
+      expect(result.items.map(item => item.requestId)).toEqual(['3', '2', '1']);
+
+      const [cancelled, approved, pending] = result.items;
+      expect(cancelled).toMatchObject({ status: 'Cancelled', deadline: null });
+      expect(approved.deadline).toMatchObject({
+        stage: 'completion',
+        remainingDays: -6,
+        overdue: true,
+        summary: '完成已超期 6 天'
+      });
+      expect(pending.deadline).toMatchObject({
+        stage: 'approval',
+        remainingDays: 12,
+        overdue: false,
+        summary: '审批将在 12 天后到期'
+      });
+    });
+
+    it('should filter by property and status before paginating', async () => {
+      const result = await redemptionManagerService.getRequests({
+        requester: INVESTOR,
+        propertyId: '1',
+        status: 'Pending'
+      });
+
+      expect(result.total).toBe(1);
+      expect(result.items[0].requestId).toBe('1');
+    });
+  });
+
+  describe('requestRedemption', () => {
+    const params = { propertyId: '1', tokenAddress: TOKEN, tokenAmount: '100', stablecoin: USDC };
+
+    it('should require unsigned mode for accounts the server does not manage', async () => {
+      await expect(redemptionManagerService.requestRedemption(INVESTOR, params))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should build approve and request transactions from the investor in unsigned mode', async () => {
+      const result = await runUnsigned({}, () => redemptionManagerService.requestRedemption(INVESTOR, params));
+
+      expect(RealEstateTokenService.prototype.executeWrite)
+        .toHaveBeenCalledWith('approve', [REDEMPTION_MANAGER, '100'], { from: INVESTOR });
+      expect(redemptionManagerService.executeWrite)
+        .toHaveBeenCalledWith('requestRedemption', ['1', TOKEN, '100', USDC], { from: INVESTOR });
+      expect(result.requestId).toBe('4');
+    });
+
+    it('should reject properties that are not approved', async () => {
+      propertyRegistryService.executeRead.mockResolvedValue(5);
+
+      await expect(runUnsigned({}, () => redemptionManagerService.requestRedemption(INVESTOR, params)))
+        .rejects.toMatchObject({ statusCode: 422, details: { propertyStatus: 'Redemption' } });
+      expect(redemptionManagerService.executeWrite).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsupported stablecoins and insufficient balances', async () => {
+      await expect(runUnsigned({}, () => redemptionManagerService.requestRedemption(INVESTOR, {
+        ...params,
+        stablecoin: OTHER
+      }))).rejects.toMatchObject({ statusCode: 422, message: '不支持的稳定币' });
+
+      await expect(runUnsigned({}, () => redemptionManagerService.requestRedemption(INVESTOR, {
+        ...params,
+        tokenAmount: '101'
+      }))).rejects.toMatchObject({ statusCode: 422, message: '代币余额不足' });
+    });
+  });
+
+  describe('cancelRedemption', () => {
+    it('should only allow the requester or a SUPER_ADMIN to cancel pending requests', async () => {
+      await expect(runUnsigned({}, () => redemptionManagerService.cancelRedemption(OTHER, '1')))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(runUnsigned({}, () => redemptionManagerService.cancelRedemption(INVESTOR, '2')))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(runUnsigned({}, () => redemptionManagerService.cancelRedemption(INVESTOR, '9')))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      await runUnsigned({}, () => redemptionManagerService.cancelRedemption(INVESTOR, '1'));
+      expect(redemptionManagerService.executeWrite)
+        .toHaveBeenCalledWith('cancelRedemption', ['1'], { from: INVESTOR });
+    });
+  });
+});
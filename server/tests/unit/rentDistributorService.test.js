@@ -0,0 +1,201 @@
+const { ethers } = require('ethers');
+const keyManager = require('../../src/config/keyManager');
+const { signerContractRoles, operationRoles } = require('../../src/config');
+const { OPERATION_ROLES } = require('../../../shared/contracts/constants');
+const rentDistributorService = require('../../src/services/rentDistributorService');
+const { cache } = require('../../../shared/utils/cache');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const STABLECOIN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const INVESTOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const bn = value => ethers.BigNumber.from(value);
+
+const distribution = overrides => ({
+  propertyId: 'PROP-001',
+  tokenAddress: TOKEN,
+  stablecoinAddress: STABLECOIN,
+  rentalPeriod: '2025Q1',
+  totalAmount: bn(1000),
+  platformFee: bn(0),
+  maintenanceFee: bn(0),
+  netAmount: bn(0),
+  isProcessed: false,
+  snapshotId: bn(0),
+  totalClaimed: bn(0),
+  approvalTime: bn(1700000000),
+  ...overrides
+});
+
+describe('RentDistributor Service', () => {
+  let reads;
+
+  beforeEach(async () => {
+    // 读取结果会被缓存，每个用例从空缓存开始
+    await cache.clear();
+    reads = {
+      supportedStablecoins: true,
+      rentDistributions: distribution(),
+      getDistributionSnapshotId: bn(3)
+    };
+
+    jest.spyOn(rentDistributorService, 'executeRead').mockImplementation(async method => reads[method]);
+    jest.spyOn(rentDistributorService, 'executeWrite');
+    jest.spyOn(rentDistributorService, '_ensureAllowance').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should deposit rent after ensuring the stablecoin allowance', async () => {
+    rentDistributorService.executeWrite.mockResolvedValue({
+      transactionHash: `0x${'a'.repeat(64)}`,
+      events: [{ event: 'RentReceived', args: { distributionId: bn(1) } }]
+    });
+
+    const result = await rentDistributorService.receiveRent({
+      propertyId: 'PROP-001',
+      tokenAddress: TOKEN,
+      stablecoin: STABLECOIN,
+      amount: '1000',
+      rentalPeriod: '2025Q1'
+    });
+
+    expect(rentDistributorService._ensureAllowance).toHaveBeenCalledWith(STABLECOIN, '1000', 'receiveRent');
+    expect(rentDistributorService.executeWrite).toHaveBeenCalledWith(
+      'receiveStablecoinRent',
+      ['PROP-001', TOKEN, STABLECOIN, '1000', '2025Q1'],
+      { operationName: 'receiveRent' }
+    );
+    expect(result.distributionId).toBe('1');
+  });
+
+  it('should reject unsupported stablecoins', async () => {
+    reads.supportedStablecoins = false;
+
+    await expect(rentDistributorService.receiveRent({
+      propertyId: 'PROP-001',
+      tokenAddress: TOKEN,
+      stablecoin: STABLECOIN,
+      amount: '1000',
+      rentalPeriod: '2025Q1'
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(rentDistributorService.executeWrite).not.toHaveBeenCalled();
+  });
+
+  it('should report fees from the RentProcessed event', async () => {
+    rentDistributorService.executeWrite.mockResolvedValue({
+      transactionHash: `0x${'b'.repeat(64)}`,
+      events: [{
+        event: 'RentProcessed',
+        args: { distributionId: bn(1), platformFee: bn(20), maintenanceFee: bn(10), netAmount: bn(970) }
+      }]
+    });
+
+    const result = await rentDistributorService.processDistribution('1');
+
+    expect(result).toMatchObject({
+      platformFee: '20',
+      maintenanceFee: '10',
+      netAmount: '970',
+      snapshotId: '3'
+    });
+  });
+
+  it('should not process a distribution twice', async () => {
+    reads.rentDistributions = distribution({ isProcessed: true });
+
+    await expect(rentDistributorService.processDistribution('1')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should mark unclaimed rent with the SUPER_ADMIN signer', async () => {
+    rentDistributorService.executeWrite.mockResolvedValue({ transactionHash: `0x${'b'.repeat(64)}` });
+
+    await rentDistributorService.liquidateUnclaimedRent('4');
+    expect(rentDistributorService.executeWrite).toHaveBeenCalledWith(
+      'markUnclaimedRent',
+      ['4'],
+      { operationName: 'liquidateUnclaimedRent' }
+    );
+
+    // markUnclaimedRent 为 onlySuperAdmin，操作名对应的签名角色必须持有 SUPER_ADMIN
+    const getSigner = jest.spyOn(keyManager, 'getSigner').mockReturnValue({});
+    const contract = { connect: jest.fn() };
+    Object.assign(rentDistributorService, { contract, signer: {} });
+    try {
+      rentDistributorService.getContractWithSigner('liquidateUnclaimedRent');
+    } finally {
+      Object.assign(rentDistributorService, { contract: null, signer: null });
+    }
+    expect(getSigner).toHaveBeenCalledWith('admin', rentDistributorService.provider);
+    expect(signerContractRoles.admin).toContain('SUPER_ADMIN');
+  });
+
+  it('should keep the shared operation roles in line with the server config', () => {
+    expect(OPERATION_ROLES.liquidateUnclaimedRent).toBe('admin');
+    expect(OPERATION_ROLES).toEqual(operationRoles);
+  });
+
+  describe('claims', () => {
+    beforeEach(() => {
+      // 分配1、2已处理且可领取，分配3未处理
+      const distributions = {
+        1: distribution({ isProcessed: true }),
+        2: distribution({ isProcessed: true, propertyId: 'PROP-002', rentalPeriod: '2025Q2' }),
+        3: distribution()
+      };
+      const claimable = { 1: bn(300), 2: bn(200), 3: bn(0) };
+
+      rentDistributorService.executeRead.mockImplementation(async (method, args = []) => {
+        if (method === 'distributionCount') return bn(3);
+        if (method === 'rentDistributions') return distributions[args[0]];
+        if (method === 'getClaimableRent') return claimable[args[0]];
+        return reads[method];
+      });
+    });
+
+    it('should group claimable distributions by stablecoin and property', async () => {
+      const result = await rentDistributorService.getClaimableDistributions(INVESTOR);
+
+      expect(result.items.map(item => item.distributionId)).toEqual(['1', '2']);
+      expect(result.byStablecoin).toHaveLength(1);
+      expect(result.byStablecoin[0].totalAmount).toBe('500');
+      expect(result.byStablecoin[0].properties.map(property => property.propertyId)).toEqual(['PROP-001', 'PROP-002']);
+    });
+
+    it('should require unsigned mode for accounts not managed by the server', async () => {
+      jest.spyOn(keyManager, 'getAvailableRoles').mockReturnValue([]);
+
+      await expect(rentDistributorService.claimRents(INVESTOR)).rejects.toMatchObject({ statusCode: 403 });
+      expect(rentDistributorService.executeWrite).not.toHaveBeenCalled();
+    });
+
+    it('should reject distributions without claimable rent', async () => {
+      jest.spyOn(keyManager, 'getAvailableRoles').mockReturnValue(['admin']);
+      jest.spyOn(keyManager, 'getAddress').mockReturnValue(INVESTOR);
+
+      await expect(rentDistributorService.claimRents(INVESTOR, ['3'])).rejects.toMatchObject({
+        statusCode: 422,
+        details: { distributionIds: ['3'] }
+      });
+    });
+
+    it('should continue claiming when one distribution fails', async () => {
+      jest.spyOn(keyManager, 'getAvailableRoles').mockReturnValue(['admin']);
+      jest.spyOn(keyManager, 'getAddress').mockReturnValue(INVESTOR);
+      rentDistributorService.executeWrite
+        .mockRejectedValueOnce(new Error('Already claimed'))
+        .mockResolvedValueOnce({
+          transactionHash: `0x${'c'.repeat(64)}`,
+          events: [{ event: 'RentClaimed', args: { amount: bn(200) } }]
+        });
+
+      const result = await rentDistributorService.claimRents(INVESTOR);
+
+      expect(rentDistributorService.executeWrite).toHaveBeenCalledWith('claimRent', ['1'], { role: 'admin' });
+      expect(result).toMatchObject({ successCount: 1, failureCount: 1 });
+      expect(result.results[1]).toMatchObject({ distributionId: '2', amount: '200' });
+    });
+  });
+});
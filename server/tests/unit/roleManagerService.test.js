@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+const keyManager = require('../../src/config/keyManager');
+const roleManagerService = require('../../src/services/roleManagerService');
+
+const ROLE_MANAGER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ADMIN = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const SUPER_ADMIN = ethers.utils.id('SUPER_ADMIN');
+const PROPERTY_MANAGER = ethers.utils.id('PROPERTY_MANAGER');
+
+const roleEvent = (eventName, blockNumber, role, account) => ({
+  contractAddress: ROLE_MANAGER,
+  eventName,
+  blockNumber,
+  logIndex: 0,
+  transactionHash: `0x${String(blockNumber).padStart(64, '0')}`,
+  args: { role, account, sender: ADMIN }
+});
+
+describe('RoleManager Service', () => {
+  let events;
+  let holders;
+
+  beforeEach(() => {
+    events = [
+      roleEvent('RoleGranted', 1, SUPER_ADMIN, ADMIN),
+      roleEvent('RoleGranted', 5, PROPERTY_MANAGER, BOB),
+      roleEvent('RoleGranted', 6, SUPER_ADMIN, BOB),
+      roleEvent('RoleRevoked', 7, SUPER_ADMIN, BOB)
+    ];
+    // 链上角色状态：role -> 持有者
+    holders = { [SUPER_ADMIN]: [ADMIN], [PROPERTY_MANAGER]: [BOB] };
+
+    roleManagerService.eventStore = {
+      refresh: jest.fn(),
+      getCheckpoint: jest.fn(() => ({ blockNumber: 10 })),
+      getFinalizedBlock: jest.fn(() => 8),
+      query: jest.fn(() => events)
+    };
+    roleManagerService.contract = { address: ROLE_MANAGER };
+    roleManagerService.provider = {
+      getBlock: jest.fn(async blockNumber => ({ timestamp: 1700000000 + blockNumber }))
+    };
+    roleManagerService.blockTimestamps.clear();
+
+    jest.spyOn(roleManagerService, 'getSenderAddress').mockResolvedValue(ADMIN);
+    jest.spyOn(roleManagerService, 'executeRead').mockImplementation(async (method, args) => {
+      if (method === 'getRoleAdmin') {
+        return args[0] === SUPER_ADMIN ? ethers.constants.HashZero : SUPER_ADMIN;
+      }
+      const [role, account] = args;
+      return role === ethers.constants.HashZero ? account === ADMIN : (holders[role] || []).includes(account);
+    });
+    jest.spyOn(roleManagerService, 'executeWrite').mockResolvedValue({ transactionHash: null, events: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should rebuild role members from grant and revoke events', async () => {
+    const result = await roleManagerService.getRoleMembers('SUPER_ADMIN');
+
+    expect(result.members).toEqual([expect.objectContaining({ address: ADMIN, grantedAtBlock: 1 })]);
+    expect(result.indexedToBlock).toBe(10);
+  });
+
+  it('should refuse to revoke the last SUPER_ADMIN holder', async () => {
+    await expect(roleManagerService.revokeRole('SUPER_ADMIN', ADMIN, 'rotation'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(roleManagerService.executeWrite).not.toHaveBeenCalled();
+  });
+
+  it('should revoke SUPER_ADMIN when another holder remains on-chain', async () => {
+    // BOB重新获得SUPER_ADMIN后，ADMIN不再是最后一个持有者
+    events.push(roleEvent('RoleGranted', 9, SUPER_ADMIN, BOB));
+    holders[SUPER_ADMIN].push(BOB);
+
+    await roleManagerService.revokeRole('SUPER_ADMIN', ADMIN, 'rotation');
+
+    expect(roleManagerService.executeWrite).toHaveBeenCalledWith(
+      'revokeRole',
+      [SUPER_ADMIN, ADMIN],
+      { operationName: 'revokeRole' }
+    );
+  });
+
+  it('should filter audit history by role and account', async () => {
+    const result = await roleManagerService.getAuditHistory({ role: 'SUPER_ADMIN', account: BOB });
+
+    expect(result.total).toBe(2);
+    expect(result.items.map(item => item.action)).toEqual(['revoke', 'grant']);
+    expect(result.items[0]).toMatchObject({ role: 'SUPER_ADMIN', account: BOB, sender: ADMIN, reason: null });
+  });
+
+  it('should report signer roles missing their on-chain RoleManager roles', async () => {
+    const addresses = { admin: ADMIN, operator: BOB, finance: ADMIN, emergency: ADMIN };
+    jest.spyOn(keyManager, 'getAddress').mockImplementation(role => addresses[role]);
+
+    const results = await roleManagerService.verifySignerRoles();
+
+    expect(results.map(result => [result.role, result.address, result.missing])).toEqual([
+      ['admin', ADMIN, []],
+      ['operator', BOB, []],
+      ['finance', ADMIN, ['PROPERTY_MANAGER']],
+      ['emergency', ADMIN, []]
+    ]);
+    expect(results[0].signerType).toBe('env');
+  });
+});
@@ -0,0 +1,23 @@
+const RentDistributorService = require('../../../shared/services/rentDistributorService');
+const BaseContractService = require('../../../shared/services/baseContractService');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+describe('Shared contract services', () => {
+  it('should reject writes with an explicit read-only error', async () => {
+    const service = new BaseContractService('RoleManager');
+
+    await expect(service.executeWrite('grantRole', [], { operationName: 'grantRole' })).rejects.toMatchObject({
+      statusCode: 501,
+      code: 'READ_ONLY_SERVICE',
+      details: { contractName: 'RoleManager', operationName: 'grantRole' }
+    });
+  });
+
+  it('should reject writes from services that extend the shared base', async () => {
+    const service = new RentDistributorService();
+
+    await expect(service.createDistribution({ tokenAddress: TOKEN, amount: 100, description: 'rent' }))
+      .rejects.toMatchObject({ code: 'READ_ONLY_SERVICE' });
+  });
+});
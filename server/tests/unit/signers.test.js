@@ -0,0 +1,142 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { RemoteSigner, createSignerSource } = require('../../src/utils/signers');
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const wallet = new ethers.Wallet(PRIVATE_KEY);
+const OTHER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+/**
+ * 模拟Web3Signer：使用本地钱包响应 eth_accounts 和 eth_signTransaction
+ */
+function startRemoteSigner(chainId) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params, authorization: req.headers.authorization });
+
+      let result;
+      if (method === 'eth_accounts') {
+        result = [wallet.address.toLowerCase()];
+      } else {
+        const { gas, ...tx } = params[0];
+        delete tx.from;
+        result = await wallet.signTransaction({ ...tx, gasLimit: gas, chainId, type: 0 });
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+describe('Signer sources', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should decrypt a keystore with the password file before signing', async () => {
+    const keystorePath = path.join(dir, 'finance.json');
+    const passwordPath = path.join(dir, 'finance.password');
+    fs.writeFileSync(keystorePath, await wallet.encrypt('s3cret', { scrypt: { N: 1024 } }));
+    fs.writeFileSync(passwordPath, 's3cret\n');
+
+    const source = createSignerSource('finance', {
+      FINANCE_KEYSTORE_PATH: keystorePath,
+      FINANCE_KEYSTORE_PASSWORD_FILE: passwordPath
+    });
+
+    expect(source.type).toBe('keystore');
+    expect(source.address).toBe(wallet.address);
+    expect(() => source.getSigner()).toThrow('keystore尚未解密');
+
+    await source.load();
+    expect(source.getSigner().address).toBe(wallet.address);
+
+    expect(createSignerSource('operator', {})).toBeNull();
+    expect(() => createSignerSource('operator', { OPERATOR_SIGNER_TYPE: 'kms' })).toThrow('不支持的签名者类型');
+  });
+
+  it('should sign transactions through a Web3Signer compatible service', async () => {
+    const { server, requests, url } = await startRemoteSigner(31337);
+    try {
+      const source = createSignerSource('operator', {
+        REMOTE_SIGNER_URL: url,
+        REMOTE_SIGNER_TOKEN: 'token',
+        OPERATOR_SIGNER_ADDRESS: wallet.address
+      });
+      expect(source.type).toBe('remote');
+      await source.load();
+
+      const signer = source.getSigner();
+      const signed = await signer.signTransaction({
+        to: wallet.address,
+        nonce: 3,
+        gasLimit: 21000,
+        gasPrice: 1000,
+        value: 0,
+        chainId: 31337
+      });
+
+      expect(ethers.utils.parseTransaction(signed)).toMatchObject({ from: wallet.address, nonce: 3, chainId: 31337 });
+      expect(requests[1]).toEqual({
+        method: 'eth_signTransaction',
+        params: [{
+          from: wallet.address,
+          to: wallet.address,
+          gas: '0x5208',
+          gasPrice: '0x3e8',
+          value: '0x0',
+          nonce: '0x3'
+        }],
+        authorization: 'Bearer token'
+      });
+
+      // 签名服务的链ID与交易不符
+      await expect(signer.signTransaction({ to: wallet.address, nonce: 4, gasLimit: 21000, gasPrice: 1, chainId: 1 }))
+        .rejects.toThrow('链ID不符');
+
+      // 签名服务不管理的地址
+      await expect(createSignerSource('admin', {
+        REMOTE_SIGNER_URL: url,
+        ADMIN_SIGNER_ADDRESS: OTHER
+      }).load()).rejects.toThrow('远程签名服务不管理地址');
+      await expect(new RemoteSigner({ url, address: OTHER }).signTransaction({ from: wallet.address }))
+        .rejects.toThrow('交易发送地址与签名地址不符');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('should refuse plaintext keys in production unless explicitly allowed', async () => {
+    const env = { ...process.env };
+    try {
+      Object.assign(process.env, { NODE_ENV: 'production', ADMIN_PRIVATE_KEY: PRIVATE_KEY });
+      let keyManager;
+      jest.isolateModules(() => {
+        keyManager = require('../../src/config/keyManager');
+      });
+      await expect(keyManager.initialize()).rejects.toThrow('生产环境不允许使用环境变量私钥');
+
+      process.env.ALLOW_ENV_PRIVATE_KEYS = 'true';
+      await keyManager.initialize();
+      expect(keyManager.getAddress('admin')).toBe(wallet.address);
+    } finally {
+      process.env = env;
+    }
+  });
+});
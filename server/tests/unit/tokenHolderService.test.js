@@ -0,0 +1,93 @@
+const { ethers } = require('ethers');
+const tokenHolderService = require('../../src/services/tokenHolderService');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const ZERO = ethers.constants.AddressZero;
+
+const transfer = (blockNumber, from, to, value) => ({
+  contractAddress: TOKEN,
+  eventName: 'Transfer',
+  blockNumber,
+  args: { from, to, value: String(value) }
+});
+
+describe('Token Holder Service', () => {
+  let events;
+
+  beforeEach(() => {
+    events = [
+      transfer(10, ZERO, ALICE, 600),
+      transfer(11, ZERO, BOB, 400),
+      transfer(20, ALICE, CAROL, 100),
+      transfer(30, BOB, ZERO, 400)
+    ];
+
+    tokenHolderService.eventStore = {
+      refresh: jest.fn(),
+      getCheckpoint: jest.fn(() => ({ blockNumber: 40 })),
+      getFinalizedBlock: jest.fn(() => 25),
+      query: jest.fn(() => events)
+    };
+    tokenHolderService.provider = {
+      getBlock: jest.fn(async blockNumber => ({ timestamp: 1700000000 + blockNumber }))
+    };
+    tokenHolderService.contract = {};
+    tokenHolderService.blockTimestamps.clear();
+  });
+
+  it('should build balances and ownership from transfer events', async () => {
+    const result = await tokenHolderService.getHolders(TOKEN);
+
+    expect(result.totalSupply).toBe('600');
+    expect(result.total).toBe(2);
+    expect(result.indexedToBlock).toBe(40);
+    expect(result.items.map(holder => holder.address)).toEqual([ALICE, CAROL]);
+    expect(result.items[0]).toMatchObject({
+      balance: '500',
+      percentage: '83.3333',
+      firstAcquiredBlock: 10,
+      firstAcquiredAt: new Date((1700000000 + 10) * 1000).toISOString()
+    });
+  });
+
+  it('should sort and paginate holders', async () => {
+    const result = await tokenHolderService.getHolders(TOKEN, {
+      sortBy: 'firstAcquiredAt',
+      order: 'desc',
+      page: 1,
+      limit: 1
+    });
+
+    expect(result.total).toBe(2);
+    expect(result.items).toHaveLength(1);
+    expect(result.items[0].address).toBe(CAROL);
+  });
+
+  it('should read historical balances from TokenHolderQuery at a snapshot', async () => {
+    const executeRead = jest.spyOn(tokenHolderService, 'executeRead').mockResolvedValue({
+      balances: [ethers.BigNumber.from(600), ethers.BigNumber.from(400), ethers.BigNumber.from(0)],
+      totalSupply: ethers.BigNumber.from(1000)
+    });
+
+    const result = await tokenHolderService.getHolders(TOKEN, { snapshotId: '1' });
+
+    expect(executeRead).toHaveBeenCalledWith('getBalancesAtSnapshot', [TOKEN, [ALICE, BOB, CAROL], '1'], {
+      critical: true
+    });
+    expect(result.snapshotId).toBe('1');
+    expect(result.items.map(holder => [holder.address, holder.percentage])).toEqual([
+      [ALICE, '60.0000'],
+      [BOB, '40.0000']
+    ]);
+    executeRead.mockRestore();
+  });
+
+  it('should reject tokens that have not been indexed', async () => {
+    tokenHolderService.eventStore.getCheckpoint.mockReturnValue(null);
+
+    await expect(tokenHolderService.getHolders(TOKEN)).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
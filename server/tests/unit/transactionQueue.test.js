@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const keyManager = require('../../src/config/keyManager');
+const { nonceManager } = require('../../src/utils/nonceManager');
+const { transactionQueue, TX_STATUS } = require('../../src/utils/transactionQueue');
+
+const FROM = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TO = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const hashOf = n => `0x${n.toString(16).padStart(64, '0')}`;
+
+const revertData = reason =>
+  `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)}`;
+
+describe('Transaction Queue', () => {
+  let provider;
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tx-queue-'));
+    transactionQueue.recordFile = path.join(dataDir, 'transactions.json');
+    transactionQueue.records = null;
+    provider = {
+      once: jest.fn(),
+      getTransaction: jest.fn(async () => null),
+      getTransactionReceipt: jest.fn(async () => null),
+      getBlockNumber: jest.fn(async () => 110),
+      getGasPrice: jest.fn(async () => ethers.BigNumber.from(1000)),
+      call: jest.fn(async () => '0x')
+    };
+    transactionQueue.provider = provider;
+    transactionQueue._initPromise = Promise.resolve();
+    transactionQueue.pendingTxs.clear();
+  });
+
+  afterEach(() => {
+    clearTimeout(transactionQueue._saveTimer);
+    transactionQueue._saveTimer = null;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should track a sent transaction as pending', async () => {
+    const hash = await transactionQueue.track(
+      { hash: hashOf(1), from: FROM, to: TO, nonce: 3, gasPrice: ethers.BigNumber.from(1200) },
+      { role: 'operator', contractName: 'Marketplace', method: 'createOrder', args: [ethers.BigNumber.from(5)] }
+    );
+
+    const status = transactionQueue.getTransactionStatus(hash);
+
+    expect(status.status).toBe(TX_STATUS.PENDING);
+    expect(provider.once).toHaveBeenCalledWith(hash, expect.any(Function));
+    expect(transactionQueue.pendingTxs.get(hash).args).toEqual(['5']);
+  });
+
+  it('should report confirmations and receipt for a mined transaction', async () => {
+    const hash = await transactionQueue.track({ hash: hashOf(2), from: FROM, to: TO, nonce: 4 }, { role: 'operator' });
+    provider.getTransaction.mockResolvedValue({ hash, from: FROM, to: TO, nonce: 4 });
+    provider.getTransactionReceipt.mockResolvedValue({
+      blockNumber: 100,
+      blockHash: hashOf(100),
+      transactionIndex: 0,
+      status: 1,
+      gasUsed: ethers.BigNumber.from(21000),
+      cumulativeGasUsed: ethers.BigNumber.from(21000),
+      logs: []
+    });
+
+    const details = await transactionQueue.getTransactionDetails(hash);
+
+    expect(details.status).toBe(TX_STATUS.CONFIRMED);
+    expect(details.confirmations).toBe(11);
+    expect(details.receipt.gasUsed).toBe('21000');
+    expect(details.revertReason).toBeNull();
+  });
+
+  it('should decode the revert reason of a failed transaction', async () => {
+    const hash = await transactionQueue.track({ hash: hashOf(3), from: FROM, to: TO, nonce: 5 }, { role: 'operator' });
+    provider.getTransaction.mockResolvedValue({ hash, from: FROM, to: TO, nonce: 5, data: '0x1234' });
+    provider.getTransactionReceipt.mockResolvedValue({
+      blockNumber: 105,
+      status: 0,
+      gasUsed: ethers.BigNumber.from(30000),
+      cumulativeGasUsed: ethers.BigNumber.from(30000),
+      logs: []
+    });
+    provider.call.mockResolvedValue(revertData('Order not active'));
+
+    const details = await transactionQueue.getTransactionDetails(hash);
+
+    expect(details.status).toBe(TX_STATUS.FAILED);
+    expect(details.revertReason).toBe('Order not active');
+    expect(provider.call).toHaveBeenCalledWith(expect.objectContaining({ to: TO, data: '0x1234' }), 105);
+  });
+
+  it('should return null for an unknown transaction', async () => {
+    const details = await transactionQueue.getTransactionDetails(hashOf(999));
+
+    expect(details).toBeNull();
+  });
+
+  it('should link retries into a history chain', async () => {
+    const first = await transactionQueue.track({ hash: hashOf(4), from: FROM, to: TO, nonce: 6 }, { role: 'operator' });
+    transactionQueue._updateRecord(first, { status: TX_STATUS.DROPPED, replacedBy: hashOf(5) });
+    await transactionQueue.track({ hash: hashOf(5), from: FROM, to: TO, nonce: 6 }, {
+      role: 'operator',
+      previousTxHash: first,
+      retryCount: 1
+    });
+
+    const history = transactionQueue.getRetryHistory(hashOf(5));
+
+    expect(history.map(tx => tx.hash)).toEqual([first, hashOf(5)]);
+    expect(history[0].status).toBe(TX_STATUS.DROPPED);
+  });
+
+  it('should mark a dropped transaction and fill the nonce gap for later transactions', async () => {
+    const hash = await transactionQueue.track({ hash: hashOf(7), from: FROM, to: TO, nonce: 8 }, { role: 'operator' });
+    const signer = {
+      populateTransaction: jest.fn(async request => request),
+      signTransaction: jest.fn(async () => '0x5151')
+    };
+    jest.spyOn(keyManager, 'getSigner').mockReturnValue(signer);
+    jest.spyOn(nonceManager, 'hasPendingAfter').mockReturnValue(true);
+    const fillGap = jest.spyOn(nonceManager, 'fillGap').mockImplementation((address, _provider, sendFn) => sendFn(8));
+    provider.sendTransaction = jest.fn(async () => ({
+      hash: hashOf(8), from: FROM, to: FROM, nonce: 8, gasPrice: ethers.BigNumber.from(1500)
+    }));
+
+    await transactionQueue._handleDroppedNonce({ address: FROM, nonce: 8 });
+
+    expect(transactionQueue.getTransactionStatus(hash).status).toBe(TX_STATUS.DROPPED);
+    expect(transactionQueue.isRetryable(hash)).toBe(true);
+    // 在nonceManager的地址队列中使用回收的nonce发送
+    expect(fillGap).toHaveBeenCalledWith(FROM, provider, expect.any(Function));
+    expect(signer.populateTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ to: FROM, value: 0, gasLimit: 21000, nonce: 8 })
+    );
+    expect(provider.sendTransaction).toHaveBeenCalledWith('0x5151');
+    expect(transactionQueue.pendingTxs.get(hashOf(8)).method).toBe('fillNonceGap');
+
+    // 同步后发现nonce已被其他交易使用，不再发送
+    fillGap.mockResolvedValue(null);
+    await expect(transactionQueue._fillNonceGap(FROM, 'operator')).resolves.toBeNull();
+    expect(provider.sendTransaction).toHaveBeenCalledTimes(1);
+
+    jest.restoreAllMocks();
+  });
+
+  it('should filter the transaction list by status', async () => {
+    await transactionQueue.track({ hash: hashOf(6), from: FROM, to: TO, nonce: 7 }, { role: 'operator' });
+
+    const result = transactionQueue.listTransactions({ status: TX_STATUS.PENDING });
+
+    expect(result.items.length).toBeGreaterThan(0);
+    expect(result.items.every(tx => tx.status === TX_STATUS.PENDING)).toBe(true);
+  });
+
+  it('should recover pending transactions from the record file after a restart', async () => {
+    const pending = await transactionQueue.track(
+      { hash: hashOf(7), from: FROM, to: TO, nonce: 8 },
+      { role: 'operator' }
+    );
+    const confirmed = await transactionQueue.track(
+      { hash: hashOf(8), from: FROM, to: TO, nonce: 9 },
+      { role: 'operator' }
+    );
+    transactionQueue._confirmTransaction(confirmed, { blockNumber: 100, gasUsed: ethers.BigNumber.from(21000) });
+    transactionQueue._flushRecords();
+
+    // 模拟重启：清空内存中的队列和记录
+    transactionQueue.pendingTxs.clear();
+    transactionQueue.records = null;
+    provider.once.mockClear();
+
+    transactionQueue._recoverFromStore();
+
+    expect(Array.from(transactionQueue.pendingTxs.keys())).toEqual([pending]);
+    expect(transactionQueue.pendingTxs.get(pending).role).toBe('operator');
+    expect(provider.once).toHaveBeenCalledWith(pending, expect.any(Function));
+    expect(transactionQueue.getTransactionStatus(confirmed).status).toBe(TX_STATUS.CONFIRMED);
+  });
+
+  it('should drop completed records older than one day when loading', () => {
+    const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(transactionQueue.recordFile, JSON.stringify([
+      { hash: hashOf(9), status: TX_STATUS.CONFIRMED, submittedAt: dayAgo, confirmedAt: dayAgo },
+      { hash: hashOf(10), status: TX_STATUS.PENDING, submittedAt: dayAgo }
+    ]));
+
+    expect(transactionQueue.getTransactionStatus(hashOf(9)).status).toBe('unknown');
+    expect(transactionQueue.getTransactionStatus(hashOf(10)).status).toBe(TX_STATUS.PENDING);
+  });
+
+  it('should batch record updates into one atomic write', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+    const renameSync = jest.spyOn(fs, 'renameSync');
+    try {
+      const meta = { role: 'operator' };
+      const first = await transactionQueue.track({ hash: hashOf(11), from: FROM, to: TO, nonce: 12 }, meta);
+      const second = await transactionQueue.track({ hash: hashOf(12), from: FROM, to: TO, nonce: 13 }, meta);
+      transactionQueue._confirmTransaction(first, { blockNumber: 100, gasUsed: ethers.BigNumber.from(21000) });
+
+      expect(writeFileSync).not.toHaveBeenCalled();
+      jest.runOnlyPendingTimers();
+
+      const tmpFile = `${transactionQueue.recordFile}.tmp`;
+      expect(writeFileSync).toHaveBeenCalledTimes(1);
+      expect(writeFileSync).toHaveBeenCalledWith(tmpFile, expect.any(String));
+      expect(renameSync).toHaveBeenCalledWith(tmpFile, transactionQueue.recordFile);
+      expect(fs.existsSync(tmpFile)).toBe(false);
+
+      const stored = JSON.parse(fs.readFileSync(transactionQueue.recordFile, 'utf8'));
+      expect(stored.map(record => [record.hash, record.status])).toEqual([
+        [first, TX_STATUS.CONFIRMED],
+        [second, TX_STATUS.PENDING]
+      ]);
+    } finally {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    }
+  });
+});
@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+const BaseContractService = require('../../src/services/baseContractService');
+const unsignedMode = require('../../src/middlewares/unsignedMode');
+const { nonceManager } = require('../../src/utils/nonceManager');
+const { runUnsigned, getUnsignedContext } = require('../../src/utils/unsignedContext');
+const { ERC20_ABI } = require('../../../shared/contracts/constants');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CUSTODY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const RECIPIENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+describe('Unsigned transaction mode', () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    provider = {
+      getTransactionCount: jest.fn().mockResolvedValue(5),
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 31337 }),
+      getGasPrice: jest.fn().mockResolvedValue(ethers.BigNumber.from(1000)),
+      estimateGas: jest.fn()
+        .mockResolvedValueOnce(ethers.BigNumber.from(50000))
+        .mockRejectedValueOnce(Object.assign(new Error('execution reverted'), { reason: 'insufficient allowance' }))
+    };
+
+    service = new BaseContractService('RealEstateToken');
+    service.provider = provider;
+    service.contract = new ethers.Contract(TOKEN, ERC20_ABI);
+  });
+
+  it('should build transactions with sequential nonce hints instead of sending', async () => {
+    const sendSpy = jest.spyOn(service, 'getContractWithSigner');
+
+    const context = await runUnsigned({ from: CUSTODY }, async () => {
+      const first = await service.executeWrite('approve', [RECIPIENT, 100]);
+      expect(first).toMatchObject({ unsigned: true, transactionHash: null, events: [] });
+
+      await service.executeWrite('approve', [CUSTODY, ethers.BigNumber.from(100)]);
+      return getUnsignedContext();
+    });
+
+    expect(sendSpy).not.toHaveBeenCalled();
+    expect(provider.getTransactionCount).toHaveBeenCalledTimes(1);
+    expect(context.transactions).toEqual([
+      expect.objectContaining({
+        method: 'approve',
+        from: CUSTODY,
+        to: TOKEN,
+        nonce: 5,
+        chainId: 31337,
+        gasLimit: '50000',
+        estimateError: null
+      }),
+      expect.objectContaining({
+        args: [CUSTODY, '100'],
+        data: service.contract.interface.encodeFunctionData('approve', [CUSTODY, 100]),
+        nonce: 6,
+        gasLimit: null,
+        estimateError: 'insufficient allowance'
+      })
+    ]);
+  });
+
+  it('should fail closed when a request builds no unsigned transaction', async () => {
+    const json = jest.fn();
+    const res = {
+      statusCode: 200,
+      status: jest.fn(code => { res.statusCode = code; return res; }),
+      json
+    };
+    const req = { method: 'POST', originalUrl: '/api/tokens?mode=unsigned', query: { mode: 'unsigned' } };
+
+    await new Promise(resolve => unsignedMode(req, res, async () => {
+      // 服务端签名者在未签名模式下拒绝发送
+      const send = jest.fn();
+      await expect(nonceManager.send(CUSTODY, provider, send)).rejects.toMatchObject({ statusCode: 400 });
+      expect(send).not.toHaveBeenCalled();
+
+      res.json({ success: true, data: { transactionHash: '0x' } });
+      resolve();
+    }));
+
+    expect(res.statusCode).toBe(400);
+    expect(json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      error: expect.objectContaining({ code: 'UNSIGNED_MODE_UNSUPPORTED' })
+    }));
+  });
+});
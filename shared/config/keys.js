@@ -109,6 +109,9 @@ function loadFromEnv() {
   
   if (loadedCount > 0) {
     logger.info(`成功加载了 ${loadedCount} 个角色私钥`);
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn('生产环境不应在环境变量中保存明文私钥，服务端签名请使用keystore或远程签名服务');
+    }
   } else {
     logger.warn('未能加载任何角色私钥，系统将以只读模式运行');
   }
@@ -2,6 +2,17 @@ const { getHardhatConfigPath, validatePath } = require('../utils/paths');
 const logger = require('../utils/logger');
 const { getEnvVar } = require('./environment');
 
+// 未配置备用节点时使用的BSC公共节点
+const BSC_MAINNET_RPC_URLS = [
+  'https://bsc-dataseed.binance.org/',
+  'https://bsc-dataseed1.defibit.io/',
+  'https://bsc-dataseed1.ninicoin.io/'
+].join(',');
+const BSC_TESTNET_RPC_URLS = [
+  'https://data-seed-prebsc-1-s1.binance.org:8545/',
+  'https://data-seed-prebsc-2-s1.binance.org:8545/'
+].join(',');
+
 /**
  * 网络配置管理器
  * 直接从环境变量读取网络配置
@@ -49,6 +60,8 @@ class NetworkConfigManager {
     
     this.networks.hardhat = {
       rpcUrl: rpcUrl,
+      rpcUrls: this._getRpcUrls('HARDHAT_RPC_URLS', rpcUrl, ''),
+      providerPool: this._getProviderPoolConfig(),
       chainId: chainId,
       explorerUrl: '',
       name: 'Hardhat Local',
@@ -81,6 +94,8 @@ class NetworkConfigManager {
     
     this.networks.bsc_mainnet = {
       rpcUrl: rpcUrl,
+      rpcUrls: this._getRpcUrls('MAINNET_RPC_URLS', rpcUrl, BSC_MAINNET_RPC_URLS),
+      providerPool: this._getProviderPoolConfig(),
       chainId: chainId,
       explorerUrl: 'https://bscscan.com',
       name: 'BSC Mainnet',
@@ -113,6 +128,8 @@ class NetworkConfigManager {
     
     this.networks.bsc_testnet = {
       rpcUrl: rpcUrl,
+      rpcUrls: this._getRpcUrls('TESTNET_RPC_URLS', rpcUrl, BSC_TESTNET_RPC_URLS),
+      providerPool: this._getProviderPoolConfig(),
       chainId: chainId,
       explorerUrl: 'https://testnet.bscscan.com',
       name: 'BSC Testnet',
@@ -134,6 +151,36 @@ class NetworkConfigManager {
     logger.debug('加载BSC测试网配置成功');
   }
 
+  /**
+   * 读取网络的全部RPC节点
+   * 主RPC URL排在最前，其后是逗号分隔的备用节点，去除重复
+   * @param {string} name 备用节点的环境变量名
+   * @param {string} rpcUrl 主RPC URL
+   * @param {string} defaultUrls 默认的备用节点
+   * @returns {string[]} RPC URL列表
+   * @private
+   */
+  _getRpcUrls(name, rpcUrl, defaultUrls) {
+    const urls = getEnvVar(name, defaultUrls).split(',').map(url => url.trim()).filter(Boolean);
+    return Array.from(new Set([rpcUrl, ...urls]));
+  }
+
+  /**
+   * 读取RPC节点池配置，见 shared/utils/providerPool.js
+   * @returns {Object} 节点池配置
+   * @private
+   */
+  _getProviderPoolConfig() {
+    return {
+      stallTimeout: parseInt(getEnvVar('RPC_STALL_TIMEOUT', '1500')),
+      timeout: parseInt(getEnvVar('RPC_TIMEOUT', '10000')),
+      quorum: parseInt(getEnvVar('RPC_QUORUM', '1')),
+      maxFailures: parseInt(getEnvVar('RPC_MAX_FAILURES', '3')),
+      cooldown: parseInt(getEnvVar('RPC_COOLDOWN', '30000')),
+      healthCheckInterval: parseInt(getEnvVar('RPC_HEALTH_CHECK_INTERVAL', '30000'))
+    };
+  }
+
   /**
    * 获取网络配置
    * @param {string} network 网络名称
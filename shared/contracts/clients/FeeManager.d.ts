@@ -0,0 +1,125 @@
+/**
+ * FeeManager 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class FeeManagerClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): FeeManagerClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'FeeCollected', filterArgs?: [feeType?: ethers.BigNumberish | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.FeeCollectedEventArgs>>>;
+  queryEvents(eventName: 'FeeCollectorUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.FeeCollectorUpdatedEventArgs>>>;
+  queryEvents(eventName: 'FeeManagerInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.FeeManagerInitializedEventArgs>>>;
+  queryEvents(eventName: 'FeeUpdated', filterArgs?: [feeType?: ethers.BigNumberish | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.FeeUpdatedEventArgs>>>;
+  queryEvents(eventName: 'FeeWithdrawn', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.FeeWithdrawnEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'RoleAdminChanged', filterArgs?: [role?: ethers.BytesLike | null, previousAdminRole?: ethers.BytesLike | null, newAdminRole?: ethers.BytesLike | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.RoleAdminChangedEventArgs>>>;
+  queryEvents(eventName: 'RoleGranted', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.RoleGrantedEventArgs>>>;
+  queryEvents(eventName: 'RoleRevoked', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.RoleRevokedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<FeeManagerClient.VersionUpdatedEventArgs>>>;
+  calculateFee(amount: ethers.BigNumberish, feeType: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  collectFee(amount: ethers.BigNumberish, feeType: ethers.BigNumberish, from: string, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  DEFAULT_ADMIN_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  feeCollector(overrides?: ethers.CallOverrides): Promise<string>;
+  getAllFees(overrides?: ethers.CallOverrides): Promise<Array<ethers.BigNumber>>;
+  getRoleAdmin(role: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<string>;
+  grantRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  hasRole(role: ethers.BytesLike, account: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  initialize(_roleManager: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  maintenanceFee(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  MAX_FEE(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  platformFee(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  redemptionFee(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  renounceRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  revokeRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  supportsInterface(interfaceId: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<boolean>;
+  tokenizationFee(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  tradingFee(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  updateFee(feeType: ethers.BigNumberish, newValue: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  updateFeeCollector(_feeCollector: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  withdrawBalance(to: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+}
+
+declare namespace FeeManagerClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface FeeCollectedEventArgs {
+    feeType: number;
+    amount: ethers.BigNumber;
+    from: string;
+  }
+
+  interface FeeCollectorUpdatedEventArgs {
+    oldCollector: string;
+    newCollector: string;
+  }
+
+  interface FeeManagerInitializedEventArgs {
+    deployer: string;
+    roleManager: string;
+    version: ethers.BigNumber;
+  }
+
+  interface FeeUpdatedEventArgs {
+    feeType: number;
+    oldValue: ethers.BigNumber;
+    newValue: ethers.BigNumber;
+  }
+
+  interface FeeWithdrawnEventArgs {
+    to: string;
+    amount: ethers.BigNumber;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface RoleAdminChangedEventArgs {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+
+  interface RoleGrantedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface RoleRevokedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+}
+
+export = FeeManagerClient;
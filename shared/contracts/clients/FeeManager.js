@@ -0,0 +1,322 @@
+/**
+ * FeeManager 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * FeeManager 各事件的参数
+ * @typedef {object} FeeManagerEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ feeType: number, amount: ethers.BigNumber, from: string }} FeeCollected
+ * @property {{ oldCollector: string, newCollector: string }} FeeCollectorUpdated
+ * @property {{ deployer: string, roleManager: string, version: ethers.BigNumber }} FeeManagerInitialized
+ * @property {{ feeType: number, oldValue: ethers.BigNumber, newValue: ethers.BigNumber }} FeeUpdated
+ * @property {{ to: string, amount: ethers.BigNumber }} FeeWithdrawn
+ * @property {{ version: number }} Initialized
+ * @property {{ role: string, previousAdminRole: string, newAdminRole: string }} RoleAdminChanged
+ * @property {{ role: string, account: string, sender: string }} RoleGranted
+ * @property {{ role: string, account: string, sender: string }} RoleRevoked
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ */
+
+/**
+ * FeeManager 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class FeeManagerClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.FeeManager, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {FeeManagerClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new FeeManagerClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof FeeManagerEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 读取 calculateFee(uint256,uint8)
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.BigNumberish} feeType uint8，枚举 FeeManager.FeeType
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  calculateFee(amount, feeType, overrides = {}) {
+    return this.contract['calculateFee(uint256,uint8)'](amount, feeType, overrides);
+  }
+
+  /**
+   * 发送交易 collectFee(uint256,uint8,address)
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.BigNumberish} feeType uint8，枚举 FeeManager.FeeType
+   * @param {string} from address
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  collectFee(amount, feeType, from, overrides = {}) {
+    return this.contract['collectFee(uint256,uint8,address)'](amount, feeType, from, overrides);
+  }
+
+  /**
+   * 读取 DEFAULT_ADMIN_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  DEFAULT_ADMIN_ROLE(overrides = {}) {
+    return this.contract['DEFAULT_ADMIN_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 feeCollector()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  feeCollector(overrides = {}) {
+    return this.contract['feeCollector()'](overrides);
+  }
+
+  /**
+   * 读取 getAllFees()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<ethers.BigNumber>>}
+   */
+  getAllFees(overrides = {}) {
+    return this.contract['getAllFees()'](overrides);
+  }
+
+  /**
+   * 读取 getRoleAdmin(bytes32)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  getRoleAdmin(role, overrides = {}) {
+    return this.contract['getRoleAdmin(bytes32)'](role, overrides);
+  }
+
+  /**
+   * 发送交易 grantRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  grantRole(role, account, overrides = {}) {
+    return this.contract['grantRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 hasRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  hasRole(role, account, overrides = {}) {
+    return this.contract['hasRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address)
+   * @param {string} _roleManager address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, overrides = {}) {
+    return this.contract['initialize(address)'](_roleManager, overrides);
+  }
+
+  /**
+   * 读取 maintenanceFee()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  maintenanceFee(overrides = {}) {
+    return this.contract['maintenanceFee()'](overrides);
+  }
+
+  /**
+   * 读取 MAX_FEE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  MAX_FEE(overrides = {}) {
+    return this.contract['MAX_FEE()'](overrides);
+  }
+
+  /**
+   * 读取 platformFee()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  platformFee(overrides = {}) {
+    return this.contract['platformFee()'](overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 读取 redemptionFee()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  redemptionFee(overrides = {}) {
+    return this.contract['redemptionFee()'](overrides);
+  }
+
+  /**
+   * 发送交易 renounceRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  renounceRole(role, account, overrides = {}) {
+    return this.contract['renounceRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 revokeRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  revokeRole(role, account, overrides = {}) {
+    return this.contract['revokeRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 读取 supportsInterface(bytes4)
+   * @param {ethers.BytesLike} interfaceId bytes4
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportsInterface(interfaceId, overrides = {}) {
+    return this.contract['supportsInterface(bytes4)'](interfaceId, overrides);
+  }
+
+  /**
+   * 读取 tokenizationFee()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  tokenizationFee(overrides = {}) {
+    return this.contract['tokenizationFee()'](overrides);
+  }
+
+  /**
+   * 读取 tradingFee()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  tradingFee(overrides = {}) {
+    return this.contract['tradingFee()'](overrides);
+  }
+
+  /**
+   * 发送交易 updateFee(uint8,uint256)
+   * @param {ethers.BigNumberish} feeType uint8，枚举 FeeManager.FeeType
+   * @param {ethers.BigNumberish} newValue uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  updateFee(feeType, newValue, overrides = {}) {
+    return this.contract['updateFee(uint8,uint256)'](feeType, newValue, overrides);
+  }
+
+  /**
+   * 发送交易 updateFeeCollector(address)
+   * @param {string} _feeCollector address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  updateFeeCollector(_feeCollector, overrides = {}) {
+    return this.contract['updateFeeCollector(address)'](_feeCollector, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+
+  /**
+   * 发送交易 withdrawBalance(address)
+   * @param {string} to address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  withdrawBalance(to, overrides = {}) {
+    return this.contract['withdrawBalance(address)'](to, overrides);
+  }
+}
+
+module.exports = FeeManagerClient;
@@ -0,0 +1,137 @@
+/**
+ * Marketplace 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class MarketplaceClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): MarketplaceClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'EmergencyWithdraw', filterArgs?: [admin?: string | null, token?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.EmergencyWithdrawEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'MarketplaceInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.MarketplaceInitializedEventArgs>>>;
+  queryEvents(eventName: 'MarketplacePaused', filterArgs?: [admin?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.MarketplacePausedEventArgs>>>;
+  queryEvents(eventName: 'MarketplaceUnpaused', filterArgs?: [admin?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.MarketplaceUnpausedEventArgs>>>;
+  queryEvents(eventName: 'OrderCancelled', filterArgs?: [orderId?: ethers.BigNumberish | null, seller?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.OrderCancelledEventArgs>>>;
+  queryEvents(eventName: 'OrderCreated', filterArgs?: [orderId?: ethers.BigNumberish | null, seller?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.OrderCreatedEventArgs>>>;
+  queryEvents(eventName: 'OrderFulfilled', filterArgs?: [orderId?: ethers.BigNumberish | null, buyer?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.OrderFulfilledEventArgs>>>;
+  queryEvents(eventName: 'PriceUpdated', filterArgs?: [orderId?: ethers.BigNumberish | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.PriceUpdatedEventArgs>>>;
+  queryEvents(eventName: 'StablecoinStatusUpdated', filterArgs?: [token?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.StablecoinStatusUpdatedEventArgs>>>;
+  queryEvents(eventName: 'TradingFeeCollected', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.TradingFeeCollectedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<MarketplaceClient.VersionUpdatedEventArgs>>>;
+  addSupportedStablecoin(_stablecoin: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  cancelOrder(orderId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  createOrder(tokenAddress: string, tokenAmount: ethers.BigNumberish, price: ethers.BigNumberish, stablecoinAddress: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  emergencyWithdraw(tokenAddress: string, amount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  feeManager(overrides?: ethers.CallOverrides): Promise<string>;
+  fulfillOrder(orderId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  getOrder(orderId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ seller: string; tokenAddress: string; tokenAmount: ethers.BigNumber; price: ethers.BigNumber; stablecoin: string; creationTime: ethers.BigNumber; status: number }>;
+  getSellerActiveOrders(seller: string, overrides?: ethers.CallOverrides): Promise<Array<ethers.BigNumber>>;
+  getSupportedStablecoins(offset: ethers.BigNumberish, limit: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<Array<string>>;
+  initialize(_roleManager: string, _feeManager: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  isStablecoinSupported(stablecoin: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  orderCount(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  orders(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ orderId: ethers.BigNumber; seller: string; tokenAddress: string; tokenAmount: ethers.BigNumber; price: ethers.BigNumber; stablecoinAddress: string; creationTime: ethers.BigNumber; status: number }>;
+  pause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  paused(overrides?: ethers.CallOverrides): Promise<boolean>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  removeSupportedStablecoin(_stablecoin: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  supportedStablecoins(arg0: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  unpause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  updateOrderPrice(orderId: ethers.BigNumberish, newPrice: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+}
+
+declare namespace MarketplaceClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface EmergencyWithdrawEventArgs {
+    admin: string;
+    token: string;
+    amount: ethers.BigNumber;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface MarketplaceInitializedEventArgs {
+    deployer: string;
+    roleManager: string;
+    feeManager: string;
+    version: ethers.BigNumber;
+  }
+
+  interface MarketplacePausedEventArgs {
+    admin: string;
+  }
+
+  interface MarketplaceUnpausedEventArgs {
+    admin: string;
+  }
+
+  interface OrderCancelledEventArgs {
+    orderId: ethers.BigNumber;
+    seller: string;
+  }
+
+  interface OrderCreatedEventArgs {
+    orderId: ethers.BigNumber;
+    seller: string;
+    tokenAddress: string;
+    tokenAmount: ethers.BigNumber;
+    price: ethers.BigNumber;
+    stablecoin: string;
+  }
+
+  interface OrderFulfilledEventArgs {
+    orderId: ethers.BigNumber;
+    buyer: string;
+    price: ethers.BigNumber;
+  }
+
+  interface PriceUpdatedEventArgs {
+    orderId: ethers.BigNumber;
+    oldPrice: ethers.BigNumber;
+    newPrice: ethers.BigNumber;
+  }
+
+  interface StablecoinStatusUpdatedEventArgs {
+    token: string;
+    status: boolean;
+  }
+
+  interface TradingFeeCollectedEventArgs {
+    orderId: ethers.BigNumber;
+    feeAmount: ethers.BigNumber;
+    feeToken: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+}
+
+export = MarketplaceClient;
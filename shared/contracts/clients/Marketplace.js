@@ -0,0 +1,307 @@
+/**
+ * Marketplace 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * Marketplace 各事件的参数
+ * @typedef {object} MarketplaceEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ admin: string, token: string, amount: ethers.BigNumber }} EmergencyWithdraw
+ * @property {{ version: number }} Initialized
+ * @property {{ deployer: string, roleManager: string, feeManager: string, version: ethers.BigNumber }} MarketplaceInitialized
+ * @property {{ admin: string }} MarketplacePaused
+ * @property {{ admin: string }} MarketplaceUnpaused
+ * @property {{ orderId: ethers.BigNumber, seller: string }} OrderCancelled
+ * @property {{ orderId: ethers.BigNumber, seller: string, tokenAddress: string, tokenAmount: ethers.BigNumber, price: ethers.BigNumber, stablecoin: string }} OrderCreated
+ * @property {{ orderId: ethers.BigNumber, buyer: string, price: ethers.BigNumber }} OrderFulfilled
+ * @property {{ orderId: ethers.BigNumber, oldPrice: ethers.BigNumber, newPrice: ethers.BigNumber }} PriceUpdated
+ * @property {{ token: string, status: boolean }} StablecoinStatusUpdated
+ * @property {{ orderId: ethers.BigNumber, feeAmount: ethers.BigNumber, feeToken: string }} TradingFeeCollected
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ */
+
+/**
+ * Marketplace 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class MarketplaceClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.Marketplace, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {MarketplaceClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new MarketplaceClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof MarketplaceEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 发送交易 addSupportedStablecoin(address)
+   * @param {string} _stablecoin address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  addSupportedStablecoin(_stablecoin, overrides = {}) {
+    return this.contract['addSupportedStablecoin(address)'](_stablecoin, overrides);
+  }
+
+  /**
+   * 发送交易 cancelOrder(uint256)
+   * @param {ethers.BigNumberish} orderId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  cancelOrder(orderId, overrides = {}) {
+    return this.contract['cancelOrder(uint256)'](orderId, overrides);
+  }
+
+  /**
+   * 发送交易 createOrder(address,uint256,uint256,address)
+   * @param {string} tokenAddress address
+   * @param {ethers.BigNumberish} tokenAmount uint256
+   * @param {ethers.BigNumberish} price uint256
+   * @param {string} stablecoinAddress address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  createOrder(tokenAddress, tokenAmount, price, stablecoinAddress, overrides = {}) {
+    return this.contract['createOrder(address,uint256,uint256,address)'](tokenAddress, tokenAmount, price, stablecoinAddress, overrides);
+  }
+
+  /**
+   * 发送交易 emergencyWithdraw(address,uint256)
+   * @param {string} tokenAddress address
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  emergencyWithdraw(tokenAddress, amount, overrides = {}) {
+    return this.contract['emergencyWithdraw(address,uint256)'](tokenAddress, amount, overrides);
+  }
+
+  /**
+   * 读取 feeManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  feeManager(overrides = {}) {
+    return this.contract['feeManager()'](overrides);
+  }
+
+  /**
+   * 发送交易 fulfillOrder(uint256)
+   * @param {ethers.BigNumberish} orderId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  fulfillOrder(orderId, overrides = {}) {
+    return this.contract['fulfillOrder(uint256)'](orderId, overrides);
+  }
+
+  /**
+   * 读取 getOrder(uint256)
+   * @param {ethers.BigNumberish} orderId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ seller: string, tokenAddress: string, tokenAmount: ethers.BigNumber, price: ethers.BigNumber, stablecoin: string, creationTime: ethers.BigNumber, status: number }>}
+   */
+  getOrder(orderId, overrides = {}) {
+    return this.contract['getOrder(uint256)'](orderId, overrides);
+  }
+
+  /**
+   * 读取 getSellerActiveOrders(address)
+   * @param {string} seller address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<ethers.BigNumber>>}
+   */
+  getSellerActiveOrders(seller, overrides = {}) {
+    return this.contract['getSellerActiveOrders(address)'](seller, overrides);
+  }
+
+  /**
+   * 读取 getSupportedStablecoins(uint256,uint256)
+   * @param {ethers.BigNumberish} offset uint256
+   * @param {ethers.BigNumberish} limit uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<string>>}
+   */
+  getSupportedStablecoins(offset, limit, overrides = {}) {
+    return this.contract['getSupportedStablecoins(uint256,uint256)'](offset, limit, overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address,address)
+   * @param {string} _roleManager address
+   * @param {string} _feeManager address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, _feeManager, overrides = {}) {
+    return this.contract['initialize(address,address)'](_roleManager, _feeManager, overrides);
+  }
+
+  /**
+   * 读取 isStablecoinSupported(address)
+   * @param {string} stablecoin address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  isStablecoinSupported(stablecoin, overrides = {}) {
+    return this.contract['isStablecoinSupported(address)'](stablecoin, overrides);
+  }
+
+  /**
+   * 读取 orderCount()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  orderCount(overrides = {}) {
+    return this.contract['orderCount()'](overrides);
+  }
+
+  /**
+   * 读取 orders(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ orderId: ethers.BigNumber, seller: string, tokenAddress: string, tokenAmount: ethers.BigNumber, price: ethers.BigNumber, stablecoinAddress: string, creationTime: ethers.BigNumber, status: number }>}
+   */
+  orders(arg0, overrides = {}) {
+    return this.contract['orders(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 pause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  pause(overrides = {}) {
+    return this.contract['pause()'](overrides);
+  }
+
+  /**
+   * 读取 paused()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  paused(overrides = {}) {
+    return this.contract['paused()'](overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 发送交易 removeSupportedStablecoin(address)
+   * @param {string} _stablecoin address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  removeSupportedStablecoin(_stablecoin, overrides = {}) {
+    return this.contract['removeSupportedStablecoin(address)'](_stablecoin, overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 读取 supportedStablecoins(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportedStablecoins(arg0, overrides = {}) {
+    return this.contract['supportedStablecoins(address)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 unpause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  unpause(overrides = {}) {
+    return this.contract['unpause()'](overrides);
+  }
+
+  /**
+   * 发送交易 updateOrderPrice(uint256,uint256)
+   * @param {ethers.BigNumberish} orderId uint256
+   * @param {ethers.BigNumberish} newPrice uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  updateOrderPrice(orderId, newPrice, overrides = {}) {
+    return this.contract['updateOrderPrice(uint256,uint256)'](orderId, newPrice, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+}
+
+module.exports = MarketplaceClient;
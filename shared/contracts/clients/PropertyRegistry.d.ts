@@ -0,0 +1,140 @@
+/**
+ * PropertyRegistry 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class PropertyRegistryClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): PropertyRegistryClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'AuthorizedContractUpdated', filterArgs?: [contractAddress?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.AuthorizedContractUpdatedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'PropertyApproved', filterArgs?: [propertyId?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyApprovedEventArgs>>>;
+  queryEvents(eventName: 'PropertyDelisted', filterArgs?: [propertyId?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyDelistedEventArgs>>>;
+  queryEvents(eventName: 'PropertyRegistered', filterArgs?: [propertyId?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyRegisteredEventArgs>>>;
+  queryEvents(eventName: 'PropertyRegistryInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyRegistryInitializedEventArgs>>>;
+  queryEvents(eventName: 'PropertyRejected', filterArgs?: [propertyId?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyRejectedEventArgs>>>;
+  queryEvents(eventName: 'PropertyStatusTransition', filterArgs?: [propertyId?: string | null, changer?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyStatusTransitionEventArgs>>>;
+  queryEvents(eventName: 'PropertyStatusUpdated', filterArgs?: [propertyId?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.PropertyStatusUpdatedEventArgs>>>;
+  queryEvents(eventName: 'TokenRegistered', filterArgs?: [propertyId?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.TokenRegisteredEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<PropertyRegistryClient.VersionUpdatedEventArgs>>>;
+  addAuthorizedContract(contractAddress: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  allPropertyIds(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<string>;
+  approveProperty(propertyId: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  authorizedContracts(arg0: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  chainId(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  delistProperty(propertyId: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  freezeProperty(propertyId: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  getAllPropertyIds(overrides?: ethers.CallOverrides): Promise<Array<string>>;
+  getProperty(propertyId: string, overrides?: ethers.CallOverrides): Promise<{ propertyId: string; country: string; metadataURI: string; status: number; exists: boolean; registrationTime: ethers.BigNumber }>;
+  getPropertyCount(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  getPropertyCountByStatus(status: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  getPropertyIdsPaginated(offset: ethers.BigNumberish, limit: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<Array<string>>;
+  'getPropertyStatus(string)'(propertyId: string, overrides?: ethers.CallOverrides): Promise<number>;
+  'getPropertyStatus(uint256)'(propertyId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<number>;
+  getPropertyStatusExtended(propertyId: string, overrides?: ethers.CallOverrides): Promise<{ status: number; exists: boolean }>;
+  initialize(_roleManager: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  isAuthorizedContract(contractAddress: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  isPropertyApproved(propertyId: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  properties(arg0: string, overrides?: ethers.CallOverrides): Promise<{ propertyId: string; country: string; metadataURI: string; status: number; exists: boolean; registrationTime: ethers.BigNumber }>;
+  propertyExists(propertyId: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  propertyTokens(arg0: string, overrides?: ethers.CallOverrides): Promise<string>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  registerProperty(propertyId: string, country: string, metadataURI: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  registerTokenForProperty(propertyId: string, tokenAddress: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  rejectProperty(propertyId: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  removeAuthorizedContract(contractAddress: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  'setPropertyStatus(string,uint8)'(propertyId: string, newStatus: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  'setPropertyStatus(uint256,uint8)'(propertyId: ethers.BigNumberish, newStatus: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  setPropertyToRedemption(propertyId: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  statusCounts(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  unfreezeProperty(propertyId: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+}
+
+declare namespace PropertyRegistryClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface AuthorizedContractUpdatedEventArgs {
+    contractAddress: string;
+    isAuthorized: boolean;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface PropertyApprovedEventArgs {
+    propertyId: ethers.utils.Indexed;
+    approver: string;
+  }
+
+  interface PropertyDelistedEventArgs {
+    propertyId: ethers.utils.Indexed;
+    delister: string;
+  }
+
+  interface PropertyRegisteredEventArgs {
+    propertyId: ethers.utils.Indexed;
+    country: string;
+    metadataURI: string;
+  }
+
+  interface PropertyRegistryInitializedEventArgs {
+    deployer: string;
+    roleManager: string;
+    version: ethers.BigNumber;
+    chainId: ethers.BigNumber;
+  }
+
+  interface PropertyRejectedEventArgs {
+    propertyId: ethers.utils.Indexed;
+    rejecter: string;
+    reason: string;
+  }
+
+  interface PropertyStatusTransitionEventArgs {
+    propertyId: ethers.utils.Indexed;
+    oldStatus: number;
+    newStatus: number;
+    changer: string;
+  }
+
+  interface PropertyStatusUpdatedEventArgs {
+    propertyId: ethers.utils.Indexed;
+    newStatus: number;
+  }
+
+  interface TokenRegisteredEventArgs {
+    propertyId: ethers.utils.Indexed;
+    tokenAddress: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+}
+
+export = PropertyRegistryClient;
@@ -0,0 +1,417 @@
+/**
+ * PropertyRegistry 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * PropertyRegistry 各事件的参数
+ * @typedef {object} PropertyRegistryEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ contractAddress: string, isAuthorized: boolean }} AuthorizedContractUpdated
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ version: number }} Initialized
+ * @property {{ propertyId: ethers.utils.Indexed, approver: string }} PropertyApproved
+ * @property {{ propertyId: ethers.utils.Indexed, delister: string }} PropertyDelisted
+ * @property {{ propertyId: ethers.utils.Indexed, country: string, metadataURI: string }} PropertyRegistered
+ * @property {{ deployer: string, roleManager: string, version: ethers.BigNumber, chainId: ethers.BigNumber }} PropertyRegistryInitialized
+ * @property {{ propertyId: ethers.utils.Indexed, rejecter: string, reason: string }} PropertyRejected
+ * @property {{ propertyId: ethers.utils.Indexed, oldStatus: number, newStatus: number, changer: string }} PropertyStatusTransition
+ * @property {{ propertyId: ethers.utils.Indexed, newStatus: number }} PropertyStatusUpdated
+ * @property {{ propertyId: ethers.utils.Indexed, tokenAddress: string }} TokenRegistered
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ */
+
+/**
+ * PropertyRegistry 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class PropertyRegistryClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.PropertyRegistry, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {PropertyRegistryClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new PropertyRegistryClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof PropertyRegistryEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 发送交易 addAuthorizedContract(address)
+   * @param {string} contractAddress address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  addAuthorizedContract(contractAddress, overrides = {}) {
+    return this.contract['addAuthorizedContract(address)'](contractAddress, overrides);
+  }
+
+  /**
+   * 读取 allPropertyIds(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  allPropertyIds(arg0, overrides = {}) {
+    return this.contract['allPropertyIds(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 approveProperty(string)
+   * @param {string} propertyId string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  approveProperty(propertyId, overrides = {}) {
+    return this.contract['approveProperty(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 authorizedContracts(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  authorizedContracts(arg0, overrides = {}) {
+    return this.contract['authorizedContracts(address)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 chainId()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  chainId(overrides = {}) {
+    return this.contract['chainId()'](overrides);
+  }
+
+  /**
+   * 发送交易 delistProperty(string)
+   * @param {string} propertyId string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  delistProperty(propertyId, overrides = {}) {
+    return this.contract['delistProperty(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 发送交易 freezeProperty(string)
+   * @param {string} propertyId string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  freezeProperty(propertyId, overrides = {}) {
+    return this.contract['freezeProperty(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 getAllPropertyIds()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<string>>}
+   */
+  getAllPropertyIds(overrides = {}) {
+    return this.contract['getAllPropertyIds()'](overrides);
+  }
+
+  /**
+   * 读取 getProperty(string)
+   * @param {string} propertyId string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ propertyId: string, country: string, metadataURI: string, status: number, exists: boolean, registrationTime: ethers.BigNumber }>}
+   */
+  getProperty(propertyId, overrides = {}) {
+    return this.contract['getProperty(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 getPropertyCount()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  getPropertyCount(overrides = {}) {
+    return this.contract['getPropertyCount()'](overrides);
+  }
+
+  /**
+   * 读取 getPropertyCountByStatus(uint8)
+   * @param {ethers.BigNumberish} status uint8，枚举 PropertyRegistry.PropertyStatus
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  getPropertyCountByStatus(status, overrides = {}) {
+    return this.contract['getPropertyCountByStatus(uint8)'](status, overrides);
+  }
+
+  /**
+   * 读取 getPropertyIdsPaginated(uint256,uint256)
+   * @param {ethers.BigNumberish} offset uint256
+   * @param {ethers.BigNumberish} limit uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<string>>}
+   */
+  getPropertyIdsPaginated(offset, limit, overrides = {}) {
+    return this.contract['getPropertyIdsPaginated(uint256,uint256)'](offset, limit, overrides);
+  }
+
+  /**
+   * 读取 getPropertyStatus(string)
+   * @param {string} propertyId string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<number>}
+   */
+  'getPropertyStatus(string)'(propertyId, overrides = {}) {
+    return this.contract['getPropertyStatus(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 getPropertyStatus(uint256)
+   * @param {ethers.BigNumberish} propertyId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<number>}
+   */
+  'getPropertyStatus(uint256)'(propertyId, overrides = {}) {
+    return this.contract['getPropertyStatus(uint256)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 getPropertyStatusExtended(string)
+   * @param {string} propertyId string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ status: number, exists: boolean }>}
+   */
+  getPropertyStatusExtended(propertyId, overrides = {}) {
+    return this.contract['getPropertyStatusExtended(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address)
+   * @param {string} _roleManager address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, overrides = {}) {
+    return this.contract['initialize(address)'](_roleManager, overrides);
+  }
+
+  /**
+   * 读取 isAuthorizedContract(address)
+   * @param {string} contractAddress address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  isAuthorizedContract(contractAddress, overrides = {}) {
+    return this.contract['isAuthorizedContract(address)'](contractAddress, overrides);
+  }
+
+  /**
+   * 读取 isPropertyApproved(string)
+   * @param {string} propertyId string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  isPropertyApproved(propertyId, overrides = {}) {
+    return this.contract['isPropertyApproved(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 properties(string)
+   * @param {string} arg0 string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ propertyId: string, country: string, metadataURI: string, status: number, exists: boolean, registrationTime: ethers.BigNumber }>}
+   */
+  properties(arg0, overrides = {}) {
+    return this.contract['properties(string)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 propertyExists(string)
+   * @param {string} propertyId string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  propertyExists(propertyId, overrides = {}) {
+    return this.contract['propertyExists(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 propertyTokens(string)
+   * @param {string} arg0 string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  propertyTokens(arg0, overrides = {}) {
+    return this.contract['propertyTokens(string)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 发送交易 registerProperty(string,string,string)
+   * @param {string} propertyId string
+   * @param {string} country string
+   * @param {string} metadataURI string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  registerProperty(propertyId, country, metadataURI, overrides = {}) {
+    return this.contract['registerProperty(string,string,string)'](propertyId, country, metadataURI, overrides);
+  }
+
+  /**
+   * 发送交易 registerTokenForProperty(string,address)
+   * @param {string} propertyId string
+   * @param {string} tokenAddress address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  registerTokenForProperty(propertyId, tokenAddress, overrides = {}) {
+    return this.contract['registerTokenForProperty(string,address)'](propertyId, tokenAddress, overrides);
+  }
+
+  /**
+   * 发送交易 rejectProperty(string)
+   * @param {string} propertyId string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  rejectProperty(propertyId, overrides = {}) {
+    return this.contract['rejectProperty(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 发送交易 removeAuthorizedContract(address)
+   * @param {string} contractAddress address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  removeAuthorizedContract(contractAddress, overrides = {}) {
+    return this.contract['removeAuthorizedContract(address)'](contractAddress, overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 发送交易 setPropertyStatus(string,uint8)
+   * @param {string} propertyId string
+   * @param {ethers.BigNumberish} newStatus uint8，枚举 PropertyRegistry.PropertyStatus
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  'setPropertyStatus(string,uint8)'(propertyId, newStatus, overrides = {}) {
+    return this.contract['setPropertyStatus(string,uint8)'](propertyId, newStatus, overrides);
+  }
+
+  /**
+   * 发送交易 setPropertyStatus(uint256,uint8)
+   * @param {ethers.BigNumberish} propertyId uint256
+   * @param {ethers.BigNumberish} newStatus uint8，枚举 PropertyRegistry.PropertyStatus
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  'setPropertyStatus(uint256,uint8)'(propertyId, newStatus, overrides = {}) {
+    return this.contract['setPropertyStatus(uint256,uint8)'](propertyId, newStatus, overrides);
+  }
+
+  /**
+   * 发送交易 setPropertyToRedemption(string)
+   * @param {string} propertyId string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setPropertyToRedemption(propertyId, overrides = {}) {
+    return this.contract['setPropertyToRedemption(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 statusCounts(uint8)
+   * @param {ethers.BigNumberish} arg0 uint8，枚举 PropertyRegistry.PropertyStatus
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  statusCounts(arg0, overrides = {}) {
+    return this.contract['statusCounts(uint8)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 unfreezeProperty(string)
+   * @param {string} propertyId string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  unfreezeProperty(propertyId, overrides = {}) {
+    return this.contract['unfreezeProperty(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+}
+
+module.exports = PropertyRegistryClient;
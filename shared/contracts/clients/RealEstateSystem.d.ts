@@ -0,0 +1,97 @@
+/**
+ * RealEstateSystem 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class RealEstateSystemClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): RealEstateSystemClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'ContractUpgraded', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.ContractUpgradedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'Paused', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.PausedEventArgs>>>;
+  queryEvents(eventName: 'RealEstateSystemInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.RealEstateSystemInitializedEventArgs>>>;
+  queryEvents(eventName: 'SystemStatusChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.SystemStatusChangedEventArgs>>>;
+  queryEvents(eventName: 'Unpaused', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.UnpausedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateSystemClient.UpgradedEventArgs>>>;
+  chainId(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  emergencyPause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  emergencyUnpause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  feeManager(overrides?: ethers.CallOverrides): Promise<string>;
+  getSystemContracts(overrides?: ethers.CallOverrides): Promise<Array<string>>;
+  initialize(_roleManager: string, _feeManager: string, _propertyRegistry: string, _tokenFactory: string, _redemptionManager: string, _rentDistributor: string, _marketplace: string, _tokenHolderQuery: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  marketplace(overrides?: ethers.CallOverrides): Promise<string>;
+  pause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  paused(overrides?: ethers.CallOverrides): Promise<boolean>;
+  propertyRegistry(overrides?: ethers.CallOverrides): Promise<string>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  redemptionManager(overrides?: ethers.CallOverrides): Promise<string>;
+  rentDistributor(overrides?: ethers.CallOverrides): Promise<string>;
+  rentDistributorAddress(overrides?: ethers.CallOverrides): Promise<string>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  setSystemStatus(_active: boolean, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  systemActive(overrides?: ethers.CallOverrides): Promise<boolean>;
+  tokenFactory(overrides?: ethers.CallOverrides): Promise<string>;
+  tokenHolderQuery(overrides?: ethers.CallOverrides): Promise<string>;
+  unpause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeContract(contractName: string, newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+}
+
+declare namespace RealEstateSystemClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface ContractUpgradedEventArgs {
+    contractName: string;
+    newImplementation: string;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface PausedEventArgs {
+    account: string;
+  }
+
+  interface RealEstateSystemInitializedEventArgs {
+    systemOwner: string;
+    roleManager: string;
+    propertyRegistry: string;
+    tokenFactory: string;
+    marketplace: string;
+    redemptionManager: string;
+    rentDistributor: string;
+    chainId: ethers.BigNumber;
+    version: ethers.BigNumber;
+  }
+
+  interface SystemStatusChangedEventArgs {
+    active: boolean;
+  }
+
+  interface UnpausedEventArgs {
+    account: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+}
+
+export = RealEstateSystemClient;
@@ -0,0 +1,291 @@
+/**
+ * RealEstateSystem 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * RealEstateSystem 各事件的参数
+ * @typedef {object} RealEstateSystemEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ contractName: string, newImplementation: string }} ContractUpgraded
+ * @property {{ version: number }} Initialized
+ * @property {{ account: string }} Paused
+ * @property {{ systemOwner: string, roleManager: string, propertyRegistry: string, tokenFactory: string, marketplace: string, redemptionManager: string, rentDistributor: string, chainId: ethers.BigNumber, version: ethers.BigNumber }} RealEstateSystemInitialized
+ * @property {{ active: boolean }} SystemStatusChanged
+ * @property {{ account: string }} Unpaused
+ * @property {{ implementation: string }} Upgraded
+ */
+
+/**
+ * RealEstateSystem 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class RealEstateSystemClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.RealEstateSystem, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {RealEstateSystemClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new RealEstateSystemClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof RealEstateSystemEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 读取 chainId()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  chainId(overrides = {}) {
+    return this.contract['chainId()'](overrides);
+  }
+
+  /**
+   * 发送交易 emergencyPause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  emergencyPause(overrides = {}) {
+    return this.contract['emergencyPause()'](overrides);
+  }
+
+  /**
+   * 发送交易 emergencyUnpause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  emergencyUnpause(overrides = {}) {
+    return this.contract['emergencyUnpause()'](overrides);
+  }
+
+  /**
+   * 读取 feeManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  feeManager(overrides = {}) {
+    return this.contract['feeManager()'](overrides);
+  }
+
+  /**
+   * 读取 getSystemContracts()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<string>>}
+   */
+  getSystemContracts(overrides = {}) {
+    return this.contract['getSystemContracts()'](overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address,address,address,address,address,address,address,address)
+   * @param {string} _roleManager address
+   * @param {string} _feeManager address
+   * @param {string} _propertyRegistry address
+   * @param {string} _tokenFactory address
+   * @param {string} _redemptionManager address
+   * @param {string} _rentDistributor address
+   * @param {string} _marketplace address
+   * @param {string} _tokenHolderQuery address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, _feeManager, _propertyRegistry, _tokenFactory, _redemptionManager, _rentDistributor, _marketplace, _tokenHolderQuery, overrides = {}) {
+    return this.contract['initialize(address,address,address,address,address,address,address,address)'](_roleManager, _feeManager, _propertyRegistry, _tokenFactory, _redemptionManager, _rentDistributor, _marketplace, _tokenHolderQuery, overrides);
+  }
+
+  /**
+   * 读取 marketplace()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  marketplace(overrides = {}) {
+    return this.contract['marketplace()'](overrides);
+  }
+
+  /**
+   * 发送交易 pause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  pause(overrides = {}) {
+    return this.contract['pause()'](overrides);
+  }
+
+  /**
+   * 读取 paused()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  paused(overrides = {}) {
+    return this.contract['paused()'](overrides);
+  }
+
+  /**
+   * 读取 propertyRegistry()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  propertyRegistry(overrides = {}) {
+    return this.contract['propertyRegistry()'](overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 读取 redemptionManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  redemptionManager(overrides = {}) {
+    return this.contract['redemptionManager()'](overrides);
+  }
+
+  /**
+   * 读取 rentDistributor()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  rentDistributor(overrides = {}) {
+    return this.contract['rentDistributor()'](overrides);
+  }
+
+  /**
+   * 读取 rentDistributorAddress()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  rentDistributorAddress(overrides = {}) {
+    return this.contract['rentDistributorAddress()'](overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 发送交易 setSystemStatus(bool)
+   * @param {boolean} _active bool
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setSystemStatus(_active, overrides = {}) {
+    return this.contract['setSystemStatus(bool)'](_active, overrides);
+  }
+
+  /**
+   * 读取 systemActive()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  systemActive(overrides = {}) {
+    return this.contract['systemActive()'](overrides);
+  }
+
+  /**
+   * 读取 tokenFactory()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  tokenFactory(overrides = {}) {
+    return this.contract['tokenFactory()'](overrides);
+  }
+
+  /**
+   * 读取 tokenHolderQuery()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  tokenHolderQuery(overrides = {}) {
+    return this.contract['tokenHolderQuery()'](overrides);
+  }
+
+  /**
+   * 发送交易 unpause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  unpause(overrides = {}) {
+    return this.contract['unpause()'](overrides);
+  }
+
+  /**
+   * 发送交易 upgradeContract(string,address)
+   * @param {string} contractName string
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeContract(contractName, newImplementation, overrides = {}) {
+    return this.contract['upgradeContract(string,address)'](contractName, newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+}
+
+module.exports = RealEstateSystemClient;
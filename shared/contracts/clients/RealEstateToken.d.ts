@@ -0,0 +1,209 @@
+/**
+ * RealEstateToken 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class RealEstateTokenClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): RealEstateTokenClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'Approval', filterArgs?: [owner?: string | null, spender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.ApprovalEventArgs>>>;
+  queryEvents(eventName: 'BatchTransferCompleted', filterArgs?: [sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.BatchTransferCompletedEventArgs>>>;
+  queryEvents(eventName: 'BatchTransferFailures', filterArgs?: [sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.BatchTransferFailuresEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'MaxSupplyUpdated', filterArgs?: [oldMaxSupply?: ethers.BigNumberish | null, newMaxSupply?: ethers.BigNumberish | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.MaxSupplyUpdatedEventArgs>>>;
+  queryEvents(eventName: 'Paused', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.PausedEventArgs>>>;
+  queryEvents(eventName: 'RoleAdminChanged', filterArgs?: [role?: ethers.BytesLike | null, previousAdminRole?: ethers.BytesLike | null, newAdminRole?: ethers.BytesLike | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.RoleAdminChangedEventArgs>>>;
+  queryEvents(eventName: 'RoleGranted', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.RoleGrantedEventArgs>>>;
+  queryEvents(eventName: 'RoleRevoked', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.RoleRevokedEventArgs>>>;
+  queryEvents(eventName: 'Snapshot', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.SnapshotEventArgs>>>;
+  queryEvents(eventName: 'TokenFrozen', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.TokenFrozenEventArgs>>>;
+  queryEvents(eventName: 'TokenInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.TokenInitializedEventArgs>>>;
+  queryEvents(eventName: 'TokenUnfrozen', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.TokenUnfrozenEventArgs>>>;
+  queryEvents(eventName: 'Transfer', filterArgs?: [from?: string | null, to?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.TransferEventArgs>>>;
+  queryEvents(eventName: 'TransferRestrictionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.TransferRestrictionUpdatedEventArgs>>>;
+  queryEvents(eventName: 'Unpaused', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.UnpausedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.VersionUpdatedEventArgs>>>;
+  queryEvents(eventName: 'WhitelistBatchUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.WhitelistBatchUpdatedEventArgs>>>;
+  queryEvents(eventName: 'WhitelistEnabledUpdated', filterArgs?: [enabled?: boolean | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.WhitelistEnabledUpdatedEventArgs>>>;
+  queryEvents(eventName: 'WhitelistUpdated', filterArgs?: [user?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RealEstateTokenClient.WhitelistUpdatedEventArgs>>>;
+  addToWhitelist(_user: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  allowance(owner: string, spender: string, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  approve(spender: string, amount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  availableSupply(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  balanceOf(account: string, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  balanceOfAt(account: string, snapshotId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  batchAddToWhitelist(_users: Array<string>, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  batchRemoveFromWhitelist(_users: Array<string>, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  batchTransfer(recipients: Array<string>, amounts: Array<ethers.BigNumberish>, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  burn(amount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  decimals(overrides?: ethers.CallOverrides): Promise<number>;
+  decreaseAllowance(spender: string, subtractedValue: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  DEFAULT_ADMIN_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  getRoleAdmin(role: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<string>;
+  grantRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  hasRole(role: ethers.BytesLike, account: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  increaseAllowance(spender: string, addedValue: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  initialize(_propertyId: string, _name: string, _symbol: string, _admin: string, _propertyRegistry: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  isWhitelisted(account: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  maxSupply(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  mint(to: string, amount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  MINTER_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  name(overrides?: ethers.CallOverrides): Promise<string>;
+  notifyPropertyStatusChange(newStatus: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  pause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  paused(overrides?: ethers.CallOverrides): Promise<boolean>;
+  PAUSER_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  PROPERTY_STATUS_CHECKER_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  propertyId(overrides?: ethers.CallOverrides): Promise<string>;
+  propertyRegistry(overrides?: ethers.CallOverrides): Promise<string>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  removeFromWhitelist(_user: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  renounceRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  revokeRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  setMaxSupply(_maxSupply: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  setTransferRestriction(_restricted: boolean, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  setWhitelistEnabled(_enabled: boolean, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  SNAPSHOT_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  snapshot(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  SUPER_ADMIN_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  supportsInterface(interfaceId: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<boolean>;
+  symbol(overrides?: ethers.CallOverrides): Promise<string>;
+  totalSupply(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  totalSupplyAt(snapshotId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  transfer(to: string, amount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  transferFrom(from: string, to: string, amount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  transferRestricted(overrides?: ethers.CallOverrides): Promise<boolean>;
+  unpause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  whitelist(arg0: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  whitelistEnabled(overrides?: ethers.CallOverrides): Promise<boolean>;
+}
+
+declare namespace RealEstateTokenClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface ApprovalEventArgs {
+    owner: string;
+    spender: string;
+    value: ethers.BigNumber;
+  }
+
+  interface BatchTransferCompletedEventArgs {
+    sender: string;
+    successCount: ethers.BigNumber;
+    failureCount: ethers.BigNumber;
+  }
+
+  interface BatchTransferFailuresEventArgs {
+    sender: string;
+    recipients: Array<string>;
+    amounts: Array<ethers.BigNumber>;
+    reasons: Array<string>;
+    failureCount: ethers.BigNumber;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface MaxSupplyUpdatedEventArgs {
+    oldMaxSupply: ethers.BigNumber;
+    newMaxSupply: ethers.BigNumber;
+  }
+
+  interface PausedEventArgs {
+    account: string;
+  }
+
+  interface RoleAdminChangedEventArgs {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+
+  interface RoleGrantedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface RoleRevokedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface SnapshotEventArgs {
+    id: ethers.BigNumber;
+  }
+
+  interface TokenFrozenEventArgs {
+    propertyId: string;
+  }
+
+  interface TokenInitializedEventArgs {
+    propertyId: string;
+    admin: string;
+    version: ethers.BigNumber;
+  }
+
+  interface TokenUnfrozenEventArgs {
+    propertyId: string;
+  }
+
+  interface TransferEventArgs {
+    from: string;
+    to: string;
+    value: ethers.BigNumber;
+  }
+
+  interface TransferRestrictionUpdatedEventArgs {
+    restricted: boolean;
+  }
+
+  interface UnpausedEventArgs {
+    account: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+
+  interface WhitelistBatchUpdatedEventArgs {
+    count: ethers.BigNumber;
+    status: boolean;
+  }
+
+  interface WhitelistEnabledUpdatedEventArgs {
+    enabled: boolean;
+  }
+
+  interface WhitelistUpdatedEventArgs {
+    user: string;
+    status: boolean;
+  }
+}
+
+export = RealEstateTokenClient;
@@ -0,0 +1,602 @@
+/**
+ * RealEstateToken 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * RealEstateToken 各事件的参数
+ * @typedef {object} RealEstateTokenEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ owner: string, spender: string, value: ethers.BigNumber }} Approval
+ * @property {{ sender: string, successCount: ethers.BigNumber, failureCount: ethers.BigNumber }} BatchTransferCompleted
+ * @property {{ sender: string, recipients: Array<string>, amounts: Array<ethers.BigNumber>, reasons: Array<string>, failureCount: ethers.BigNumber }} BatchTransferFailures
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ version: number }} Initialized
+ * @property {{ oldMaxSupply: ethers.BigNumber, newMaxSupply: ethers.BigNumber }} MaxSupplyUpdated
+ * @property {{ account: string }} Paused
+ * @property {{ role: string, previousAdminRole: string, newAdminRole: string }} RoleAdminChanged
+ * @property {{ role: string, account: string, sender: string }} RoleGranted
+ * @property {{ role: string, account: string, sender: string }} RoleRevoked
+ * @property {{ id: ethers.BigNumber }} Snapshot
+ * @property {{ propertyId: string }} TokenFrozen
+ * @property {{ propertyId: string, admin: string, version: ethers.BigNumber }} TokenInitialized
+ * @property {{ propertyId: string }} TokenUnfrozen
+ * @property {{ from: string, to: string, value: ethers.BigNumber }} Transfer
+ * @property {{ restricted: boolean }} TransferRestrictionUpdated
+ * @property {{ account: string }} Unpaused
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ * @property {{ count: ethers.BigNumber, status: boolean }} WhitelistBatchUpdated
+ * @property {{ enabled: boolean }} WhitelistEnabledUpdated
+ * @property {{ user: string, status: boolean }} WhitelistUpdated
+ */
+
+/**
+ * RealEstateToken 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class RealEstateTokenClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.RealEstateToken, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {RealEstateTokenClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new RealEstateTokenClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof RealEstateTokenEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 发送交易 addToWhitelist(address)
+   * @param {string} _user address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  addToWhitelist(_user, overrides = {}) {
+    return this.contract['addToWhitelist(address)'](_user, overrides);
+  }
+
+  /**
+   * 读取 allowance(address,address)
+   * @param {string} owner address
+   * @param {string} spender address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  allowance(owner, spender, overrides = {}) {
+    return this.contract['allowance(address,address)'](owner, spender, overrides);
+  }
+
+  /**
+   * 发送交易 approve(address,uint256)
+   * @param {string} spender address
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  approve(spender, amount, overrides = {}) {
+    return this.contract['approve(address,uint256)'](spender, amount, overrides);
+  }
+
+  /**
+   * 读取 availableSupply()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  availableSupply(overrides = {}) {
+    return this.contract['availableSupply()'](overrides);
+  }
+
+  /**
+   * 读取 balanceOf(address)
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  balanceOf(account, overrides = {}) {
+    return this.contract['balanceOf(address)'](account, overrides);
+  }
+
+  /**
+   * 读取 balanceOfAt(address,uint256)
+   * @param {string} account address
+   * @param {ethers.BigNumberish} snapshotId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  balanceOfAt(account, snapshotId, overrides = {}) {
+    return this.contract['balanceOfAt(address,uint256)'](account, snapshotId, overrides);
+  }
+
+  /**
+   * 发送交易 batchAddToWhitelist(address[])
+   * @param {Array<string>} _users address[]
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  batchAddToWhitelist(_users, overrides = {}) {
+    return this.contract['batchAddToWhitelist(address[])'](_users, overrides);
+  }
+
+  /**
+   * 发送交易 batchRemoveFromWhitelist(address[])
+   * @param {Array<string>} _users address[]
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  batchRemoveFromWhitelist(_users, overrides = {}) {
+    return this.contract['batchRemoveFromWhitelist(address[])'](_users, overrides);
+  }
+
+  /**
+   * 发送交易 batchTransfer(address[],uint256[])
+   * @param {Array<string>} recipients address[]
+   * @param {Array<ethers.BigNumberish>} amounts uint256[]
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  batchTransfer(recipients, amounts, overrides = {}) {
+    return this.contract['batchTransfer(address[],uint256[])'](recipients, amounts, overrides);
+  }
+
+  /**
+   * 发送交易 burn(uint256)
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  burn(amount, overrides = {}) {
+    return this.contract['burn(uint256)'](amount, overrides);
+  }
+
+  /**
+   * 读取 decimals()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<number>}
+   */
+  decimals(overrides = {}) {
+    return this.contract['decimals()'](overrides);
+  }
+
+  /**
+   * 发送交易 decreaseAllowance(address,uint256)
+   * @param {string} spender address
+   * @param {ethers.BigNumberish} subtractedValue uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  decreaseAllowance(spender, subtractedValue, overrides = {}) {
+    return this.contract['decreaseAllowance(address,uint256)'](spender, subtractedValue, overrides);
+  }
+
+  /**
+   * 读取 DEFAULT_ADMIN_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  DEFAULT_ADMIN_ROLE(overrides = {}) {
+    return this.contract['DEFAULT_ADMIN_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 getRoleAdmin(bytes32)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  getRoleAdmin(role, overrides = {}) {
+    return this.contract['getRoleAdmin(bytes32)'](role, overrides);
+  }
+
+  /**
+   * 发送交易 grantRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  grantRole(role, account, overrides = {}) {
+    return this.contract['grantRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 hasRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  hasRole(role, account, overrides = {}) {
+    return this.contract['hasRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 increaseAllowance(address,uint256)
+   * @param {string} spender address
+   * @param {ethers.BigNumberish} addedValue uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  increaseAllowance(spender, addedValue, overrides = {}) {
+    return this.contract['increaseAllowance(address,uint256)'](spender, addedValue, overrides);
+  }
+
+  /**
+   * 发送交易 initialize(string,string,string,address,address)
+   * @param {string} _propertyId string
+   * @param {string} _name string
+   * @param {string} _symbol string
+   * @param {string} _admin address
+   * @param {string} _propertyRegistry address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_propertyId, _name, _symbol, _admin, _propertyRegistry, overrides = {}) {
+    return this.contract['initialize(string,string,string,address,address)'](_propertyId, _name, _symbol, _admin, _propertyRegistry, overrides);
+  }
+
+  /**
+   * 读取 isWhitelisted(address)
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  isWhitelisted(account, overrides = {}) {
+    return this.contract['isWhitelisted(address)'](account, overrides);
+  }
+
+  /**
+   * 读取 maxSupply()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  maxSupply(overrides = {}) {
+    return this.contract['maxSupply()'](overrides);
+  }
+
+  /**
+   * 发送交易 mint(address,uint256)
+   * @param {string} to address
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  mint(to, amount, overrides = {}) {
+    return this.contract['mint(address,uint256)'](to, amount, overrides);
+  }
+
+  /**
+   * 读取 MINTER_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  MINTER_ROLE(overrides = {}) {
+    return this.contract['MINTER_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 name()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  name(overrides = {}) {
+    return this.contract['name()'](overrides);
+  }
+
+  /**
+   * 发送交易 notifyPropertyStatusChange(uint8)
+   * @param {ethers.BigNumberish} newStatus uint8，枚举 PropertyRegistry.PropertyStatus
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  notifyPropertyStatusChange(newStatus, overrides = {}) {
+    return this.contract['notifyPropertyStatusChange(uint8)'](newStatus, overrides);
+  }
+
+  /**
+   * 发送交易 pause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  pause(overrides = {}) {
+    return this.contract['pause()'](overrides);
+  }
+
+  /**
+   * 读取 paused()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  paused(overrides = {}) {
+    return this.contract['paused()'](overrides);
+  }
+
+  /**
+   * 读取 PAUSER_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  PAUSER_ROLE(overrides = {}) {
+    return this.contract['PAUSER_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 PROPERTY_STATUS_CHECKER_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  PROPERTY_STATUS_CHECKER_ROLE(overrides = {}) {
+    return this.contract['PROPERTY_STATUS_CHECKER_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 propertyId()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  propertyId(overrides = {}) {
+    return this.contract['propertyId()'](overrides);
+  }
+
+  /**
+   * 读取 propertyRegistry()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  propertyRegistry(overrides = {}) {
+    return this.contract['propertyRegistry()'](overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 发送交易 removeFromWhitelist(address)
+   * @param {string} _user address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  removeFromWhitelist(_user, overrides = {}) {
+    return this.contract['removeFromWhitelist(address)'](_user, overrides);
+  }
+
+  /**
+   * 发送交易 renounceRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  renounceRole(role, account, overrides = {}) {
+    return this.contract['renounceRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 revokeRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  revokeRole(role, account, overrides = {}) {
+    return this.contract['revokeRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 setMaxSupply(uint256)
+   * @param {ethers.BigNumberish} _maxSupply uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setMaxSupply(_maxSupply, overrides = {}) {
+    return this.contract['setMaxSupply(uint256)'](_maxSupply, overrides);
+  }
+
+  /**
+   * 发送交易 setTransferRestriction(bool)
+   * @param {boolean} _restricted bool
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setTransferRestriction(_restricted, overrides = {}) {
+    return this.contract['setTransferRestriction(bool)'](_restricted, overrides);
+  }
+
+  /**
+   * 发送交易 setWhitelistEnabled(bool)
+   * @param {boolean} _enabled bool
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setWhitelistEnabled(_enabled, overrides = {}) {
+    return this.contract['setWhitelistEnabled(bool)'](_enabled, overrides);
+  }
+
+  /**
+   * 读取 SNAPSHOT_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  SNAPSHOT_ROLE(overrides = {}) {
+    return this.contract['SNAPSHOT_ROLE()'](overrides);
+  }
+
+  /**
+   * 发送交易 snapshot()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  snapshot(overrides = {}) {
+    return this.contract['snapshot()'](overrides);
+  }
+
+  /**
+   * 读取 SUPER_ADMIN_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  SUPER_ADMIN_ROLE(overrides = {}) {
+    return this.contract['SUPER_ADMIN_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 supportsInterface(bytes4)
+   * @param {ethers.BytesLike} interfaceId bytes4
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportsInterface(interfaceId, overrides = {}) {
+    return this.contract['supportsInterface(bytes4)'](interfaceId, overrides);
+  }
+
+  /**
+   * 读取 symbol()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  symbol(overrides = {}) {
+    return this.contract['symbol()'](overrides);
+  }
+
+  /**
+   * 读取 totalSupply()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  totalSupply(overrides = {}) {
+    return this.contract['totalSupply()'](overrides);
+  }
+
+  /**
+   * 读取 totalSupplyAt(uint256)
+   * @param {ethers.BigNumberish} snapshotId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  totalSupplyAt(snapshotId, overrides = {}) {
+    return this.contract['totalSupplyAt(uint256)'](snapshotId, overrides);
+  }
+
+  /**
+   * 发送交易 transfer(address,uint256)
+   * @param {string} to address
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  transfer(to, amount, overrides = {}) {
+    return this.contract['transfer(address,uint256)'](to, amount, overrides);
+  }
+
+  /**
+   * 发送交易 transferFrom(address,address,uint256)
+   * @param {string} from address
+   * @param {string} to address
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  transferFrom(from, to, amount, overrides = {}) {
+    return this.contract['transferFrom(address,address,uint256)'](from, to, amount, overrides);
+  }
+
+  /**
+   * 读取 transferRestricted()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  transferRestricted(overrides = {}) {
+    return this.contract['transferRestricted()'](overrides);
+  }
+
+  /**
+   * 发送交易 unpause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  unpause(overrides = {}) {
+    return this.contract['unpause()'](overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+
+  /**
+   * 读取 whitelist(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  whitelist(arg0, overrides = {}) {
+    return this.contract['whitelist(address)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 whitelistEnabled()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  whitelistEnabled(overrides = {}) {
+    return this.contract['whitelistEnabled()'](overrides);
+  }
+}
+
+module.exports = RealEstateTokenClient;
@@ -0,0 +1,124 @@
+/**
+ * RedemptionManager 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class RedemptionManagerClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): RedemptionManagerClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionApproved', filterArgs?: [requestId?: ethers.BigNumberish | null, approver?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionApprovedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionCancelled', filterArgs?: [requestId?: ethers.BigNumberish | null, canceller?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionCancelledEventArgs>>>;
+  queryEvents(eventName: 'RedemptionCompleted', filterArgs?: [requestId?: ethers.BigNumberish | null, completer?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionCompletedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionFeeCollected', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionFeeCollectedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionManagerInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionManagerInitializedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionPeriodUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionPeriodUpdatedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionRejected', filterArgs?: [requestId?: ethers.BigNumberish | null, rejecter?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionRejectedEventArgs>>>;
+  queryEvents(eventName: 'RedemptionRequested', filterArgs?: [requestId?: ethers.BigNumberish | null, requester?: string | null, propertyId?: ethers.BigNumberish | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.RedemptionRequestedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RedemptionManagerClient.VersionUpdatedEventArgs>>>;
+  addSupportedStablecoin(_stablecoin: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  approveRedemption(requestId: ethers.BigNumberish, stablecoinAmount: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  cancelRedemption(requestId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  completeRedemption(requestId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  feeManager(overrides?: ethers.CallOverrides): Promise<string>;
+  initialize(_roleManager: string, _feeManager: string, _propertyRegistry: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  propertyRegistry(overrides?: ethers.CallOverrides): Promise<string>;
+  propertyRequests(arg0: ethers.BigNumberish, arg1: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  redemptionPeriod(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  redemptionRequests(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ requestId: ethers.BigNumber; propertyId: ethers.BigNumber; requester: string; tokenAddress: string; tokenAmount: ethers.BigNumber; stablecoinAddress: string; requestTime: ethers.BigNumber; approvalTime: ethers.BigNumber; completionTime: ethers.BigNumber; stablecoinAmount: ethers.BigNumber; status: number; rejectReason: string }>;
+  rejectRedemption(requestId: ethers.BigNumberish, reason: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  removeSupportedStablecoin(_stablecoin: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  requestCount(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  requestRedemption(propertyId: ethers.BigNumberish, tokenAddress: string, tokenAmount: ethers.BigNumberish, stablecoinAddress: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  setRedemptionPeriod(_period: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  supportedStablecoins(arg0: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  userRequests(arg0: string, arg1: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+}
+
+declare namespace RedemptionManagerClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface RedemptionApprovedEventArgs {
+    requestId: ethers.BigNumber;
+    approver: string;
+    stablecoinAmount: ethers.BigNumber;
+  }
+
+  interface RedemptionCancelledEventArgs {
+    requestId: ethers.BigNumber;
+    canceller: string;
+  }
+
+  interface RedemptionCompletedEventArgs {
+    requestId: ethers.BigNumber;
+    completer: string;
+  }
+
+  interface RedemptionFeeCollectedEventArgs {
+    requestId: ethers.BigNumber;
+    feeAmount: ethers.BigNumber;
+    feeToken: string;
+  }
+
+  interface RedemptionManagerInitializedEventArgs {
+    deployer: string;
+    roleManager: string;
+    feeManager: string;
+    propertyRegistry: string;
+    version: ethers.BigNumber;
+  }
+
+  interface RedemptionPeriodUpdatedEventArgs {
+    oldPeriod: ethers.BigNumber;
+    newPeriod: ethers.BigNumber;
+  }
+
+  interface RedemptionRejectedEventArgs {
+    requestId: ethers.BigNumber;
+    rejecter: string;
+    reason: string;
+  }
+
+  interface RedemptionRequestedEventArgs {
+    requestId: ethers.BigNumber;
+    requester: string;
+    propertyId: ethers.BigNumber;
+    tokenAddress: string;
+    tokenAmount: ethers.BigNumber;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+}
+
+export = RedemptionManagerClient;
@@ -0,0 +1,288 @@
+/**
+ * RedemptionManager 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * RedemptionManager 各事件的参数
+ * @typedef {object} RedemptionManagerEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ version: number }} Initialized
+ * @property {{ requestId: ethers.BigNumber, approver: string, stablecoinAmount: ethers.BigNumber }} RedemptionApproved
+ * @property {{ requestId: ethers.BigNumber, canceller: string }} RedemptionCancelled
+ * @property {{ requestId: ethers.BigNumber, completer: string }} RedemptionCompleted
+ * @property {{ requestId: ethers.BigNumber, feeAmount: ethers.BigNumber, feeToken: string }} RedemptionFeeCollected
+ * @property {{ deployer: string, roleManager: string, feeManager: string, propertyRegistry: string, version: ethers.BigNumber }} RedemptionManagerInitialized
+ * @property {{ oldPeriod: ethers.BigNumber, newPeriod: ethers.BigNumber }} RedemptionPeriodUpdated
+ * @property {{ requestId: ethers.BigNumber, rejecter: string, reason: string }} RedemptionRejected
+ * @property {{ requestId: ethers.BigNumber, requester: string, propertyId: ethers.BigNumber, tokenAddress: string, tokenAmount: ethers.BigNumber }} RedemptionRequested
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ */
+
+/**
+ * RedemptionManager 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class RedemptionManagerClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.RedemptionManager, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {RedemptionManagerClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new RedemptionManagerClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof RedemptionManagerEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 发送交易 addSupportedStablecoin(address)
+   * @param {string} _stablecoin address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  addSupportedStablecoin(_stablecoin, overrides = {}) {
+    return this.contract['addSupportedStablecoin(address)'](_stablecoin, overrides);
+  }
+
+  /**
+   * 发送交易 approveRedemption(uint256,uint256)
+   * @param {ethers.BigNumberish} requestId uint256
+   * @param {ethers.BigNumberish} stablecoinAmount uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  approveRedemption(requestId, stablecoinAmount, overrides = {}) {
+    return this.contract['approveRedemption(uint256,uint256)'](requestId, stablecoinAmount, overrides);
+  }
+
+  /**
+   * 发送交易 cancelRedemption(uint256)
+   * @param {ethers.BigNumberish} requestId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  cancelRedemption(requestId, overrides = {}) {
+    return this.contract['cancelRedemption(uint256)'](requestId, overrides);
+  }
+
+  /**
+   * 发送交易 completeRedemption(uint256)
+   * @param {ethers.BigNumberish} requestId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  completeRedemption(requestId, overrides = {}) {
+    return this.contract['completeRedemption(uint256)'](requestId, overrides);
+  }
+
+  /**
+   * 读取 feeManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  feeManager(overrides = {}) {
+    return this.contract['feeManager()'](overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address,address,address)
+   * @param {string} _roleManager address
+   * @param {string} _feeManager address
+   * @param {string} _propertyRegistry address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, _feeManager, _propertyRegistry, overrides = {}) {
+    return this.contract['initialize(address,address,address)'](_roleManager, _feeManager, _propertyRegistry, overrides);
+  }
+
+  /**
+   * 读取 propertyRegistry()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  propertyRegistry(overrides = {}) {
+    return this.contract['propertyRegistry()'](overrides);
+  }
+
+  /**
+   * 读取 propertyRequests(uint256,uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.BigNumberish} arg1 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  propertyRequests(arg0, arg1, overrides = {}) {
+    return this.contract['propertyRequests(uint256,uint256)'](arg0, arg1, overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 读取 redemptionPeriod()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  redemptionPeriod(overrides = {}) {
+    return this.contract['redemptionPeriod()'](overrides);
+  }
+
+  /**
+   * 读取 redemptionRequests(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ requestId: ethers.BigNumber, propertyId: ethers.BigNumber, requester: string, tokenAddress: string, tokenAmount: ethers.BigNumber, stablecoinAddress: string, requestTime: ethers.BigNumber, approvalTime: ethers.BigNumber, completionTime: ethers.BigNumber, stablecoinAmount: ethers.BigNumber, status: number, rejectReason: string }>}
+   */
+  redemptionRequests(arg0, overrides = {}) {
+    return this.contract['redemptionRequests(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 rejectRedemption(uint256,string)
+   * @param {ethers.BigNumberish} requestId uint256
+   * @param {string} reason string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  rejectRedemption(requestId, reason, overrides = {}) {
+    return this.contract['rejectRedemption(uint256,string)'](requestId, reason, overrides);
+  }
+
+  /**
+   * 发送交易 removeSupportedStablecoin(address)
+   * @param {string} _stablecoin address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  removeSupportedStablecoin(_stablecoin, overrides = {}) {
+    return this.contract['removeSupportedStablecoin(address)'](_stablecoin, overrides);
+  }
+
+  /**
+   * 读取 requestCount()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  requestCount(overrides = {}) {
+    return this.contract['requestCount()'](overrides);
+  }
+
+  /**
+   * 发送交易 requestRedemption(uint256,address,uint256,address)
+   * @param {ethers.BigNumberish} propertyId uint256
+   * @param {string} tokenAddress address
+   * @param {ethers.BigNumberish} tokenAmount uint256
+   * @param {string} stablecoinAddress address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  requestRedemption(propertyId, tokenAddress, tokenAmount, stablecoinAddress, overrides = {}) {
+    return this.contract['requestRedemption(uint256,address,uint256,address)'](propertyId, tokenAddress, tokenAmount, stablecoinAddress, overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 发送交易 setRedemptionPeriod(uint256)
+   * @param {ethers.BigNumberish} _period uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setRedemptionPeriod(_period, overrides = {}) {
+    return this.contract['setRedemptionPeriod(uint256)'](_period, overrides);
+  }
+
+  /**
+   * 读取 supportedStablecoins(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportedStablecoins(arg0, overrides = {}) {
+    return this.contract['supportedStablecoins(address)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 userRequests(address,uint256)
+   * @param {string} arg0 address
+   * @param {ethers.BigNumberish} arg1 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  userRequests(arg0, arg1, overrides = {}) {
+    return this.contract['userRequests(address,uint256)'](arg0, arg1, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+}
+
+module.exports = RedemptionManagerClient;
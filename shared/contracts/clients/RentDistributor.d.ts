@@ -0,0 +1,152 @@
+/**
+ * RentDistributor 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class RentDistributorClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): RentDistributorClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'AllUnclaimedLiquidated', filterArgs?: [recipient?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.AllUnclaimedLiquidatedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'DistributionUnclaimedMarked', filterArgs?: [distributionId?: ethers.BigNumberish | null, stablecoin?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.DistributionUnclaimedMarkedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'LiquidationFailed', filterArgs?: [stablecoin?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.LiquidationFailedEventArgs>>>;
+  queryEvents(eventName: 'Paused', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.PausedEventArgs>>>;
+  queryEvents(eventName: 'RentClaimed', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.RentClaimedEventArgs>>>;
+  queryEvents(eventName: 'RentDistributorInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.RentDistributorInitializedEventArgs>>>;
+  queryEvents(eventName: 'RentProcessed', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.RentProcessedEventArgs>>>;
+  queryEvents(eventName: 'RentReceived', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.RentReceivedEventArgs>>>;
+  queryEvents(eventName: 'StablecoinStatusUpdated', filterArgs?: [token?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.StablecoinStatusUpdatedEventArgs>>>;
+  queryEvents(eventName: 'UnclaimedRentLiquidated', filterArgs?: [recipient?: string | null, stablecoin?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.UnclaimedRentLiquidatedEventArgs>>>;
+  queryEvents(eventName: 'Unpaused', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.UnpausedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RentDistributorClient.VersionUpdatedEventArgs>>>;
+  addSupportedStablecoin(_stablecoin: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  claimRent(distributionId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  clearanceMultisig(overrides?: ethers.CallOverrides): Promise<string>;
+  distributionCount(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  distributionSnapshots(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  feeManager(overrides?: ethers.CallOverrides): Promise<string>;
+  getClaimableRent(distributionId: ethers.BigNumberish, user: string, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  getDistributionDetails(distributionId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ propertyId: string; tokenAddress: string; stablecoinAddress: string; totalAmount: ethers.BigNumber; distributionTime: ethers.BigNumber; platformFee: ethers.BigNumber; maintenanceFee: ethers.BigNumber; netAmount: ethers.BigNumber; isProcessed: boolean }>;
+  getDistributionSnapshotId(distributionId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  hasClaimed(arg0: ethers.BigNumberish, arg1: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  initialize(_roleManager: string, _feeManager: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  liquidateAllUnclaimed(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  liquidateUnclaimedStablecoin(stablecoinAddress: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  markUnclaimedRent(distributionId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  pause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  paused(overrides?: ethers.CallOverrides): Promise<boolean>;
+  processRentDistribution(distributionId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  receiveStablecoinRent(propertyId: string, tokenAddress: string, stablecoinAddress: string, amount: ethers.BigNumberish, rentalPeriod: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  removeSupportedStablecoin(_stablecoin: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  rentDistributions(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ propertyId: string; tokenAddress: string; stablecoinAddress: string; rentalPeriod: string; totalAmount: ethers.BigNumber; platformFee: ethers.BigNumber; maintenanceFee: ethers.BigNumber; netAmount: ethers.BigNumber; isProcessed: boolean; snapshotId: ethers.BigNumber; totalClaimed: ethers.BigNumber; approvalTime: ethers.BigNumber }>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  setClearanceMultisig(_clearanceMultisig: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  supportedStablecoins(arg0: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  unclaimedAmount(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  unclaimedByStablecoin(arg0: string, overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  unclaimedStablecoins(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ stablecoinAddress: string; amount: ethers.BigNumber }>;
+  unpause(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  withdrawMaintenanceFee(distributionId: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+}
+
+declare namespace RentDistributorClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface AllUnclaimedLiquidatedEventArgs {
+    recipient: string;
+    totalAmount: ethers.BigNumber;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface DistributionUnclaimedMarkedEventArgs {
+    distributionId: ethers.BigNumber;
+    stablecoin: string;
+    amount: ethers.BigNumber;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface LiquidationFailedEventArgs {
+    stablecoin: string;
+    amount: ethers.BigNumber;
+    reason: string;
+  }
+
+  interface PausedEventArgs {
+    account: string;
+  }
+
+  interface RentClaimedEventArgs {
+    distributionId: ethers.BigNumber;
+    user: string;
+    amount: ethers.BigNumber;
+  }
+
+  interface RentDistributorInitializedEventArgs {
+    deployer: string;
+    roleManager: string;
+    feeManager: string;
+    version: ethers.BigNumber;
+  }
+
+  interface RentProcessedEventArgs {
+    distributionId: ethers.BigNumber;
+    platformFee: ethers.BigNumber;
+    maintenanceFee: ethers.BigNumber;
+    netAmount: ethers.BigNumber;
+  }
+
+  interface RentReceivedEventArgs {
+    distributionId: ethers.BigNumber;
+    propertyId: string;
+    stablecoin: string;
+    amount: ethers.BigNumber;
+    rentalPeriod: string;
+  }
+
+  interface StablecoinStatusUpdatedEventArgs {
+    token: string;
+    status: boolean;
+  }
+
+  interface UnclaimedRentLiquidatedEventArgs {
+    recipient: string;
+    stablecoin: string;
+    amount: ethers.BigNumber;
+  }
+
+  interface UnpausedEventArgs {
+    account: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+}
+
+export = RentDistributorClient;
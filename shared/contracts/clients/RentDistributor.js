@@ -0,0 +1,385 @@
+/**
+ * RentDistributor 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * RentDistributor 各事件的参数
+ * @typedef {object} RentDistributorEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ recipient: string, totalAmount: ethers.BigNumber }} AllUnclaimedLiquidated
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ distributionId: ethers.BigNumber, stablecoin: string, amount: ethers.BigNumber }} DistributionUnclaimedMarked
+ * @property {{ version: number }} Initialized
+ * @property {{ stablecoin: string, amount: ethers.BigNumber, reason: string }} LiquidationFailed
+ * @property {{ account: string }} Paused
+ * @property {{ distributionId: ethers.BigNumber, user: string, amount: ethers.BigNumber }} RentClaimed
+ * @property {{ deployer: string, roleManager: string, feeManager: string, version: ethers.BigNumber }} RentDistributorInitialized
+ * @property {{ distributionId: ethers.BigNumber, platformFee: ethers.BigNumber, maintenanceFee: ethers.BigNumber, netAmount: ethers.BigNumber }} RentProcessed
+ * @property {{ distributionId: ethers.BigNumber, propertyId: string, stablecoin: string, amount: ethers.BigNumber, rentalPeriod: string }} RentReceived
+ * @property {{ token: string, status: boolean }} StablecoinStatusUpdated
+ * @property {{ recipient: string, stablecoin: string, amount: ethers.BigNumber }} UnclaimedRentLiquidated
+ * @property {{ account: string }} Unpaused
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ */
+
+/**
+ * RentDistributor 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class RentDistributorClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.RentDistributor, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {RentDistributorClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new RentDistributorClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof RentDistributorEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 发送交易 addSupportedStablecoin(address)
+   * @param {string} _stablecoin address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  addSupportedStablecoin(_stablecoin, overrides = {}) {
+    return this.contract['addSupportedStablecoin(address)'](_stablecoin, overrides);
+  }
+
+  /**
+   * 发送交易 claimRent(uint256)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  claimRent(distributionId, overrides = {}) {
+    return this.contract['claimRent(uint256)'](distributionId, overrides);
+  }
+
+  /**
+   * 读取 clearanceMultisig()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  clearanceMultisig(overrides = {}) {
+    return this.contract['clearanceMultisig()'](overrides);
+  }
+
+  /**
+   * 读取 distributionCount()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  distributionCount(overrides = {}) {
+    return this.contract['distributionCount()'](overrides);
+  }
+
+  /**
+   * 读取 distributionSnapshots(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  distributionSnapshots(arg0, overrides = {}) {
+    return this.contract['distributionSnapshots(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 feeManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  feeManager(overrides = {}) {
+    return this.contract['feeManager()'](overrides);
+  }
+
+  /**
+   * 读取 getClaimableRent(uint256,address)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {string} user address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  getClaimableRent(distributionId, user, overrides = {}) {
+    return this.contract['getClaimableRent(uint256,address)'](distributionId, user, overrides);
+  }
+
+  /**
+   * 读取 getDistributionDetails(uint256)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ propertyId: string, tokenAddress: string, stablecoinAddress: string, totalAmount: ethers.BigNumber, distributionTime: ethers.BigNumber, platformFee: ethers.BigNumber, maintenanceFee: ethers.BigNumber, netAmount: ethers.BigNumber, isProcessed: boolean }>}
+   */
+  getDistributionDetails(distributionId, overrides = {}) {
+    return this.contract['getDistributionDetails(uint256)'](distributionId, overrides);
+  }
+
+  /**
+   * 读取 getDistributionSnapshotId(uint256)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  getDistributionSnapshotId(distributionId, overrides = {}) {
+    return this.contract['getDistributionSnapshotId(uint256)'](distributionId, overrides);
+  }
+
+  /**
+   * 读取 hasClaimed(uint256,address)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {string} arg1 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  hasClaimed(arg0, arg1, overrides = {}) {
+    return this.contract['hasClaimed(uint256,address)'](arg0, arg1, overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address,address)
+   * @param {string} _roleManager address
+   * @param {string} _feeManager address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, _feeManager, overrides = {}) {
+    return this.contract['initialize(address,address)'](_roleManager, _feeManager, overrides);
+  }
+
+  /**
+   * 发送交易 liquidateAllUnclaimed()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  liquidateAllUnclaimed(overrides = {}) {
+    return this.contract['liquidateAllUnclaimed()'](overrides);
+  }
+
+  /**
+   * 发送交易 liquidateUnclaimedStablecoin(address)
+   * @param {string} stablecoinAddress address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  liquidateUnclaimedStablecoin(stablecoinAddress, overrides = {}) {
+    return this.contract['liquidateUnclaimedStablecoin(address)'](stablecoinAddress, overrides);
+  }
+
+  /**
+   * 发送交易 markUnclaimedRent(uint256)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  markUnclaimedRent(distributionId, overrides = {}) {
+    return this.contract['markUnclaimedRent(uint256)'](distributionId, overrides);
+  }
+
+  /**
+   * 发送交易 pause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  pause(overrides = {}) {
+    return this.contract['pause()'](overrides);
+  }
+
+  /**
+   * 读取 paused()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  paused(overrides = {}) {
+    return this.contract['paused()'](overrides);
+  }
+
+  /**
+   * 发送交易 processRentDistribution(uint256)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  processRentDistribution(distributionId, overrides = {}) {
+    return this.contract['processRentDistribution(uint256)'](distributionId, overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 发送交易 receiveStablecoinRent(string,address,address,uint256,string)
+   * @param {string} propertyId string
+   * @param {string} tokenAddress address
+   * @param {string} stablecoinAddress address
+   * @param {ethers.BigNumberish} amount uint256
+   * @param {string} rentalPeriod string
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  receiveStablecoinRent(propertyId, tokenAddress, stablecoinAddress, amount, rentalPeriod, overrides = {}) {
+    return this.contract['receiveStablecoinRent(string,address,address,uint256,string)'](propertyId, tokenAddress, stablecoinAddress, amount, rentalPeriod, overrides);
+  }
+
+  /**
+   * 发送交易 removeSupportedStablecoin(address)
+   * @param {string} _stablecoin address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  removeSupportedStablecoin(_stablecoin, overrides = {}) {
+    return this.contract['removeSupportedStablecoin(address)'](_stablecoin, overrides);
+  }
+
+  /**
+   * 读取 rentDistributions(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ propertyId: string, tokenAddress: string, stablecoinAddress: string, rentalPeriod: string, totalAmount: ethers.BigNumber, platformFee: ethers.BigNumber, maintenanceFee: ethers.BigNumber, netAmount: ethers.BigNumber, isProcessed: boolean, snapshotId: ethers.BigNumber, totalClaimed: ethers.BigNumber, approvalTime: ethers.BigNumber }>}
+   */
+  rentDistributions(arg0, overrides = {}) {
+    return this.contract['rentDistributions(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 发送交易 setClearanceMultisig(address)
+   * @param {string} _clearanceMultisig address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  setClearanceMultisig(_clearanceMultisig, overrides = {}) {
+    return this.contract['setClearanceMultisig(address)'](_clearanceMultisig, overrides);
+  }
+
+  /**
+   * 读取 supportedStablecoins(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportedStablecoins(arg0, overrides = {}) {
+    return this.contract['supportedStablecoins(address)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 unclaimedAmount()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  unclaimedAmount(overrides = {}) {
+    return this.contract['unclaimedAmount()'](overrides);
+  }
+
+  /**
+   * 读取 unclaimedByStablecoin(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  unclaimedByStablecoin(arg0, overrides = {}) {
+    return this.contract['unclaimedByStablecoin(address)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 unclaimedStablecoins(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ stablecoinAddress: string, amount: ethers.BigNumber }>}
+   */
+  unclaimedStablecoins(arg0, overrides = {}) {
+    return this.contract['unclaimedStablecoins(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 unpause()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  unpause(overrides = {}) {
+    return this.contract['unpause()'](overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+
+  /**
+   * 发送交易 withdrawMaintenanceFee(uint256)
+   * @param {ethers.BigNumberish} distributionId uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  withdrawMaintenanceFee(distributionId, overrides = {}) {
+    return this.contract['withdrawMaintenanceFee(uint256)'](distributionId, overrides);
+  }
+}
+
+module.exports = RentDistributorClient;
@@ -0,0 +1,108 @@
+/**
+ * RoleManager 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class RoleManagerClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): RoleManagerClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'EmergencyAdminRecovery', filterArgs?: [deployer?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.EmergencyAdminRecoveryEventArgs>>>;
+  queryEvents(eventName: 'EmergencyRoleGranted', filterArgs?: [deployer?: string | null, role?: ethers.BytesLike | null, account?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.EmergencyRoleGrantedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'RoleAdminChanged', filterArgs?: [role?: ethers.BytesLike | null, previousAdminRole?: ethers.BytesLike | null, newAdminRole?: ethers.BytesLike | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.RoleAdminChangedEventArgs>>>;
+  queryEvents(eventName: 'RoleGranted', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.RoleGrantedEventArgs>>>;
+  queryEvents(eventName: 'RoleManagerInitialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.RoleManagerInitializedEventArgs>>>;
+  queryEvents(eventName: 'RoleRevoked', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.RoleRevokedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.UpgradedEventArgs>>>;
+  queryEvents(eventName: 'VersionUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<RoleManagerClient.VersionUpdatedEventArgs>>>;
+  checkRoles(account: string, overrides?: ethers.CallOverrides): Promise<{ adminRole: boolean; superAdminRole: boolean; propertyManagerRole: boolean; feeCollectorRole: boolean }>;
+  DEFAULT_ADMIN_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  deployer(overrides?: ethers.CallOverrides): Promise<string>;
+  emergencyGrantRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  emergencyRecoverAdmin(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  FEE_COLLECTOR(overrides?: ethers.CallOverrides): Promise<string>;
+  FEE_MANAGER(overrides?: ethers.CallOverrides): Promise<string>;
+  getRoleAdmin(role: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<string>;
+  grantRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  hasAnyRole(account: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  hasRole(role: ethers.BytesLike, account: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  initialize(overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  MARKETPLACE_MANAGER(overrides?: ethers.CallOverrides): Promise<string>;
+  PROPERTY_MANAGER(overrides?: ethers.CallOverrides): Promise<string>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  REDEMPTION_MANAGER(overrides?: ethers.CallOverrides): Promise<string>;
+  renounceRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  revokeRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  SUPER_ADMIN(overrides?: ethers.CallOverrides): Promise<string>;
+  supportsInterface(interfaceId: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<boolean>;
+  TOKEN_MANAGER(overrides?: ethers.CallOverrides): Promise<string>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+  version(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+}
+
+declare namespace RoleManagerClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface EmergencyAdminRecoveryEventArgs {
+    deployer: string;
+  }
+
+  interface EmergencyRoleGrantedEventArgs {
+    deployer: string;
+    role: string;
+    account: string;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface RoleAdminChangedEventArgs {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+
+  interface RoleGrantedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface RoleManagerInitializedEventArgs {
+    deployer: string;
+    version: ethers.BigNumber;
+  }
+
+  interface RoleRevokedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+
+  interface VersionUpdatedEventArgs {
+    oldVersion: ethers.BigNumber;
+    newVersion: ethers.BigNumber;
+  }
+}
+
+export = RoleManagerClient;
@@ -0,0 +1,296 @@
+/**
+ * RoleManager 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * RoleManager 各事件的参数
+ * @typedef {object} RoleManagerEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ deployer: string }} EmergencyAdminRecovery
+ * @property {{ deployer: string, role: string, account: string }} EmergencyRoleGranted
+ * @property {{ version: number }} Initialized
+ * @property {{ role: string, previousAdminRole: string, newAdminRole: string }} RoleAdminChanged
+ * @property {{ role: string, account: string, sender: string }} RoleGranted
+ * @property {{ deployer: string, version: ethers.BigNumber }} RoleManagerInitialized
+ * @property {{ role: string, account: string, sender: string }} RoleRevoked
+ * @property {{ implementation: string }} Upgraded
+ * @property {{ oldVersion: ethers.BigNumber, newVersion: ethers.BigNumber }} VersionUpdated
+ */
+
+/**
+ * RoleManager 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class RoleManagerClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.RoleManager, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {RoleManagerClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new RoleManagerClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof RoleManagerEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 读取 checkRoles(address)
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ adminRole: boolean, superAdminRole: boolean, propertyManagerRole: boolean, feeCollectorRole: boolean }>}
+   */
+  checkRoles(account, overrides = {}) {
+    return this.contract['checkRoles(address)'](account, overrides);
+  }
+
+  /**
+   * 读取 DEFAULT_ADMIN_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  DEFAULT_ADMIN_ROLE(overrides = {}) {
+    return this.contract['DEFAULT_ADMIN_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 deployer()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  deployer(overrides = {}) {
+    return this.contract['deployer()'](overrides);
+  }
+
+  /**
+   * 发送交易 emergencyGrantRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  emergencyGrantRole(role, account, overrides = {}) {
+    return this.contract['emergencyGrantRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 emergencyRecoverAdmin()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  emergencyRecoverAdmin(overrides = {}) {
+    return this.contract['emergencyRecoverAdmin()'](overrides);
+  }
+
+  /**
+   * 读取 FEE_COLLECTOR()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  FEE_COLLECTOR(overrides = {}) {
+    return this.contract['FEE_COLLECTOR()'](overrides);
+  }
+
+  /**
+   * 读取 FEE_MANAGER()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  FEE_MANAGER(overrides = {}) {
+    return this.contract['FEE_MANAGER()'](overrides);
+  }
+
+  /**
+   * 读取 getRoleAdmin(bytes32)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  getRoleAdmin(role, overrides = {}) {
+    return this.contract['getRoleAdmin(bytes32)'](role, overrides);
+  }
+
+  /**
+   * 发送交易 grantRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  grantRole(role, account, overrides = {}) {
+    return this.contract['grantRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 hasAnyRole(address)
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  hasAnyRole(account, overrides = {}) {
+    return this.contract['hasAnyRole(address)'](account, overrides);
+  }
+
+  /**
+   * 读取 hasRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  hasRole(role, account, overrides = {}) {
+    return this.contract['hasRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 initialize()
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(overrides = {}) {
+    return this.contract['initialize()'](overrides);
+  }
+
+  /**
+   * 读取 MARKETPLACE_MANAGER()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  MARKETPLACE_MANAGER(overrides = {}) {
+    return this.contract['MARKETPLACE_MANAGER()'](overrides);
+  }
+
+  /**
+   * 读取 PROPERTY_MANAGER()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  PROPERTY_MANAGER(overrides = {}) {
+    return this.contract['PROPERTY_MANAGER()'](overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 读取 REDEMPTION_MANAGER()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  REDEMPTION_MANAGER(overrides = {}) {
+    return this.contract['REDEMPTION_MANAGER()'](overrides);
+  }
+
+  /**
+   * 发送交易 renounceRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  renounceRole(role, account, overrides = {}) {
+    return this.contract['renounceRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 revokeRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  revokeRole(role, account, overrides = {}) {
+    return this.contract['revokeRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 SUPER_ADMIN()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  SUPER_ADMIN(overrides = {}) {
+    return this.contract['SUPER_ADMIN()'](overrides);
+  }
+
+  /**
+   * 读取 supportsInterface(bytes4)
+   * @param {ethers.BytesLike} interfaceId bytes4
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportsInterface(interfaceId, overrides = {}) {
+    return this.contract['supportsInterface(bytes4)'](interfaceId, overrides);
+  }
+
+  /**
+   * 读取 TOKEN_MANAGER()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  TOKEN_MANAGER(overrides = {}) {
+    return this.contract['TOKEN_MANAGER()'](overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+
+  /**
+   * 读取 version()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  version(overrides = {}) {
+    return this.contract['version()'](overrides);
+  }
+}
+
+module.exports = RoleManagerClient;
@@ -0,0 +1,72 @@
+/**
+ * TokenFactory 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class TokenFactoryClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): TokenFactoryClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenFactoryClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenFactoryClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenFactoryClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'TokenCreated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenFactoryClient.TokenCreatedEventArgs>>>;
+  queryEvents(eventName: 'TokenImplementationUpdated', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenFactoryClient.TokenImplementationUpdatedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenFactoryClient.UpgradedEventArgs>>>;
+  allTokens(arg0: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<string>;
+  batchCreateTokens(propertyIds: Array<string>, names: Array<string>, symbols: Array<string>, initialSupplies: Array<ethers.BigNumberish>, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  createSingleToken(_name: string, _symbol: string, _propertyId: string, _initialSupply: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  createTokenPublic(propertyId: string, tokenName: string, tokenSymbol: string, initialSupply: ethers.BigNumberish, maxSupply: ethers.BigNumberish, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  getAllTokens(overrides?: ethers.CallOverrides): Promise<Array<string>>;
+  getPropertyIdFromToken(tokenAddress: string, overrides?: ethers.CallOverrides): Promise<string>;
+  getTokenAddress(propertyId: string, overrides?: ethers.CallOverrides): Promise<string>;
+  getTokenCount(overrides?: ethers.CallOverrides): Promise<ethers.BigNumber>;
+  initialize(_roleManager: string, _propertyRegistry: string, _tokenImplementation: string, _rentDistributor: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  propertyRegistry(overrides?: ethers.CallOverrides): Promise<string>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  rentDistributorAddress(overrides?: ethers.CallOverrides): Promise<string>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  tokenImplementation(overrides?: ethers.CallOverrides): Promise<string>;
+  tokens(arg0: string, overrides?: ethers.CallOverrides): Promise<string>;
+  tokenToProperty(arg0: string, overrides?: ethers.CallOverrides): Promise<string>;
+  updateTokenImplementation(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+}
+
+declare namespace TokenFactoryClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface TokenCreatedEventArgs {
+    propertyId: string;
+    tokenAddress: string;
+    name: string;
+    symbol: string;
+  }
+
+  interface TokenImplementationUpdatedEventArgs {
+    oldImplementation: string;
+    newImplementation: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+}
+
+export = TokenFactoryClient;
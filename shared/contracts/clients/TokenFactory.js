@@ -0,0 +1,255 @@
+/**
+ * TokenFactory 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * TokenFactory 各事件的参数
+ * @typedef {object} TokenFactoryEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ version: number }} Initialized
+ * @property {{ propertyId: string, tokenAddress: string, name: string, symbol: string }} TokenCreated
+ * @property {{ oldImplementation: string, newImplementation: string }} TokenImplementationUpdated
+ * @property {{ implementation: string }} Upgraded
+ */
+
+/**
+ * TokenFactory 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class TokenFactoryClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.TokenFactory, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {TokenFactoryClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new TokenFactoryClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof TokenFactoryEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 读取 allTokens(uint256)
+   * @param {ethers.BigNumberish} arg0 uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  allTokens(arg0, overrides = {}) {
+    return this.contract['allTokens(uint256)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 batchCreateTokens(string[],string[],string[],uint256[])
+   * @param {Array<string>} propertyIds string[]
+   * @param {Array<string>} names string[]
+   * @param {Array<string>} symbols string[]
+   * @param {Array<ethers.BigNumberish>} initialSupplies uint256[]
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  batchCreateTokens(propertyIds, names, symbols, initialSupplies, overrides = {}) {
+    return this.contract['batchCreateTokens(string[],string[],string[],uint256[])'](propertyIds, names, symbols, initialSupplies, overrides);
+  }
+
+  /**
+   * 发送交易 createSingleToken(string,string,string,uint256)
+   * @param {string} _name string
+   * @param {string} _symbol string
+   * @param {string} _propertyId string
+   * @param {ethers.BigNumberish} _initialSupply uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  createSingleToken(_name, _symbol, _propertyId, _initialSupply, overrides = {}) {
+    return this.contract['createSingleToken(string,string,string,uint256)'](_name, _symbol, _propertyId, _initialSupply, overrides);
+  }
+
+  /**
+   * 发送交易 createTokenPublic(string,string,string,uint256,uint256)
+   * @param {string} propertyId string
+   * @param {string} tokenName string
+   * @param {string} tokenSymbol string
+   * @param {ethers.BigNumberish} initialSupply uint256
+   * @param {ethers.BigNumberish} maxSupply uint256
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  createTokenPublic(propertyId, tokenName, tokenSymbol, initialSupply, maxSupply, overrides = {}) {
+    return this.contract['createTokenPublic(string,string,string,uint256,uint256)'](propertyId, tokenName, tokenSymbol, initialSupply, maxSupply, overrides);
+  }
+
+  /**
+   * 读取 getAllTokens()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<Array<string>>}
+   */
+  getAllTokens(overrides = {}) {
+    return this.contract['getAllTokens()'](overrides);
+  }
+
+  /**
+   * 读取 getPropertyIdFromToken(address)
+   * @param {string} tokenAddress address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  getPropertyIdFromToken(tokenAddress, overrides = {}) {
+    return this.contract['getPropertyIdFromToken(address)'](tokenAddress, overrides);
+  }
+
+  /**
+   * 读取 getTokenAddress(string)
+   * @param {string} propertyId string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  getTokenAddress(propertyId, overrides = {}) {
+    return this.contract['getTokenAddress(string)'](propertyId, overrides);
+  }
+
+  /**
+   * 读取 getTokenCount()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  getTokenCount(overrides = {}) {
+    return this.contract['getTokenCount()'](overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address,address,address,address)
+   * @param {string} _roleManager address
+   * @param {string} _propertyRegistry address
+   * @param {string} _tokenImplementation address
+   * @param {string} _rentDistributor address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, _propertyRegistry, _tokenImplementation, _rentDistributor, overrides = {}) {
+    return this.contract['initialize(address,address,address,address)'](_roleManager, _propertyRegistry, _tokenImplementation, _rentDistributor, overrides);
+  }
+
+  /**
+   * 读取 propertyRegistry()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  propertyRegistry(overrides = {}) {
+    return this.contract['propertyRegistry()'](overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 读取 rentDistributorAddress()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  rentDistributorAddress(overrides = {}) {
+    return this.contract['rentDistributorAddress()'](overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 读取 tokenImplementation()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  tokenImplementation(overrides = {}) {
+    return this.contract['tokenImplementation()'](overrides);
+  }
+
+  /**
+   * 读取 tokens(string)
+   * @param {string} arg0 string
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  tokens(arg0, overrides = {}) {
+    return this.contract['tokens(string)'](arg0, overrides);
+  }
+
+  /**
+   * 读取 tokenToProperty(address)
+   * @param {string} arg0 address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  tokenToProperty(arg0, overrides = {}) {
+    return this.contract['tokenToProperty(address)'](arg0, overrides);
+  }
+
+  /**
+   * 发送交易 updateTokenImplementation(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  updateTokenImplementation(newImplementation, overrides = {}) {
+    return this.contract['updateTokenImplementation(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+}
+
+module.exports = TokenFactoryClient;
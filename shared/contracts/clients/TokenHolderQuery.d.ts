@@ -0,0 +1,81 @@
+/**
+ * TokenHolderQuery 合约客户端类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class TokenHolderQueryClient {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): TokenHolderQueryClient;
+  queryEvents(eventName: 'AdminChanged', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.AdminChangedEventArgs>>>;
+  queryEvents(eventName: 'BeaconUpgraded', filterArgs?: [beacon?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.BeaconUpgradedEventArgs>>>;
+  queryEvents(eventName: 'HolderBalanceQueried', filterArgs?: [token?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.HolderBalanceQueriedEventArgs>>>;
+  queryEvents(eventName: 'Initialized', filterArgs?: [], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.InitializedEventArgs>>>;
+  queryEvents(eventName: 'RoleAdminChanged', filterArgs?: [role?: ethers.BytesLike | null, previousAdminRole?: ethers.BytesLike | null, newAdminRole?: ethers.BytesLike | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.RoleAdminChangedEventArgs>>>;
+  queryEvents(eventName: 'RoleGranted', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.RoleGrantedEventArgs>>>;
+  queryEvents(eventName: 'RoleRevoked', filterArgs?: [role?: ethers.BytesLike | null, account?: string | null, sender?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.RoleRevokedEventArgs>>>;
+  queryEvents(eventName: 'Upgraded', filterArgs?: [implementation?: string | null], fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): Promise<Array<TypedEvent<TokenHolderQueryClient.UpgradedEventArgs>>>;
+  DEFAULT_ADMIN_ROLE(overrides?: ethers.CallOverrides): Promise<string>;
+  getBalancesAtSnapshot(tokenAddress: string, holders: Array<string>, snapshotId: ethers.BigNumberish, overrides?: ethers.CallOverrides): Promise<{ balances: Array<ethers.BigNumber>; totalSupply: ethers.BigNumber }>;
+  getRoleAdmin(role: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<string>;
+  grantRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  hasRole(role: ethers.BytesLike, account: string, overrides?: ethers.CallOverrides): Promise<boolean>;
+  initialize(_roleManager: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  proxiableUUID(overrides?: ethers.CallOverrides): Promise<string>;
+  renounceRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  revokeRole(role: ethers.BytesLike, account: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  roleManager(overrides?: ethers.CallOverrides): Promise<string>;
+  supportsInterface(interfaceId: ethers.BytesLike, overrides?: ethers.CallOverrides): Promise<boolean>;
+  upgradeTo(newImplementation: string, overrides?: ethers.Overrides): Promise<ethers.ContractTransaction>;
+  upgradeToAndCall(newImplementation: string, data: ethers.BytesLike, overrides?: ethers.PayableOverrides): Promise<ethers.ContractTransaction>;
+}
+
+declare namespace TokenHolderQueryClient {
+  interface AdminChangedEventArgs {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+
+  interface BeaconUpgradedEventArgs {
+    beacon: string;
+  }
+
+  interface HolderBalanceQueriedEventArgs {
+    token: string;
+    snapshotId: ethers.BigNumber;
+    holder: string;
+    balance: ethers.BigNumber;
+  }
+
+  interface InitializedEventArgs {
+    version: number;
+  }
+
+  interface RoleAdminChangedEventArgs {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+
+  interface RoleGrantedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface RoleRevokedEventArgs {
+    role: string;
+    account: string;
+    sender: string;
+  }
+
+  interface UpgradedEventArgs {
+    implementation: string;
+  }
+}
+
+export = TokenHolderQueryClient;
@@ -0,0 +1,194 @@
+/**
+ * TokenHolderQuery 合约客户端
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * TokenHolderQuery 各事件的参数
+ * @typedef {object} TokenHolderQueryEventArgs
+ * @property {{ previousAdmin: string, newAdmin: string }} AdminChanged
+ * @property {{ beacon: string }} BeaconUpgraded
+ * @property {{ token: string, snapshotId: ethers.BigNumber, holder: string, balance: ethers.BigNumber }} HolderBalanceQueried
+ * @property {{ version: number }} Initialized
+ * @property {{ role: string, previousAdminRole: string, newAdminRole: string }} RoleAdminChanged
+ * @property {{ role: string, account: string, sender: string }} RoleGranted
+ * @property {{ role: string, account: string, sender: string }} RoleRevoked
+ * @property {{ implementation: string }} Upgraded
+ */
+
+/**
+ * TokenHolderQuery 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class TokenHolderQueryClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.TokenHolderQuery, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {TokenHolderQueryClient} 客户端
+   */
+  connect(signerOrProvider) {
+    return new TokenHolderQueryClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof TokenHolderQueryEventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * 读取 DEFAULT_ADMIN_ROLE()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  DEFAULT_ADMIN_ROLE(overrides = {}) {
+    return this.contract['DEFAULT_ADMIN_ROLE()'](overrides);
+  }
+
+  /**
+   * 读取 getBalancesAtSnapshot(address,address[],uint256)
+   * @param {string} tokenAddress address
+   * @param {Array<string>} holders address[]
+   * @param {ethers.BigNumberish} snapshotId uint256
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<{ balances: Array<ethers.BigNumber>, totalSupply: ethers.BigNumber }>}
+   */
+  getBalancesAtSnapshot(tokenAddress, holders, snapshotId, overrides = {}) {
+    return this.contract['getBalancesAtSnapshot(address,address[],uint256)'](tokenAddress, holders, snapshotId, overrides);
+  }
+
+  /**
+   * 读取 getRoleAdmin(bytes32)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  getRoleAdmin(role, overrides = {}) {
+    return this.contract['getRoleAdmin(bytes32)'](role, overrides);
+  }
+
+  /**
+   * 发送交易 grantRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  grantRole(role, account, overrides = {}) {
+    return this.contract['grantRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 hasRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  hasRole(role, account, overrides = {}) {
+    return this.contract['hasRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 initialize(address)
+   * @param {string} _roleManager address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  initialize(_roleManager, overrides = {}) {
+    return this.contract['initialize(address)'](_roleManager, overrides);
+  }
+
+  /**
+   * 读取 proxiableUUID()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  proxiableUUID(overrides = {}) {
+    return this.contract['proxiableUUID()'](overrides);
+  }
+
+  /**
+   * 发送交易 renounceRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  renounceRole(role, account, overrides = {}) {
+    return this.contract['renounceRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 发送交易 revokeRole(bytes32,address)
+   * @param {ethers.BytesLike} role bytes32
+   * @param {string} account address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  revokeRole(role, account, overrides = {}) {
+    return this.contract['revokeRole(bytes32,address)'](role, account, overrides);
+  }
+
+  /**
+   * 读取 roleManager()
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<string>}
+   */
+  roleManager(overrides = {}) {
+    return this.contract['roleManager()'](overrides);
+  }
+
+  /**
+   * 读取 supportsInterface(bytes4)
+   * @param {ethers.BytesLike} interfaceId bytes4
+   * @param {ethers.CallOverrides} [overrides] 交易参数
+   * @returns {Promise<boolean>}
+   */
+  supportsInterface(interfaceId, overrides = {}) {
+    return this.contract['supportsInterface(bytes4)'](interfaceId, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeTo(address)
+   * @param {string} newImplementation address
+   * @param {ethers.Overrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeTo(newImplementation, overrides = {}) {
+    return this.contract['upgradeTo(address)'](newImplementation, overrides);
+  }
+
+  /**
+   * 发送交易 upgradeToAndCall(address,bytes)
+   * @param {string} newImplementation address
+   * @param {ethers.BytesLike} data bytes
+   * @param {ethers.PayableOverrides} [overrides] 交易参数
+   * @returns {Promise<ethers.ContractTransaction>}
+   */
+  upgradeToAndCall(newImplementation, data, overrides = {}) {
+    return this.contract['upgradeToAndCall(address,bytes)'](newImplementation, data, overrides);
+  }
+}
+
+module.exports = TokenHolderQueryClient;
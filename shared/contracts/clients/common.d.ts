@@ -0,0 +1,9 @@
+/**
+ * 合约客户端公共类型
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import { ethers } from 'ethers';
+
+/** 参数已解码的事件 */
+export type TypedEvent<TArgs> = Omit<ethers.Event, 'args'> & { args: TArgs };
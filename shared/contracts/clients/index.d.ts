@@ -0,0 +1,29 @@
+/**
+ * 合约客户端索引类型声明
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+import RoleManagerClient = require('./RoleManager');
+import PropertyRegistryClient = require('./PropertyRegistry');
+import TokenFactoryClient = require('./TokenFactory');
+import RealEstateTokenClient = require('./RealEstateToken');
+import RedemptionManagerClient = require('./RedemptionManager');
+import RentDistributorClient = require('./RentDistributor');
+import FeeManagerClient = require('./FeeManager');
+import MarketplaceClient = require('./Marketplace');
+import TokenHolderQueryClient = require('./TokenHolderQuery');
+import RealEstateSystemClient = require('./RealEstateSystem');
+
+export { TypedEvent } from './common';
+export {
+  RoleManagerClient,
+  PropertyRegistryClient,
+  TokenFactoryClient,
+  RealEstateTokenClient,
+  RedemptionManagerClient,
+  RentDistributorClient,
+  FeeManagerClient,
+  MarketplaceClient,
+  TokenHolderQueryClient,
+  RealEstateSystemClient
+};
@@ -0,0 +1,28 @@
+/**
+ * 合约客户端索引
+ * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改
+ */
+
+const RoleManagerClient = require('./RoleManager');
+const PropertyRegistryClient = require('./PropertyRegistry');
+const TokenFactoryClient = require('./TokenFactory');
+const RealEstateTokenClient = require('./RealEstateToken');
+const RedemptionManagerClient = require('./RedemptionManager');
+const RentDistributorClient = require('./RentDistributor');
+const FeeManagerClient = require('./FeeManager');
+const MarketplaceClient = require('./Marketplace');
+const TokenHolderQueryClient = require('./TokenHolderQuery');
+const RealEstateSystemClient = require('./RealEstateSystem');
+
+module.exports = {
+  RoleManagerClient,
+  PropertyRegistryClient,
+  TokenFactoryClient,
+  RealEstateTokenClient,
+  RedemptionManagerClient,
+  RentDistributorClient,
+  FeeManagerClient,
+  MarketplaceClient,
+  TokenHolderQueryClient,
+  RealEstateSystemClient
+};
@@ -30,6 +30,68 @@ const ROLES = {
   USER: 'user'
 };
 
+/**
+ * RoleManager合约中的角色名称
+ * 角色ID为角色名称的keccak256哈希
+ */
+const CONTRACT_ROLES = [
+  'SUPER_ADMIN',
+  'PROPERTY_MANAGER',
+  'TOKEN_MANAGER',
+  'MARKETPLACE_MANAGER',
+  'FEE_MANAGER',
+  'REDEMPTION_MANAGER',
+  'FEE_COLLECTOR'
+];
+
+/**
+ * RoleManager角色对应的API权限
+ * 认证时根据账户在链上拥有的角色计算权限，由checkPermissions校验
+ */
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: ['admin'],
+  PROPERTY_MANAGER: ['operator'],
+  TOKEN_MANAGER: ['operator'],
+  MARKETPLACE_MANAGER: ['operator'],
+  REDEMPTION_MANAGER: ['operator'],
+  FEE_MANAGER: ['finance'],
+  FEE_COLLECTOR: ['finance']
+};
+
+/**
+ * API权限，也是API密钥可授予的作用域
+ */
+const API_PERMISSIONS = ['admin', 'operator', 'finance', 'emergency'];
+
+/**
+ * PropertyRegistry合约中的房产状态，顺序与PropertyStatus枚举一致
+ */
+const PROPERTY_STATUSES = [
+  'NotRegistered',
+  'Pending',
+  'Approved',
+  'Rejected',
+  'Delisted',
+  'Redemption',
+  'Frozen'
+];
+
+/**
+ * RedemptionManager合约中的赎回状态，顺序与RedemptionStatus枚举一致
+ */
+const REDEMPTION_STATUSES = [
+  'Pending',
+  'Approved',
+  'Rejected',
+  'Completed',
+  'Cancelled'
+];
+
+/**
+ * FeeManager合约中的费用类型，顺序与FeeType枚举一致
+ */
+const FEE_TYPES = ['TOKENIZATION', 'TRADING', 'REDEMPTION', 'MAINTENANCE', 'PLATFORM'];
+
 /**
  * 操作权限配置 - 定义每种操作需要的角色
  */
@@ -40,6 +102,9 @@ const OPERATION_ROLES = {
   rejectProperty: ROLES.ADMIN,
   delistProperty: ROLES.ADMIN,
   setPropertyStatus: ROLES.ADMIN,
+  freezeProperty: ROLES.ADMIN,
+  unfreezeProperty: ROLES.ADMIN,
+  setPropertyToRedemption: ROLES.ADMIN,
   
   // 代币管理
   createToken: ROLES.ADMIN,
@@ -48,6 +113,9 @@ const OPERATION_ROLES = {
   batchAddToWhitelist: ROLES.OPERATOR,
   removeFromWhitelist: ROLES.OPERATOR,
   batchRemoveFromWhitelist: ROLES.OPERATOR,
+  mintToken: ROLES.ADMIN,
+  burnToken: ROLES.ADMIN,
+  transferToken: ROLES.ADMIN,
   
   // 赎回管理
   approveRedemption: ROLES.FINANCE,
@@ -58,12 +126,46 @@ const OPERATION_ROLES = {
   emergencyWithdraw: ROLES.EMERGENCY,
   
   // 租金管理
-  distributeRent: ROLES.FINANCE,
-  liquidateUnclaimedRent: ROLES.FINANCE
+  receiveRent: ROLES.FINANCE,
+  processRent: ROLES.FINANCE,
+  liquidateUnclaimedRent: ROLES.ADMIN,
+  
+  // 交易市场
+  createOrder: ROLES.OPERATOR,
+  fulfillOrder: ROLES.OPERATOR,
+  cancelOrder: ROLES.OPERATOR,
+  updateOrderPrice: ROLES.OPERATOR,
+  
+  // 角色管理
+  grantRole: ROLES.ADMIN,
+  revokeRole: ROLES.ADMIN,
+  
+  // 费用管理
+  updateFee: ROLES.ADMIN,
+  updateFeeCollector: ROLES.ADMIN
 };
 
+/**
+ * ERC20最小ABI
+ * 用于稳定币等外部代币的授权和余额查询
+ */
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
 module.exports = {
   CONTRACT_NAMES,
   ROLES,
-  OPERATION_ROLES
+  CONTRACT_ROLES,
+  ROLE_PERMISSIONS,
+  API_PERMISSIONS,
+  PROPERTY_STATUSES,
+  REDEMPTION_STATUSES,
+  FEE_TYPES,
+  OPERATION_ROLES,
+  ERC20_ABI
 }; 
\ No newline at end of file
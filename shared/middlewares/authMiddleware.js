@@ -4,29 +4,18 @@
  */
 const { ApiError } = require('../utils/errors');
 
-/**
- * API密钥验证配置
- */
-const AUTH_CONFIG = {
-  apiKey: process.env.API_KEY || 'dev-api-key',
-  header: 'x-api-key'
-};
-
 /**
  * 认证中间件函数
+ * 身份由服务端在路由之前根据访问令牌或API密钥解析并写入req.user，这里只要求身份存在
  * @returns {Function} Express中间件函数
  */
 function authMiddleware() {
   return (req, res, next) => {
-    // 获取请求头中的API密钥
-    const apiKey = req.header(AUTH_CONFIG.header);
-
-    // 验证API密钥是否存在且有效
-    if (!apiKey || apiKey !== AUTH_CONFIG.apiKey) {
+    if (!req.user || !req.user.authenticated) {
       throw new ApiError({
         statusCode: 401,
         code: 'UNAUTHORIZED',
-        message: '未授权访问，需要有效的API密钥'
+        message: '未授权访问，需要有效的访问令牌或API密钥'
       });
     }
 
@@ -35,4 +24,4 @@ function authMiddleware() {
   };
 }
 
-module.exports = { authMiddleware }; 
\ No newline at end of file
+module.exports = { authMiddleware };
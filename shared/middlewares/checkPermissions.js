@@ -29,7 +29,12 @@ const checkPermissions = (requiredPermissions) => {
           requiredPermissions,
           userRoles
         });
-        throw new ApiError('Insufficient permissions', 'PERMISSION_DENIED');
+        throw new ApiError({
+          statusCode: 403,
+          code: 'PERMISSION_DENIED',
+          message: 'Insufficient permissions',
+          details: { requiredPermissions }
+        });
       }
 
       next();
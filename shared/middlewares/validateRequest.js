@@ -26,7 +26,11 @@ const validateRequest = (schema) => {
 
       next();
     } catch (error) {
-      next(new ApiError(error.message, 'VALIDATION_ERROR'));
+      next(new ApiError({
+        message: error.message,
+        code: 'VALIDATION_ERROR',
+        statusCode: 400
+      }));
     }
   };
 };
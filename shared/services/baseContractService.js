@@ -1,38 +1,13 @@
 const { ethers } = require('ethers');
 const { getContractAddresses } = require('../config/contracts');
-const { provider, getSigner } = require('../utils/blockchain');
+const { provider } = require('../utils/blockchain');
 const { getAbi } = require('../utils/getAbis');
 const { logger } = require('../utils/logger');
 const { ApiError } = require('../utils/errors');
 
-// 操作权限配置 - 定义每种操作需要的角色
-const operationRoles = {
-  // 房产管理
-  registerProperty: 'operator',
-  updateProperty: 'operator',
-  deleteProperty: 'operator',
-  
-  // 代币管理
-  mintToken: 'operator',
-  burnToken: 'operator',
-  transferToken: 'operator',
-  
-  // 赎回管理
-  createRedemption: 'operator',
-  approveRedemption: 'operator',
-  rejectRedemption: 'operator',
-  executeRedemption: 'operator',
-  
-  // 租金分配
-  createDistribution: 'operator',
-  distributeRent: 'operator',
-  claimRent: 'user',
-  liquidateUnclaimedRent: 'operator'
-};
-
 /**
  * 基础合约服务类
- * 提供通用的合约交互功能
+ * 提供通用的合约交互功能。共享服务只读，写操作由服务端的签名者和nonce管理器发送
  */
 class BaseContractService {
   /**
@@ -93,21 +68,17 @@ class BaseContractService {
   
   /**
    * 获取带签名者的合约实例
-   * @param {string} [operationName] 操作名称，用于确定使用哪个角色
-   * @returns {ethers.Contract} 带签名者的合约实例
-   * @throws {ApiError} 当操作未定义角色时
+   * 共享服务不持有私钥，始终拒绝写操作
+   * @param {string} [operationName] 操作名称
+   * @throws {ApiError} 共享服务为只读
    */
   getContractWithSigner(operationName) {
-    const requiredRole = operationRoles[operationName];
-    
-    if (!requiredRole) {
-      throw new ApiError(`No role defined for operation: ${operationName}`, 'OPERATION_ROLE_NOT_DEFINED');
-    }
-    
-    const contract = this.getContract();
-    const signer = getSigner();
-    
-    return contract.connect(signer);
+    throw new ApiError({
+      statusCode: 501,
+      code: 'READ_ONLY_SERVICE',
+      message: `共享合约服务为只读，不能执行写操作: ${this.contractName}.${operationName}，请通过服务端接口发送交易`,
+      details: { contractName: this.contractName, operationName }
+    });
   }
   
   /**
@@ -131,31 +102,17 @@ class BaseContractService {
   
   /**
    * 执行合约写入操作
+   * 共享服务不发送交易，调用方应改用服务端接口（由KeyManager签名者经nonce管理器发送）
    * @param {string} methodName 方法名称
    * @param {Array} args 方法参数
    * @param {object} options 选项
-   * @param {string} options.operationName 操作名称，用于确定使用哪个角色
-   * @param {number} options.gasLimit Gas限制
-   * @param {ethers.BigNumber} options.value 发送的以太币数量
-   * @returns {Promise<ethers.providers.TransactionReceipt>} 交易收据
-   * @throws {ApiError} 当方法执行失败时
+   * @param {string} options.operationName 操作名称
+   * @returns {Promise<never>} 不会返回
+   * @throws {ApiError} 共享服务为只读，始终抛出 READ_ONLY_SERVICE
    */
   async executeWrite(methodName, args = [], options = {}) {
-    try {
-      const contract = this.getContractWithSigner(methodName);
-      logger.info(`Executing write method ${methodName} with args:`, args);
-      
-      const tx = await contract[methodName](...args, options);
-      logger.info(`Write method ${methodName} transaction sent: ${tx.hash}`);
-      
-      const receipt = await this.waitForTransaction(tx, options.confirmations);
-      logger.info(`Write method ${methodName} completed successfully`);
-      
-      return receipt;
-    } catch (error) {
-      logger.error(`Write method ${methodName} failed: ${error.message}`);
-      throw new ApiError(`Write method failed: ${error.message}`, 'WRITE_METHOD_FAILED', error);
-    }
+    logger.error(`Write method ${methodName} rejected: shared contract services are read-only`, args);
+    return this.getContractWithSigner(options.operationName || methodName);
   }
   
   /**
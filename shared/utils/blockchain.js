@@ -1,6 +1,6 @@
-const { ethers } = require('ethers');
 const { configManager } = require('../config');
 const logger = require('./logger');
+const { createProviderPool } = require('./providerPool');
 // 加载dotenv，确保环境变量在早期就被加载
 const dotenv = require('dotenv');
 const path = require('path');
@@ -35,7 +35,6 @@ function ensureEnvLoaded() {
 ensureEnvLoaded();
 
 let provider = null;
-let signer = null;
 let initialized = false;
 
 /**
@@ -74,37 +73,35 @@ async function initializeBlockchain() {
       throw new Error('Invalid network configuration: RPC URL is missing');
     }
     
-    // 创建provider - ethers v5
-    provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl);
+    // 创建RPC节点池，单个节点故障时切换到其他节点
+    provider = createProviderPool(networkConfig);
     
-    try {
-      // 测试连接
-      const network = await provider.getNetwork();
-      logger.info(`Connected to network: ${network.name} (chainId: ${network.chainId})`);
-    } catch (error) {
+    // 测试连接，至少需要一个可用节点
+    const network = await provider.getNetwork();
+    const endpoints = await provider.checkHealth();
+    const healthy = endpoints.filter(endpoint => endpoint.blockNumber !== null && endpoint.healthy);
+    for (const endpoint of endpoints) {
+      if (!healthy.includes(endpoint)) {
+        logger.warn(`RPC endpoint ${endpoint.name} unavailable: ${endpoint.lastError}`);
+      }
+    }
+    
+    if (healthy.length === 0) {
+      provider = null;
       // 如果是Hardhat网络但节点未运行，提供更友好的错误信息
       if (networkName === 'hardhat') {
         logger.error('Hardhat网络节点未运行，请使用以下命令启动Hardhat节点：');
         logger.error('npm run hardhat:node');
         throw new Error('Hardhat网络节点未运行。请使用 npm run hardhat:node 启动Hardhat节点。');
-      } else {
-        throw error;
       }
+      throw new Error(`No RPC endpoint available (${endpoints.map(endpoint => endpoint.name).join(', ')})`);
     }
     
-    // 创建signer - 如果有私钥
-    try {
-      const privateKey = configManager.getPrivateKey('operator');
-      if (privateKey) {
-        signer = new ethers.Wallet(privateKey, provider);
-        const signerAddress = await signer.getAddress();
-        logger.info(`Initialized signer with address: ${signerAddress}`);
-      } else {
-        logger.warn('Operator private key not found, running in read-only mode');
-      }
-    } catch (error) {
-      logger.warn(`Failed to initialize signer: ${error.message}. Running in read-only mode.`);
-    }
+    provider.startHealthChecks();
+    logger.info(
+      `Connected to network: ${network.name} (chainId: ${network.chainId}) via ` +
+      `${healthy.length}/${endpoints.length} RPC endpoints`
+    );
     
     initialized = true;
     logger.info('Blockchain connection initialized successfully');
@@ -116,32 +113,22 @@ async function initializeBlockchain() {
 
 /**
  * 获取provider实例
- * @returns {ethers.providers.JsonRpcProvider} provider实例
+ * @returns {ProviderPool} RPC节点池
  */
 async function getProvider() {
   await ensureInitialized();
   return provider;
 }
 
-/**
- * 获取signer实例
- * @returns {ethers.Wallet|null} signer实例，如果未初始化则返回null
- */
-async function getSigner() {
-  await ensureInitialized();
-  if (!signer) {
-    logger.warn('Signer not available, running in read-only mode');
-  }
-  return signer;
-}
-
 /**
  * 重置区块链连接
  * 用于测试或在网络配置变更后重新初始化
  */
 function resetBlockchain() {
+  if (provider) {
+    provider.stopHealthChecks();
+  }
   provider = null;
-  signer = null;
   initialized = false;
   logger.info('Blockchain connection reset');
 }
@@ -149,7 +136,6 @@ function resetBlockchain() {
 module.exports = {
   initializeBlockchain,
   getProvider,
-  getSigner,
   ensureInitialized,
   resetBlockchain
 }; 
\ No newline at end of file
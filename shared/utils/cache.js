@@ -1,158 +1,747 @@
-const { getCachePath, validatePath } = require('./paths');
+/**
+ * 统一缓存
+ *
+ * 条目以JSON保存，可附带标签（房产、代币、租金分配等），合约事件通过标签使相关条目失效
+ * （见 cacheInvalidation.js）。后端可选:
+ *   - memory: 进程内存（默认）
+ *   - file: 进程内存并持久化到JSON文件，重启后保留
+ *   - redis: Redis协议服务（Redis、Valkey、KeyDB等），多个服务实例共享
+ *
+ * 环境变量: CACHE_BACKEND、CACHE_FILE、CACHE_REDIS_URL、CACHE_NAMESPACE、CACHE_TTL
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getCachePath } = require('./paths');
 const logger = require('./logger');
 
 /**
- * 缓存管理器类
+ * 缓存标签
+ * indexed string 参数在事件中只有哈希，房产标签统一使用房产ID的哈希
  */
-class CacheManager {
-  constructor() {
-    this.cachePath = getCachePath();
-    this.cache = new Map();
-    this.initialized = false;
-    logger.info('Cache manager initialized');
-  }
+const cacheTags = {
+  property: propertyId => `property:${propertyId && propertyId.hash ? propertyId.hash : ethers.utils.id(propertyId)}`,
+  properties: () => 'properties',
+  token: address => `token:${address.toLowerCase()}`,
+  distribution: distributionId => `distribution:${distributionId.toString()}`,
+  distributions: () => 'distributions'
+};
 
+/**
+ * 内存缓存后端
+ * 条目为 { data, tags, expiresAt }，data为JSON字符串
+ */
+class MemoryCacheBackend {
   /**
-   * 初始化缓存
+   * @param {object} [options] 选项
+   * @param {number} [options.maxEntries=10000] 最大条目数，超出时先清理过期条目再淘汰最早写入的条目
    */
-  async initialize() {
-    if (this.initialized) {
-      return;
+  constructor({ maxEntries = 10000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.tagIndex = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
     }
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return null;
+    }
+    return entry;
+  }
 
-    try {
-      await this.loadFromFile();
-      this.initialized = true;
-      logger.info('Cache initialized from file');
-    } catch (error) {
-      logger.error('Failed to initialize cache:', error);
+  async set(key, entry) {
+    this._remove(key);
+    if (this.entries.size >= this.maxEntries) {
+      this._evict();
+    }
+    this.entries.set(key, entry);
+    for (const tag of entry.tags) {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(key);
+    }
+  }
+
+  async delete(key) {
+    return this._remove(key) ? 1 : 0;
+  }
+
+  async deleteTags(tags) {
+    let count = 0;
+    for (const tag of tags) {
+      for (const key of Array.from(this.tagIndex.get(tag) || [])) {
+        count += this._remove(key) ? 1 : 0;
+      }
     }
+    return count;
   }
 
+  async keys() {
+    this._purgeExpired();
+    return Array.from(this.entries.keys());
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tagIndex.clear();
+  }
+
+  async close() {}
+
   /**
-   * 设置缓存
+   * 删除条目及其标签索引
    * @param {string} key 缓存键
-   * @param {*} value 缓存值
-   * @param {number} [ttl] 过期时间(毫秒)
+   * @returns {boolean} 条目是否存在
+   * @private
    */
-  async set(key, value, ttl) {
-    try {
-      const entry = {
-        value,
-        timestamp: Date.now(),
-        ttl
-      };
-
-      this.cache.set(key, entry);
-      await this.saveToFile();
-      logger.info(`Cache set for key: ${key}`);
-    } catch (error) {
-      logger.error(`Failed to set cache for key ${key}:`, error);
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tagIndex.delete(tag);
+      }
     }
+    return true;
   }
 
   /**
-   * 获取缓存
-   * @param {string} key 缓存键
-   * @returns {*} 缓存值
+   * 清理过期条目
+   * @private
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this._remove(key);
+      }
+    }
+  }
+
+  /**
+   * 腾出空间
+   * @private
    */
+  _evict() {
+    this._purgeExpired();
+    while (this.entries.size >= this.maxEntries) {
+      this._remove(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * 文件缓存后端
+ * 在内存后端的基础上，每次变更后把全部条目写入JSON文件（先写临时文件再重命名）
+ */
+class FileCacheBackend extends MemoryCacheBackend {
+  /**
+   * @param {string} file 缓存文件路径
+   * @param {object} [options] 选项，同MemoryCacheBackend
+   */
+  constructor(file, options) {
+    super(options);
+    this.name = 'file';
+    this.file = file;
+    this.loaded = false;
+    this.writing = Promise.resolve();
+  }
+
   async get(key) {
+    this._load();
+    return super.get(key);
+  }
+
+  async set(key, entry) {
+    this._load();
+    await super.set(key, entry);
+    return this._persist();
+  }
+
+  async delete(key) {
+    this._load();
+    const count = await super.delete(key);
+    await this._persist();
+    return count;
+  }
+
+  async deleteTags(tags) {
+    this._load();
+    const count = await super.deleteTags(tags);
+    await this._persist();
+    return count;
+  }
+
+  async keys() {
+    this._load();
+    return super.keys();
+  }
+
+  async clear() {
+    this.loaded = true;
+    await super.clear();
+    return this._persist();
+  }
+
+  async close() {
+    return this.writing;
+  }
+
+  /**
+   * 首次使用时从文件加载
+   * @private
+   */
+  _load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
     try {
-      const entry = this.cache.get(key);
-      if (!entry) {
-        return null;
+      if (fs.existsSync(this.file)) {
+        const now = Date.now();
+        for (const [key, entry] of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+          if (entry && Array.isArray(entry.tags) && entry.expiresAt > now) {
+            super.set(key, entry);
+          }
+        }
       }
+    } catch (error) {
+      logger.warn(`Failed to load cache file ${this.file}: ${error.message}`);
+    }
+  }
 
-      if (entry.ttl && Date.now() - entry.timestamp > entry.ttl) {
-        this.cache.delete(key);
-        await this.saveToFile();
-        return null;
-      }
+  /**
+   * 依次写入文件，避免并发写入交错
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    this.writing = this.writing.then(async () => {
+      const content = JSON.stringify(Array.from(this.entries.entries()));
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tempFile, content);
+      await fs.promises.rename(tempFile, this.file);
+    }).catch(error => {
+      logger.warn(`Failed to write cache file ${this.file}: ${error.message}`);
+    });
+    return this.writing;
+  }
+}
 
-      return entry.value;
-    } catch (error) {
-      logger.error(`Failed to get cache for key ${key}:`, error);
+/**
+ * Redis协议错误响应
+ */
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+/**
+ * 解析一条RESP响应
+ * @param {Buffer} buffer 接收缓冲区
+ * @param {number} start 起始位置
+ * @returns {{value: *, offset: number}|null} 响应值及其结束位置，数据不完整时返回null
+ */
+function parseReply(buffer, start) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+  case '+':
+    return { value: line, offset: next };
+  case '-':
+    return { value: new RedisReplyError(line), offset: next };
+  case ':':
+    return { value: Number(line), offset: next };
+  case '$': {
+    const length = Number(line);
+    if (length === -1) {
+      return { value: null, offset: next };
+    }
+    if (buffer.length < next + length + 2) {
       return null;
     }
+    return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+  }
+  case '*': {
+    const count = Number(line);
+    if (count === -1) {
+      return { value: null, offset: next };
+    }
+    const items = [];
+    let offset = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseReply(buffer, offset);
+      if (!item) {
+        return null;
+      }
+      items.push(item.value);
+      offset = item.offset;
+    }
+    return { value: items, offset };
   }
+  default:
+    throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
 
+/**
+ * 编码RESP命令
+ * @param {Array<string|number>} args 命令及参数
+ * @returns {string} RESP数组
+ */
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('')}`;
+}
+
+/**
+ * Redis协议缓存后端
+ * 使用单个连接按顺序收发命令；条目键为 <namespace>:k:<key>，标签为保存键名的集合 <namespace>:t:<tag>
+ */
+class RedisCacheBackend {
   /**
-   * 删除缓存
-   * @param {string} key 缓存键
+   * @param {object} options 选项
+   * @param {string} options.url 连接地址，如 redis://:password@127.0.0.1:6379/0
+   * @param {string} options.namespace 键前缀
+   * @param {number} options.maxTtl 标签集合的过期时间（秒），不短于任何条目的TTL
+   * @param {number} [options.timeout=2000] 连接和命令超时（毫秒）
    */
+  constructor({ url, namespace, maxTtl, timeout = 2000 }) {
+    this.name = 'redis';
+    this.url = new URL(url);
+    this.namespace = namespace;
+    this.maxTtl = maxTtl;
+    this.timeout = timeout;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  async get(key) {
+    const data = await this.command('GET', this._key(key));
+    return data === null ? null : JSON.parse(data);
+  }
+
+  async set(key, entry) {
+    const ttl = Math.max(entry.expiresAt - Date.now(), 1);
+    const commands = [this.command('SET', this._key(key), JSON.stringify(entry), 'PX', ttl)];
+    for (const tag of entry.tags) {
+      commands.push(this.command('SADD', this._tag(tag), key));
+      commands.push(this.command('EXPIRE', this._tag(tag), this.maxTtl));
+    }
+    await Promise.all(commands);
+  }
+
   async delete(key) {
-    try {
-      this.cache.delete(key);
-      await this.saveToFile();
-      logger.info(`Cache deleted for key: ${key}`);
-    } catch (error) {
-      logger.error(`Failed to delete cache for key ${key}:`, error);
+    return this.command('DEL', this._key(key));
+  }
+
+  async deleteTags(tags) {
+    let count = 0;
+    for (const tag of tags) {
+      const keys = await this.command('SMEMBERS', this._tag(tag));
+      if (keys.length > 0) {
+        count += await this.command('DEL', ...keys.map(key => this._key(key)));
+      }
+      await this.command('DEL', this._tag(tag));
+    }
+    return count;
+  }
+
+  async keys() {
+    const prefix = this._key('');
+    return (await this._scan(`${prefix}*`)).map(key => key.slice(prefix.length));
+  }
+
+  async clear() {
+    const keys = await this._scan(`${this.namespace}:*`);
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.command('DEL', ...keys.slice(i, i + 500));
+    }
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
     }
   }
 
   /**
-   * 清除所有缓存
+   * 发送命令并等待响应
+   * @param {...(string|number)} args 命令及参数
+   * @returns {Promise<*>} 响应值
    */
-  async clear() {
-    try {
-      this.cache.clear();
-      await this.saveToFile();
-      logger.info('Cache cleared');
-    } catch (error) {
-      logger.error('Failed to clear cache:', error);
+  command(...args) {
+    if (!this.socket) {
+      this._connect();
     }
+    return this._send(args);
   }
 
   /**
-   * 保存缓存到文件
+   * 建立连接，认证和选择数据库的命令排在其他命令之前
+   * @private
    */
-  async saveToFile() {
-    try {
-      if (!validatePath(this.cachePath)) {
-        throw new Error('Invalid cache path');
-      }
+  _connect() {
+    const socket = net.createConnection({
+      host: this.url.hostname || '127.0.0.1',
+      port: Number(this.url.port) || 6379
+    });
+    socket.setNoDelay(true);
+    socket.setTimeout(this.timeout);
+    socket.on('data', data => this._onData(data));
+    socket.on('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+    socket.on('error', error => this._fail(socket, error));
+    socket.on('close', () => this._fail(socket, new Error('Redis connection closed')));
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
 
-      const data = JSON.stringify(Array.from(this.cache.entries()));
-      await require('fs').promises.writeFile(this.cachePath, data);
-    } catch (error) {
-      logger.error('Failed to save cache to file:', error);
+    if (this.url.password) {
+      const credentials = this.url.username
+        ? [decodeURIComponent(this.url.username), decodeURIComponent(this.url.password)]
+        : [decodeURIComponent(this.url.password)];
+      this._send(['AUTH', ...credentials]).catch(() => {});
+    }
+    const db = Number(this.url.pathname.slice(1));
+    if (db) {
+      this._send(['SELECT', db]).catch(() => {});
     }
   }
 
   /**
-   * 从文件加载缓存
+   * 写入命令
+   * @param {Array<string|number>} args 命令及参数
+   * @returns {Promise<*>} 响应值
+   * @private
    */
-  async loadFromFile() {
-    try {
-      if (!validatePath(this.cachePath)) {
-        return;
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * 按顺序把响应交给等待中的命令
+   * @param {Buffer} data 收到的数据
+   * @private
+   */
+  _onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let reply = parseReply(this.buffer, 0);
+    while (reply) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject } = this.pending.shift() || {};
+      if (reply.value instanceof RedisReplyError) {
+        reject && reject(reply.value);
+      } else {
+        resolve && resolve(reply.value);
       }
+      reply = this.buffer.length > 0 ? parseReply(this.buffer, 0) : null;
+    }
+  }
 
-      const data = await require('fs').promises.readFile(this.cachePath, 'utf8');
-      const entries = JSON.parse(data);
-      this.cache = new Map(entries);
-    } catch (error) {
-      logger.error('Failed to load cache from file:', error);
+  /**
+   * 连接出错或关闭时让所有等待中的命令失败，下一条命令重新连接
+   * @param {net.Socket} socket 出错的连接
+   * @param {Error} error 错误
+   * @private
+   */
+  _fail(socket, error) {
+    if (this.socket !== socket) {
+      return;
     }
+    this.socket = null;
+    const pending = this.pending;
+    this.pending = [];
+    for (const { reject } of pending) {
+      reject(error);
+    }
+  }
+
+  /**
+   * 遍历匹配的键
+   * @param {string} pattern 匹配模式
+   * @returns {Promise<Array<string>>} 键列表
+   * @private
+   */
+  async _scan(pattern) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  _key(key) {
+    return `${this.namespace}:k:${key}`;
+  }
+
+  _tag(tag) {
+    return `${this.namespace}:t:${tag}`;
+  }
+}
+
+/**
+ * 缓存管理器
+ * 后端出错时记录警告并按未命中处理，缓存不可用不影响业务
+ */
+class CacheManager {
+  /**
+   * @param {object} options 选项
+   * @param {object} options.backend 缓存后端
+   * @param {number} [options.defaultTtl=300] 默认过期时间（秒）
+   * @param {number} [options.maxTtl=86400] 最长过期时间（秒）
+   */
+  constructor({ backend, defaultTtl = 300, maxTtl = 86400 }) {
+    this.backend = backend;
+    this.defaultTtl = defaultTtl;
+    this.maxTtl = maxTtl;
+    // 每次失效递增，加载期间发生过失效的结果不写入缓存
+    this.generation = 0;
+    this.loading = new Map();
+    this.lastErrorLoggedAt = 0;
+    this.stats = { hits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0, lastReset: Date.now() };
   }
 
   /**
-   * 获取所有缓存键
-   * @returns {string[]} 缓存键列表
+   * 读取缓存
+   * @param {string} key 缓存键
+   * @returns {Promise<*>} 缓存值，不存在时返回undefined
    */
-  getKeys() {
-    return Array.from(this.cache.keys());
+  async get(key) {
+    const entry = await this._call(() => this.backend.get(key), null);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    return JSON.parse(entry.data);
   }
 
   /**
-   * 获取缓存大小
-   * @returns {number} 缓存条目数量
+   * 写入缓存
+   * @param {string} key 缓存键
+   * @param {*} value 可JSON序列化的值，undefined不缓存
+   * @param {object} [options] 选项
+   * @param {number} [options.ttl] 过期时间（秒）
+   * @param {Array<string>} [options.tags] 标签
+   * @returns {Promise<boolean>} 是否写入
    */
-  size() {
-    return this.cache.size;
+  async set(key, value, { ttl, tags = [] } = {}) {
+    if (value === undefined) {
+      return false;
+    }
+    const seconds = Math.min(ttl || this.defaultTtl, this.maxTtl);
+    const entry = {
+      data: JSON.stringify(value),
+      tags: Array.from(new Set(tags)),
+      expiresAt: Date.now() + seconds * 1000
+    };
+    const stored = await this._call(async () => {
+      await this.backend.set(key, entry);
+      return true;
+    }, false);
+    if (stored) {
+      this.stats.sets++;
+    }
+    return stored;
+  }
+
+  /**
+   * 读取缓存，未命中时调用loader加载并写入
+   * 同一键的并发加载只执行一次
+   * @param {string} key 缓存键
+   * @param {Function} loader 加载函数
+   * @param {object} [options] 选项
+   * @param {number} [options.ttl] 过期时间（秒）
+   * @param {Array<string>|Function} [options.tags] 标签，或根据加载结果返回标签的函数
+   * @returns {Promise<*>} 缓存值或加载结果
+   */
+  async wrap(key, loader, { ttl, tags = [] } = {}) {
+    const cached = await this.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+    if (this.loading.has(key)) {
+      return this.loading.get(key);
+    }
+
+    const generation = this.generation;
+    const promise = (async () => {
+      const value = await loader();
+      if (generation === this.generation) {
+        await this.set(key, value, { ttl, tags: typeof tags === 'function' ? tags(value) : tags });
+      }
+      return value;
+    })().finally(() => {
+      this.loading.delete(key);
+    });
+    this.loading.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * 删除缓存
+   * @param {string} key 缓存键
+   * @returns {Promise<boolean>} 条目是否存在
+   */
+  async delete(key) {
+    this.generation++;
+    return (await this._call(() => this.backend.delete(key), 0)) > 0;
+  }
+
+  /**
+   * 使带有任一标签的条目失效
+   * @param {Array<string>} tags 标签
+   * @returns {Promise<number>} 失效的条目数
+   */
+  async invalidateTags(tags) {
+    this.generation++;
+    const count = await this._call(() => this.backend.deleteTags(Array.from(new Set(tags))), 0);
+    this.stats.invalidations += count;
+    return count;
+  }
+
+  /**
+   * 清空缓存
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.generation++;
+    await this._call(() => this.backend.clear());
+    logger.info('Cache cleared');
+  }
+
+  /**
+   * 获取全部缓存键
+   * @returns {Promise<Array<string>>} 缓存键
+   */
+  async getKeys() {
+    return this._call(() => this.backend.keys(), []);
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {object} 统计信息
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      backend: this.backend.name,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * 关闭后端连接
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this._call(() => this.backend.close());
+  }
+
+  /**
+   * 调用后端，出错时返回默认值
+   * @param {Function} operation 后端操作
+   * @param {*} [fallback] 出错时的返回值
+   * @returns {Promise<*>} 操作结果
+   * @private
+   */
+  async _call(operation, fallback) {
+    try {
+      return await operation();
+    } catch (error) {
+      this.stats.errors++;
+      // 后端不可用时每分钟最多记录一次
+      if (Date.now() - this.lastErrorLoggedAt > 60000) {
+        this.lastErrorLoggedAt = Date.now();
+        logger.warn(`Cache backend ${this.backend.name} error: ${error.message}`);
+      }
+      return fallback;
+    }
+  }
+}
+
+/**
+ * 从环境变量读取缓存配置
+ * @param {object} [env] 环境变量
+ * @returns {object} 缓存配置
+ */
+function getCacheConfig(env = process.env) {
+  return {
+    backend: env.CACHE_BACKEND || 'memory',
+    file: env.CACHE_FILE || getCachePath(),
+    redisUrl: env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379',
+    // 按链区分，避免本地链重置或切换网络后读到其他链的数据
+    namespace: env.CACHE_NAMESPACE || `rwa:${env.CHAIN_ID || 31337}`,
+    defaultTtl: parseInt(env.CACHE_TTL, 10) || 300,
+    maxTtl: 86400
+  };
+}
+
+/**
+ * 创建缓存后端
+ * @param {object} config 缓存配置
+ * @returns {object} 缓存后端
+ */
+function createCacheBackend(config) {
+  switch (config.backend) {
+  case 'memory':
+    return new MemoryCacheBackend();
+  case 'file':
+    return new FileCacheBackend(config.file);
+  case 'redis':
+    return new RedisCacheBackend({ url: config.redisUrl, namespace: config.namespace, maxTtl: config.maxTtl });
+  default:
+    throw new Error(`Unsupported cache backend: ${config.backend}`);
   }
 }
 
-const cacheManager = new CacheManager();
+const config = getCacheConfig();
+const cache = new CacheManager({
+  backend: createCacheBackend(config),
+  defaultTtl: config.defaultTtl,
+  maxTtl: config.maxTtl
+});
 
-module.exports = cacheManager; 
\ No newline at end of file
+module.exports = {
+  cache,
+  cacheTags,
+  CacheManager,
+  MemoryCacheBackend,
+  FileCacheBackend,
+  RedisCacheBackend,
+  createCacheBackend,
+  getCacheConfig
+};
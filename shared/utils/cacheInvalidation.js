@@ -0,0 +1,261 @@
+/**
+ * 基于合约事件的缓存失效
+ *
+ * 两个来源:
+ *   - 本服务发送的交易: 确认后解析回执中的事件，立即使相关缓存失效
+ *   - 其他来源的交易: 轮询监控进程写入的事件存储，处理各合约游标之间新提交的事件
+ */
+
+const { ethers } = require('ethers');
+const abis = require('../contracts/abis');
+const { getContractAddresses } = require('../config/contracts');
+const { cacheTags } = require('./cache');
+const logger = require('./logger');
+
+// 保存各合约已处理游标的缓存键，持久化后端重启后可从上次的位置继续
+const POSITIONS_KEY = 'cache-invalidator:positions';
+
+const propertyTags = ({ propertyId }) => [cacheTags.property(propertyId), cacheTags.properties()];
+const registeredTokenTags = ({ propertyId, tokenAddress }) => [
+  ...propertyTags({ propertyId }),
+  cacheTags.token(tokenAddress)
+];
+const tokenTags = (args, contractAddress) => [cacheTags.token(contractAddress)];
+const distributionTags = ({ distributionId }) => [cacheTags.distribution(distributionId)];
+const allDistributionTags = () => [cacheTags.distributions()];
+
+/**
+ * 合约事件 -> 受影响的缓存标签
+ * 按合约基础名称（监控进程中代币合约名为 RealEstateToken:<propertyId>）
+ */
+const EVENT_TAGS = {
+  PropertyRegistry: {
+    PropertyRegistered: propertyTags,
+    PropertyApproved: propertyTags,
+    PropertyRejected: propertyTags,
+    PropertyDelisted: propertyTags,
+    PropertyStatusUpdated: propertyTags,
+    PropertyStatusTransition: propertyTags,
+    TokenRegistered: registeredTokenTags
+  },
+  TokenFactory: {
+    TokenCreated: registeredTokenTags
+  },
+  RealEstateToken: {
+    Transfer: tokenTags,
+    Paused: tokenTags,
+    Unpaused: tokenTags,
+    TokenFrozen: tokenTags,
+    TokenUnfrozen: tokenTags,
+    MaxSupplyUpdated: tokenTags,
+    TransferRestrictionUpdated: tokenTags,
+    WhitelistEnabledUpdated: tokenTags,
+    WhitelistUpdated: tokenTags,
+    WhitelistBatchUpdated: tokenTags
+  },
+  RentDistributor: {
+    RentReceived: distributionTags,
+    RentProcessed: distributionTags,
+    RentClaimed: distributionTags,
+    DistributionUnclaimedMarked: distributionTags,
+    AllUnclaimedLiquidated: allDistributionTags,
+    UnclaimedRentLiquidated: allDistributionTags
+  }
+};
+
+const interfaces = {};
+
+/**
+ * 获取事件影响的缓存标签
+ * @param {string} contractName 合约名称
+ * @param {string} eventName 事件名称
+ * @param {object} args 事件参数
+ * @param {string} contractAddress 合约地址
+ * @returns {Array<string>} 缓存标签
+ */
+function getEventTags(contractName, eventName, args, contractAddress) {
+  const handler = (EVENT_TAGS[contractName.split(':')[0]] || {})[eventName];
+  return handler ? handler(args, contractAddress) : [];
+}
+
+/**
+ * 获取交易回执中的事件影响的缓存标签
+ * 系统合约按配置的地址识别，其余地址按房产代币解析
+ * @param {object} receipt 交易回执
+ * @returns {Array<string>} 缓存标签
+ */
+function getReceiptTags(receipt) {
+  // 地址配置的键名为首字母小写的合约名称
+  const names = {};
+  for (const [key, address] of Object.entries(getContractAddresses())) {
+    if (address) {
+      names[address.toLowerCase()] = key.charAt(0).toUpperCase() + key.slice(1);
+    }
+  }
+
+  const tags = new Set();
+  for (const log of receipt.logs || []) {
+    const contractName = names[log.address.toLowerCase()] || 'RealEstateToken';
+    if (!EVENT_TAGS[contractName]) {
+      continue;
+    }
+    if (!interfaces[contractName]) {
+      interfaces[contractName] = new ethers.utils.Interface(abis[contractName]);
+    }
+
+    // 参数含indexed string时parseLog复制结果会丢失命名参数，直接按事件解码
+    let fragment;
+    let args;
+    try {
+      fragment = interfaces[contractName].getEvent(log.topics[0]);
+      args = interfaces[contractName].decodeEventLog(fragment, log.data, log.topics);
+    } catch (error) {
+      continue;
+    }
+    for (const tag of getEventTags(contractName, fragment.name, args, log.address)) {
+      tags.add(tag);
+    }
+  }
+  return Array.from(tags);
+}
+
+/**
+ * 事件存储驱动的缓存失效器
+ */
+class CacheInvalidator {
+  /**
+   * @param {object} cache 缓存管理器
+   * @param {object} eventStore 只读事件存储
+   * @param {object} [options] 选项
+   * @param {number} [options.interval=2000] 轮询间隔（毫秒）
+   */
+  constructor(cache, eventStore, { interval = 2000 } = {}) {
+    this.cache = cache;
+    this.eventStore = eventStore;
+    this.interval = interval;
+    this.positions = null;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * 开始轮询
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.interval);
+    this.timer.unref();
+    this.poll();
+  }
+
+  /**
+   * 停止轮询
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 处理一次新提交的事件，同时只会有一次在进行
+   * @returns {Promise<number>} 失效的条目数
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this._poll()
+        .catch(error => {
+          logger.warn(`Cache invalidation failed: ${error.message}`);
+          return 0;
+        })
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+    return this.polling;
+  }
+
+  /**
+   * @returns {Promise<number>} 失效的条目数
+   * @private
+   */
+  async _poll() {
+    this.eventStore.refresh();
+    const checkpoints = this.eventStore.getCheckpoints();
+    const current = {};
+    for (const [address, checkpoint] of Object.entries(checkpoints)) {
+      current[address] = checkpoint.blockNumber;
+    }
+
+    if (!this.positions) {
+      this.positions = await this.cache.get(POSITIONS_KEY);
+      if (!this.positions) {
+        // 持久化的缓存可能保存了停机期间已变化的数据，无法确定时全部清空
+        return this._reset(current);
+      }
+    }
+
+    const changed = Object.keys(current).filter(address => current[address] !== this.positions[address]);
+    if (changed.length === 0) {
+      return 0;
+    }
+    // 游标后退说明发生了链重组或本地链重置
+    if (changed.some(address => current[address] < this.positions[address])) {
+      logger.warn('Event store checkpoints moved backwards, clearing cache');
+      return this._reset(current);
+    }
+
+    const fromBlock = Math.min(...changed.map(address => (this.positions[address] === undefined
+      ? 0
+      : this.positions[address] + 1)));
+    const tags = new Set();
+    for (const event of this.eventStore.query({ fromBlock })) {
+      const address = event.contractAddress.toLowerCase();
+      const position = this.positions[address] === undefined ? -1 : this.positions[address];
+      if (event.blockNumber <= position || event.blockNumber > current[address]) {
+        continue;
+      }
+      for (const tag of getEventTags(event.contractName, event.eventName, event.args, event.contractAddress)) {
+        tags.add(tag);
+      }
+    }
+
+    const count = tags.size > 0 ? await this.cache.invalidateTags(Array.from(tags)) : 0;
+    await this._savePositions(current);
+    if (count > 0) {
+      logger.debug(`Invalidated ${count} cache entries for ${tags.size} tags`);
+    }
+    return count;
+  }
+
+  /**
+   * 清空缓存并从当前游标开始
+   * @param {object} current 当前游标
+   * @returns {Promise<number>} 失效的条目数
+   * @private
+   */
+  async _reset(current) {
+    await this.cache.clear();
+    await this._savePositions(current);
+    return 0;
+  }
+
+  /**
+   * @param {object} positions 已处理的游标
+   * @private
+   */
+  async _savePositions(positions) {
+    this.positions = positions;
+    await this.cache.set(POSITIONS_KEY, positions, { ttl: this.cache.maxTtl });
+  }
+}
+
+module.exports = {
+  EVENT_TAGS,
+  getEventTags,
+  getReceiptTags,
+  CacheInvalidator
+};
@@ -0,0 +1,232 @@
+/**
+ * 合约引用检查
+ *
+ * 静态扫描服务端、监控服务和测试代码中对合约函数和事件的引用，
+ * 找出ABI中不存在的函数、事件和合约。识别以下写法：
+ *   - 服务类中的 executeRead/executeWrite('method')，合约由 super('Contract') 确定
+ *   - 其他模块通过 require 的服务实例或 new 出来的服务对象调用 executeRead/executeWrite
+ *   - 前端测试中 contractService.getXxx() 或 new ethers.Contract(..., getAbi('Xxx')) 得到的合约对象的方法调用
+ *   - contractName/eventName 成对出现的事件引用，以及 e.event === 'Xxx'、event.eventName === 'Xxx'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// 默认扫描的目录（相对于项目根目录）
+const DEFAULT_DIRECTORIES = [
+  'server/src',
+  'server/scripts',
+  'server/tests',
+  'monitor/src',
+  'monitor/scripts',
+  'frontend-tests'
+];
+
+// ethers.Contract 自带的成员，不是合约函数
+const CONTRACT_MEMBERS = new Set([
+  'address', 'attach', 'callStatic', 'connect', 'deployed', 'deployTransaction', 'emit', 'estimateGas',
+  'filters', 'functions', 'interface', 'listenerCount', 'listeners', 'off', 'on', 'once',
+  'populateTransaction', 'provider', 'queryFilter', 'removeAllListeners', 'removeListener', 'resolvedAddress',
+  'signer'
+]);
+
+// contractService.getXxx() 中名称与合约名不一致的情况
+const GETTER_CONTRACTS = {
+  Token: 'RealEstateToken'
+};
+
+/**
+ * 递归列出目录下的JS文件
+ * @param {string} dir 目录
+ * @returns {Array<string>} 文件路径
+ */
+function listSourceFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules') {
+        files.push(...listSourceFiles(fullPath));
+      }
+    } else if (entry.name.endsWith('.js')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * 为ABI建立函数和事件索引
+ * @param {object} abis 合约名称到ABI的映射
+ * @returns {Map<string, object>} 合约名称到 { functions, events } 的映射
+ */
+function indexAbis(abis) {
+  const index = new Map();
+  for (const [contractName, abi] of Object.entries(abis)) {
+    const iface = new ethers.utils.Interface(abi);
+    const functions = new Map();
+    for (const fragment of Object.values(iface.functions)) {
+      const signatures = functions.get(fragment.name) || [];
+      signatures.push(fragment.format());
+      functions.set(fragment.name, signatures);
+    }
+    const events = new Set(Object.values(iface.events).map(fragment => fragment.name));
+    index.set(contractName, { functions, events });
+  }
+  return index;
+}
+
+/**
+ * 取得文件中服务类对应的合约（super('Contract', ...)）
+ * @param {string} source 源码
+ * @returns {string|null} 合约名称
+ */
+function getServiceContract(source) {
+  const match = /class\s+\w+\s+extends\s+\w*ContractService\s*{[\s\S]*?super\(\s*'(\w+)'/.exec(source);
+  return match ? match[1] : null;
+}
+
+/**
+ * 根据偏移量计算行号
+ * @param {string} source 源码
+ * @param {number} offset 偏移量
+ * @returns {number} 行号（从1开始）
+ */
+function lineOf(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * 检查代码中对合约函数和事件的引用
+ * @param {object} options 选项
+ * @param {object} options.abis 合约名称到ABI的映射
+ * @param {string} options.rootDir 项目根目录
+ * @param {Array<string>} [options.directories] 扫描的目录（相对于rootDir）
+ * @returns {Array<object>} 问题列表 [{ file, line, contract, member, message }]
+ */
+function checkContractReferences({ abis, rootDir, directories = DEFAULT_DIRECTORIES }) {
+  const index = indexAbis(abis);
+  const files = directories.flatMap(dir => listSourceFiles(path.join(rootDir, dir)));
+  const sources = new Map(files.map(file => [file, fs.readFileSync(file, 'utf8')]));
+  const serviceContracts = new Map(files.map(file => [file, getServiceContract(sources.get(file))]));
+
+  const problems = [];
+  for (const file of files) {
+    const source = sources.get(file);
+    const relative = path.relative(rootDir, file);
+    const report = (offset, contract, member, message) => {
+      problems.push({ file: relative, line: lineOf(source, offset), contract, member, message });
+    };
+
+    const checkFunction = (offset, contract, member) => {
+      const entry = index.get(contract);
+      if (!entry) {
+        report(offset, contract, member, `ABI中没有合约 ${contract}`);
+        return;
+      }
+      const name = member.includes('(') ? member.slice(0, member.indexOf('(')) : member;
+      const signatures = entry.functions.get(name);
+      if (!signatures) {
+        report(offset, contract, member, `合约 ${contract} 没有函数 ${name}`);
+      } else if (member.includes('(') && !signatures.includes(member.replace(/\s+/g, ''))) {
+        report(offset, contract, member, `合约 ${contract} 没有函数签名 ${member}，可用: ${signatures.join(', ')}`);
+      } else if (!member.includes('(') && signatures.length > 1) {
+        report(offset, contract, member, `${contract}.${name} 存在重载，必须使用完整签名: ${signatures.join(', ')}`);
+      }
+    };
+
+    const checkEvent = (offset, contract, eventName) => {
+      if (contract) {
+        const entry = index.get(contract);
+        if (!entry) {
+          report(offset, contract, eventName, `ABI中没有合约 ${contract}`);
+        } else if (!entry.events.has(eventName)) {
+          report(offset, contract, eventName, `合约 ${contract} 没有事件 ${eventName}`);
+        }
+      } else if (!Array.from(index.values()).some(entry => entry.events.has(eventName))) {
+        report(offset, null, eventName, `所有合约ABI中都没有事件 ${eventName}`);
+      }
+    };
+
+    // 本文件中 require 的服务模块和 new 出来的服务对象 -> 合约
+    const receivers = new Map();
+    const requirePattern = /(?:const|let)\s+(\w+)\s*=\s*require\(\s*'(\.[^']+)'\s*\)/g;
+    for (const match of source.matchAll(requirePattern)) {
+      let target = path.resolve(path.dirname(file), match[2]);
+      target = sources.has(target) ? target : `${target}.js`;
+      if (serviceContracts.get(target)) {
+        receivers.set(match[1], serviceContracts.get(target));
+      }
+    }
+    for (const match of source.matchAll(/(?:const|let)\s+(\w+)\s*=\s*new\s+(\w+)\(/g)) {
+      if (receivers.has(match[2])) {
+        receivers.set(match[1], receivers.get(match[2]));
+      }
+    }
+
+    // 服务方法调用
+    const ownContract = serviceContracts.get(file);
+    const callPattern = /(?:(this)|(?:new\s+)?(\w+)(?:\([^()]*\))?)\.(?:executeRead|executeWrite)\(\s*'([^']+)'/g;
+    for (const match of source.matchAll(callPattern)) {
+      const contract = match[1] ? ownContract : receivers.get(match[2]);
+      if (contract) {
+        checkFunction(match.index, contract, match[3]);
+      }
+    }
+
+    // 合约对象的方法调用
+    const contractVariables = new Map();
+    for (const match of source.matchAll(/(?:const|let)\s+(\w+)\s*=\s*contractService\.get(\w+)\(/g)) {
+      if (match[2] !== 'Contract' && match[2] !== 'ContractWithSigner') {
+        contractVariables.set(match[1], GETTER_CONTRACTS[match[2]] || match[2]);
+      }
+    }
+    const ethersContractPattern =
+      /(?:const|let)\s+(\w+)\s*=\s*new\s+ethers\.Contract\([^,]+,\s*(?:getAbi\(\s*'(\w+)'\s*\)|abis\.(\w+))/g;
+    for (const match of source.matchAll(ethersContractPattern)) {
+      contractVariables.set(match[1], match[2] || match[3]);
+    }
+    for (const [variable, contract] of contractVariables) {
+      const memberPattern = new RegExp(`\\b${variable}\\.(\\w+)\\(|\\b${variable}\\.filters\\.(\\w+)\\(`, 'g');
+      for (const match of source.matchAll(memberPattern)) {
+        if (match[2]) {
+          checkEvent(match.index, contract, match[2]);
+        } else if (!CONTRACT_MEMBERS.has(match[1])) {
+          checkFunction(match.index, contract, match[1]);
+        }
+      }
+    }
+
+    // 指定合约的事件
+    const pairPatterns = [
+      /contractName\s*===\s*'(\w+)'\s*&&\s*\w+\.eventName\s*===\s*'(\w+)'/g,
+      /contractName:\s*'(\w+)',\s*eventName:\s*'(\w+)'/g
+    ];
+    const paired = new Set();
+    for (const pattern of pairPatterns) {
+      for (const match of source.matchAll(pattern)) {
+        paired.add(match.index + match[0].lastIndexOf(match[2]) - 1);
+        checkEvent(match.index, match[1], match[2]);
+      }
+    }
+
+    // 其余事件名比较：服务类中按其合约检查，其他文件只要求某个合约有该事件
+    for (const match of source.matchAll(/\.(?:event|eventName)\s*===\s*'(\w+)'/g)) {
+      const offset = match.index + match[0].length - match[1].length - 2;
+      if (!paired.has(offset)) {
+        checkEvent(match.index, index.has(ownContract) ? ownContract : null, match[1]);
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_DIRECTORIES,
+  checkContractReferences
+};
@@ -18,18 +18,16 @@ const contractInstances = {};
 class ContractService {
   constructor() {
     this.provider = null;
-    this.signer = null;
     this.initialized = false;
     this.network = null;
   }
 
   /**
    * 初始化合约服务
-   * @param {Object} options 初始化选项
-   * @param {boolean} options.useDefaultSigner 是否使用默认签名者
+   * 合约服务只提供只读实例；服务端的写操作由各合约服务通过KeyManager签名者发送
    * @returns {Promise<void>}
    */
-  async initialize(options = { useDefaultSigner: true }) {
+  async initialize() {
     if (this.initialized) {
       logger.info('Contract service already initialized');
       return;
@@ -50,24 +48,6 @@ class ContractService {
       
       logger.info(`Connected to network: ${network.name} (chainId: ${network.chainId})`);
 
-      // 初始化signer
-      if (options.useDefaultSigner) {
-        try {
-          const privateKey = configManager.getPrivateKey('operator');
-          if (privateKey) {
-            this.signer = new ethers.Wallet(privateKey, this.provider);
-            const address = await this.signer.getAddress();
-            logger.info(`Using operator wallet with address: ${address}`);
-          } else {
-            logger.warn('No operator private key available. Running in read-only mode');
-            this.signer = null;
-          }
-        } catch (error) {
-          logger.warn(`Failed to initialize signer: ${error.message}. Running in read-only mode`);
-          this.signer = null;
-        }
-      }
-
       // 验证合约连接
       await this._validateContractConnections();
 
@@ -101,7 +81,7 @@ class ContractService {
         const contract = new ethers.Contract(
           address,
           getAbi(contractName),
-          this.signer || this.provider
+          this.provider
         );
         
         // 尝试进行最基本的调用，如果有version()方法就调用它
@@ -170,10 +150,9 @@ class ContractService {
    * 获取合约实例
    * @param {string} contractName 合约名称
    * @param {string} contractAddress 合约地址
-   * @param {boolean} useSigner 是否使用签名者
-   * @returns {ethers.Contract} 合约实例
+   * @returns {ethers.Contract} 只读合约实例
    */
-  async getContract(contractName, contractAddress, useSigner = true) {
+  async getContract(contractName, contractAddress) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -196,7 +175,7 @@ class ContractService {
       const contract = new ethers.Contract(
         contractAddress,
         abi,
-        useSigner && this.signer ? this.signer : this.provider
+        this.provider
       );
 
       // 缓存合约实例
@@ -272,14 +251,13 @@ class ContractService {
   /**
    * 根据名称获取合约
    * @param {string} contractName 合约名称
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {ethers.Contract} 合约实例
    */
-  async getContractByName(contractName, useSigner = true) {
+  async getContractByName(contractName) {
     try {
       const address = this.getContractAddress(contractName);
       logger.debug(`获取合约 ${contractName} 的地址: ${address}`);
-      return this.getContract(contractName, address, useSigner);
+      return this.getContract(contractName, address);
     } catch (error) {
       logger.error(`获取合约 ${contractName} 失败: ${error.message}`);
       throw new Error(`Failed to get contract instance: ${error.message}`);
@@ -288,75 +266,67 @@ class ContractService {
   
   /**
    * 获取RoleManager合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getRoleManager(useSigner = true) {
-    return this.getContractByName('RoleManager', useSigner);
+  async getRoleManager() {
+    return this.getContractByName('RoleManager');
   }
 
   /**
    * 获取PropertyRegistry合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getPropertyRegistry(useSigner = true) {
-    return this.getContractByName('PropertyRegistry', useSigner);
+  async getPropertyRegistry() {
+    return this.getContractByName('PropertyRegistry');
   }
 
   /**
    * 获取TokenFactory合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getTokenFactory(useSigner = true) {
-    return this.getContractByName('TokenFactory', useSigner);
+  async getTokenFactory() {
+    return this.getContractByName('TokenFactory');
   }
 
   /**
    * 获取Token合约
    * @param {string} tokenAddress Token合约地址
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getToken(tokenAddress, useSigner = true) {
-    return this.getContract('RealEstateToken', tokenAddress, useSigner);
+  async getToken(tokenAddress) {
+    return this.getContract('RealEstateToken', tokenAddress);
   }
   
   /**
    * 获取RedemptionManager合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getRedemptionManager(useSigner = true) {
-    return this.getContractByName('RedemptionManager', useSigner);
+  async getRedemptionManager() {
+    return this.getContractByName('RedemptionManager');
   }
   
   /**
    * 获取RentDistributor合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getRentDistributor(useSigner = true) {
-    return this.getContractByName('RentDistributor', useSigner);
+  async getRentDistributor() {
+    return this.getContractByName('RentDistributor');
   }
   
   /**
    * 获取FeeManager合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getFeeManager(useSigner = true) {
-    return this.getContractByName('FeeManager', useSigner);
+  async getFeeManager() {
+    return this.getContractByName('FeeManager');
   }
   
   /**
    * 获取Marketplace合约
-   * @param {boolean} useSigner 是否使用签名者
    * @returns {Promise<ethers.Contract>} 合约实例
    */
-  async getMarketplace(useSigner = true) {
-    return this.getContractByName('Marketplace', useSigner);
+  async getMarketplace() {
+    return this.getContractByName('Marketplace');
   }
 }
 
@@ -0,0 +1,597 @@
+#!/usr/bin/env node
+/**
+ * 部署一致性检查工具
+ *
+ * 比较各处ABI和合约地址来源，并与链上实际部署的代理和实现合约核对：
+ *   - ABI来源: shared/contracts/abis.js（服务端实际加载，scripts/utils/getAbis.js 也由此读取）、
+ *     shared/contracts/abis/*.json、contracts/artifacts（updateAbis.js 的输出）、
+ *     Hardhat编译产物 artifacts/，以及监控服务的事件ABI monitor/src/contracts（update-abis.js 的输出，只比较事件）
+ *   - 地址来源: 环境变量 <CONTRACT_NAME>_ADDRESS、deploy-state.json、deployments/<network>-latest.json
+ *   - 链上: 代理地址是否有代码、EIP-1967实现槽指向的实现合约，以及代理和实现的运行时字节码哈希
+ *     是否与编译产物一致，实现合约中是否包含ABI中每个函数的选择器
+ *
+ * 用法:
+ *   - 检查并输出摘要: node shared/utils/deploymentConsistency.js
+ *   - 输出JSON报告: node shared/utils/deploymentConsistency.js --json [--out report.json]
+ *   - 指定RPC或只检查本地文件: --rpc http://127.0.0.1:8545 / --offline
+ * 存在不一致时以非零状态退出。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { CONFIG } = require('./updateAbis');
+
+// 项目根目录
+const ROOT_DIR = path.resolve(__dirname, '../..');
+
+// EIP-1967 实现合约存储槽: bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// 每个房产单独部署、没有全局地址的合约
+const PER_PROPERTY_CONTRACTS = new Set(['RealEstateToken']);
+
+// 监控服务事件ABI中名称与合约名不一致的键
+const MONITOR_KEYS = {
+  RealEstateToken: 'token'
+};
+
+// 不一致类型，出现任何一种时报告的ok为false
+const MISMATCH_TYPES = {
+  ABI_MISSING: 'ABI_MISSING',
+  ABI_MISMATCH: 'ABI_MISMATCH',
+  ADDRESS_INVALID: 'ADDRESS_INVALID',
+  ADDRESS_MISMATCH: 'ADDRESS_MISMATCH',
+  NO_CODE: 'NO_CODE',
+  BYTECODE_MISMATCH: 'BYTECODE_MISMATCH',
+  SELECTOR_MISSING: 'SELECTOR_MISSING'
+};
+
+// 警告类型，只说明某项未能检查
+const WARNING_TYPES = {
+  CHAIN_UNAVAILABLE: 'CHAIN_UNAVAILABLE',
+  NO_ADDRESS: 'NO_ADDRESS',
+  NO_ARTIFACT: 'NO_ARTIFACT'
+};
+
+/**
+ * 合约名转为环境变量名，如 PropertyRegistry -> PROPERTY_REGISTRY_ADDRESS
+ * @param {string} contractName 合约名称
+ * @returns {string} 环境变量名
+ */
+function envVarName(contractName) {
+  return `${contractName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_ADDRESS`;
+}
+
+/**
+ * 读取JSON文件，不存在时返回null
+ * @param {string|null} file 文件路径
+ * @returns {*} 文件内容
+ */
+function readJson(file) {
+  return file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * 在Hardhat产物目录中查找合约产物（<Name>.sol/<Name>.json）
+ * @param {string} dir 产物目录
+ * @param {string} contractName 合约名称
+ * @returns {string|null} 产物文件路径
+ */
+function findArtifact(dir, contractName) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name === 'build-info') {
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    const candidate = path.join(fullPath, `${contractName}.json`);
+    if (entry.name === `${contractName}.sol` && fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const found = findArtifact(fullPath, contractName);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * 加载各ABI来源
+ * @param {string} rootDir 项目根目录
+ * @param {Array<string>} contracts 合约名称列表
+ * @returns {object} 来源名称到 { path, available, eventsOnly, abis, artifacts } 的映射
+ */
+function loadAbiSources(rootDir, contracts) {
+  const fromModule = (relative, select) => {
+    const file = path.join(rootDir, relative);
+    if (!fs.existsSync(file) && !fs.existsSync(`${file}.js`)) {
+      return { path: relative, available: false, abis: {} };
+    }
+    const exported = require(file);
+    const abis = {};
+    for (const name of contracts) {
+      const abi = select(exported, name);
+      if (abi) {
+        abis[name] = abi;
+      }
+    }
+    return { path: relative, available: true, abis };
+  };
+
+  const fromArtifacts = (relative, find) => {
+    const dir = path.join(rootDir, relative);
+    const abis = {};
+    const artifacts = {};
+    for (const name of contracts) {
+      const artifact = readJson(find(dir, name));
+      if (artifact && artifact.abi) {
+        abis[name] = artifact.abi;
+        artifacts[name] = artifact;
+      }
+    }
+    return { path: relative, available: fs.existsSync(dir), abis, artifacts };
+  };
+
+  const monitorKey = name => MONITOR_KEYS[name] || name.charAt(0).toLowerCase() + name.slice(1);
+
+  return {
+    'artifacts': fromArtifacts('artifacts', findArtifact),
+    'contracts/artifacts': fromArtifacts('contracts/artifacts', (dir, name) => path.join(dir, `${name}.json`)),
+    'shared/contracts/abis.js': fromModule('shared/contracts/abis.js', (abis, name) => abis[name]),
+    'shared/contracts/abis': fromModule('shared/contracts/abis/index.js', (abis, name) => abis[name]),
+    'monitor/src/contracts': {
+      ...fromModule('monitor/src/contracts/index.js', (abis, name) => abis[monitorKey(name)]),
+      eventsOnly: true
+    }
+  };
+}
+
+/**
+ * 加载各地址来源
+ * @param {string} rootDir 项目根目录
+ * @param {Array<string>} contracts 合约名称列表
+ * @param {object} env 环境变量
+ * @returns {object} 来源名称到 { path, available, chainId, addresses } 的映射
+ */
+function loadAddressSources(rootDir, contracts, env) {
+  const sources = {
+    env: {
+      path: null,
+      available: true,
+      addresses: Object.fromEntries(contracts
+        .filter(name => env[envVarName(name)])
+        .map(name => [name, env[envVarName(name)]]))
+    }
+  };
+
+  const deployState = readJson(path.join(rootDir, 'deploy-state.json'));
+  sources['deploy-state.json'] = {
+    path: 'deploy-state.json',
+    available: Boolean(deployState),
+    addresses: (deployState && deployState.contracts) || {}
+  };
+
+  // 每个网络只取最新的部署记录，带时间戳的记录是历史
+  const deploymentsDir = path.join(rootDir, 'deployments');
+  const records = fs.existsSync(deploymentsDir)
+    ? fs.readdirSync(deploymentsDir).filter(file => file.endsWith('-latest.json')).sort()
+    : [];
+  for (const file of records) {
+    const record = readJson(path.join(deploymentsDir, file));
+    sources[`deployments/${file}`] = {
+      path: `deployments/${file}`,
+      available: true,
+      chainId: record.chainId ? Number(record.chainId) : null,
+      addresses: record.contracts || {}
+    };
+  }
+
+  return sources;
+}
+
+/**
+ * 计算ABI的规范化哈希（与条目顺序和格式无关）
+ * @param {Array} abi 合约ABI
+ * @param {boolean} eventsOnly 是否只计算事件
+ * @returns {{hash: string, fragments: Array<string>}} 哈希和规范化后的条目
+ */
+function normalizeAbi(abi, eventsOnly = false) {
+  const fragments = new ethers.utils.Interface(abi).fragments
+    .filter(fragment => !eventsOnly || fragment.type === 'event')
+    .map(fragment => fragment.format(ethers.utils.FormatTypes.full))
+    .sort();
+  return { hash: ethers.utils.id(fragments.join('\n')), fragments };
+}
+
+/**
+ * 规范化运行时字节码以便比较
+ * 去掉末尾的CBOR元数据（随源码路径和注释变化），把库链接位置和合约自身地址
+ * （UUPSUpgradeable 的 immutable __self）清零；其他 immutable 会表现为字节码不一致
+ * @param {string} code 字节码
+ * @param {object} [options] 选项
+ * @param {object} [options.linkReferences] 产物中的 deployedLinkReferences
+ * @param {string} [options.selfAddress] 字节码所在的合约地址
+ * @returns {string} 不带0x前缀的十六进制字节码
+ */
+function normalizeBytecode(code, { linkReferences, selfAddress } = {}) {
+  let hex = code.toLowerCase().replace(/^0x/, '');
+
+  for (const libraries of Object.values(linkReferences || {})) {
+    for (const references of Object.values(libraries)) {
+      for (const { start, length } of references) {
+        hex = hex.slice(0, start * 2) + '0'.repeat(length * 2) + hex.slice((start + length) * 2);
+      }
+    }
+  }
+  if (selfAddress) {
+    hex = hex.split(selfAddress.toLowerCase().replace(/^0x/, '').padStart(64, '0')).join('0'.repeat(64));
+  }
+
+  const metadataLength = parseInt(hex.slice(-4), 16) * 2 + 4;
+  if (metadataLength < hex.length && /^a[1-5]/.test(hex.slice(-metadataLength))) {
+    hex = hex.slice(0, -metadataLength);
+  }
+  return hex;
+}
+
+/**
+ * 找出字节码中没有选择器的函数
+ * Solidity的函数分发以 PUSH4 <selector> 比较调用数据，选择器以00开头时会用更短的PUSH
+ * @param {Array} abi 合约ABI
+ * @param {string} code 字节码
+ * @returns {Array<string>} 缺少的函数签名
+ */
+function findMissingSelectors(abi, code) {
+  const hex = code.toLowerCase();
+  const iface = new ethers.utils.Interface(abi);
+  return Object.keys(iface.functions).filter(signature => {
+    const selector = iface.getSighash(signature).slice(2).replace(/^(00)+/, '') || '00';
+    const push = (0x5f + selector.length / 2).toString(16);
+    return !hex.includes(push + selector);
+  });
+}
+
+/**
+ * 检查各ABI来源是否一致
+ * 以编译产物为基准（Hardhat产物 > contracts/artifacts > abis.js），没有产物时以服务端加载的ABI为基准
+ * @param {object} abiSources ABI来源
+ * @param {Array<string>} contracts 合约名称列表
+ * @param {object} report 报告
+ */
+function compareAbis(abiSources, contracts, report) {
+  const order = ['artifacts', 'contracts/artifacts', 'shared/contracts/abis.js'];
+
+  for (const name of contracts) {
+    const entry = report.contracts[name];
+    const reference = order.find(source => abiSources[source].abis[name]);
+    for (const [source, { available, eventsOnly, abis }] of Object.entries(abiSources)) {
+      if (!available) {
+        continue;
+      }
+      if (!abis[name]) {
+        entry.abiHashes[source] = null;
+        report.mismatches.push({
+          type: MISMATCH_TYPES.ABI_MISSING,
+          contract: name,
+          source,
+          message: `${source} 中没有合约 ${name} 的ABI`
+        });
+        continue;
+      }
+      const actual = normalizeAbi(abis[name], eventsOnly);
+      entry.abiHashes[source] = actual.hash;
+      if (!reference || source === reference) {
+        continue;
+      }
+      const expected = normalizeAbi(abiSources[reference].abis[name], eventsOnly);
+      if (actual.hash !== expected.hash) {
+        report.mismatches.push({
+          type: MISMATCH_TYPES.ABI_MISMATCH,
+          contract: name,
+          source,
+          reference,
+          missing: expected.fragments.filter(fragment => !actual.fragments.includes(fragment)),
+          extra: actual.fragments.filter(fragment => !expected.fragments.includes(fragment)),
+          message: `${source} 中 ${name} 的ABI与 ${reference} 不一致`
+        });
+      }
+    }
+  }
+}
+
+/**
+ * 检查各地址来源是否一致，并确定服务端使用的地址（环境变量 > deploy-state.json > 部署记录）
+ * @param {object} addressSources 地址来源
+ * @param {Array<string>} contracts 合约名称列表
+ * @param {object} report 报告
+ */
+function compareAddresses(addressSources, contracts, report) {
+  for (const name of contracts) {
+    const entry = report.contracts[name];
+    for (const [source, { addresses }] of Object.entries(addressSources)) {
+      if (!addresses[name]) {
+        continue;
+      }
+      if (!ethers.utils.isAddress(addresses[name])) {
+        report.mismatches.push({
+          type: MISMATCH_TYPES.ADDRESS_INVALID,
+          contract: name,
+          source,
+          address: addresses[name],
+          message: `${source} 中 ${name} 的地址无效: ${addresses[name]}`
+        });
+        continue;
+      }
+      entry.addresses[source] = ethers.utils.getAddress(addresses[name]);
+    }
+
+    const distinct = new Set(Object.values(entry.addresses));
+    if (distinct.size > 1) {
+      report.mismatches.push({
+        type: MISMATCH_TYPES.ADDRESS_MISMATCH,
+        contract: name,
+        addresses: entry.addresses,
+        message: `${name} 在各来源中的地址不一致: ${Object.entries(entry.addresses)
+          .map(([source, address]) => `${source}=${address}`).join(', ')}`
+      });
+    }
+    entry.address = Object.values(entry.addresses)[0] || null;
+    if (!entry.address && !PER_PROPERTY_CONTRACTS.has(name)) {
+      report.warnings.push({
+        type: WARNING_TYPES.NO_ADDRESS,
+        contract: name,
+        message: `没有配置 ${name} 的地址`
+      });
+    }
+  }
+}
+
+/**
+ * 比较链上字节码与编译产物
+ * @param {object} report 报告
+ * @param {string} name 合约名称
+ * @param {string} role proxy 或 implementation
+ * @param {string} address 合约地址
+ * @param {string} code 链上字节码
+ * @param {object|null} artifact 编译产物
+ */
+function compareBytecode(report, name, role, address, code, artifact) {
+  const entry = report.contracts[name];
+  entry.bytecode[role] = {
+    address,
+    actualHash: ethers.utils.keccak256(`0x${normalizeBytecode(code, {
+      linkReferences: artifact && artifact.deployedLinkReferences,
+      selfAddress: address
+    })}`),
+    expectedHash: null
+  };
+
+  if (!artifact || !artifact.deployedBytecode || artifact.deployedBytecode === '0x') {
+    report.warnings.push({
+      type: WARNING_TYPES.NO_ARTIFACT,
+      contract: name,
+      role,
+      message: `没有 ${role === 'proxy' ? '代理合约' : name} 的编译产物，跳过 ${name} ${role} 的字节码比较`
+    });
+    return;
+  }
+
+  const expectedHash = ethers.utils.keccak256(`0x${normalizeBytecode(artifact.deployedBytecode, {
+    linkReferences: artifact.deployedLinkReferences
+  })}`);
+  entry.bytecode[role].expectedHash = expectedHash;
+  if (expectedHash !== entry.bytecode[role].actualHash) {
+    report.mismatches.push({
+      type: MISMATCH_TYPES.BYTECODE_MISMATCH,
+      contract: name,
+      role,
+      address,
+      expectedHash,
+      actualHash: entry.bytecode[role].actualHash,
+      message: `${name} ${role} (${address}) 的字节码与编译产物不一致`
+    });
+  }
+}
+
+/**
+ * 检查链上部署
+ * @param {ethers.providers.Provider} provider 以太坊提供者
+ * @param {string} rootDir 项目根目录
+ * @param {object} abiSources ABI来源
+ * @param {Array<string>} contracts 合约名称列表
+ * @param {object} report 报告
+ */
+async function checkDeployments(provider, rootDir, abiSources, contracts, report) {
+  const artifactOf = name => abiSources.artifacts.artifacts[name] || abiSources['contracts/artifacts'].artifacts[name];
+  const proxyArtifact = readJson(findArtifact(path.join(rootDir, 'artifacts'), 'ERC1967Proxy'));
+
+  for (const name of contracts) {
+    const entry = report.contracts[name];
+    if (!entry.address) {
+      continue;
+    }
+
+    const code = await provider.getCode(entry.address);
+    if (code === '0x') {
+      report.mismatches.push({
+        type: MISMATCH_TYPES.NO_CODE,
+        contract: name,
+        role: 'proxy',
+        address: entry.address,
+        message: `${name} 的地址 ${entry.address} 上没有合约代码`
+      });
+      continue;
+    }
+
+    const slot = await provider.getStorageAt(entry.address, IMPLEMENTATION_SLOT);
+    const implementation = ethers.BigNumber.from(slot).isZero()
+      ? null
+      : ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+    entry.implementation = implementation;
+
+    let implementationCode = code;
+    if (implementation) {
+      compareBytecode(report, name, 'proxy', entry.address, code, proxyArtifact);
+      implementationCode = await provider.getCode(implementation);
+      if (implementationCode === '0x') {
+        report.mismatches.push({
+          type: MISMATCH_TYPES.NO_CODE,
+          contract: name,
+          role: 'implementation',
+          address: implementation,
+          message: `${name} 的实现合约 ${implementation} 上没有合约代码`
+        });
+        continue;
+      }
+    }
+    compareBytecode(report, name, 'implementation', implementation || entry.address, implementationCode,
+      artifactOf(name));
+
+    const runtimeAbi = abiSources['shared/contracts/abis.js'].abis[name];
+    const missing = runtimeAbi ? findMissingSelectors(runtimeAbi, implementationCode) : [];
+    if (missing.length > 0) {
+      report.mismatches.push({
+        type: MISMATCH_TYPES.SELECTOR_MISSING,
+        contract: name,
+        address: implementation || entry.address,
+        functions: missing,
+        message: `${name} 的链上实现中没有ABI里的函数: ${missing.join(', ')}`
+      });
+    }
+  }
+}
+
+/**
+ * 检查ABI、地址与链上部署的一致性
+ * @param {object} [options] 选项
+ * @param {string} [options.rootDir] 项目根目录
+ * @param {Array<string>} [options.contracts] 检查的合约，默认为 updateAbis.js 中的合约列表
+ * @param {object} [options.env] 环境变量
+ * @param {ethers.providers.Provider|null} [options.provider] 以太坊提供者，为空时不检查链上部署
+ * @returns {Promise<object>} 一致性报告
+ */
+async function checkDeploymentConsistency({
+  rootDir = ROOT_DIR,
+  contracts = CONFIG.defaultContracts,
+  env = process.env,
+  provider = null
+} = {}) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    ok: true,
+    chain: null,
+    sources: { abis: {}, addresses: {} },
+    contracts: Object.fromEntries(contracts.map(name => [name, {
+      abiHashes: {},
+      addresses: {},
+      address: null,
+      implementation: null,
+      bytecode: {}
+    }])),
+    mismatches: [],
+    warnings: []
+  };
+
+  if (provider) {
+    try {
+      const [network, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+      report.chain = { chainId: network.chainId, blockNumber };
+    } catch (error) {
+      report.warnings.push({
+        type: WARNING_TYPES.CHAIN_UNAVAILABLE,
+        message: `无法连接区块链节点，跳过链上检查: ${error.message}`
+      });
+    }
+  }
+
+  const abiSources = loadAbiSources(rootDir, contracts);
+  const addressSources = loadAddressSources(rootDir, contracts, env);
+  // 只比较当前链的部署记录：已连接节点时按节点的chainId，否则按环境变量CHAIN_ID，都没有时比较全部
+  const currentChainId = report.chain ? report.chain.chainId : Number(env.CHAIN_ID) || null;
+  for (const [source, { chainId }] of Object.entries(addressSources)) {
+    if (currentChainId && chainId && chainId !== currentChainId) {
+      delete addressSources[source];
+    }
+  }
+
+  for (const [source, { path: sourcePath, available, eventsOnly, abis }] of Object.entries(abiSources)) {
+    report.sources.abis[source] = { path: sourcePath, available, eventsOnly: Boolean(eventsOnly),
+      contracts: Object.keys(abis).length };
+  }
+  for (const [source, { path: sourcePath, available, chainId, addresses }] of Object.entries(addressSources)) {
+    report.sources.addresses[source] = { path: sourcePath, available, chainId: chainId || null,
+      contracts: Object.keys(addresses).length };
+  }
+
+  compareAbis(abiSources, contracts, report);
+  compareAddresses(addressSources, contracts, report);
+  if (report.chain) {
+    await checkDeployments(provider, rootDir, abiSources, contracts, report);
+  }
+
+  report.ok = report.mismatches.length === 0;
+  return report;
+}
+
+/**
+ * 主函数
+ * @returns {Promise<number>} 退出码
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+
+  let provider = null;
+  if (option('--rpc')) {
+    provider = new ethers.providers.JsonRpcProvider(option('--rpc'));
+  } else if (!args.includes('--offline')) {
+    try {
+      provider = await require('./blockchain').getProvider();
+    } catch (error) {
+      logger.warn(`无法初始化区块链连接，只检查本地文件: ${error.message}`);
+    }
+  }
+
+  const report = await checkDeploymentConsistency({ provider });
+  const json = JSON.stringify(report, null, 2);
+  if (option('--out')) {
+    fs.writeFileSync(option('--out'), `${json}\n`);
+  }
+
+  if (args.includes('--json')) {
+    process.stdout.write(`${json}\n`);
+  } else {
+    for (const warning of report.warnings) {
+      logger.warn(warning.message);
+    }
+    for (const mismatch of report.mismatches) {
+      logger.error(mismatch.message);
+    }
+    logger.info(`部署一致性检查完成: ${report.mismatches.length} 处不一致, ${report.warnings.length} 条警告`);
+  }
+
+  return report.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error(`部署一致性检查失败: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  MISMATCH_TYPES,
+  WARNING_TYPES,
+  normalizeBytecode,
+  findMissingSelectors,
+  checkDeploymentConsistency
+};
@@ -57,8 +57,14 @@ class BaseError extends Error {
  * API错误
  */
 class ApiError extends BaseError {
-  constructor({ message, code = 'API_ERROR', statusCode = 400, details = {} }) {
-    super(message, code, details);
+  constructor(options, message, details) {
+    // 兼容 new ApiError(statusCode, message, details) 的调用方式
+    if (typeof options === 'number') {
+      options = { statusCode: options, message, details };
+    }
+
+    const { code = 'API_ERROR', statusCode = 400 } = options;
+    super(options.message, code, options.details || {});
     this.statusCode = statusCode;
   }
 }
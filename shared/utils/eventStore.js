@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const CHECKPOINT_FILE = 'checkpoints.json';
+const CHAIN_FILE = 'chain.json';
+const SEGMENT_PREFIX = 'events-';
+const SEGMENT_SUFFIX = '.jsonl';
+
+// 按区块范围分段的JSONL事件存储
+// 每个分段文件保存 segmentBlocks 个区块内的事件，每行一个已解码事件
+// 游标按合约地址记录在 checkpoints.json 中，只有写入游标之前的事件才被视为已提交
+// chain.json 记录最近区块的哈希（用于检测链重组）以及已达到确认深度的最终区块
+// 监控进程负责写入；服务端以只读模式打开，只读取游标之前的已提交事件
+class EventStore {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.segmentBlocks = options.segmentBlocks || 100000;
+    this.readOnly = options.readOnly === true;
+    this.checkpoints = {};
+    this.chain = { finalizedBlock: null, blockHashes: {} };
+    this.isOpen = false;
+  }
+
+  // 打开存储：创建目录、加载游标并清理未提交的事件
+  open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    if (this.readOnly) {
+      this.refresh();
+      this.isOpen = true;
+      return;
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.refresh();
+
+    // 进程可能在写入事件后、保存游标前退出，删除超出游标的事件以便从游标处精确恢复
+    const removed = this.removeEvents(event => !this.isCommitted(event));
+    if (removed.length > 0) {
+      logger.warn(`Removed ${removed.length} uncommitted events beyond checkpoints`);
+    }
+
+    this.isOpen = true;
+    logger.info(`Event store opened at ${this.directory} (${Object.keys(this.checkpoints).length} checkpoints)`);
+  }
+
+  // 从磁盘重新加载游标与链状态（只读模式下用于读取写入进程的最新进度）
+  refresh() {
+    this.checkpoints = this.loadJson(CHECKPOINT_FILE, {});
+    this.chain = this.loadJson(CHAIN_FILE, { finalizedBlock: null, blockHashes: {} });
+  }
+
+  // 获取合约的游标
+  getCheckpoint(contractAddress) {
+    return this.checkpoints[contractAddress.toLowerCase()] || null;
+  }
+
+  // 获取所有游标
+  getCheckpoints() {
+    return { ...this.checkpoints };
+  }
+
+  // 保存合约的游标（最后一个已完整处理的区块）
+  setCheckpoint(contractAddress, contractName, blockNumber) {
+    this.checkpoints[contractAddress.toLowerCase()] = {
+      contractName,
+      contractAddress,
+      blockNumber,
+      updatedAt: new Date().toISOString()
+    };
+    this.writeFileAtomic(path.join(this.directory, CHECKPOINT_FILE), JSON.stringify(this.checkpoints, null, 2));
+  }
+
+  // 删除合约的游标
+  removeCheckpoint(contractAddress) {
+    delete this.checkpoints[contractAddress.toLowerCase()];
+    this.writeFileAtomic(path.join(this.directory, CHECKPOINT_FILE), JSON.stringify(this.checkpoints, null, 2));
+  }
+
+  // 记录区块哈希
+  recordBlockHashes(blocks) {
+    for (const { number, hash } of blocks) {
+      this.chain.blockHashes[number] = hash;
+    }
+    this.saveChain();
+  }
+
+  // 获取已记录的区块哈希，按区块号升序
+  getBlockHashes() {
+    return Object.entries(this.chain.blockHashes)
+      .map(([number, hash]) => ({ number: parseInt(number, 10), hash }))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  // 删除早于指定区块的哈希记录
+  pruneBlockHashes(minBlock) {
+    for (const number of Object.keys(this.chain.blockHashes)) {
+      if (parseInt(number, 10) < minBlock) {
+        delete this.chain.blockHashes[number];
+      }
+    }
+    this.saveChain();
+  }
+
+  // 获取已达到确认深度的最终区块
+  getFinalizedBlock() {
+    return this.chain.finalizedBlock;
+  }
+
+  // 保存最终区块
+  setFinalizedBlock(blockNumber) {
+    this.chain.finalizedBlock = blockNumber;
+    this.saveChain();
+  }
+
+  // 回滚到指定区块：删除其后的事件、区块哈希，并把超过该区块的游标退回
+  // 返回被删除的事件
+  rollbackTo(blockNumber) {
+    const reverted = this.removeEvents(event => event.blockNumber > blockNumber, blockNumber + 1);
+
+    for (const checkpoint of Object.values(this.checkpoints)) {
+      if (checkpoint.blockNumber > blockNumber) {
+        checkpoint.blockNumber = blockNumber;
+        checkpoint.updatedAt = new Date().toISOString();
+      }
+    }
+    this.writeFileAtomic(path.join(this.directory, CHECKPOINT_FILE), JSON.stringify(this.checkpoints, null, 2));
+
+    for (const number of Object.keys(this.chain.blockHashes)) {
+      if (parseInt(number, 10) > blockNumber) {
+        delete this.chain.blockHashes[number];
+      }
+    }
+    if (this.chain.finalizedBlock !== null && this.chain.finalizedBlock > blockNumber) {
+      this.chain.finalizedBlock = blockNumber;
+    }
+    this.saveChain();
+
+    return reverted.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  // 追加事件，按区块号写入对应分段
+  appendEvents(events) {
+    if (events.length === 0) {
+      return;
+    }
+
+    const bySegment = new Map();
+    for (const event of events) {
+      const file = this.getSegmentFile(event.blockNumber);
+      if (!bySegment.has(file)) {
+        bySegment.set(file, []);
+      }
+      bySegment.get(file).push(JSON.stringify(event));
+    }
+
+    for (const [file, lines] of bySegment.entries()) {
+      fs.appendFileSync(file, `${lines.join('\n')}\n`);
+    }
+  }
+
+  // 查询事件
+  query(filter = {}) {
+    const fromBlock = filter.fromBlock !== undefined ? filter.fromBlock : 0;
+    const toBlock = filter.toBlock !== undefined ? filter.toBlock : Infinity;
+    const address = filter.contractAddress ? filter.contractAddress.toLowerCase() : null;
+
+    const results = [];
+    for (const segment of this.listSegments()) {
+      if (segment.startBlock > toBlock || segment.startBlock + this.segmentBlocks <= fromBlock) {
+        continue;
+      }
+
+      for (const event of this.readSegment(segment.file)) {
+        if (event.blockNumber < fromBlock || event.blockNumber > toBlock) continue;
+        if (this.readOnly && !this.isCommitted(event)) continue;
+        if (address && event.contractAddress.toLowerCase() !== address) continue;
+        if (filter.contractName && event.contractName !== filter.contractName) continue;
+        if (filter.eventName && event.eventName !== filter.eventName) continue;
+        event.final = this.isFinal(event.blockNumber);
+        if (filter.finalOnly && !event.final) continue;
+        results.push(event);
+      }
+    }
+
+    return results.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  // 事件是否在其合约游标之内
+  isCommitted(event) {
+    const checkpoint = this.getCheckpoint(event.contractAddress);
+    return checkpoint !== null && event.blockNumber <= checkpoint.blockNumber;
+  }
+
+  // 区块是否已达到确认深度
+  isFinal(blockNumber) {
+    return this.chain.finalizedBlock !== null && blockNumber <= this.chain.finalizedBlock;
+  }
+
+  // 删除满足条件的事件，只重写受影响的分段，返回被删除的事件
+  removeEvents(predicate, fromBlock = 0) {
+    const removed = [];
+
+    for (const segment of this.listSegments()) {
+      if (segment.startBlock + this.segmentBlocks <= fromBlock) {
+        continue;
+      }
+
+      const events = this.readSegment(segment.file);
+      const kept = events.filter(event => !predicate(event));
+      if (kept.length === events.length) {
+        continue;
+      }
+
+      removed.push(...events.filter(predicate));
+      if (kept.length === 0) {
+        fs.unlinkSync(segment.file);
+      } else {
+        this.writeFileAtomic(segment.file, `${kept.map(event => JSON.stringify(event)).join('\n')}\n`);
+      }
+    }
+
+    return removed;
+  }
+
+  // 加载JSON状态文件，不存在时返回默认值
+  loadJson(name, defaultValue) {
+    const file = path.join(this.directory, name);
+    if (!fs.existsSync(file)) {
+      return defaultValue;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Corrupted state file ${file}: ${error.message}`);
+    }
+  }
+
+  // 保存链状态
+  saveChain() {
+    this.writeFileAtomic(path.join(this.directory, CHAIN_FILE), JSON.stringify(this.chain, null, 2));
+  }
+
+  // 获取区块所在的分段文件
+  getSegmentFile(blockNumber) {
+    const startBlock = Math.floor(blockNumber / this.segmentBlocks) * this.segmentBlocks;
+    return path.join(this.directory, `${SEGMENT_PREFIX}${String(startBlock).padStart(12, '0')}${SEGMENT_SUFFIX}`);
+  }
+
+  // 列出所有分段文件，按起始区块排序
+  listSegments() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(name => name.startsWith(SEGMENT_PREFIX) && name.endsWith(SEGMENT_SUFFIX))
+      .map(name => ({
+        file: path.join(this.directory, name),
+        startBlock: parseInt(name.slice(SEGMENT_PREFIX.length, -SEGMENT_SUFFIX.length), 10)
+      }))
+      .sort((a, b) => a.startBlock - b.startBlock);
+  }
+
+  // 读取分段中的事件，忽略写入中断产生的残缺行
+  readSegment(file) {
+    const events = [];
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping malformed line in ${path.basename(file)}`);
+      }
+    }
+
+    return events;
+  }
+
+  // 先写临时文件再重命名，避免进程中断留下半写的文件
+  writeFileAtomic(file, content) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, file);
+  }
+}
+
+module.exports = EventStore;
@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+/**
+ * 合约客户端生成工具
+ *
+ * 根据 shared/contracts/abis.js（服务端和监控服务实际加载的ABI）为每个合约生成
+ * 带JSDoc的JS客户端模块和 .d.ts 类型声明，输出到 shared/contracts/clients。
+ * 生成后检查服务端、监控服务和测试代码对合约函数和事件的引用，存在ABI中没有的引用时以非零状态退出。
+ *
+ * 在 update-abis 之后运行:
+ *   - 生成并检查: node shared/utils/generateContractClients.js
+ *   - 只检查（不写文件，生成结果与已提交的文件不一致时也会失败）: node shared/utils/generateContractClients.js --check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { CONFIG } = require('./updateAbis');
+const { checkContractReferences } = require('./contractReferences');
+
+// 客户端输出目录
+const OUTPUT_DIR = path.resolve(__dirname, '../contracts/clients');
+
+// 项目根目录
+const ROOT_DIR = path.resolve(__dirname, '../..');
+
+// 文件头
+const HEADER = ' * 由 shared/utils/generateContractClients.js 根据 shared/contracts/abis.js 生成，请勿手动修改';
+
+// 客户端自身的成员，同名合约函数只能通过完整签名调用
+const CLIENT_MEMBERS = new Set(['address', 'contract', 'connect', 'queryEvents', 'constructor']);
+
+// 不能作为参数名的保留字
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import',
+  'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+  'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+  'with', 'yield', 'overrides'
+]);
+
+/**
+ * 输入参数的类型
+ * @param {object} param ABI参数
+ * @param {string} separator 对象类型的成员分隔符（JSDoc用逗号，.d.ts用分号）
+ * @returns {string} 类型
+ */
+function inputType(param, separator) {
+  const array = /^(.*)\[\d*\]$/.exec(param.type);
+  if (array) {
+    return `Array<${inputType({ ...param, type: array[1] }, separator)}>`;
+  }
+  if (param.type === 'tuple') {
+    const members = param.components.map(component => `${component.name}: ${inputType(component, separator)}`);
+    return `{ ${members.join(`${separator} `)} }`;
+  }
+  if (param.type === 'address' || param.type === 'string') {
+    return 'string';
+  }
+  if (param.type === 'bool') {
+    return 'boolean';
+  }
+  if (param.type.startsWith('bytes')) {
+    return 'ethers.BytesLike';
+  }
+  return 'ethers.BigNumberish';
+}
+
+/**
+ * 返回值和事件参数的类型
+ * ethers v5 把48位以内的整数解码为number，其余为BigNumber
+ * @param {object} param ABI参数
+ * @param {string} separator 对象类型的成员分隔符
+ * @returns {string} 类型
+ */
+function outputType(param, separator) {
+  const array = /^(.*)\[\d*\]$/.exec(param.type);
+  if (array) {
+    return `Array<${outputType({ ...param, type: array[1] }, separator)}>`;
+  }
+  if (param.type === 'tuple') {
+    return structType(param.components, separator);
+  }
+  if (param.type === 'address' || param.type === 'string' || param.type.startsWith('bytes')) {
+    return 'string';
+  }
+  if (param.type === 'bool') {
+    return 'boolean';
+  }
+  const bits = parseInt(param.type.replace(/^u?int/, ''), 10) || 256;
+  return bits <= 48 ? 'number' : 'ethers.BigNumber';
+}
+
+/**
+ * 多个返回值或结构体的类型：全部有名称时为对象，否则为元组
+ * @param {Array<object>} params ABI参数
+ * @param {string} separator 对象类型的成员分隔符
+ * @returns {string} 类型
+ */
+function structType(params, separator) {
+  if (params.every(param => param.name)) {
+    return `{ ${params.map(param => `${param.name}: ${outputType(param, separator)}`).join(`${separator} `)} }`;
+  }
+  return `[${params.map(param => outputType(param, separator)).join(', ')}]`;
+}
+
+/**
+ * 函数的返回类型
+ * @param {object} fragment 函数ABI
+ * @param {string} separator 对象类型的成员分隔符
+ * @returns {string} 类型
+ */
+function returnType(fragment, separator) {
+  if (!isReadOnly(fragment)) {
+    return 'Promise<ethers.ContractTransaction>';
+  }
+  if (fragment.outputs.length === 0) {
+    return 'Promise<void>';
+  }
+  if (fragment.outputs.length === 1) {
+    return `Promise<${outputType(fragment.outputs[0], separator)}>`;
+  }
+  return `Promise<${structType(fragment.outputs, separator)}>`;
+}
+
+/**
+ * 是否为只读函数
+ * @param {object} fragment 函数ABI
+ * @returns {boolean} 是否只读
+ */
+function isReadOnly(fragment) {
+  return fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+}
+
+/**
+ * 交易参数（overrides）的类型
+ * @param {object} fragment 函数ABI
+ * @returns {string} 类型
+ */
+function overridesType(fragment) {
+  if (isReadOnly(fragment)) {
+    return 'ethers.CallOverrides';
+  }
+  return fragment.stateMutability === 'payable' ? 'ethers.PayableOverrides' : 'ethers.Overrides';
+}
+
+/**
+ * 为参数生成合法且不重复的变量名
+ * @param {Array<object>} params ABI参数
+ * @returns {Array<string>} 变量名
+ */
+function paramNames(params) {
+  const used = new Set();
+  return params.map((param, index) => {
+    let name = param.name || `arg${index}`;
+    if (RESERVED_WORDS.has(name)) {
+      name = `${name}_`;
+    }
+    if (used.has(name)) {
+      name = `${name}${index}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * 参数说明（枚举参数注明枚举类型）
+ * @param {object} param ABI参数
+ * @returns {string} 说明
+ */
+function paramDescription(param) {
+  const description = param.type;
+  if (param.internalType && param.internalType.startsWith('enum ')) {
+    return `${description}，枚举 ${param.internalType.slice(5)}`;
+  }
+  return description;
+}
+
+/**
+ * 取得合约的函数列表
+ * 不重载且不与客户端成员同名的函数以名称作为方法名，其余以完整签名作为方法名
+ * @param {Array<object>} abi 合约ABI
+ * @returns {Array<object>} [{ fragment, signature, name }]，name为null表示只能按签名调用
+ */
+function getFunctions(abi) {
+  const functions = abi.filter(item => item.type === 'function').map(fragment => ({
+    fragment,
+    signature: ethers.utils.FunctionFragment.from(fragment).format()
+  }));
+  const counts = {};
+  for (const { fragment } of functions) {
+    counts[fragment.name] = (counts[fragment.name] || 0) + 1;
+  }
+
+  return functions
+    .map(item => ({
+      ...item,
+      name: counts[item.fragment.name] === 1 && !CLIENT_MEMBERS.has(item.fragment.name) ? item.fragment.name : null
+    }))
+    .sort((a, b) => a.signature.localeCompare(b.signature));
+}
+
+/**
+ * 取得合约的事件列表
+ * @param {Array<object>} abi 合约ABI
+ * @returns {Array<object>} 事件ABI，按名称排序
+ */
+function getEvents(abi) {
+  return abi.filter(item => item.type === 'event').sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 事件参数的类型，indexed的动态类型只保留哈希
+ * @param {object} param ABI参数
+ * @param {string} separator 对象类型的成员分隔符
+ * @returns {string} 类型
+ */
+function eventArgType(param, separator) {
+  const dynamic = ['string', 'bytes', 'tuple'].includes(param.type) || param.type.endsWith(']');
+  return param.indexed && dynamic ? 'ethers.utils.Indexed' : outputType(param, separator);
+}
+
+/**
+ * 生成JS客户端模块
+ * @param {string} contractName 合约名称
+ * @param {Array<object>} abi 合约ABI
+ * @returns {string} 模块源码
+ */
+function renderClient(contractName, abi) {
+  const className = `${contractName}Client`;
+  const events = getEvents(abi);
+  const methods = [];
+
+  for (const { fragment, signature, name } of getFunctions(abi)) {
+    const names = paramNames(fragment.inputs);
+    const params = fragment.inputs.map((param, index) =>
+      `   * @param {${inputType(param, ',')}} ${names[index]} ${paramDescription(param)}`);
+    const args = [...names, 'overrides'].join(', ');
+    methods.push([
+      '  /**',
+      `   * ${isReadOnly(fragment) ? '读取' : '发送交易'} ${signature}`,
+      ...params,
+      `   * @param {${overridesType(fragment)}} [overrides] 交易参数`,
+      `   * @returns {${returnType(fragment, ',')}}`,
+      '   */',
+      `  ${name || `'${signature}'`}(${names.map(item => `${item}, `).join('')}overrides = {}) {`,
+      `    return this.contract['${signature}'](${args});`,
+      '  }'
+    ].join('\n'));
+  }
+
+  const eventDocs = events.map(event => {
+    const args = event.inputs.map(param => `${param.name}: ${eventArgType(param, ',')}`).join(', ');
+    return ` * @property {{ ${args} }} ${event.name}`;
+  });
+
+  return `/**
+ * ${contractName} 合约客户端
+${HEADER}
+ */
+
+/* eslint-disable max-len */
+
+const { ethers } = require('ethers');
+const abis = require('../abis');
+
+/**
+ * ${contractName} 各事件的参数
+ * @typedef {object} ${contractName}EventArgs
+${eventDocs.join('\n')}
+ */
+
+/**
+ * ${contractName} 合约客户端
+ * 重载的函数按完整签名调用，如 client['getPropertyStatus(string)'](propertyId)
+ */
+class ${className} {
+  /**
+   * @param {string} address 合约地址
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   */
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.contract = new ethers.Contract(address, abis.${contractName}, signerOrProvider);
+  }
+
+  /**
+   * 使用其他签名者或提供者创建新的客户端
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider 签名者或提供者
+   * @returns {${className}} 客户端
+   */
+  connect(signerOrProvider) {
+    return new ${className}(this.address, signerOrProvider);
+  }
+
+  /**
+   * 查询事件
+   * @param {keyof ${contractName}EventArgs} eventName 事件名称
+   * @param {Array} [filterArgs] indexed参数的过滤值，按事件参数顺序，null表示不过滤
+   * @param {ethers.providers.BlockTag} [fromBlock] 起始区块
+   * @param {ethers.providers.BlockTag} [toBlock] 结束区块
+   * @returns {Promise<Array<ethers.Event>>} 事件列表
+   */
+  queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+    return this.contract.queryFilter(this.contract.filters[eventName](...filterArgs), fromBlock, toBlock);
+  }
+
+${methods.join('\n\n')}
+}
+
+module.exports = ${className};
+`;
+}
+
+/**
+ * 生成 .d.ts 类型声明
+ * @param {string} contractName 合约名称
+ * @param {Array<object>} abi 合约ABI
+ * @returns {string} 声明源码
+ */
+function renderDeclaration(contractName, abi) {
+  const className = `${contractName}Client`;
+  const events = getEvents(abi);
+  const lines = [];
+
+  for (const { fragment, signature, name } of getFunctions(abi)) {
+    const names = paramNames(fragment.inputs);
+    const params = fragment.inputs.map((param, index) => `${names[index]}: ${inputType(param, ';')}`);
+    params.push(`overrides?: ${overridesType(fragment)}`);
+    lines.push(`  ${name || `'${signature}'`}(${params.join(', ')}): ${returnType(fragment, ';')};`);
+  }
+
+  const eventInterfaces = events.map(event => {
+    const members = event.inputs.map(param => `  ${param.name}: ${eventArgType(param, ';')};`);
+    return `  interface ${event.name}EventArgs {\n${members.map(member => `  ${member}`).join('\n')}\n  }`;
+  });
+  const queryOverloads = events.map(event => {
+    const filters = event.inputs.filter(param => param.indexed)
+      .map(param => `${param.name}?: ${inputType(param, ';')} | null`);
+    return `  queryEvents(eventName: '${event.name}', filterArgs?: [${filters.join(', ')}], ` +
+      'fromBlock?: ethers.providers.BlockTag, toBlock?: ethers.providers.BlockTag): ' +
+      `Promise<Array<TypedEvent<${className}.${event.name}EventArgs>>>;`;
+  });
+
+  return `/**
+ * ${contractName} 合约客户端类型声明
+${HEADER}
+ */
+
+import { ethers } from 'ethers';
+import { TypedEvent } from './common';
+
+declare class ${className} {
+  constructor(address: string, signerOrProvider: ethers.Signer | ethers.providers.Provider);
+  readonly address: string;
+  readonly contract: ethers.Contract;
+  connect(signerOrProvider: ethers.Signer | ethers.providers.Provider): ${className};
+${queryOverloads.join('\n')}
+${lines.join('\n')}
+}
+
+declare namespace ${className} {
+${eventInterfaces.join('\n\n')}
+}
+
+export = ${className};
+`;
+}
+
+/**
+ * 生成索引模块和公共声明
+ * @param {Array<string>} contracts 合约列表
+ * @returns {object} 文件名到内容的映射
+ */
+function renderIndex(contracts) {
+  const requires = contracts.map(name => `const ${name}Client = require('./${name}');`);
+  const imports = contracts.map(name => `import ${name}Client = require('./${name}');`);
+  const names = contracts.map(name => `  ${name}Client`);
+
+  return {
+    'index.js': `/**
+ * 合约客户端索引
+${HEADER}
+ */
+
+${requires.join('\n')}
+
+module.exports = {
+${names.join(',\n')}
+};
+`,
+    'index.d.ts': `/**
+ * 合约客户端索引类型声明
+${HEADER}
+ */
+
+${imports.join('\n')}
+
+export { TypedEvent } from './common';
+export {
+${names.join(',\n')}
+};
+`,
+    'common.d.ts': `/**
+ * 合约客户端公共类型
+${HEADER}
+ */
+
+import { ethers } from 'ethers';
+
+/** 参数已解码的事件 */
+export type TypedEvent<TArgs> = Omit<ethers.Event, 'args'> & { args: TArgs };
+`
+  };
+}
+
+/**
+ * 生成所有客户端文件
+ * @param {object} abis 合约名称到ABI的映射
+ * @param {Array<string>} contracts 合约列表
+ * @returns {object} 文件名到内容的映射
+ */
+function generateClients(abis, contracts) {
+  const missing = contracts.filter(name => !abis[name]);
+  if (missing.length > 0) {
+    throw new Error(`shared/contracts/abis.js 中缺少合约ABI: ${missing.join(', ')}`);
+  }
+
+  const files = renderIndex(contracts);
+  for (const name of contracts) {
+    files[`${name}.js`] = renderClient(name, abis[name]);
+    files[`${name}.d.ts`] = renderDeclaration(name, abis[name]);
+  }
+  return files;
+}
+
+/**
+ * 主函数
+ * @returns {number} 退出码
+ */
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const abis = require('../contracts/abis');
+  const files = generateClients(abis, CONFIG.defaultContracts);
+  let failed = false;
+
+  if (checkOnly) {
+    const stale = Object.entries(files).filter(([name, content]) => {
+      const file = path.join(OUTPUT_DIR, name);
+      return !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content;
+    });
+    for (const [name] of stale) {
+      logger.error(`合约客户端与ABI不一致，请重新生成: ${path.join('shared/contracts/clients', name)}`);
+    }
+    failed = stale.length > 0;
+  } else {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(OUTPUT_DIR, name), content);
+    }
+    logger.info(`已生成 ${CONFIG.defaultContracts.length} 个合约客户端: ${OUTPUT_DIR}`);
+  }
+
+  const problems = checkContractReferences({ abis, rootDir: ROOT_DIR });
+  for (const problem of problems) {
+    logger.error(`${problem.file}:${problem.line} ${problem.message}`);
+  }
+  if (problems.length > 0) {
+    logger.error(`发现 ${problems.length} 处引用了ABI中不存在的合约函数或事件`);
+    failed = true;
+  }
+
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (error) {
+    logger.error(`生成合约客户端失败: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  OUTPUT_DIR,
+  generateClients
+};
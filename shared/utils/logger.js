@@ -229,5 +229,6 @@ module.exports = {
   getLogger,
   setLogLevel,
   closeLoggers,
+  logger: rootLogger,
   ...rootLogger
 }; 
\ No newline at end of file
@@ -180,6 +180,22 @@ function getMonitorLogPath() {
   return path.resolve(MONITOR_DIR, 'logs');
 }
 
+/**
+ * 获取监控数据目录路径（事件索引与游标）
+ * @returns {string} 监控数据目录路径
+ */
+function getMonitorDataPath() {
+  return path.resolve(MONITOR_DIR, 'data');
+}
+
+/**
+ * 获取服务端数据目录路径（审计记录等本地数据）
+ * @returns {string} 服务端数据目录路径
+ */
+function getServerDataPath() {
+  return path.resolve(SERVER_DIR, 'data');
+}
+
 module.exports = {
   ROOT_DIR,
   SHARED_DIR,
@@ -203,5 +219,7 @@ module.exports = {
   getContractAddress,
   getContractAbi,
   getMonitorConfigPath,
-  getMonitorLogPath
+  getMonitorLogPath,
+  getMonitorDataPath,
+  getServerDataPath
 }; 
\ No newline at end of file
@@ -0,0 +1,707 @@
+/**
+ * 多RPC节点池
+ *
+ * 以 ethers Provider 的形式使用多个RPC节点:
+ *   - 健康评分: 按延迟和失败率排序，连续失败的节点进入冷却期，冷却结束后重新尝试
+ *   - 故障切换: 节点出错或超时时换下一个节点，确定性错误（如合约回滚）直接返回
+ *   - 请求对冲: 读取请求在 stallTimeout 内没有响应时并行发给下一个节点，取最先返回的结果
+ *   - 法定数量: 关键读取（如租金计算用的快照余额）可要求多个节点返回一致的结果
+ *   - 区块同步: 指定了区块高度的请求优先发给已知同步到该区块的节点
+ */
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+const { errors } = ethers.utils.Logger;
+
+// 换一个节点结果也相同的错误，不重试也不计入节点的失败
+const DETERMINISTIC_ERRORS = new Set([
+  errors.CALL_EXCEPTION,
+  errors.UNPREDICTABLE_GAS_LIMIT,
+  errors.INSUFFICIENT_FUNDS,
+  errors.NONCE_EXPIRED,
+  errors.REPLACEMENT_UNDERPRICED,
+  errors.TRANSACTION_REPLACED,
+  errors.INVALID_ARGUMENT
+]);
+
+// 节点连接失败的错误码，ethers 会把连接失败的 eth_call 包装为 CALL_EXCEPTION
+const TRANSPORT_ERRORS = new Set([errors.SERVER_ERROR, errors.TIMEOUT, errors.NETWORK_ERROR]);
+
+// 节点已收到该交易
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+// 法定数量校验的方法，结果与区块高度以外的节点状态无关
+const QUORUM_METHODS = new Set(['call', 'getBalance', 'getCode', 'getStorageAt', 'getLogs']);
+
+// 延迟和失败率的指数移动平均系数
+const LATENCY_ALPHA = 0.3;
+const ERROR_ALPHA = 0.2;
+// 失败率折算的评分惩罚（毫秒），失败率为1的节点相当于慢5秒
+const FAILURE_PENALTY = 5000;
+
+const DEFAULT_OPTIONS = {
+  stallTimeout: 1500,
+  timeout: 10000,
+  quorum: 1,
+  maxFailures: 3,
+  cooldown: 30000,
+  maxCooldown: 300000,
+  healthCheckInterval: 30000
+};
+
+/**
+ * 去掉URL中的路径、查询参数和认证信息（可能包含API密钥），用于日志和指标
+ * @param {string} url RPC URL
+ * @returns {string} 协议和主机
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * 是否为确定性错误
+ * @param {Error} error 错误
+ * @returns {boolean} 是否为确定性错误
+ */
+function isDeterministic(error) {
+  const cause = error.error;
+  return DETERMINISTIC_ERRORS.has(error.code) && !(cause && TRANSPORT_ERRORS.has(cause.code));
+}
+
+/**
+ * 请求要求节点至少同步到的区块
+ * 请求指定了区块高度（如按区块范围查询日志）时，落后的节点会返回不完整的结果
+ * @param {string} method 方法
+ * @param {object} params 参数
+ * @returns {number|null} 区块高度，不要求时为null
+ */
+function getRequiredBlock(method, params = {}) {
+  const blockTag = method === 'getLogs' ? (params.filter || {}).toBlock : params.blockTag;
+  return typeof blockTag === 'string' && ethers.utils.isHexString(blockTag)
+    ? ethers.BigNumber.from(blockTag).toNumber()
+    : null;
+}
+
+/**
+ * 池中的单个RPC节点及其健康状态
+ */
+class Endpoint {
+  /**
+   * @param {object} config 节点配置
+   * @param {string} [config.url] RPC URL
+   * @param {ethers.providers.Provider} [config.provider] 已创建的provider，优先于url
+   * @param {string} [config.name] 日志和指标中的名称，默认为URL的协议和主机
+   * @param {ethers.providers.Network} [network] 网络，未指定时由节点检测
+   * @param {object} options 节点池选项
+   */
+  constructor(config, network, options) {
+    this.url = config.url || null;
+    this.name = config.name || redactUrl(config.url);
+    this.provider = config.provider || new ethers.providers.StaticJsonRpcProvider({
+      url: config.url,
+      timeout: options.timeout,
+      // 被限流时不在节点内部反复重试，由节点池切换到其他节点
+      throttleLimit: 1
+    }, network);
+    this.latency = null;
+    this.errorRate = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.blockNumber = null;
+    this.lastError = null;
+  }
+
+  /**
+   * 获取不含节点URL的错误信息，ethers 的错误信息中包含完整的请求URL
+   * @param {Error} error 错误
+   * @returns {string} 错误信息
+   */
+  describeError(error) {
+    const message = String(error.message);
+    return this.url ? message.split(this.url).join(this.name) : message;
+  }
+
+  /**
+   * 记录节点已同步到的区块
+   * @param {number} blockNumber 区块高度
+   */
+  recordBlockNumber(blockNumber) {
+    this.blockNumber = Math.max(this.blockNumber || 0, blockNumber);
+  }
+
+  /**
+   * 是否已知落后于指定区块
+   * @param {number|null} blockNumber 区块高度
+   * @returns {boolean} 是否落后
+   */
+  isBehind(blockNumber) {
+    return blockNumber !== null && this.blockNumber !== null && this.blockNumber < blockNumber;
+  }
+
+  /**
+   * 是否可用（不在冷却期）
+   * @param {number} now 当前时间
+   * @returns {boolean} 是否可用
+   */
+  isAvailable(now) {
+    return now >= this.cooldownUntil;
+  }
+
+  /**
+   * 健康评分，越小越好
+   * @returns {number} 评分（毫秒）
+   */
+  score() {
+    return (this.latency || 0) + this.errorRate * FAILURE_PENALTY;
+  }
+
+  /**
+   * 记录成功的请求
+   * @param {number} latency 耗时（毫秒）
+   */
+  recordSuccess(latency) {
+    this.latency = this.latency === null ? latency : this.latency + LATENCY_ALPHA * (latency - this.latency);
+    this.errorRate *= 1 - ERROR_ALPHA;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+  }
+
+  /**
+   * 记录失败的请求，连续失败达到上限后进入冷却期，再次失败时冷却期加倍
+   * @param {Error} error 错误
+   * @param {object} options 节点池选项
+   * @returns {boolean} 本次是否进入冷却期
+   */
+  recordFailure(error, options) {
+    this.errorRate += ERROR_ALPHA * (1 - this.errorRate);
+    this.consecutiveFailures++;
+    this.lastError = this.describeError(error);
+
+    if (this.consecutiveFailures < options.maxFailures) {
+      return false;
+    }
+    const exponent = this.consecutiveFailures - options.maxFailures;
+    const cooldown = Math.min(options.cooldown * Math.pow(2, exponent), options.maxCooldown);
+    this.cooldownUntil = Date.now() + cooldown;
+    return true;
+  }
+
+  /**
+   * 获取状态
+   * @param {number} now 当前时间
+   * @returns {object} 节点状态
+   */
+  getStatus(now) {
+    return {
+      name: this.name,
+      healthy: this.isAvailable(now),
+      latency: this.latency,
+      errorRate: this.errorRate,
+      consecutiveFailures: this.consecutiveFailures,
+      cooldownUntil: this.cooldownUntil > now ? new Date(this.cooldownUntil).toISOString() : null,
+      blockNumber: this.blockNumber,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * 依次检测各节点的网络，返回第一个成功的结果
+ * @param {Endpoint[]} endpoints 节点
+ * @returns {Promise<ethers.providers.Network>} 网络
+ */
+async function detectNetwork(endpoints) {
+  let lastError = null;
+  for (const endpoint of endpoints) {
+    try {
+      return await endpoint.provider.getNetwork();
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('No RPC endpoints configured');
+}
+
+/**
+ * 多RPC节点池
+ * 可以在任何需要 ethers Provider 的地方使用（合约、钱包、交易等待）
+ */
+class ProviderPool extends ethers.providers.BaseProvider {
+  /**
+   * @param {Array<object|Endpoint>} endpoints 节点配置，见 Endpoint
+   * @param {ethers.providers.Networkish|Promise} [network] 网络，未指定时由节点检测
+   * @param {object} [options] 选项
+   * @param {number} [options.stallTimeout=1500] 读取请求对冲的等待时间（毫秒），0为不对冲
+   * @param {number} [options.timeout=10000] 单个请求的超时（毫秒）
+   * @param {number} [options.quorum=1] 关键读取需要一致的节点数，1为不校验
+   * @param {number} [options.maxFailures=3] 进入冷却期的连续失败次数
+   * @param {number} [options.cooldown=30000] 冷却期（毫秒）
+   * @param {number} [options.maxCooldown=300000] 冷却期上限（毫秒）
+   * @param {number} [options.healthCheckInterval=30000] 定期健康检查的间隔（毫秒），0为不检查
+   */
+  constructor(endpoints, network, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const staticNetwork = network && typeof network.then !== 'function' ? ethers.providers.getNetwork(network) : null;
+    const members = endpoints.map(config => (
+      config instanceof Endpoint ? config : new Endpoint(config, staticNetwork || undefined, settings)
+    ));
+    if (members.length === 0) {
+      throw new Error('ProviderPool requires at least one RPC endpoint');
+    }
+
+    super(staticNetwork || network || detectNetwork(members));
+
+    this.endpoints = members;
+    this.options = settings;
+    this.quorum = 1;
+    this.quorumViews = new Map();
+    this.healthCheckTimer = null;
+  }
+
+  /**
+   * 获取要求多个节点结果一致的provider
+   * 与本节点池共享节点和健康状态，只有状态读取（call、getBalance等）校验法定数量
+   * @param {number} quorum 需要一致的节点数
+   * @returns {ProviderPool} provider
+   */
+  withQuorum(quorum) {
+    if (quorum <= 1) {
+      return this;
+    }
+    if (!this.quorumViews.has(quorum)) {
+      const view = new ProviderPool(this.endpoints, this._network || this.getNetwork(), this.options);
+      view.quorum = Math.min(quorum, this.endpoints.length);
+      if (view.quorum < quorum) {
+        logger.warn(`RPC quorum ${quorum} exceeds the ${this.endpoints.length} configured endpoints, ` +
+          `using ${view.quorum}`);
+      }
+      this.quorumViews.set(quorum, view);
+    }
+    return this.quorumViews.get(quorum);
+  }
+
+  /**
+   * 获取用于关键读取的provider，使用配置的法定数量（options.quorum）
+   * @returns {ProviderPool} provider
+   */
+  forCriticalReads() {
+    return this.withQuorum(this.options.quorum);
+  }
+
+  /**
+   * 检测网络，网络已知时不访问节点（各节点的链ID由 checkHealth 校验）
+   * @returns {Promise<ethers.providers.Network>} 网络
+   */
+  async detectNetwork() {
+    return this._network || detectNetwork(this.endpoints);
+  }
+
+  /**
+   * 执行provider请求
+   * @param {string} method 方法
+   * @param {object} params 参数
+   * @returns {Promise<any>} 节点返回的结果
+   */
+  async perform(method, params) {
+    if (method === 'sendTransaction') {
+      return this._sendTransaction(params);
+    }
+    if (this.quorum > 1 && QUORUM_METHODS.has(method)) {
+      return this._performQuorum(method, params);
+    }
+    return this._performHedged(method, params);
+  }
+
+  /**
+   * 发送原始JSON-RPC请求，出错时依次换下一个节点
+   * @param {string} method JSON-RPC方法
+   * @param {Array} params 参数
+   * @returns {Promise<any>} 节点返回的结果
+   */
+  async send(method, params) {
+    let lastError = null;
+    for (const endpoint of this._rank()) {
+      if (typeof endpoint.provider.send !== 'function') {
+        continue;
+      }
+      try {
+        return await this._request(endpoint, () => endpoint.provider.send(method, params));
+      } catch (error) {
+        if (isDeterministic(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    throw this._exhausted(method, lastError);
+  }
+
+  /**
+   * 获取各可用节点返回的最大交易数
+   * 各节点的交易池不一定一致，nonce同步取最大值，避免落后的节点把仍在等待的交易误判为已丢弃
+   * @param {string} address 地址
+   * @param {ethers.providers.BlockTag} [blockTag='latest'] 区块标签
+   * @returns {Promise<number>} 交易数
+   */
+  async getMaxTransactionCount(address, blockTag = 'latest') {
+    await this.getNetwork();
+    const params = {
+      address: await this._getAddress(address),
+      blockTag: await this._getBlockTag(blockTag)
+    };
+
+    const now = Date.now();
+    const available = this.endpoints.filter(endpoint => endpoint.isAvailable(now));
+    const results = await Promise.allSettled((available.length > 0 ? available : this._rank())
+      .map(endpoint => this._perform(endpoint, 'getTransactionCount', params)));
+
+    const counts = results.filter(result => result.status === 'fulfilled')
+      .map(result => ethers.BigNumber.from(result.value).toNumber());
+    if (counts.length === 0) {
+      throw this._exhausted('getTransactionCount', results[results.length - 1].reason);
+    }
+    return Math.max(...counts);
+  }
+
+  /**
+   * 检查所有节点的链ID和区块高度，更新健康状态
+   * 链ID与节点池不一致的节点进入最长冷却期
+   * @returns {Promise<object[]>} 各节点状态
+   */
+  async checkHealth() {
+    const network = await this.getNetwork();
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        const chainId = await this._request(endpoint, async () => {
+          const provider = endpoint.provider;
+          return typeof provider.send === 'function'
+            ? ethers.BigNumber.from(await provider.send('eth_chainId', [])).toNumber()
+            : (await provider.getNetwork()).chainId;
+        });
+        if (chainId !== network.chainId) {
+          endpoint.lastError = `chainId mismatch: expected ${network.chainId}, got ${chainId}`;
+          endpoint.cooldownUntil = Date.now() + this.options.maxCooldown;
+          logger.error(`RPC endpoint ${endpoint.name} is on the wrong chain: ${endpoint.lastError}`);
+          return;
+        }
+        endpoint.recordBlockNumber(await this._request(endpoint, () => endpoint.provider.getBlockNumber()));
+      } catch (error) {
+        logger.debug(`RPC endpoint ${endpoint.name} health check failed: ${error.message}`);
+      }
+    }));
+    return this.getEndpointStatus();
+  }
+
+  /**
+   * 开始定期健康检查，使冷却中的节点恢复后尽早重新参与排序
+   */
+  startHealthChecks() {
+    if (this.healthCheckTimer || !this.options.healthCheckInterval) {
+      return;
+    }
+    this.healthCheckTimer = setInterval(() => {
+      this.checkHealth().catch(error => logger.debug(`RPC health check failed: ${error.message}`));
+    }, this.options.healthCheckInterval);
+    this.healthCheckTimer.unref();
+  }
+
+  /**
+   * 停止定期健康检查
+   */
+  stopHealthChecks() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * 获取各节点状态
+   * @returns {object[]} 节点状态，按当前排序
+   */
+  getEndpointStatus() {
+    const now = Date.now();
+    return this._rank().map(endpoint => endpoint.getStatus(now));
+  }
+
+  /**
+   * 按健康状态排序节点：可用的按评分排序，已知落后于所需区块的其次，冷却中的按冷却结束时间排在最后
+   * 所有节点都在冷却时仍会依次尝试
+   * @param {number|null} [requiredBlock] 请求要求的区块高度
+   * @returns {Endpoint[]} 节点
+   * @private
+   */
+  _rank(requiredBlock = null) {
+    const now = Date.now();
+    const indexed = this.endpoints.map((endpoint, index) => ({ endpoint, index }));
+    const byScore = (a, b) => (a.endpoint.score() - b.endpoint.score()) || (a.index - b.index);
+    const available = indexed.filter(({ endpoint }) => endpoint.isAvailable(now));
+    const synced = available.filter(({ endpoint }) => !endpoint.isBehind(requiredBlock)).sort(byScore);
+    const behind = available.filter(({ endpoint }) => endpoint.isBehind(requiredBlock)).sort(byScore);
+    const cooling = indexed.filter(({ endpoint }) => !endpoint.isAvailable(now))
+      .sort((a, b) => a.endpoint.cooldownUntil - b.endpoint.cooldownUntil);
+    return [...synced, ...behind, ...cooling].map(({ endpoint }) => endpoint);
+  }
+
+  /**
+   * 向单个节点发送provider请求，并记录返回的最新区块高度
+   * @param {Endpoint} endpoint 节点
+   * @param {string} method 方法
+   * @param {object} params 参数
+   * @returns {Promise<any>} 结果
+   * @private
+   */
+  async _perform(endpoint, method, params) {
+    const result = await this._request(endpoint, () => endpoint.provider.perform(method, params));
+    if (method === 'getBlockNumber') {
+      endpoint.recordBlockNumber(ethers.BigNumber.from(result).toNumber());
+    }
+    return result;
+  }
+
+  /**
+   * 向单个节点发送请求并记录健康状态，错误信息中的节点URL替换为节点名称
+   * @param {Endpoint} endpoint 节点
+   * @param {Function} request 请求函数
+   * @returns {Promise<any>} 结果
+   * @private
+   */
+  async _request(endpoint, request) {
+    const start = Date.now();
+    try {
+      const result = await request();
+      endpoint.recordSuccess(Date.now() - start);
+      return result;
+    } catch (error) {
+      // 节点URL可能包含API密钥，错误信息会继续传给调用方
+      error.message = endpoint.describeError(error);
+      if (isDeterministic(error)) {
+        endpoint.recordSuccess(Date.now() - start);
+      } else if (endpoint.recordFailure(error, this.options)) {
+        logger.warn(
+          `RPC endpoint ${endpoint.name} disabled until ${new Date(endpoint.cooldownUntil).toISOString()} ` +
+          `after ${endpoint.consecutiveFailures} consecutive failures: ${error.message}`
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 读取请求：发给评分最好的节点，超过 stallTimeout 未响应或出错时再发给下一个节点，取最先成功的结果
+   * @param {string} method 方法
+   * @param {object} params 参数
+   * @returns {Promise<any>} 结果
+   * @private
+   */
+  _performHedged(method, params) {
+    const candidates = this._rank(getRequiredBlock(method, params));
+
+    return new Promise((resolve, reject) => {
+      let next = 0;
+      let inflight = 0;
+      let settled = false;
+      let timer = null;
+      let lastError = null;
+
+      const settle = (callback, value) => {
+        settled = true;
+        clearTimeout(timer);
+        callback(value);
+      };
+
+      const launch = () => {
+        clearTimeout(timer);
+        if (settled || next >= candidates.length) {
+          return;
+        }
+
+        const endpoint = candidates[next++];
+        inflight++;
+        this._perform(endpoint, method, params).then(result => {
+          inflight--;
+          if (!settled) {
+            settle(resolve, result);
+          }
+        }, error => {
+          inflight--;
+          if (settled) {
+            return;
+          }
+          if (isDeterministic(error)) {
+            settle(reject, error);
+            return;
+          }
+          lastError = error;
+          if (next < candidates.length) {
+            launch();
+          } else if (inflight === 0) {
+            settle(reject, this._exhausted(method, lastError));
+          }
+        });
+
+        if (next < candidates.length && this.options.stallTimeout > 0) {
+          timer = setTimeout(launch, this.options.stallTimeout);
+        }
+      };
+
+      launch();
+    });
+  }
+
+  /**
+   * 法定数量读取：同时发给 quorum 个节点，直到有 quorum 个节点返回相同的结果
+   * 节点出错或结果不一致导致无法达到法定数量时，加入下一个节点
+   * @param {string} method 方法
+   * @param {object} params 参数
+   * @returns {Promise<any>} 结果
+   * @private
+   */
+  _performQuorum(method, params) {
+    const candidates = this._rank(getRequiredBlock(method, params));
+
+    return new Promise((resolve, reject) => {
+      const tallies = new Map();
+      let next = 0;
+      let inflight = 0;
+      let settled = false;
+      let lastError = null;
+
+      const fill = () => {
+        const best = Math.max(0, ...Array.from(tallies.values(), tally => tally.count));
+        while (next < candidates.length && best + inflight < this.quorum) {
+          launch(candidates[next++]);
+        }
+        if (inflight === 0) {
+          settled = true;
+          const outcomes = Array.from(tallies.values(), tally => `${tally.count}x ${tally.key}`);
+          const error = new Error(
+            `RPC quorum of ${this.quorum} not reached for ${method}` +
+            (outcomes.length > 0 ? ` (results: ${outcomes.join(', ')})` : '') +
+            (lastError ? `: ${lastError.message}` : '')
+          );
+          error.code = errors.SERVER_ERROR;
+          reject(error);
+        }
+      };
+
+      const record = (key, outcome) => {
+        const tally = tallies.get(key) || { key, count: 0, outcome };
+        tally.count++;
+        tallies.set(key, tally);
+
+        if (tally.count >= this.quorum) {
+          settled = true;
+          if (tallies.size > 1) {
+            logger.warn(`RPC endpoints disagreed on ${method}, accepted the result of ${tally.count} endpoints`);
+          }
+          if (outcome.error) {
+            reject(outcome.error);
+          } else {
+            resolve(outcome.result);
+          }
+          return;
+        }
+        fill();
+      };
+
+      const launch = endpoint => {
+        inflight++;
+        this._perform(endpoint, method, params).then(result => {
+          inflight--;
+          if (!settled) {
+            record(JSON.stringify(result), { result });
+          }
+        }, error => {
+          inflight--;
+          if (settled) {
+            return;
+          }
+          if (isDeterministic(error)) {
+            record(`error:${error.code}`, { error });
+            return;
+          }
+          lastError = error;
+          fill();
+        });
+      };
+
+      fill();
+    });
+  }
+
+  /**
+   * 发送已签名交易：依次尝试各节点，节点已收到该交易时视为成功
+   * @param {object} params 参数
+   * @param {string} params.signedTransaction 已签名交易
+   * @returns {Promise<string>} 交易哈希
+   * @private
+   */
+  async _sendTransaction(params) {
+    let lastError = null;
+    for (const endpoint of this._rank()) {
+      try {
+        return await this._perform(endpoint, 'sendTransaction', params);
+      } catch (error) {
+        if (ALREADY_KNOWN.test(error.message) || ALREADY_KNOWN.test(String(error.body || ''))) {
+          return ethers.utils.keccak256(params.signedTransaction);
+        }
+        if (isDeterministic(error)) {
+          throw error;
+        }
+        lastError = error;
+        logger.warn(`Failed to send transaction via ${endpoint.name}, trying next endpoint: ${error.message}`);
+      }
+    }
+    throw this._exhausted('sendTransaction', lastError);
+  }
+
+  /**
+   * 所有节点都失败时的错误
+   * @param {string} method 方法
+   * @param {Error} lastError 最后一个节点的错误
+   * @returns {Error} 错误
+   * @private
+   */
+  _exhausted(method, lastError) {
+    const error = new Error(
+      `All ${this.endpoints.length} RPC endpoints failed for ${method}` +
+      (lastError ? `: ${lastError.message}` : '')
+    );
+    error.code = errors.NETWORK_ERROR;
+    error.reason = lastError ? lastError.message : undefined;
+    return error;
+  }
+}
+
+/**
+ * 根据网络配置创建节点池
+ * @param {object} networkConfig 网络配置，见 shared/config/networks.js
+ * @param {string} networkConfig.rpcUrl 主RPC URL
+ * @param {string[]} [networkConfig.rpcUrls] 全部RPC URL（含主RPC URL）
+ * @param {number} [networkConfig.chainId] 链ID，未指定时由节点检测
+ * @param {string} [networkConfig.name] 网络名称
+ * @param {object} [networkConfig.providerPool] 节点池选项，见 ProviderPool
+ * @param {object} [overrides] 覆盖的节点池选项
+ * @returns {ProviderPool} 节点池
+ */
+function createProviderPool(networkConfig, overrides = {}) {
+  const urls = Array.from(new Set([networkConfig.rpcUrl, ...(networkConfig.rpcUrls || [])].filter(Boolean)));
+  const network = networkConfig.chainId
+    ? { chainId: networkConfig.chainId, name: networkConfig.name || 'unknown' }
+    : undefined;
+  return new ProviderPool(urls.map(url => ({ url })), network, { ...networkConfig.providerPool, ...overrides });
+}
+
+module.exports = {
+  ProviderPool,
+  Endpoint,
+  createProviderPool,
+  redactUrl
+};
@@ -1,7 +1,7 @@
 const { getTestConfigPath, getTestAccountsPath, validatePath } = require('./paths');
 const logger = require('./logger');
 const { TestError } = require('./errors');
-const cacheManager = require('./cache');
+const { cache } = require('./cache');
 const metricsManager = require('./metrics');
 const { TEST_DATA, METRICS, EVENTS } = require('./constants');
 
@@ -222,7 +222,7 @@ class TestingUtils {
    */
   async cacheTestData(key, value, ttl) {
     try {
-      await cacheManager.set(key, value, ttl);
+      await cache.set(key, value, { ttl: ttl ? Math.ceil(ttl / 1000) : undefined });
     } catch (error) {
       logger.error(`Failed to cache test data for key ${key}:`, error);
     }
@@ -235,7 +235,8 @@ class TestingUtils {
    */
   async getCachedTestData(key) {
     try {
-      return await cacheManager.get(key);
+      const value = await cache.get(key);
+      return value === undefined ? null : value;
     } catch (error) {
       logger.error(`Failed to get cached test data for key ${key}:`, error);
       return null;
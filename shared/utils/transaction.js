@@ -71,6 +71,63 @@ function handleTransactionError(error, operation) {
   };
 }
 
+// Error(string) 与 Panic(uint256) 的函数选择器
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity Panic错误码说明
+const PANIC_REASONS = {
+  0x01: 'assert失败',
+  0x11: '算术溢出',
+  0x12: '除以零',
+  0x21: '无效的枚举值',
+  0x31: '空数组pop',
+  0x32: '数组越界',
+  0x41: '内存分配过大',
+  0x51: '调用未初始化的函数'
+};
+
+/**
+ * 解码合约回滚数据
+ * 依次尝试 Error(string)、Panic(uint256) 以及传入ABI中定义的自定义错误
+ * @param {string} data 回滚数据（十六进制）
+ * @param {Array<Array|ethers.utils.Interface>} [abis] 用于解析自定义错误的ABI列表
+ * @returns {string|null} 可读的回滚原因，无法解析时返回null
+ */
+function decodeRevertReason(data, abis = []) {
+  if (!data || typeof data !== 'string' || data.length < 10) {
+    return null;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = `0x${data.slice(10)}`;
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], payload)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], payload)[0].toNumber();
+      return `Panic(0x${code.toString(16)}): ${PANIC_REASONS[code] || '未知错误'}`;
+    }
+  } catch (error) {
+    return null;
+  }
+
+  for (const abi of abis) {
+    try {
+      const iface = abi instanceof ethers.utils.Interface ? abi : new ethers.utils.Interface(abi);
+      const parsed = iface.parseError(data);
+      const args = parsed.args.map(arg => arg.toString()).join(', ');
+      return `${parsed.name}(${args})`;
+    } catch (error) {
+      // 当前ABI中没有该错误定义，继续尝试下一个
+    }
+  }
+
+  return null;
+}
+
 /**
  * 估算交易gas
  * @param {ethers.Contract} contract 合约实例
@@ -255,5 +312,6 @@ module.exports = {
   estimateGas,
   getGasPrice,
   waitForTransaction,
-  handleTransactionError
+  handleTransactionError,
+  decodeRevertReason
 }; 
\ No newline at end of file
@@ -311,5 +311,5 @@ if (require.main === module) {
     });
 } else {
   // 作为模块导出
-  module.exports = { main };
+  module.exports = { CONFIG, main };
 } 
\ No newline at end of file